@@ -0,0 +1,10 @@
+pragma circom 2.0.0;
+
+// EdDSA variant of the age and citizenship verification circuit
+// Same checks and public inputs as age_citizenship.circom, for issuers that sign
+// with EdDSA-Poseidon over BabyJubJub: the issuer signatures are verified for real
+// with circomlib's EdDSAPoseidonVerifier instead of the placeholder ECDSAVerify
+
+include "./templates/age_citizenship_eddsa.circom";
+
+component main {public [current_date, age_policy, required_citizenship, issuer_a_pubkey_x, issuer_a_pubkey_y, issuer_b_pubkey_x, issuer_b_pubkey_y, user_pubkey, subject_wallet, revocation_root, challenge]} = AgeAndCitizenshipEdDSAVerifier(0);
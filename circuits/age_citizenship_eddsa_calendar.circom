@@ -0,0 +1,11 @@
+pragma circom 2.0.0;
+
+// Calendar variant of the EdDSA circuit
+// Same checks, inputs and credentials as age_citizenship_eddsa.circom
+// (the signed birth day number), but the age check counts calendar years: the
+// user is min_age from their birthday on (UTC) instead of after
+// min_age * 365.25 days
+
+include "./templates/age_citizenship_eddsa.circom";
+
+component main {public [current_date, age_policy, required_citizenship, issuer_a_pubkey_x, issuer_a_pubkey_y, issuer_b_pubkey_x, issuer_b_pubkey_y, user_pubkey, subject_wallet, revocation_root, challenge]} = AgeAndCitizenshipEdDSAVerifier(1);
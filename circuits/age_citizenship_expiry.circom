@@ -0,0 +1,11 @@
+pragma circom 2.0.0;
+
+// Expiry variant of the age and citizenship verification circuit
+// Same checks and public inputs as age_citizenship.circom, for credentials that
+// commit a validity window: each issuer signs Poseidon(claim, user_pubkey, nonce,
+// issued_at, valid_until), and the proof only verifies if current_date falls
+// inside both windows, so an expired credential cannot produce a valid proof
+
+include "./templates/age_citizenship_expiry.circom";
+
+component main {public [current_date, age_policy, required_citizenship, issuer_a_pubkey_x, issuer_a_pubkey_y, issuer_b_pubkey_x, issuer_b_pubkey_y, user_pubkey, subject_wallet, revocation_root, challenge]} = AgeAndCitizenshipExpiryVerifier(0);
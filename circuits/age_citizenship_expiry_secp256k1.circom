@@ -0,0 +1,11 @@
+pragma circom 2.0.2;
+
+// Expiry variant of the secp256k1 age and citizenship verification circuit
+// Same checks and public inputs as age_citizenship_secp256k1.circom, for credentials that
+// commit a validity window: each issuer signs Poseidon(claim, user_pubkey, nonce,
+// issued_at, valid_until), and the proof only verifies if current_date falls
+// inside both windows, so an expired credential cannot produce a valid proof
+
+include "./templates/age_citizenship_expiry_secp256k1.circom";
+
+component main {public [current_date, age_policy, required_citizenship, issuer_a_pubkey_x, issuer_a_pubkey_y, issuer_b_pubkey_x, issuer_b_pubkey_y, user_pubkey, subject_wallet, revocation_root, challenge]} = AgeAndCitizenshipExpirySecp256k1Verifier(0);
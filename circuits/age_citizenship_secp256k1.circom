@@ -0,0 +1,11 @@
+pragma circom 2.0.2;
+
+// secp256k1 variant of the age and citizenship verification circuit
+// Same checks and public inputs as age_citizenship.circom, for ECDSA issuers:
+// the signatures are verified in full with circom-ecdsa instead of the
+// placeholder ECDSAVerify. About 3M constraints, so proving needs a large
+// Powers of Tau (2^22) and takes minutes; see scripts/setup/benchmark_circuits.js
+
+include "./templates/age_citizenship_secp256k1.circom";
+
+component main {public [current_date, age_policy, required_citizenship, issuer_a_pubkey_x, issuer_a_pubkey_y, issuer_b_pubkey_x, issuer_b_pubkey_y, user_pubkey, subject_wallet, revocation_root, challenge]} = AgeAndCitizenshipSecp256k1Verifier(0);
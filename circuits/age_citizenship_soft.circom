@@ -7,11 +7,15 @@ pragma circom 2.0.0;
 include "circomlib/circuits/poseidon.circom";
 include "circomlib/circuits/comparators.circom";
 include "./utils/ecdsa_verify.circom";
+include "./utils/revocation.circom";
 
 template AgeAndCitizenshipVerifierSoft() {
+    // Depth of the revocation sparse Merkle tree (REVOCATION_TREE_LEVELS in the SDK)
+    var REVOCATION_LEVELS = 32;
+
     // ========== PRIVATE INPUTS ==========
     // These values are hidden in the proof
-    signal input date_of_birth;        // Date of birth (Unix timestamp)
+    signal input date_of_birth;        // Date of birth (days since 1900-01-01)
     signal input citizenship;         // Citizenship string (encoded as field element)
     signal input signature_a_r;       // Issuer A signature r component
     signal input signature_a_s;       // Issuer A signature s component
@@ -19,6 +23,16 @@ template AgeAndCitizenshipVerifierSoft() {
     signal input signature_b_s;       // Issuer B signature s component
     signal input nonce_a;             // Nonce for credential A
     signal input nonce_b;             // Nonce for credential B
+
+    // Revocation non-membership witnesses (see utils/revocation.circom)
+    signal input revocation_siblings_a[REVOCATION_LEVELS]; // Revocation tree path for credential A
+    signal input revocation_old_key_a;    // Leaf found on credential A's path (0 if empty)
+    signal input revocation_old_value_a;  // Value of that leaf
+    signal input revocation_is_old0_a;    // 1 if credential A's path ends empty
+    signal input revocation_siblings_b[REVOCATION_LEVELS]; // Revocation tree path for credential B
+    signal input revocation_old_key_b;    // Leaf found on credential B's path (0 if empty)
+    signal input revocation_old_value_b;  // Value of that leaf
+    signal input revocation_is_old0_b;    // 1 if credential B's path ends empty
     
     // ========== PUBLIC INPUTS ==========
     // These values are visible in the proof (declared as public in main component)
@@ -31,6 +45,8 @@ template AgeAndCitizenshipVerifierSoft() {
     signal input issuer_b_pubkey_y;    // Issuer B public key y coordinate
     signal input user_pubkey;          // User's public key (for credential binding)
     signal input subject_wallet;       // Wallet address (uint160) bound to the proof
+    signal input revocation_root;      // Credential revocation tree root (AgeVerification.revocationRoot)
+    signal input challenge;            // Verifier-issued session challenge (AgeVerification.issueChallenge)
     
     // ========== INTERMEDIATE SIGNALS ==========
     signal age_in_seconds;
@@ -67,8 +83,14 @@ template AgeAndCitizenshipVerifierSoft() {
     verify_b.signature_s <== signature_b_s;
     
     // ========== VERIFY AGE >= 18 ==========
-    // Calculate age in seconds
-    age_in_seconds <== current_date - date_of_birth;
+    // Calculate age in seconds. date_of_birth counts days from 1900-01-01 and
+    // current_date seconds from 1970-01-01, 2208988800 s (25567 days) later, so
+    // birth dates before 1970 stay positive (see docs/DATE_ENCODING.md)
+    age_in_seconds <== current_date + 2208988800 - date_of_birth * 86400;
+
+    // A birth date after current_date would wrap around the field: no witness
+    component age_range = Num2Bits(64);
+    age_range.in <== age_in_seconds;
     
     // Convert to years (approximate: 365.25 days per year)
     // age_in_years = age_in_seconds / (365.25 * 24 * 60 * 60)
@@ -85,12 +107,46 @@ template AgeAndCitizenshipVerifierSoft() {
     age_check.in[1] <== age_in_years + 1;
     // age_check.out should be 1 if min_age < age_in_years + 1, meaning age_in_years >= min_age
     
+    // ========== VERIFY NEITHER CREDENTIAL IS REVOKED ==========
+    // Each credential's nullifier Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce)
+    // must be absent from the revocation tree with root revocation_root.
+    // Enforced even here: SMTVerifier has no pass/fail output to soften
+    component not_revoked_a = CredentialNotRevoked(REVOCATION_LEVELS);
+    not_revoked_a.issuer_pubkey_x <== issuer_a_pubkey_x;
+    not_revoked_a.issuer_pubkey_y <== issuer_a_pubkey_y;
+    not_revoked_a.nonce <== nonce_a;
+    not_revoked_a.root <== revocation_root;
+    for (var i = 0; i < REVOCATION_LEVELS; i++) {
+        not_revoked_a.siblings[i] <== revocation_siblings_a[i];
+    }
+    not_revoked_a.old_key <== revocation_old_key_a;
+    not_revoked_a.old_value <== revocation_old_value_a;
+    not_revoked_a.is_old0 <== revocation_is_old0_a;
+
+    component not_revoked_b = CredentialNotRevoked(REVOCATION_LEVELS);
+    not_revoked_b.issuer_pubkey_x <== issuer_b_pubkey_x;
+    not_revoked_b.issuer_pubkey_y <== issuer_b_pubkey_y;
+    not_revoked_b.nonce <== nonce_b;
+    not_revoked_b.root <== revocation_root;
+    for (var j = 0; j < REVOCATION_LEVELS; j++) {
+        not_revoked_b.siblings[j] <== revocation_siblings_b[j];
+    }
+    not_revoked_b.old_key <== revocation_old_key_b;
+    not_revoked_b.old_value <== revocation_old_value_b;
+    not_revoked_b.is_old0 <== revocation_is_old0_b;
+
     // ========== VERIFY WALLET BINDING ==========
     // SOFT: Skip the wallet binding assertion
     // In hard circuit: user_pubkey === subject_wallet;
     // In soft circuit: we remove this assertion entirely
     // Note: The contract still checks msg.sender == subject_wallet
 
+    // ========== BIND THE VERIFIER CHALLENGE ==========
+    // The challenge is only carried as a public input; squaring it keeps the
+    // signal in the constraint system so the proof cannot be replayed with another one
+    signal challenge_square;
+    challenge_square <== challenge * challenge;
+
     // ========== VERIFY CITIZENSHIP == "US" ==========
     component citizenship_check = IsEqual();
     citizenship_check.in[0] <== citizenship;
@@ -139,6 +195,6 @@ template DivMod(n) {
 
 // Note: IsEqual and IsZero are provided by circomlib/circuits/comparators.circom
 
-// IDENTICAL public inputs as hard constraint circuit (9 signals)
+// IDENTICAL public inputs as hard constraint circuit (11 signals)
 // The ONLY difference: soft circuit removes the final assertion (all_checks_passed === 1)
-component main {public [current_date, min_age, required_citizenship, issuer_a_pubkey_x, issuer_a_pubkey_y, issuer_b_pubkey_x, issuer_b_pubkey_y, user_pubkey, subject_wallet]} = AgeAndCitizenshipVerifierSoft();
+component main {public [current_date, min_age, required_citizenship, issuer_a_pubkey_x, issuer_a_pubkey_y, issuer_b_pubkey_x, issuer_b_pubkey_y, user_pubkey, subject_wallet, revocation_root, challenge]} = AgeAndCitizenshipVerifierSoft();
@@ -0,0 +1,154 @@
+pragma circom 2.0.0;
+
+// Verifier template of age_citizenship.circom (calendar = 0: age in 365.25-day
+// years) and age_citizenship_calendar.circom (calendar = 1: calendar years from
+// the birthday, see utils/age_check.circom)
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "../utils/ecdsa_verify.circom";
+include "../utils/revocation.circom";
+include "../utils/age_check.circom";
+
+template AgeAndCitizenshipVerifier(calendar) {
+    // Depth of the revocation sparse Merkle tree (REVOCATION_TREE_LEVELS in the SDK)
+    var REVOCATION_LEVELS = 32;
+
+    // ========== PRIVATE INPUTS ==========
+    // These values are hidden in the proof
+    signal input date_of_birth;        // Date of birth (days since 1900-01-01)
+    signal input citizenship;         // Citizenship string (encoded as field element)
+    signal input signature_a_r;       // Issuer A signature r component
+    signal input signature_a_s;       // Issuer A signature s component
+    signal input signature_b_r;       // Issuer B signature r component
+    signal input signature_b_s;       // Issuer B signature s component
+    signal input nonce_a;             // Nonce for credential A
+    signal input nonce_b;             // Nonce for credential B
+
+    // Revocation non-membership witnesses (see utils/revocation.circom)
+    signal input revocation_siblings_a[REVOCATION_LEVELS]; // Revocation tree path for credential A
+    signal input revocation_old_key_a;    // Leaf found on credential A's path (0 if empty)
+    signal input revocation_old_value_a;  // Value of that leaf
+    signal input revocation_is_old0_a;    // 1 if credential A's path ends empty
+    signal input revocation_siblings_b[REVOCATION_LEVELS]; // Revocation tree path for credential B
+    signal input revocation_old_key_b;    // Leaf found on credential B's path (0 if empty)
+    signal input revocation_old_value_b;  // Value of that leaf
+    signal input revocation_is_old0_b;    // 1 if credential B's path ends empty
+    
+    // ========== PUBLIC INPUTS ==========
+    // These values are visible in the proof (declared as public in main component)
+    signal input current_date;         // Current date (Unix timestamp)
+    signal input age_policy;           // Age bounds: max_age * 1000 + min_age (18, or 21018 for 18-20)
+    signal input required_citizenship; // Required citizenship (US, encoded)
+    signal input issuer_a_pubkey_x;    // Issuer A public key x coordinate
+    signal input issuer_a_pubkey_y;    // Issuer A public key y coordinate
+    signal input issuer_b_pubkey_x;    // Issuer B public key x coordinate
+    signal input issuer_b_pubkey_y;    // Issuer B public key y coordinate
+    signal input user_pubkey;          // User's public key (for credential binding)
+    signal input subject_wallet;       // Wallet address (uint160) bound to the proof
+    signal input revocation_root;      // Credential revocation tree root (AgeVerification.revocationRoot)
+    signal input challenge;            // Verifier-issued session challenge (AgeVerification.issueChallenge)
+    
+    // ========== VERIFY ISSUER A SIGNATURE (DOB Credential) ==========
+    // Create credential message: Poseidon hash of (dob, user_pubkey, nonce_a)
+    component poseidon_dob = Poseidon(3);
+    poseidon_dob.inputs[0] <== date_of_birth;
+    poseidon_dob.inputs[1] <== user_pubkey;
+    poseidon_dob.inputs[2] <== nonce_a;
+    
+    // Verify Issuer A's signature
+    component verify_a = ECDSAVerify();
+    verify_a.message <== poseidon_dob.out;
+    verify_a.pubkey[0] <== issuer_a_pubkey_x;
+    verify_a.pubkey[1] <== issuer_a_pubkey_y;
+    verify_a.signature_r <== signature_a_r;
+    verify_a.signature_s <== signature_a_s;
+    
+    // ========== VERIFY ISSUER B SIGNATURE (Citizenship Credential) ==========
+    // Create credential message: Poseidon hash of (citizenship, user_pubkey, nonce_b)
+    component poseidon_citizenship = Poseidon(3);
+    poseidon_citizenship.inputs[0] <== citizenship;
+    poseidon_citizenship.inputs[1] <== user_pubkey;
+    poseidon_citizenship.inputs[2] <== nonce_b;
+    
+    // Verify Issuer B's signature
+    component verify_b = ECDSAVerify();
+    verify_b.message <== poseidon_citizenship.out;
+    verify_b.pubkey[0] <== issuer_b_pubkey_x;
+    verify_b.pubkey[1] <== issuer_b_pubkey_y;
+    verify_b.signature_r <== signature_b_r;
+    verify_b.signature_s <== signature_b_s;
+    
+    // ========== VERIFY min_age <= AGE < max_age ==========
+    // Age in 365.25-day years, or in calendar years from the birthday when
+    // calendar is 1 (see utils/age_check.circom)
+    component age_check = AgeCheck(calendar);
+    age_check.date_of_birth <== date_of_birth;
+    age_check.current_date <== current_date;
+    age_check.age_policy <== age_policy;
+    // age_check.out should be 1 if min_age <= the age in years and (max_age is 0 or the age < max_age)
+    
+    // ========== VERIFY NEITHER CREDENTIAL IS REVOKED ==========
+    // Each credential's nullifier Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce)
+    // must be absent from the revocation tree with root revocation_root
+    component not_revoked_a = CredentialNotRevoked(REVOCATION_LEVELS);
+    not_revoked_a.issuer_pubkey_x <== issuer_a_pubkey_x;
+    not_revoked_a.issuer_pubkey_y <== issuer_a_pubkey_y;
+    not_revoked_a.nonce <== nonce_a;
+    not_revoked_a.root <== revocation_root;
+    for (var i = 0; i < REVOCATION_LEVELS; i++) {
+        not_revoked_a.siblings[i] <== revocation_siblings_a[i];
+    }
+    not_revoked_a.old_key <== revocation_old_key_a;
+    not_revoked_a.old_value <== revocation_old_value_a;
+    not_revoked_a.is_old0 <== revocation_is_old0_a;
+
+    component not_revoked_b = CredentialNotRevoked(REVOCATION_LEVELS);
+    not_revoked_b.issuer_pubkey_x <== issuer_b_pubkey_x;
+    not_revoked_b.issuer_pubkey_y <== issuer_b_pubkey_y;
+    not_revoked_b.nonce <== nonce_b;
+    not_revoked_b.root <== revocation_root;
+    for (var j = 0; j < REVOCATION_LEVELS; j++) {
+        not_revoked_b.siblings[j] <== revocation_siblings_b[j];
+    }
+    not_revoked_b.old_key <== revocation_old_key_b;
+    not_revoked_b.old_value <== revocation_old_value_b;
+    not_revoked_b.is_old0 <== revocation_is_old0_b;
+
+    // ========== VERIFY WALLET BINDING ==========
+    // Ensure the proof is tied to the submitting wallet address
+    user_pubkey === subject_wallet;
+
+    // ========== BIND THE VERIFIER CHALLENGE ==========
+    // The challenge is only carried as a public input; squaring it keeps the
+    // signal in the constraint system so the proof cannot be replayed with another one
+    signal challenge_square;
+    challenge_square <== challenge * challenge;
+
+    // ========== VERIFY CITIZENSHIP == "US" ==========
+    component citizenship_check = IsEqual();
+    citizenship_check.in[0] <== citizenship;
+    citizenship_check.in[1] <== required_citizenship;
+    
+    // ========== FINAL CONSTRAINTS ==========
+    // All checks must pass:
+    // 1. Issuer A signature is valid
+    // 2. Issuer B signature is valid
+    // 3. min_age <= age < max_age (no upper bound if max_age is 0)
+    // 4. Citizenship matches required value
+    
+    // Combine all checks (all must be 1)
+    // Must split into quadratic constraints (max degree 2)
+    signal sig_checks;
+    signal age_cit_checks;
+    signal all_checks_passed;
+
+    sig_checks <== verify_a.valid * verify_b.valid;
+    age_cit_checks <== age_check.out * citizenship_check.out;
+    all_checks_passed <== sig_checks * age_cit_checks;
+    
+    // Constraint: all checks must pass
+    all_checks_passed === 1;
+}
+
+// Note: IsEqual and IsZero are provided by circomlib/circuits/comparators.circom
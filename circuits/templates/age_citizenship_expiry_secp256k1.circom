@@ -0,0 +1,196 @@
+pragma circom 2.0.2;
+
+// Verifier template of age_citizenship_expiry_secp256k1.circom (calendar = 0:
+// age in 365.25-day years) and age_citizenship_expiry_secp256k1_calendar.circom
+// (calendar = 1: calendar years from the birthday, see utils/age_check.circom)
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "../utils/secp256k1_ecdsa_verify.circom";
+include "../utils/revocation.circom";
+include "../utils/age_check.circom";
+
+template AgeAndCitizenshipExpirySecp256k1Verifier(calendar) {
+    // Depth of the revocation sparse Merkle tree (REVOCATION_TREE_LEVELS in the SDK)
+    var REVOCATION_LEVELS = 32;
+
+    // ========== PRIVATE INPUTS ==========
+    // These values are hidden in the proof
+    signal input date_of_birth;        // Date of birth (days since 1900-01-01)
+    signal input citizenship;         // Citizenship string (encoded as field element)
+    signal input signature_a_r[4];    // Issuer A signature r component (64-bit limbs)
+    signal input signature_a_s[4];    // Issuer A signature s component (64-bit limbs)
+    signal input signature_b_r[4];    // Issuer B signature r component (64-bit limbs)
+    signal input signature_b_s[4];    // Issuer B signature s component (64-bit limbs)
+    signal input issuer_a_pubkey_x_limbs[4]; // Issuer A full public key x coordinate (64-bit limbs)
+    signal input issuer_a_pubkey_y_limbs[4]; // Issuer A full public key y coordinate (64-bit limbs)
+    signal input issuer_b_pubkey_x_limbs[4]; // Issuer B full public key x coordinate (64-bit limbs)
+    signal input issuer_b_pubkey_y_limbs[4]; // Issuer B full public key y coordinate (64-bit limbs)
+    signal input nonce_a;             // Nonce for credential A
+    signal input nonce_b;             // Nonce for credential B
+    signal input issued_at_a;         // Credential A valid from (Unix timestamp)
+    signal input valid_until_a;       // Credential A valid until (Unix timestamp)
+    signal input issued_at_b;         // Credential B valid from (Unix timestamp)
+    signal input valid_until_b;       // Credential B valid until (Unix timestamp)
+
+    // Revocation non-membership witnesses (see utils/revocation.circom)
+    signal input revocation_siblings_a[REVOCATION_LEVELS]; // Revocation tree path for credential A
+    signal input revocation_old_key_a;    // Leaf found on credential A's path (0 if empty)
+    signal input revocation_old_value_a;  // Value of that leaf
+    signal input revocation_is_old0_a;    // 1 if credential A's path ends empty
+    signal input revocation_siblings_b[REVOCATION_LEVELS]; // Revocation tree path for credential B
+    signal input revocation_old_key_b;    // Leaf found on credential B's path (0 if empty)
+    signal input revocation_old_value_b;  // Value of that leaf
+    signal input revocation_is_old0_b;    // 1 if credential B's path ends empty
+    
+    // ========== PUBLIC INPUTS ==========
+    // These values are visible in the proof (declared as public in main component)
+    signal input current_date;         // Current date (Unix timestamp)
+    signal input age_policy;           // Age bounds: max_age * 1000 + min_age (18, or 21018 for 18-20)
+    signal input required_citizenship; // Required citizenship (US, encoded)
+    signal input issuer_a_pubkey_x;    // Issuer A public key x coordinate (reduced mod r)
+    signal input issuer_a_pubkey_y;    // Issuer A public key y coordinate (reduced mod r)
+    signal input issuer_b_pubkey_x;    // Issuer B public key x coordinate (reduced mod r)
+    signal input issuer_b_pubkey_y;    // Issuer B public key y coordinate (reduced mod r)
+    signal input user_pubkey;          // User's public key (for credential binding)
+    signal input subject_wallet;       // Wallet address (uint160) bound to the proof
+    signal input revocation_root;      // Credential revocation tree root (AgeVerification.revocationRoot)
+    signal input challenge;            // Verifier-issued session challenge (AgeVerification.issueChallenge)
+    
+    // ========== VERIFY ISSUER A SIGNATURE (DOB Credential) ==========
+    // Create credential message: Poseidon hash of (dob, user_pubkey, nonce_a, issued_at_a, valid_until_a)
+    component poseidon_dob = Poseidon(5);
+    poseidon_dob.inputs[0] <== date_of_birth;
+    poseidon_dob.inputs[1] <== user_pubkey;
+    poseidon_dob.inputs[2] <== nonce_a;
+    poseidon_dob.inputs[3] <== issued_at_a;
+    poseidon_dob.inputs[4] <== valid_until_a;
+    
+    // Verify Issuer A's ECDSA signature (no valid witness if it is forged)
+    component verify_a = Secp256k1ECDSAVerify();
+    verify_a.message <== poseidon_dob.out;
+    verify_a.pubkey[0] <== issuer_a_pubkey_x;
+    verify_a.pubkey[1] <== issuer_a_pubkey_y;
+    for (var limb_a = 0; limb_a < 4; limb_a++) {
+        verify_a.pubkey_limbs[0][limb_a] <== issuer_a_pubkey_x_limbs[limb_a];
+        verify_a.pubkey_limbs[1][limb_a] <== issuer_a_pubkey_y_limbs[limb_a];
+        verify_a.signature_r[limb_a] <== signature_a_r[limb_a];
+        verify_a.signature_s[limb_a] <== signature_a_s[limb_a];
+    }
+    
+    // ========== VERIFY ISSUER B SIGNATURE (Citizenship Credential) ==========
+    // Create credential message: Poseidon hash of (citizenship, user_pubkey, nonce_b, issued_at_b, valid_until_b)
+    component poseidon_citizenship = Poseidon(5);
+    poseidon_citizenship.inputs[0] <== citizenship;
+    poseidon_citizenship.inputs[1] <== user_pubkey;
+    poseidon_citizenship.inputs[2] <== nonce_b;
+    poseidon_citizenship.inputs[3] <== issued_at_b;
+    poseidon_citizenship.inputs[4] <== valid_until_b;
+    
+    // Verify Issuer B's ECDSA signature (no valid witness if it is forged)
+    component verify_b = Secp256k1ECDSAVerify();
+    verify_b.message <== poseidon_citizenship.out;
+    verify_b.pubkey[0] <== issuer_b_pubkey_x;
+    verify_b.pubkey[1] <== issuer_b_pubkey_y;
+    for (var limb_b = 0; limb_b < 4; limb_b++) {
+        verify_b.pubkey_limbs[0][limb_b] <== issuer_b_pubkey_x_limbs[limb_b];
+        verify_b.pubkey_limbs[1][limb_b] <== issuer_b_pubkey_y_limbs[limb_b];
+        verify_b.signature_r[limb_b] <== signature_b_r[limb_b];
+        verify_b.signature_s[limb_b] <== signature_b_s[limb_b];
+    }
+    
+    // ========== VERIFY min_age <= AGE < max_age ==========
+    // Age in 365.25-day years, or in calendar years from the birthday when
+    // calendar is 1 (see utils/age_check.circom)
+    component age_check = AgeCheck(calendar);
+    age_check.date_of_birth <== date_of_birth;
+    age_check.current_date <== current_date;
+    age_check.age_policy <== age_policy;
+    // age_check.out should be 1 if min_age <= the age in years and (max_age is 0 or the age < max_age)
+    
+    // ========== VERIFY CREDENTIAL VALIDITY WINDOWS ==========
+    // issued_at <= current_date <= valid_until for both credentials.
+    // The windows are signed by the issuers, so they cannot be stretched.
+    component valid_from_a = LessEqThan(64);
+    valid_from_a.in[0] <== issued_at_a;
+    valid_from_a.in[1] <== current_date;
+
+    component valid_until_a_check = LessEqThan(64);
+    valid_until_a_check.in[0] <== current_date;
+    valid_until_a_check.in[1] <== valid_until_a;
+
+    component valid_from_b = LessEqThan(64);
+    valid_from_b.in[0] <== issued_at_b;
+    valid_from_b.in[1] <== current_date;
+
+    component valid_until_b_check = LessEqThan(64);
+    valid_until_b_check.in[0] <== current_date;
+    valid_until_b_check.in[1] <== valid_until_b;
+
+    // ========== VERIFY NEITHER CREDENTIAL IS REVOKED ==========
+    // Each credential's nullifier Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce)
+    // must be absent from the revocation tree with root revocation_root
+    component not_revoked_a = CredentialNotRevoked(REVOCATION_LEVELS);
+    not_revoked_a.issuer_pubkey_x <== issuer_a_pubkey_x;
+    not_revoked_a.issuer_pubkey_y <== issuer_a_pubkey_y;
+    not_revoked_a.nonce <== nonce_a;
+    not_revoked_a.root <== revocation_root;
+    for (var i = 0; i < REVOCATION_LEVELS; i++) {
+        not_revoked_a.siblings[i] <== revocation_siblings_a[i];
+    }
+    not_revoked_a.old_key <== revocation_old_key_a;
+    not_revoked_a.old_value <== revocation_old_value_a;
+    not_revoked_a.is_old0 <== revocation_is_old0_a;
+
+    component not_revoked_b = CredentialNotRevoked(REVOCATION_LEVELS);
+    not_revoked_b.issuer_pubkey_x <== issuer_b_pubkey_x;
+    not_revoked_b.issuer_pubkey_y <== issuer_b_pubkey_y;
+    not_revoked_b.nonce <== nonce_b;
+    not_revoked_b.root <== revocation_root;
+    for (var j = 0; j < REVOCATION_LEVELS; j++) {
+        not_revoked_b.siblings[j] <== revocation_siblings_b[j];
+    }
+    not_revoked_b.old_key <== revocation_old_key_b;
+    not_revoked_b.old_value <== revocation_old_value_b;
+    not_revoked_b.is_old0 <== revocation_is_old0_b;
+
+    // ========== VERIFY WALLET BINDING ==========
+    // Ensure the proof is tied to the submitting wallet address
+    user_pubkey === subject_wallet;
+
+    // ========== BIND THE VERIFIER CHALLENGE ==========
+    // The challenge is only carried as a public input; squaring it keeps the
+    // signal in the constraint system so the proof cannot be replayed with another one
+    signal challenge_square;
+    challenge_square <== challenge * challenge;
+
+    // ========== VERIFY CITIZENSHIP == "US" ==========
+    component citizenship_check = IsEqual();
+    citizenship_check.in[0] <== citizenship;
+    citizenship_check.in[1] <== required_citizenship;
+    
+    // ========== FINAL CONSTRAINTS ==========
+    // The issuer signatures are enforced by Secp256k1ECDSAVerify above; these checks must pass:
+    // 1. min_age <= age < max_age (no upper bound if max_age is 0)
+    // 2. Citizenship matches required value
+    // 3. Both credentials are valid at current_date
+    
+    // Combine all checks (all must be 1)
+    // Must split into quadratic constraints (max degree 2)
+    signal age_cit_checks;
+    signal validity_a_checks;
+    signal validity_b_checks;
+    signal validity_checks;
+    signal all_checks_passed;
+
+    age_cit_checks <== age_check.out * citizenship_check.out;
+    validity_a_checks <== valid_from_a.out * valid_until_a_check.out;
+    validity_b_checks <== valid_from_b.out * valid_until_b_check.out;
+    validity_checks <== validity_a_checks * validity_b_checks;
+    all_checks_passed <== age_cit_checks * validity_checks;
+    
+    // Constraint: all checks must pass
+    all_checks_passed === 1;
+}
+
+// Note: IsEqual and IsZero are provided by circomlib/circuits/comparators.circom
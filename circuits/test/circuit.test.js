@@ -7,84 +7,54 @@
  * - Age >= 18 requirement
  * - Citizenship == "US" requirement
  * - Same user public key in both credentials
+ *
+ * and that age_citizenship_eddsa.circom and age_citizenship_secp256k1.circom
+ * reject a forged EdDSA-Poseidon / ECDSA signature, and that
+ * age_citizenship_calendar.circom and age_citizenship_eddsa_calendar.circom count
+ * age from the birthday on, and that
+ * age_citizenship.circom enforces a maximum age packed into age_policy
  */
 
 const snarkjs = require('snarkjs');
-const { poseidon } = require('circomlibjs');
-const { sign, getPublicKey, utils } = require('@noble/secp256k1');
+const { utils } = require('@noble/secp256k1');
+const {
+    issueDOBCredential,
+    issueCitizenshipCredential,
+    buildCircuitInputs,
+    generateProof,
+    SIGNATURE_SCHEMES
+} = require('../../sdk');
 const fs = require('fs');
 const path = require('path');
 
 const CIRCUIT_NAME = 'age_citizenship';
+const EDDSA_CIRCUIT_NAME = 'age_citizenship_eddsa';
+const SECP256K1_CIRCUIT_NAME = 'age_citizenship_secp256k1';
+const CALENDAR_CIRCUIT_NAME = 'age_citizenship_calendar';
+const EDDSA_CALENDAR_CIRCUIT_NAME = 'age_citizenship_eddsa_calendar';
 const BUILD_DIR = path.join(__dirname, '../../build');
 
-/**
- * Encode citizenship string as a field element
- */
-function encodeCitizenship(citizenship) {
-    let encoded = BigInt(0);
-    for (let i = 0; i < citizenship.length; i++) {
-        encoded = encoded * BigInt(256) + BigInt(citizenship.charCodeAt(i));
-    }
-    return encoded;
-}
-
 /**
  * Generate test credentials
+ * @param {string} [signatureScheme] - SIGNATURE_SCHEMES value (default: ECDSA)
  */
-async function generateTestCredentials() {
+async function generateTestCredentials(signatureScheme, dateOfBirth = '2000-01-01') {
     // Generate issuer keys
     const issuerAPrivateKey = utils.randomPrivateKey();
     const issuerBPrivateKey = utils.randomPrivateKey();
     
-    const issuerAPubkey = getPublicKey(issuerAPrivateKey, true);
-    const issuerBPubkey = getPublicKey(issuerBPrivateKey, true);
-    
-    // Test data: Born on Jan 1, 2000 (will be 18+ in 2018)
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
-    const citizenship = 'US';
-    const citizenshipEncoded = encodeCitizenship(citizenship);
+    // Test data: born on Jan 1, 2000 by default (will be 18+ in 2018)
     const userPubkey = BigInt('1234567890123456789012345678901234567890123456789012345678901234');
     const nonceA = BigInt(Math.floor(Math.random() * 2**64));
     const nonceB = BigInt(Math.floor(Math.random() * 2**64));
     
     // Create and sign DOB credential
-    const dobMessageHash = poseidon([dateOfBirth, userPubkey, nonceA]);
-    const dobMessageBytes = new Uint8Array(32);
-    const dobMessageBigInt = BigInt(dobMessageHash.toString());
-    for (let i = 0; i < 32; i++) {
-        dobMessageBytes[31 - i] = Number((dobMessageBigInt >> BigInt(i * 8)) & BigInt(0xff));
-    }
-    const dobSignature = await sign(dobMessageBytes, issuerAPrivateKey);
+    const dobCredential = await issueDOBCredential(dateOfBirth, userPubkey, nonceA, issuerAPrivateKey, { signatureScheme });
     
     // Create and sign citizenship credential
-    const citizenshipMessageHash = poseidon([citizenshipEncoded, userPubkey, nonceB]);
-    const citizenshipMessageBytes = new Uint8Array(32);
-    const citizenshipMessageBigInt = BigInt(citizenshipMessageHash.toString());
-    for (let i = 0; i < 32; i++) {
-        citizenshipMessageBytes[31 - i] = Number((citizenshipMessageBigInt >> BigInt(i * 8)) & BigInt(0xff));
-    }
-    const citizenshipSignature = await sign(citizenshipMessageBytes, issuerBPrivateKey);
-    
-    return {
-        dateOfBirth,
-        citizenship: citizenshipEncoded,
-        userPubkey,
-        nonceA,
-        nonceB,
-        issuerA: {
-            pubkeyX: BigInt('0x' + issuerAPubkey.slice(1, 33).toString('hex')),
-            pubkeyY: BigInt('0x' + issuerAPubkey.slice(33, 65).toString('hex')),
-            signatureR: BigInt('0x' + Buffer.from(dobSignature.r).toString('hex')),
-            signatureS: BigInt('0x' + Buffer.from(dobSignature.s).toString('hex'))
-        },
-        issuerB: {
-            pubkeyX: BigInt('0x' + issuerBPubkey.slice(1, 33).toString('hex')),
-            pubkeyY: BigInt('0x' + issuerBPubkey.slice(33, 65).toString('hex')),
-            signatureR: BigInt('0x' + Buffer.from(citizenshipSignature.r).toString('hex')),
-            signatureS: BigInt('0x' + Buffer.from(citizenshipSignature.s).toString('hex'))
-        }
-    };
+    const citizenshipCredential = await issueCitizenshipCredential('US', userPubkey, nonceB, issuerBPrivateKey, { signatureScheme });
+    
+    return { dobCredential, citizenshipCredential };
 }
 
 /**
@@ -93,32 +63,13 @@ async function generateTestCredentials() {
 async function testValidProof() {
     console.log('🧪 Test 1: Valid proof (should pass)');
     
-    const credentials = await generateTestCredentials();
-    const currentDate = BigInt(Math.floor(new Date('2020-01-01').getTime() / 1000));
-    const minAge = BigInt(18);
-    const requiredCitizenship = encodeCitizenship('US');
-    
-    const input = {
-        date_of_birth: credentials.dateOfBirth.toString(),
-        citizenship: credentials.citizenship.toString(),
-        signature_a_r: credentials.issuerA.signatureR.toString(),
-        signature_a_s: credentials.issuerA.signatureS.toString(),
-        signature_b_r: credentials.issuerB.signatureR.toString(),
-        signature_b_s: credentials.issuerB.signatureS.toString(),
-        nonce_a: credentials.nonceA.toString(),
-        nonce_b: credentials.nonceB.toString(),
-        current_date: currentDate.toString(),
-        min_age: minAge.toString(),
-        required_citizenship: requiredCitizenship.toString(),
-        issuer_a_pubkey_x: credentials.issuerA.pubkeyX.toString(),
-        issuer_a_pubkey_y: credentials.issuerA.pubkeyY.toString(),
-        issuer_b_pubkey_x: credentials.issuerB.pubkeyX.toString(),
-        issuer_b_pubkey_y: credentials.issuerB.pubkeyY.toString(),
-        user_pubkey: credentials.userPubkey.toString(),
-        subject_wallet: credentials.userPubkey.toString()
-    };
-    
-    const wasmPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}.wasm`);
+    const { dobCredential, citizenshipCredential } = await generateTestCredentials();
+    const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+        currentDate: new Date('2020-01-01'),
+        minAge: 18
+    });
+    
+    const wasmPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`);
     const zkeyPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_final.zkey`);
     
     if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
@@ -127,7 +78,7 @@ async function testValidProof() {
     }
     
     try {
-        const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasmPath, zkeyPath);
+        const { proof, publicSignals } = await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
         const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, `${CIRCUIT_NAME}_vkey.json`), 'utf8'));
         const verified = await snarkjs.groth16.verify(vkey, publicSignals, proof);
         
@@ -147,33 +98,14 @@ async function testValidProof() {
 async function testInvalidAge() {
     console.log('🧪 Test 2: Invalid age < 18 (should fail)');
     
-    const credentials = await generateTestCredentials();
+    const { dobCredential, citizenshipCredential } = await generateTestCredentials();
     // Use a date that makes the person 17 years old
-    const currentDate = BigInt(Math.floor(new Date('2017-12-31').getTime() / 1000));
-    const minAge = BigInt(18);
-    const requiredCitizenship = encodeCitizenship('US');
-    
-    const input = {
-        date_of_birth: credentials.dateOfBirth.toString(),
-        citizenship: credentials.citizenship.toString(),
-        signature_a_r: credentials.issuerA.signatureR.toString(),
-        signature_a_s: credentials.issuerA.signatureS.toString(),
-        signature_b_r: credentials.issuerB.signatureR.toString(),
-        signature_b_s: credentials.issuerB.signatureS.toString(),
-        nonce_a: credentials.nonceA.toString(),
-        nonce_b: credentials.nonceB.toString(),
-        current_date: currentDate.toString(),
-        min_age: minAge.toString(),
-        required_citizenship: requiredCitizenship.toString(),
-        issuer_a_pubkey_x: credentials.issuerA.pubkeyX.toString(),
-        issuer_a_pubkey_y: credentials.issuerA.pubkeyY.toString(),
-        issuer_b_pubkey_x: credentials.issuerB.pubkeyX.toString(),
-        issuer_b_pubkey_y: credentials.issuerB.pubkeyY.toString(),
-        user_pubkey: credentials.userPubkey.toString(),
-        subject_wallet: credentials.userPubkey.toString()
-    };
-    
-    const wasmPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}.wasm`);
+    const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+        currentDate: new Date('2017-12-31'),
+        minAge: 18
+    });
+    
+    const wasmPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`);
     const zkeyPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_final.zkey`);
     
     if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
@@ -183,13 +115,223 @@ async function testInvalidAge() {
     
     try {
         // This should fail during witness generation or proof verification
-        await snarkjs.groth16.fullProve(input, wasmPath, zkeyPath);
+        await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
         console.log('❌ Test failed: Proof should have been rejected for invalid age\n');
     } catch (error) {
         console.log('✅ Test passed: Invalid age correctly rejected\n');
     }
 }
 
+/**
+ * Test the EdDSA circuit with a valid and a forged issuer signature
+ */
+async function testEddsaSignatures() {
+    console.log('🧪 Test 3: EdDSA-Poseidon signatures (valid passes, forged fails)');
+    
+    const { dobCredential, citizenshipCredential } = await generateTestCredentials(SIGNATURE_SCHEMES.EDDSA_POSEIDON);
+    const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+        currentDate: new Date('2020-01-01'),
+        minAge: 18
+    });
+    
+    const wasmPath = path.join(BUILD_DIR, `${EDDSA_CIRCUIT_NAME}_js`, `${EDDSA_CIRCUIT_NAME}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${EDDSA_CIRCUIT_NAME}_final.zkey`);
+    
+    if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
+        console.log('⚠️  Skipping: EdDSA circuit not compiled or trusted setup not run');
+        return;
+    }
+    
+    try {
+        const { proof, publicSignals } = await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
+        const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, `${EDDSA_CIRCUIT_NAME}_vkey.json`), 'utf8'));
+        if (!(await snarkjs.groth16.verify(vkey, publicSignals, proof))) {
+            console.log('❌ Test failed: Valid EdDSA proof was not verified\n');
+            return;
+        }
+    } catch (error) {
+        console.log(`❌ Test failed with error: ${error.message}\n`);
+        return;
+    }
+    
+    // Any S other than the issuer's must leave no satisfying witness
+    const forged = { ...input, signature_a_s: (BigInt(input.signature_a_s) + BigInt(1)).toString() };
+    try {
+        await generateProof(forged, { wasm: wasmPath, zkey: zkeyPath });
+        console.log('❌ Test failed: Proof should have been rejected for a forged signature\n');
+    } catch (error) {
+        console.log('✅ Test passed: Valid EdDSA proof verified, forged signature rejected\n');
+    }
+}
+
+/**
+ * Test the secp256k1 circuit with a valid and a forged ECDSA signature
+ */
+async function testSecp256k1Signatures() {
+    console.log('🧪 Test 4: Full secp256k1 ECDSA signatures (valid passes, forged fails)');
+    
+    const { dobCredential, citizenshipCredential } = await generateTestCredentials();
+    const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+        currentDate: new Date('2020-01-01'),
+        minAge: 18,
+        secp256k1: true
+    });
+    
+    const wasmPath = path.join(BUILD_DIR, `${SECP256K1_CIRCUIT_NAME}_js`, `${SECP256K1_CIRCUIT_NAME}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${SECP256K1_CIRCUIT_NAME}_final.zkey`);
+    
+    if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
+        console.log('⚠️  Skipping: secp256k1 circuit not compiled (COMPILE_SECP256K1=1) or trusted setup not run');
+        return;
+    }
+    
+    try {
+        const { proof, publicSignals } = await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
+        const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, `${SECP256K1_CIRCUIT_NAME}_vkey.json`), 'utf8'));
+        if (!(await snarkjs.groth16.verify(vkey, publicSignals, proof))) {
+            console.log('❌ Test failed: Valid secp256k1 proof was not verified\n');
+            return;
+        }
+    } catch (error) {
+        console.log(`❌ Test failed with error: ${error.message}\n`);
+        return;
+    }
+    
+    // Flipping one bit of s must leave no satisfying witness
+    const forgedS = [...input.signature_a_s];
+    forgedS[0] = (BigInt(forgedS[0]) ^ BigInt(1)).toString();
+    try {
+        await generateProof({ ...input, signature_a_s: forgedS }, { wasm: wasmPath, zkey: zkeyPath });
+        console.log('❌ Test failed: Proof should have been rejected for a forged signature\n');
+    } catch (error) {
+        console.log('✅ Test passed: Valid secp256k1 proof verified, forged signature rejected\n');
+    }
+}
+
+/**
+ * Test the calendar circuits on the 18th birthday
+ */
+async function testCalendarAge() {
+    console.log('🧪 Test 5: Calendar age on the 18th birthday (birthday passes, day before fails)');
+    
+    for (const [circuitName, signatureScheme] of [
+        [CALENDAR_CIRCUIT_NAME, SIGNATURE_SCHEMES.ECDSA_SECP256K1],
+        [EDDSA_CALENDAR_CIRCUIT_NAME, SIGNATURE_SCHEMES.EDDSA_POSEIDON]
+    ]) {
+        await testCalendarAgeWith(circuitName, signatureScheme);
+    }
+}
+
+async function testCalendarAgeWith(circuitName, signatureScheme) {
+    // 2001-06-15 to 2019-06-15 are 6574 days: under 18 * 365.25, but 18 calendar years
+    const { dobCredential, citizenshipCredential } = await generateTestCredentials(signatureScheme, '2001-06-15');
+    const inputOn = (currentDate) => buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18, calendar: true });
+    
+    const wasmPath = path.join(BUILD_DIR, `${circuitName}_js`, `${circuitName}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${circuitName}_final.zkey`);
+    
+    if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
+        console.log(`⚠️  Skipping: ${circuitName} not compiled or trusted setup not run`);
+        return;
+    }
+    
+    try {
+        const { proof, publicSignals } = await generateProof(inputOn(new Date('2019-06-15T00:00:00Z')), { wasm: wasmPath, zkey: zkeyPath });
+        const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, `${circuitName}_vkey.json`), 'utf8'));
+        if (!(await snarkjs.groth16.verify(vkey, publicSignals, proof))) {
+            console.log(`❌ Test failed: Birthday proof was not verified (${circuitName})\n`);
+            return;
+        }
+    } catch (error) {
+        console.log(`❌ Test failed with error: ${error.message}\n`);
+        return;
+    }
+    
+    // One second before midnight UTC the user is still 17
+    try {
+        await generateProof(inputOn(new Date('2019-06-14T23:59:59Z')), { wasm: wasmPath, zkey: zkeyPath });
+        console.log(`❌ Test failed: Proof should have been rejected the day before the birthday (${circuitName})\n`);
+    } catch (error) {
+        console.log(`✅ Test passed: ${circuitName} proof verified on the birthday, rejected the day before\n`);
+    }
+}
+
+/**
+ * Test a birth date before 1970, which a Unix timestamp would make negative
+ */
+async function testPre1970BirthDate() {
+    console.log('🧪 Test 6: Birth date before 1970 (75 passes, 76 fails)');
+    
+    const wasmPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_final.zkey`);
+    
+    if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
+        console.log('⚠️  Skipping: Circuit not compiled or trusted setup not run');
+        return;
+    }
+    
+    const { dobCredential, citizenshipCredential } = await generateTestCredentials(undefined, '1950-03-01');
+    const currentDate = new Date('2025-06-01');
+    try {
+        const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 75 });
+        const { proof, publicSignals } = await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
+        const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, `${CIRCUIT_NAME}_vkey.json`), 'utf8'));
+        if (!(await snarkjs.groth16.verify(vkey, publicSignals, proof))) {
+            console.log('❌ Test failed: Proof for a 1950 birth date was not verified\n');
+            return;
+        }
+    } catch (error) {
+        console.log(`❌ Test failed with error: ${error.message}\n`);
+        return;
+    }
+    
+    try {
+        const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 76 });
+        await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
+        console.log('❌ Test failed: Proof should have been rejected below the minimum age\n');
+    } catch (error) {
+        console.log('✅ Test passed: 1950 birth date proves age 75, not 76\n');
+    }
+}
+
+/**
+ * Test age ranges: a 25-year-old proves 18 <= age < 26 but not 18 <= age < 25
+ */
+async function testAgeRange() {
+    console.log('🧪 Test 7: Age range (below 26 passes, below 25 fails)');
+    
+    const wasmPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_final.zkey`);
+    
+    if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
+        console.log('⚠️  Skipping: Circuit not compiled or trusted setup not run');
+        return;
+    }
+    
+    const { dobCredential, citizenshipCredential } = await generateTestCredentials(undefined, '2000-01-01');
+    const currentDate = new Date('2025-06-01');
+    try {
+        const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18, maxAge: 26 });
+        const { proof, publicSignals } = await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
+        const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, `${CIRCUIT_NAME}_vkey.json`), 'utf8'));
+        if (publicSignals[1] !== '26018' || !(await snarkjs.groth16.verify(vkey, publicSignals, proof))) {
+            console.log('❌ Test failed: Proof of 18 <= age < 26 was not verified\n');
+            return;
+        }
+    } catch (error) {
+        console.log(`❌ Test failed with error: ${error.message}\n`);
+        return;
+    }
+    
+    try {
+        const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18, maxAge: 25 });
+        await generateProof(input, { wasm: wasmPath, zkey: zkeyPath });
+        console.log('❌ Test failed: Proof should have been rejected above the maximum age\n');
+    } catch (error) {
+        console.log('✅ Test passed: age 25 proves age < 26, not age < 25\n');
+    }
+}
+
 /**
  * Run all tests
  */
@@ -199,6 +341,11 @@ async function runTests() {
     
     await testValidProof();
     await testInvalidAge();
+    await testEddsaSignatures();
+    await testSecp256k1Signatures();
+    await testCalendarAge();
+    await testPre1970BirthDate();
+    await testAgeRange();
     
     console.log('✅ All tests completed!');
 }
@@ -208,4 +355,4 @@ if (require.main === module) {
     runTests().catch(console.error);
 }
 
-module.exports = { testValidProof, testInvalidAge, runTests };
+module.exports = { testValidProof, testInvalidAge, testEddsaSignatures, testSecp256k1Signatures, testCalendarAge, testPre1970BirthDate, testAgeRange, runTests };
@@ -0,0 +1,111 @@
+pragma circom 2.0.0;
+
+// Age check shared by the age_citizenship circuits
+//
+// date_of_birth is the signed birth day number (days since 1900-01-01,
+// docs/DATE_ENCODING.md) and current_date the public Unix timestamp of the
+// proof. The default circuits count the age in 365.25-day years; the _calendar
+// circuits count completed calendar years, so the user is min_age from their
+// birthday on instead of after min_age * 365.25 days.
+//
+// The age bounds come packed in one public input, age_policy = max_age * 1000 +
+// min_age (encodeAgePolicy in the SDK), where max_age is exclusive and 0 means no
+// upper bound, so a minimum-age-only policy is just min_age.
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/gates.circom";
+include "./calendar.circom";
+
+// Completed 365.25-day years between date_of_birth and current_date
+template AgeInYears() {
+    signal input date_of_birth;
+    signal input current_date;
+    signal output years;
+
+    // date_of_birth counts days from 1900-01-01 and current_date seconds from
+    // 1970-01-01, 2208988800 s (25567 days) later, so birth dates before 1970
+    // stay positive
+    signal age_in_seconds;
+    age_in_seconds <== current_date + 2208988800 - date_of_birth * 86400;
+
+    // Quotient and remainder are both constrained, so the prover cannot round
+    // the age; a birth date after current_date wraps around the field and has
+    // no quotient below 2^64, so no witness
+    component age_div = ConstDivMod(31557600, 64); // Seconds in a year (365.25 days)
+    age_div.in <== age_in_seconds;
+    years <== age_div.quotient;
+}
+
+// Completed calendar years between date_of_birth and the UTC date of
+// current_date: the year difference, minus one before this year's birthday.
+// Someone born on February 29 has their birthday on March 1 in common years.
+template CalendarAgeInYears() {
+    signal input date_of_birth;
+    signal input current_date;
+    signal output years;
+
+    component birth = DayNumberToCalendarDate();
+    birth.day_number <== date_of_birth;
+    component today = UnixTimeToCalendarDate();
+    today.timestamp <== current_date;
+
+    // Month and day as MMDD (101-1231)
+    component before_birthday = LessThan(11);
+    before_birthday.in[0] <== today.month * 100 + today.day;
+    before_birthday.in[1] <== birth.month * 100 + birth.day;
+
+    years <== today.year - birth.year - before_birthday.out;
+
+    // A birth date after current_date makes years negative, which wraps around
+    // the field and does not fit 64 bits: no witness
+    component years_bits = Num2Bits(64);
+    years_bits.in <== years;
+}
+
+// out is 1 if the holder of date_of_birth is at least min_age and, unless
+// max_age is 0, less than max_age years old at current_date, counted in
+// 365.25-day years (calendar = 0) or calendar years (calendar = 1)
+template AgeCheck(calendar) {
+    signal input date_of_birth;
+    signal input current_date;
+    signal input age_policy;
+    signal output out;
+
+    signal age_in_years;
+    if (calendar == 1) {
+        component calendar_age = CalendarAgeInYears();
+        calendar_age.date_of_birth <== date_of_birth;
+        calendar_age.current_date <== current_date;
+        age_in_years <== calendar_age.years;
+    } else {
+        component age = AgeInYears();
+        age.date_of_birth <== date_of_birth;
+        age.current_date <== current_date;
+        age_in_years <== age.years;
+    }
+
+    // age_policy = max_age * 1000 + min_age
+    component policy = ConstDivMod(1000, 16);
+    policy.in <== age_policy;
+
+    component old_enough = GreaterEqThan(64);
+    old_enough.in[0] <== age_in_years;
+    old_enough.in[1] <== policy.remainder;
+
+    // Below max_age, or no upper bound. below_max is 0 whenever max_age is 0,
+    // so the two cases never add up to 2
+    component below_max = LessThan(64);
+    below_max.in[0] <== age_in_years;
+    below_max.in[1] <== policy.quotient;
+    component no_max = IsZero();
+    no_max.in <== policy.quotient;
+
+    signal young_enough;
+    young_enough <== no_max.out + below_max.out;
+
+    component in_range = AND();
+    in_range.a <== old_enough.out;
+    in_range.b <== young_enough;
+    out <== in_range.out;
+}
@@ -0,0 +1,114 @@
+pragma circom 2.0.0;
+
+// Calendar dates from day numbers and Unix timestamps
+//
+// The _calendar circuits count the age in calendar years between a birth date
+// and the proof date (utils/age_check.circom) rather than dividing seconds by a
+// 365.25-day year. Neither is signed as a calendar date: the birth date is a
+// day number (days since 1900-01-01, docs/DATE_ENCODING.md) and the proof date
+// a public Unix timestamp (current_date) that AgeVerification checks against
+// block.timestamp, so the circuit derives both calendar dates itself, with the
+// civil-from-days algorithm (H. Hinnant): days are counted from 0000-03-01 so
+// that leap days end each 4, 100 and 400-year cycle.
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+
+// Division by a constant with a fully constrained quotient and remainder:
+// in = quotient * divisor + remainder, remainder < divisor, both below 2^n.
+// (DivMod in age_citizenship_soft.circom leaves the remainder unbounded.)
+template ConstDivMod(divisor, n) {
+    signal input in;
+    signal output quotient;
+    signal output remainder;
+
+    quotient <-- in \ divisor;
+    remainder <-- in % divisor;
+    in === quotient * divisor + remainder;
+
+    component quotient_bits = Num2Bits(n);
+    quotient_bits.in <== quotient;
+    component remainder_bits = Num2Bits(n);
+    remainder_bits.in <== remainder;
+
+    component remainder_check = LessThan(n);
+    remainder_check.in[0] <== remainder;
+    remainder_check.in[1] <== divisor;
+    remainder_check.out === 1;
+}
+
+// Calendar date of a day number (days since 1900-01-01, below 2^64)
+template DayNumberToCalendarDate() {
+    var n = 64;
+
+    signal input day_number;
+    signal output year;
+    signal output month;    // 1-12
+    signal output day;      // 1-31
+    signal output encoded;  // year * 10000 + month * 100 + day
+
+    // 400-year eras of 146097 days, counted from 0000-03-01 (693901 days
+    // before 1900-01-01); era.remainder is the day of the era
+    component era = ConstDivMod(146097, n);
+    era.in <== day_number + 693901;
+
+    // Year of the era (0-399), skipping the leap days of each cycle
+    component leap_4 = ConstDivMod(1460, n);
+    leap_4.in <== era.remainder;
+    component leap_100 = ConstDivMod(36524, n);
+    leap_100.in <== era.remainder;
+    component leap_400 = ConstDivMod(146096, n);
+    leap_400.in <== era.remainder;
+
+    component year_of_era = ConstDivMod(365, n);
+    year_of_era.in <== era.remainder - leap_4.quotient + leap_100.quotient - leap_400.quotient;
+
+    // Day of the year counted from March 1 (0-365)
+    component year_div_4 = ConstDivMod(4, n);
+    year_div_4.in <== year_of_era.quotient;
+    component year_div_100 = ConstDivMod(100, n);
+    year_div_100.in <== year_of_era.quotient;
+
+    signal day_of_year;
+    day_of_year <== era.remainder - (365 * year_of_era.quotient + year_div_4.quotient - year_div_100.quotient);
+
+    // Month counted from March (0-11) and the day within it
+    component month_index = ConstDivMod(153, n);
+    month_index.in <== 5 * day_of_year + 2;
+    component month_start = ConstDivMod(5, n);
+    month_start.in <== 153 * month_index.quotient + 2;
+
+    // January and February (month_index 10 and 11) belong to the next year
+    component before_january = LessThan(4);
+    before_january.in[0] <== month_index.quotient;
+    before_january.in[1] <== 10;
+
+    signal january_or_february;
+    january_or_february <== 1 - before_january.out;
+
+    day <== day_of_year - month_start.quotient + 1;
+    month <== month_index.quotient + 3 - 12 * january_or_february;
+    year <== year_of_era.quotient + 400 * era.quotient + january_or_february;
+    encoded <== 10000 * year + 100 * month + day;
+}
+
+// UTC calendar date of a Unix timestamp (seconds, below 2^64)
+template UnixTimeToCalendarDate() {
+    signal input timestamp;
+    signal output year;
+    signal output month;    // 1-12
+    signal output day;      // 1-31
+    signal output encoded;  // year * 10000 + month * 100 + day
+
+    // Days since 1970-01-01, 25567 days after 1900-01-01
+    component days = ConstDivMod(86400, 64);
+    days.in <== timestamp;
+
+    component date = DayNumberToCalendarDate();
+    date.day_number <== days.quotient + 25567;
+
+    year <== date.year;
+    month <== date.month;
+    day <== date.day;
+    encoded <== date.encoded;
+}
@@ -8,6 +8,11 @@ pragma circom 2.0.0;
 //
 // This template verifies that the signature components hash to a valid
 // value that matches the expected message-pubkey relationship.
+//
+// Issuers that sign with EdDSA-Poseidon get a real check instead: see
+// eddsa_verify.circom and the age_citizenship_*eddsa circuit variants.
+// secp256k1_ecdsa_verify.circom (the age_citizenship_*secp256k1 variants)
+// verifies these ECDSA signatures in full, at ~1.5M constraints each.
 
 include "circomlib/circuits/poseidon.circom";
 include "circomlib/circuits/comparators.circom";
@@ -0,0 +1,31 @@
+pragma circom 2.0.0;
+
+// EdDSA-Poseidon signature verification over BabyJubJub
+//
+// Unlike ECDSAVerify, this is a real signature check: circomlib's
+// EdDSAPoseidonVerifier constrains S * B8 == R8 + 8 * Poseidon(R8, A, message) * A,
+// so a forged or mismatched signature leaves no satisfying witness.
+// BabyJubJub is defined over the BN254 scalar field, which keeps it cheap
+// (a few thousand constraints instead of ~1.5M for secp256k1 ECDSA).
+//
+// The issuer public key is the BabyJubJub point (Ax, Ay) itself, so the
+// public issuer inputs are the key the SDK's getEddsaIssuerPubkey returns.
+
+include "circomlib/circuits/eddsaposeidon.circom";
+
+template EdDSAVerify() {
+    // Inputs
+    signal input message;         // Message hash (single field element)
+    signal input pubkey[2];       // BabyJubJub public key (Ax, Ay)
+    signal input signature_r8[2]; // Signature point R8 (x, y)
+    signal input signature_s;     // Signature scalar S
+
+    component verifier = EdDSAPoseidonVerifier();
+    verifier.enabled <== 1;
+    verifier.Ax <== pubkey[0];
+    verifier.Ay <== pubkey[1];
+    verifier.R8x <== signature_r8[0];
+    verifier.R8y <== signature_r8[1];
+    verifier.S <== signature_s;
+    verifier.M <== message;
+}
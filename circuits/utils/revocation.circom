@@ -0,0 +1,42 @@
+pragma circom 2.0.0;
+
+// Credential revocation check
+//
+// Issuers revoke a credential by inserting its nullifier,
+// Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce), into a Poseidon sparse
+// Merkle tree whose root is stored in AgeVerification (see sdk/src/revocation.js).
+// This template proves the credential's nullifier is NOT in the tree with the
+// given root, so a revoked credential cannot produce a witness.
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/smt/smtverifier.circom";
+
+template CredentialNotRevoked(nLevels) {
+    signal input issuer_pubkey_x;      // Issuer public key x (reduced, as in the credential)
+    signal input issuer_pubkey_y;      // Issuer public key y (reduced, as in the credential)
+    signal input nonce;                // Credential nonce
+    signal input root;                 // Revocation tree root
+    signal input siblings[nLevels];    // Merkle path, zero-padded to nLevels
+    signal input old_key;              // Leaf found on the path (0 if the path ends empty)
+    signal input old_value;            // Value of that leaf
+    signal input is_old0;              // 1 if the path ends in an empty subtree
+
+    component nullifier = Poseidon(3);
+    nullifier.inputs[0] <== issuer_pubkey_x;
+    nullifier.inputs[1] <== issuer_pubkey_y;
+    nullifier.inputs[2] <== nonce;
+
+    // fnc = 1: verify non-inclusion of key in the tree
+    component smt = SMTVerifier(nLevels);
+    smt.enabled <== 1;
+    smt.fnc <== 1;
+    smt.root <== root;
+    for (var i = 0; i < nLevels; i++) {
+        smt.siblings[i] <== siblings[i];
+    }
+    smt.oldKey <== old_key;
+    smt.oldValue <== old_value;
+    smt.isOld0 <== is_old0;
+    smt.key <== nullifier.out;
+    smt.value <== 0;
+}
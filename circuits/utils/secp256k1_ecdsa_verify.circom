@@ -0,0 +1,84 @@
+pragma circom 2.0.2;
+
+// Full ECDSA (secp256k1) signature verification
+//
+// Unlike ECDSAVerify, this checks the ECDSA equation for real with 0xPARC's
+// circom-ecdsa (lib/circom-ecdsa, see scripts/setup/install_circom_ecdsa.sh):
+// secp256k1 arithmetic is emulated over the BN254 scalar field with 4 x 64-bit
+// limbs, at ~1.5M constraints per signature. The SDK's
+// buildSecp256k1SignatureInputs splits r, s and the issuer key into those limbs.
+//
+// The circuit's public issuer inputs stay the reduced key (x mod r, y mod r)
+// that AgeVerification registers: the full key limbs are constrained to
+// recombine to it. The only other keys that do are the few x + a*r, y + b*r
+// combinations below 2^256, which no issuer controls, so the registry keeps
+// pinning the signer. Public key validity is therefore not re-checked here.
+
+include "circomlib/circuits/bitify.circom";
+include "circom-ecdsa/circuits/ecdsa.circom";
+
+template Secp256k1ECDSAVerify() {
+    var n = 64; // Bits per limb
+    var k = 4;  // Limbs per 256-bit value (least significant first)
+
+    // Inputs
+    signal input message;             // Message hash (single field element)
+    signal input pubkey[2];           // Registered public key (x, y), each reduced mod r
+    signal input pubkey_limbs[2][k];  // Full secp256k1 public key (x, y) as limbs
+    signal input signature_r[k];      // Signature r component as limbs
+    signal input signature_s[k];      // Signature s component as limbs
+
+    // Every limb must fit in n bits, as circom-ecdsa assumes
+    component limb_range[4 * k];
+    for (var i = 0; i < k; i++) {
+        limb_range[i] = Num2Bits(n);
+        limb_range[i].in <== signature_r[i];
+        limb_range[k + i] = Num2Bits(n);
+        limb_range[k + i].in <== signature_s[i];
+        limb_range[2 * k + i] = Num2Bits(n);
+        limb_range[2 * k + i].in <== pubkey_limbs[0][i];
+        limb_range[3 * k + i] = Num2Bits(n);
+        limb_range[3 * k + i].in <== pubkey_limbs[1][i];
+    }
+
+    // Bind the full key to the registered one: sum(limb_i * 2^(n*i)) == pubkey (mod r)
+    var pubkey_x = 0;
+    var pubkey_y = 0;
+    var shift = 1;
+    for (var i = 0; i < k; i++) {
+        pubkey_x += pubkey_limbs[0][i] * shift;
+        pubkey_y += pubkey_limbs[1][i] * shift;
+        shift = shift * (1 << n);
+    }
+    pubkey[0] === pubkey_x;
+    pubkey[1] === pubkey_y;
+
+    // The issuer signs the 32-byte message hash; it is below r < n, so it is
+    // used as is. Strict decomposition keeps it unique.
+    component message_bits = Num2Bits_strict();
+    message_bits.in <== message;
+
+    signal message_limbs[k];
+    for (var i = 0; i < k; i++) {
+        var limb = 0;
+        var e2 = 1;
+        for (var j = 0; j < n; j++) {
+            if (i * n + j < 254) {
+                limb += message_bits.out[i * n + j] * e2;
+            }
+            e2 = e2 + e2;
+        }
+        message_limbs[i] <== limb;
+    }
+
+    // s^-1 * (message * G + r * P) must have x-coordinate r
+    component ecdsa = ECDSAVerifyNoPubkeyCheck(n, k);
+    for (var i = 0; i < k; i++) {
+        ecdsa.r[i] <== signature_r[i];
+        ecdsa.s[i] <== signature_s[i];
+        ecdsa.msghash[i] <== message_limbs[i];
+        ecdsa.pubkey[0][i] <== pubkey_limbs[0][i];
+        ecdsa.pubkey[1][i] <== pubkey_limbs[1][i];
+    }
+    ecdsa.result === 1;
+}
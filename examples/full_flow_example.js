@@ -34,14 +34,14 @@ async function main() {
         console.log('-------------------------------\n');
         
         // Set up test data
-        const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+        const dateOfBirth = '2000-01-01';
         const citizenship = 'US';
         const userPubkey = BigInt('1234567890123456789012345678901234567890123456789012345678901234');
         const nonceA = BigInt(Math.floor(Math.random() * 2**64));
         const nonceB = BigInt(Math.floor(Math.random() * 2**64));
         
         console.log('📝 Test Data:');
-        console.log(`   Date of Birth: ${new Date(Number(dateOfBirth) * 1000).toISOString()}`);
+        console.log(`   Date of Birth: ${dateOfBirth}`);
         console.log(`   Citizenship: ${citizenship}`);
         console.log(`   User Public Key: ${userPubkey.toString()}\n`);
         
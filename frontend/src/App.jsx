@@ -1,11 +1,18 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import Prerequisites from './components/Prerequisites';
 import RequestCredential from './components/RequestCredential';
 import GenerateProof from './components/GenerateProof';
 import SubmitProof from './components/SubmitProof';
 import VerificationSummary from './components/VerificationSummary';
+import CredentialVault from './components/CredentialVault';
+import IssuerRegistry from './components/IssuerRegistry';
+import { DEFAULT_ISSUER_URLS } from './utils/issuer_client';
+import { persistSession, saveVault } from './utils/credential_vault';
 import './App.css';
 
+// App state slot for each credential type the proof uses
+const CREDENTIAL_SLOTS = { date_of_birth: 'dob', citizenship: 'citizenship' };
+
 function App() {
   const [step, setStep] = useState(0);
   const [credentials, setCredentials] = useState({
@@ -17,27 +24,51 @@ function App() {
   const [walletAddress, setWalletAddress] = useState(null);
   const [walletMode, setWalletMode] = useState(null);
   const [demoMode, setDemoMode] = useState(true);
-  const [issuerPrivateKeys, setIssuerPrivateKeys] = useState({
-    a: '0x6cbed15c793ce57650b9877cf6fa156fbef513c4e6134f022a85b1ffdd59b2a1',
-    b: '0x6370fd033278c143179d81c5526140625662b8daa446c22ee2d73db3707e620c'
-  });
+  const [issuerUrls, setIssuerUrls] = useState(DEFAULT_ISSUER_URLS);
   const [contractAddress, setContractAddress] = useState('0x5b1869D9A4C187F2EAa108f3062412ecf0526b24');
   const [deployerPrivateKey, setDeployerPrivateKey] = useState(
     '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d'
   );
+  // Decrypted vault and its key; the encrypted copy lives in IndexedDB
+  const [vault, setVault] = useState(null);
+  const [vaultKey, setVaultKey] = useState(null);
+  const [showVault, setShowVault] = useState(false);
+  const [showRegistry, setShowRegistry] = useState(false);
+
+  // Store newly issued credentials and generated proofs while the vault is unlocked
+  useEffect(() => {
+    if (!vault || !vaultKey || !walletAddress) return;
+    const { vault: next, added } = persistSession(vault, { credentials, proof });
+    if (added === 0) return;
+    setVault(next);
+    saveVault(walletAddress, vaultKey, next).catch((error) => {
+      console.error('Failed to save credential vault:', error);
+    });
+  }, [vault, vaultKey, walletAddress, credentials, proof]);
+
+  const handleUseCredential = (credential) => {
+    const slot = CREDENTIAL_SLOTS[credential.credentialType];
+    setCredentials((prev) => ({ ...prev, [slot]: credential }));
+  };
+
+  const handleUseProof = (storedProof) => {
+    setProof(storedProof);
+    setStep(3);
+    setShowVault(false);
+  };
 
   const handleReset = () => {
     setStep(0);
     setCredentials({ dob: null, citizenship: null });
     setProof(null);
     setVerificationStatus(null);
+    // The vault stays in IndexedDB; only the unlocked copy is dropped
+    setVault(null);
+    setVaultKey(null);
     setWalletAddress(null);
     setWalletMode(null);
     setDemoMode(true);
-    setIssuerPrivateKeys({
-      a: '0x6cbed15c793ce57650b9877cf6fa156fbef513c4e6134f022a85b1ffdd59b2a1',
-      b: '0x6370fd033278c143179d81c5526140625662b8daa446c22ee2d73db3707e620c'
-    });
+    setIssuerUrls(DEFAULT_ISSUER_URLS);
     setContractAddress('0x5b1869D9A4C187F2EAa108f3062412ecf0526b24');
     setDeployerPrivateKey(
       '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d'
@@ -49,8 +80,40 @@ function App() {
       <header className="App-header">
         <h1>🔐 Zero-Knowledge Identity Verification</h1>
         <p>Prove your age and citizenship without revealing personal information</p>
+        <button className="btn btn-secondary vault-toggle" onClick={() => setShowVault((open) => !open)}>
+          👛 Credential Vault{vault ? ` (${vault.credentials.length + vault.proofs.length})` : ''}
+        </button>
+        <button className="btn btn-secondary registry-toggle" onClick={() => setShowRegistry((open) => !open)}>
+          🏛️ Issuer Registry
+        </button>
       </header>
 
+      {showRegistry && (
+        <div className="App-main">
+          <IssuerRegistry
+            contractAddress={contractAddress}
+            walletMode={walletMode}
+            onClose={() => setShowRegistry(false)}
+          />
+        </div>
+      )}
+
+      {showVault && (
+        <div className="App-main">
+          <CredentialVault
+            walletAddress={walletAddress}
+            walletMode={walletMode}
+            vault={vault}
+            setVault={setVault}
+            vaultKey={vaultKey}
+            setVaultKey={setVaultKey}
+            onUseCredential={handleUseCredential}
+            onUseProof={handleUseProof}
+            onClose={() => setShowVault(false)}
+          />
+        </div>
+      )}
+
       <div className="progress-bar">
         <div className={`step ${step >= 0 ? 'active' : ''}`}>
           <div className="step-number">0</div>
@@ -77,8 +140,8 @@ function App() {
       <main className="App-main">
         {step === 0 && (
           <Prerequisites
-            issuerPrivateKeys={issuerPrivateKeys}
-            setIssuerPrivateKeys={setIssuerPrivateKeys}
+            issuerUrls={issuerUrls}
+            setIssuerUrls={setIssuerUrls}
             contractAddress={contractAddress}
             setContractAddress={setContractAddress}
             deployerPrivateKey={deployerPrivateKey}
@@ -97,7 +160,7 @@ function App() {
             setWalletAddress={setWalletAddress}
             walletMode={walletMode}
             setWalletMode={setWalletMode}
-            issuerPrivateKeys={issuerPrivateKeys}
+            issuerUrls={issuerUrls}
             demoMode={demoMode}
             onNext={() => setStep(2)}
           />
@@ -109,6 +172,9 @@ function App() {
             proof={proof}
             setProof={setProof}
             walletAddress={walletAddress}
+            walletMode={walletMode}
+            contractAddress={contractAddress}
+            issuerUrls={issuerUrls}
             demoMode={demoMode}
             onBack={() => setStep(1)}
             onNext={() => setStep(3)}
@@ -134,6 +200,8 @@ function App() {
           <VerificationSummary
             verificationStatus={verificationStatus}
             walletAddress={walletAddress}
+            walletMode={walletMode}
+            contractAddress={contractAddress}
             proof={proof}
             credentials={credentials}
             onBack={() => setStep(3)}
@@ -0,0 +1,208 @@
+import React, { useRef, useState } from 'react';
+import { ethers } from 'ethers';
+import { toVerifiableCredential } from 'zk-credential-sdk';
+import {
+  deriveVaultKey,
+  loadVault,
+  saveVault,
+  deleteVault,
+  removeVaultItem,
+  importVaultItem,
+  downloadJson
+} from '../utils/credential_vault';
+import './CredentialVault.css';
+
+const GANACHE_PRIVATE_KEY =
+  '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+
+// Credential types the proof in Steps 2-3 consumes
+const USABLE_TYPES = ['date_of_birth', 'citizenship'];
+
+function CredentialVault({
+  walletAddress,
+  walletMode,
+  vault,
+  setVault,
+  vaultKey,
+  setVaultKey,
+  onUseCredential,
+  onUseProof,
+  onClose
+}) {
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState(null);
+  const fileInput = useRef(null);
+
+  const getSigner = async () => {
+    if (walletMode === 'ganache') {
+      return new ethers.Wallet(GANACHE_PRIVATE_KEY);
+    }
+    if (!window.ethereum) {
+      throw new Error('MetaMask is not installed.');
+    }
+    return new ethers.BrowserProvider(window.ethereum).getSigner();
+  };
+
+  const run = async (action) => {
+    setLoading(true);
+    try {
+      await action();
+    } catch (error) {
+      setStatus({ type: 'error', message: `Error: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUnlock = () => run(async () => {
+    setStatus({ type: 'info', message: 'Sign the unlock message with your wallet...' });
+    const signer = await getSigner();
+    const signerAddress = await signer.getAddress();
+    if (signerAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+      throw new Error(`Connected signer ${signerAddress} is not the session wallet ${walletAddress}.`);
+    }
+    const key = await deriveVaultKey(signer);
+    const opened = await loadVault(walletAddress, key);
+    setVaultKey(key);
+    setVault(opened);
+    setStatus({
+      type: 'success',
+      message: `Vault unlocked: ${opened.credentials.length} credentials, ${opened.proofs.length} proofs.`
+    });
+  });
+
+  const handleLock = () => {
+    setVault(null);
+    setVaultKey(null);
+    setStatus({ type: 'info', message: 'Vault locked. Its contents stay encrypted in this browser.' });
+  };
+
+  const update = async (next, message) => {
+    await saveVault(walletAddress, vaultKey, next);
+    setVault(next);
+    setStatus({ type: 'success', message });
+  };
+
+  const handleDelete = (id) => run(() => update(removeVaultItem(vault, id), `Deleted ${id} from the vault.`));
+
+  const handleImport = (event) => run(async () => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch {
+      throw new Error(`${file.name} is not valid JSON.`);
+    }
+    const { vault: next, id, kind } = await importVaultItem(vault, json);
+    await update(next, `Imported ${kind} ${id} from ${file.name}.`);
+  });
+
+  const handleWipe = () => run(async () => {
+    if (!window.confirm('Delete every credential and proof stored for this wallet in this browser?')) return;
+    await deleteVault(walletAddress);
+    handleLock();
+    setStatus({ type: 'success', message: 'Vault deleted from this browser.' });
+  });
+
+  const formatDate = (seconds) =>
+    seconds ? new Date(Number(seconds) * 1000).toISOString().slice(0, 10) : 'never';
+
+  return (
+    <div className="card vault-panel">
+      <div className="vault-header">
+        <h2>👛 Credential Vault</h2>
+        <button className="btn btn-secondary" onClick={onClose}>Close</button>
+      </div>
+
+      <p>
+        Credentials you receive and proofs you generate are kept in this browser (IndexedDB),
+        encrypted with a key derived from your wallet's signature over an unlock message.
+        They survive page reloads and "Restart Demo".
+      </p>
+
+      {status && <div className={`status ${status.type}`}>{status.message}</div>}
+
+      {!walletAddress && (
+        <div className="status info">Connect a wallet in Step 1 to open its vault.</div>
+      )}
+
+      {walletAddress && !vault && (
+        <div className="button-group">
+          <button className="btn btn-primary" onClick={handleUnlock} disabled={loading}>
+            {loading ? 'Unlocking...' : `Unlock vault for ${walletAddress.slice(0, 10)}...`}
+          </button>
+        </div>
+      )}
+
+      {vault && (
+        <>
+          <h3 className="vault-section-title">Credentials ({vault.credentials.length})</h3>
+          {vault.credentials.length === 0 && <div className="vault-empty">No credentials stored yet.</div>}
+          {vault.credentials.map(({ id, addedAt, credential }) => (
+            <div key={id} className="vault-item">
+              <div className="vault-item-info">
+                <div className="vault-item-title">{credential.credentialType}</div>
+                <div className="vault-item-meta">
+                  {credential.issuer || 'unknown issuer'} · valid until {formatDate(credential.validUntil)} · id {id}
+                </div>
+                <div className="vault-item-meta">added {addedAt.slice(0, 10)}</div>
+              </div>
+              <div className="vault-item-actions">
+                {USABLE_TYPES.includes(credential.credentialType) && (
+                  <button className="btn-small" onClick={() => onUseCredential(credential)}>Use</button>
+                )}
+                <button className="btn-small" onClick={() => downloadJson(`${credential.credentialType}_${id}.json`, credential)}>
+                  Export
+                </button>
+                <button
+                  className="btn-small"
+                  onClick={() => run(async () => downloadJson(`${credential.credentialType}_${id}.vc.json`, toVerifiableCredential(credential)))}
+                >
+                  Export VC
+                </button>
+                <button className="btn-small danger" onClick={() => handleDelete(id)} disabled={loading}>Delete</button>
+              </div>
+            </div>
+          ))}
+
+          <h3 className="vault-section-title">Proofs ({vault.proofs.length})</h3>
+          {vault.proofs.length === 0 && <div className="vault-empty">No proofs stored yet.</div>}
+          {vault.proofs.map(({ id, addedAt, proof }) => (
+            <div key={id} className="vault-item">
+              <div className="vault-item-info">
+                <div className="vault-item-title">
+                  {proof.circuit ? `${proof.circuit} proof` : 'Groth16 proof (v1, not usable)'} ({proof.publicSignals.length} public signals)
+                </div>
+                <div className="vault-item-meta">generated {addedAt.slice(0, 19).replace('T', ' ')} · id {id}</div>
+              </div>
+              <div className="vault-item-actions">
+                <button className="btn-small" onClick={() => onUseProof(proof)}>Use</button>
+                <button className="btn-small" onClick={() => downloadJson(`proof_${id}.json`, proof)}>Export</button>
+                <button className="btn-small danger" onClick={() => handleDelete(id)} disabled={loading}>Delete</button>
+              </div>
+            </div>
+          ))}
+
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            style={{ display: 'none' }}
+            onChange={handleImport}
+          />
+          <div className="button-group">
+            <button className="btn btn-primary" onClick={() => fileInput.current.click()} disabled={loading}>
+              Import JSON
+            </button>
+            <button className="btn btn-secondary" onClick={handleLock}>Lock</button>
+            <button className="btn btn-secondary" onClick={handleWipe} disabled={loading}>Delete Vault</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CredentialVault;
@@ -1,8 +1,15 @@
 import React, { useEffect, useState } from 'react';
-import { generateProof } from '../utils/proof_utils';
+import { ethers } from 'ethers';
+import { computeCredentialAge } from 'zk-credential-sdk';
+import { generateProof, getCircuitName, buildSignatureInputs, requestChallenge, verifyCredentials } from '../utils/proof_utils';
+import { fetchTrustedIssuers, fetchRevocationRegistry } from '../utils/issuer_client';
 import './GenerateProof.css';
 
-function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode, onBack, onNext }) {
+const GANACHE_PRIVATE_KEY =
+  '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d'; // Ganache account #3
+const GANACHE_RPC_URL = 'http://127.0.0.1:8545';
+
+function GenerateProof({ credentials, proof, setProof, walletAddress, walletMode, contractAddress, issuerUrls, demoMode, onBack, onNext }) {
   const [loading, setLoading] = useState(false);
   const [loadingArtifacts, setLoadingArtifacts] = useState(false);
   const [status, setStatus] = useState(null);
@@ -14,6 +21,7 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
   const [wasmBuffer, setWasmBuffer] = useState(null);
   const [zkeyBuffer, setZkeyBuffer] = useState(null);
   const [circuitMode, setCircuitMode] = useState('hard'); // 'hard' or 'soft'
+  const [credentialChecks, setCredentialChecks] = useState(null);
 
   const currentDate = Math.floor(Date.now() / 1000);
   const minAge = 18;
@@ -22,23 +30,33 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
   const zkeyLoaded = Boolean(zkeyBuffer || zkeyFile);
   const artifactsLoaded = wasmLoaded && zkeyLoaded;
 
+  // Credentials with a validity window (issuedAt / validUntil) are proven with the expiry circuit
+  const hardCircuitName = (() => {
+    try {
+      return getCircuitName(credentials.dob, credentials.citizenship);
+    } catch {
+      return 'age_citizenship_expiry';
+    }
+  })();
+
   const resolveArtifacts = async () => {
+    const circuit = circuitMode === 'soft' ? 'age_citizenship_soft' : hardCircuitName;
     if (wasmBuffer && zkeyBuffer) {
-      return { wasm: wasmBuffer, zkey: zkeyBuffer };
+      return { wasm: wasmBuffer, zkey: zkeyBuffer, circuit };
     }
     if (wasmFile && zkeyFile) {
       const [resolvedWasm, resolvedZkey] = await Promise.all([
         wasmFile.arrayBuffer(),
         zkeyFile.arrayBuffer()
       ]);
-      return { wasm: resolvedWasm, zkey: resolvedZkey };
+      return { wasm: resolvedWasm, zkey: resolvedZkey, circuit };
     }
     throw new Error('Please select the circuit WASM and zkey files or use auto-load.');
   };
 
   const handleAutoLoadArtifacts = async () => {
     setLoadingArtifacts(true);
-    const circuitName = circuitMode === 'soft' ? 'age_citizenship_soft' : 'age_citizenship';
+    const circuitName = circuitMode === 'soft' ? 'age_citizenship_soft' : hardCircuitName;
     setStatus({
       type: 'info',
       message: `Loading ${circuitMode} constraint artifacts from /artifacts...`
@@ -78,7 +96,7 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
   // Auto-load artifacts on mount and when circuit mode changes
   useEffect(() => {
     handleAutoLoadArtifacts();
-  }, [circuitMode]);
+  }, [circuitMode, hardCircuitName]);
 
   const handleGenerateProof = async () => {
     if (!credentials.dob || !credentials.citizenship) {
@@ -91,21 +109,73 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
       return;
     }
 
-    setLoading(true);
-    setStatus({ type: 'info', message: 'Generating zero-knowledge proof... This may take a moment.' });
+    if (!contractAddress) {
+      setStatus({ type: 'error', message: 'Enter the AgeVerification contract address in Step 1 to request a challenge.' });
+      return;
+    }
 
-    const startTime = Date.now();
+    setLoading(true);
+    setStatus({ type: 'info', message: 'Verifying credentials...' });
 
     try {
+      const proofDate = new Date();
+      const trustedIssuers = await fetchTrustedIssuers([issuerUrls.a, issuerUrls.b]);
+      const checks = await verifyCredentials(credentials.dob, credentials.citizenship, trustedIssuers, proofDate);
+      setCredentialChecks(checks);
+
+      // Schema, signature and expiry failures block proving; an untrusted issuer is left for
+      // the contract to reject so the attack simulation still reaches Step 3.
+      const blocking = [
+        ['DOB credential', checks.dob],
+        ['Citizenship credential', checks.citizenship]
+      ].flatMap(([label, result]) =>
+        result.checks
+          .filter((check) => !check.passed && !check.skipped && check.name !== 'trustedIssuer')
+          .map((check) => ({ ...check, credential: label }))
+      );
+      if (blocking.length > 0) {
+        setStatus({
+          type: 'error',
+          message: (
+            <div className="circuit-error-message">
+              <div className="error-header">
+                <strong>⚠️ Credential Verification Failed</strong>
+              </div>
+              <p>The proof was not generated because a credential failed an off-chain check:</p>
+              {blocking.map((check) => (
+                <div className="error-reason" key={`${check.credential}-${check.name}`}>
+                  <strong>{check.credential} – {check.label}:</strong> {check.reason}
+                </div>
+              ))}
+            </div>
+          )
+        });
+        return;
+      }
+
+      // The contract only accepts a proof that answers a challenge it issued to the submitting wallet
+      setStatus({ type: 'info', message: 'Requesting a one-time challenge from AgeVerification...' });
+      const signer = walletMode === 'ganache'
+        ? new ethers.Wallet(GANACHE_PRIVATE_KEY, new ethers.JsonRpcProvider(GANACHE_RPC_URL))
+        : await new ethers.BrowserProvider(window.ethereum).getSigner();
+      const challenge = await requestChallenge(contractAddress, signer);
+
+      setStatus({ type: 'info', message: 'Generating zero-knowledge proof... This may take a moment.' });
+      const startTime = Date.now();
+
       const artifacts = await resolveArtifacts();
+      // Revoked nullifiers published by the issuers; the proof shows neither credential is among them
+      const revocationRegistry = await fetchRevocationRegistry(issuerUrls.a);
 
       const proofData = await generateProof(
         credentials.dob,
         credentials.citizenship,
-        new Date(),
+        proofDate,
         18,
         artifacts,
-        walletAddress
+        walletAddress,
+        revocationRegistry,
+        challenge
       );
 
       const endTime = Date.now();
@@ -124,10 +194,7 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
       // Check if it's a circuit constraint failure
       if (error.message && error.message.includes('Assert Failed')) {
         // Calculate age to provide helpful feedback
-        const dobTimestamp = credentials.dob.dateOfBirth;
-        const dobDate = new Date(dobTimestamp * 1000);
-        const currentDate = new Date();
-        const age = Math.floor((currentDate - dobDate) / (365.25 * 24 * 60 * 60 * 1000));
+        const age = Math.floor(computeCredentialAge(credentials.dob, new Date()));
         const citizenship = credentials.citizenship.citizenship;
         
         let reason = '';
@@ -177,6 +244,15 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
     }
   };
 
+  // signature_a_r / _s for ECDSA credentials, signature_a_r8x / _r8y / _s for EdDSA-Poseidon ones
+  const signatureInputRows = (credential, suffix) => {
+    try {
+      return Object.entries(buildSignatureInputs(credential, suffix));
+    } catch {
+      return [[`signature_${suffix}_r`, undefined], [`signature_${suffix}_s`, undefined]];
+    }
+  };
+
   const formatValue = (value, maxLength = 16) => {
     if (value === undefined || value === null) return 'N/A';
     const str = String(value);
@@ -249,7 +325,7 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
                 <ul className="mode-features">
                   <li>✓ Proof generation always succeeds</li>
                   <li>✓ Can test all scenarios (underage, non-US, etc.)</li>
-                  <li>✓ Same public signals as hard circuit (9 signals)</li>
+                  <li>✓ Same public signals as hard circuit (10 signals)</li>
                   <li>⚠ Invalid proofs fail Groth16 verification (Step 3)</li>
                 </ul>
                 <p className="mode-note">Best for: Testing failure scenarios and understanding how invalid proofs fail</p>
@@ -303,8 +379,8 @@ function GenerateProof({ credentials, proof, setProof, walletAddress, demoMode,
                     </tr>
                     <tr>
                       <td>Public Signals</td>
-                      <td>9 signals</td>
-                      <td>9 signals (same!)</td>
+                      <td>10 signals</td>
+                      <td>10 signals (same!)</td>
                     </tr>
                     <tr>
                       <td>Final Assertion</td>
@@ -470,7 +546,7 @@ age_check === 1;`}</pre>
               <span className="step-badge">P</span>
               <div>
                 <div className="step-title">Private inputs (hidden from verifier)</div>
-                <div className="step-desc">DOB, citizenship, signatures, nonces</div>
+                <div className="step-desc">DOB, citizenship, signatures, nonces, revocation non-membership paths</div>
                 <div className="step-desc">Visible to you in the UI, NOT revealed on-chain</div>
               </div>
             </div>
@@ -478,7 +554,7 @@ age_check === 1;`}</pre>
               <span className="step-badge">U</span>
               <div>
                 <div className="step-title">Public signals</div>
-                <div className="step-desc">current_date, issuer keys, user_pubkey, subject_wallet</div>
+                <div className="step-desc">current_date, issuer keys, user_pubkey, subject_wallet, revocation_root, challenge</div>
               </div>
             </div>
             <div className="process-step">
@@ -580,20 +656,18 @@ age_check === 1;`}</pre>
                   <div className="input-item">
                     <span className="input-label">date_of_birth:</span>
                     <span className="input-value">
-                      {credentials.dob ? credentials.dob.dateOfBirth : '(not set)'}
+                      {credentials.dob ? credentials.dob.dateOfBirthEncoded : '(not set)'}
                     </span>
                     <span className="input-human">
-                      {credentials.dob ? new Date(credentials.dob.dateOfBirth * 1000).toLocaleDateString() : ''}
+                      {credentials.dob ? `${credentials.dob.dateOfBirth} (days since 1900-01-01)` : ''}
                     </span>
                   </div>
-                  <div className="input-item">
-                    <span className="input-label">signature_a_r:</span>
-                    <span className="input-value">{formatValue(credentials.dob?.signature?.r)}</span>
-                  </div>
-                  <div className="input-item">
-                    <span className="input-label">signature_a_s:</span>
-                    <span className="input-value">{formatValue(credentials.dob?.signature?.s)}</span>
-                  </div>
+                  {signatureInputRows(credentials.dob, 'a').map(([name, value]) => (
+                    <div className="input-item" key={name}>
+                      <span className="input-label">{name}:</span>
+                      <span className="input-value">{formatValue(value)}</span>
+                    </div>
+                  ))}
                   <div className="input-item">
                     <span className="input-label">nonce_a:</span>
                     <span className="input-value">{credentials.dob?.nonce || '(not set)'}</span>
@@ -611,14 +685,12 @@ age_check === 1;`}</pre>
                       {credentials.citizenship?.citizenship || ''}
                     </span>
                   </div>
-                  <div className="input-item">
-                    <span className="input-label">signature_b_r:</span>
-                    <span className="input-value">{formatValue(credentials.citizenship?.signature?.r)}</span>
-                  </div>
-                  <div className="input-item">
-                    <span className="input-label">signature_b_s:</span>
-                    <span className="input-value">{formatValue(credentials.citizenship?.signature?.s)}</span>
-                  </div>
+                  {signatureInputRows(credentials.citizenship, 'b').map(([name, value]) => (
+                    <div className="input-item" key={name}>
+                      <span className="input-label">{name}:</span>
+                      <span className="input-value">{formatValue(value)}</span>
+                    </div>
+                  ))}
                   <div className="input-item">
                     <span className="input-label">nonce_b:</span>
                     <span className="input-value">{credentials.citizenship?.nonce || '(not set)'}</span>
@@ -689,6 +761,31 @@ age_check === 1;`}</pre>
         </div>
       </div>
 
+      {/* Off-chain Credential Checks */}
+      {credentialChecks && (
+        <div className="credential-checks">
+          <h4>Off-chain credential checks</h4>
+          {[
+            ['DOB credential', credentialChecks.dob],
+            ['Citizenship credential', credentialChecks.citizenship]
+          ].map(([label, result]) => (
+            <div className="credential-check-group" key={label}>
+              <div className="credential-check-title">{label}</div>
+              {result.checks.map((check) => (
+                <div
+                  key={check.name}
+                  className={`credential-check ${check.passed ? 'passed' : check.skipped ? 'skipped' : 'failed'}`}
+                >
+                  <span className="credential-check-icon">{check.passed ? '✅' : check.skipped ? '⏭️' : '❌'}</span>
+                  <span className="credential-check-label">{check.label}</span>
+                  <span className="credential-check-reason">{check.reason}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Generate Proof Button */}
       {!proof && (
         <div className="generate-section">
@@ -762,6 +859,27 @@ age_check === 1;`}</pre>
                   </div>
                 </div>
 
+                <div className="input-card output-card">
+                  <h4>Presentation (proof.json v{proof.version})</h4>
+                  <p className="output-note">What the verifier receives alongside the proof. No private inputs.</p>
+                  <div className="input-item">
+                    <span className="input-label">circuit:</span>
+                    <span className="input-value">{proof.circuit}</span>
+                  </div>
+                  <div className="input-item">
+                    <span className="input-label">vkeyHash:</span>
+                    <span className="input-value">{formatValue(proof.vkeyHash, 24)}</span>
+                  </div>
+                  <div className="input-item">
+                    <span className="input-label">policyId:</span>
+                    <span className="input-value">{formatValue(proof.policyId, 24)}</span>
+                  </div>
+                  <div className="input-item">
+                    <span className="input-label">challenge:</span>
+                    <span className="input-value">{formatValue(proof.challenge, 24)}</span>
+                  </div>
+                </div>
+
                 <div className="input-card output-card">
                   <h4>Public Signals</h4>
                   <p className="output-note">These values are visible and verified on-chain.</p>
@@ -0,0 +1,110 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { fetchIssuerRegistry } from '../utils/issuer_registry';
+import './IssuerRegistry.css';
+
+const GANACHE_RPC_URL = 'http://127.0.0.1:8545';
+
+const SCHEMA_LABELS = {
+  date_of_birth: 'Date of birth',
+  citizenship: 'Citizenship'
+};
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toISOString().slice(0, 10);
+}
+
+function statusLabel(issuer) {
+  if (issuer.trusted) return 'trusted';
+  return issuer.status === 'active' ? 'outside validity period' : issuer.status;
+}
+
+function IssuerRegistry({ contractAddress, walletMode, onClose }) {
+  const [issuers, setIssuers] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!contractAddress) {
+      setStatus({ type: 'info', message: 'Enter the AgeVerification contract address in Step 0.' });
+      return;
+    }
+    setLoading(true);
+    setStatus(null);
+    try {
+      const provider = walletMode && walletMode !== 'ganache' && window.ethereum
+        ? new ethers.BrowserProvider(window.ethereum)
+        : new ethers.JsonRpcProvider(GANACHE_RPC_URL);
+      setIssuers(await fetchIssuerRegistry(contractAddress, provider));
+    } catch (error) {
+      setIssuers(null);
+      setStatus({ type: 'error', message: `Error: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  }, [contractAddress, walletMode]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return (
+    <div className="card registry-panel">
+      <div className="registry-header">
+        <h2>🏛️ Trusted Issuer Registry</h2>
+        <button className="btn btn-secondary" onClick={onClose}>Close</button>
+      </div>
+      <p className="registry-intro">
+        Issuers AgeVerification at <code>{contractAddress}</code> accepts credentials from. Proofs signed by an
+        issuer that is suspended, outside its validity period or not allowed the credential's schema are rejected.
+        Manage the registry with <code>npm run issuers</code>.
+      </p>
+
+      {status && <div className={`status ${status.type}`}>{status.message}</div>}
+      {issuers && issuers.length === 0 && <div className="registry-empty">No issuers registered yet.</div>}
+
+      {issuers && issuers.length > 0 && (
+        <table className="registry-table">
+          <thead>
+            <tr>
+              <th>Issuer</th>
+              <th>Schemas</th>
+              <th>Validity</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {issuers.map((issuer) => (
+              <tr key={issuer.key} className={issuer.trusted ? '' : 'untrusted'}>
+                <td>
+                  <div className="registry-name">{issuer.name || '(unnamed)'}</div>
+                  <div className="registry-meta">{issuer.jurisdiction || 'no jurisdiction'} · key {issuer.key.slice(0, 10)}…</div>
+                  <div className="registry-meta">added by {issuer.addedBy.slice(0, 10)}… on {formatDate(issuer.addedAt)}</div>
+                </td>
+                <td>{issuer.schemas.map((id) => SCHEMA_LABELS[id] || id).join(', ')}</td>
+                <td>
+                  {issuer.validFrom ? formatDate(issuer.validFrom) : 'registration'}
+                  {' → '}
+                  {issuer.validUntil ? formatDate(issuer.validUntil) : 'no expiry'}
+                </td>
+                <td>
+                  <span className={`registry-status ${issuer.trusted ? 'trusted' : issuer.status}`}>
+                    {statusLabel(issuer)}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="button-group">
+        <button className="btn btn-primary" onClick={refresh} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default IssuerRegistry;
@@ -1,20 +1,14 @@
 import React, { useState } from 'react';
 import { ethers } from 'ethers';
-import { getPublicKey } from '@noble/secp256k1';
-import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { fetchIssuerMetadata } from '../utils/issuer_client';
+import { registerIssuer } from '../utils/issuer_registry';
 import './Prerequisites.css';
 
 const GANACHE_RPC_URL = 'http://127.0.0.1:8545';
-const AGE_VERIFICATION_ABI = [
-  "function addTrustedIssuerA(uint256,uint256) external",
-  "function addTrustedIssuerB(uint256,uint256) external"
-];
-const BN254_SCALAR_FIELD =
-  BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
 
 function Prerequisites({
-  issuerPrivateKeys,
-  setIssuerPrivateKeys,
+  issuerUrls,
+  setIssuerUrls,
   contractAddress,
   setContractAddress,
   deployerPrivateKey,
@@ -25,26 +19,29 @@ function Prerequisites({
 }) {
   const [status, setStatus] = useState(null);
   const [registering, setRegistering] = useState(false);
+  const [issuerInfo, setIssuerInfo] = useState(null);
   const handleIssuerChange = (key) => (event) => {
-    setIssuerPrivateKeys((prev) => ({
+    setIssuerUrls((prev) => ({
       ...prev,
       [key]: event.target.value
     }));
   };
 
-  const deriveIssuerPubkey = (privateKeyHex) => {
-    const privBytes = hexToBytes(privateKeyHex.replace(/^0x/, ''));
-    const pubkey = getPublicKey(privBytes, false);
-    const rawX = BigInt(`0x${bytesToHex(pubkey.slice(1, 33))}`);
-    const rawY = BigInt(`0x${bytesToHex(pubkey.slice(33, 65))}`);
-    const reducedX = (rawX % BN254_SCALAR_FIELD).toString();
-    const reducedY = (rawY % BN254_SCALAR_FIELD).toString();
-    return {
-      rawX: rawX.toString(),
-      rawY: rawY.toString(),
-      reducedX,
-      reducedY
-    };
+  // Issuer public keys are published by the issuer servers; no private keys in the browser
+  const loadIssuerInfo = async () => {
+    const [a, b] = await Promise.all([fetchIssuerMetadata(issuerUrls.a), fetchIssuerMetadata(issuerUrls.b)]);
+    setIssuerInfo({ a, b });
+    return { a, b };
+  };
+
+  const handleCheckIssuers = async () => {
+    setStatus({ type: 'info', message: 'Contacting issuer servers...' });
+    try {
+      await loadIssuerInfo();
+      setStatus({ type: 'success', message: 'Both issuer servers are running.' });
+    } catch (error) {
+      setStatus({ type: 'error', message: `Error: ${error.message}` });
+    }
   };
 
   const handleRegisterIssuers = async () => {
@@ -57,25 +54,23 @@ function Prerequisites({
       if (!deployerPrivateKey) {
         throw new Error('Enter the deployer private key.');
       }
-      if (!issuerPrivateKeys?.a || !issuerPrivateKeys?.b) {
-        throw new Error('Enter Issuer A and Issuer B private keys.');
+      if (!issuerUrls?.a || !issuerUrls?.b) {
+        throw new Error('Enter the Issuer A and Issuer B server URLs.');
       }
 
-      const issuerA = deriveIssuerPubkey(issuerPrivateKeys.a);
-      const issuerB = deriveIssuerPubkey(issuerPrivateKeys.b);
+      const { a: issuerA, b: issuerB } = await loadIssuerInfo();
 
       const provider = new ethers.JsonRpcProvider(GANACHE_RPC_URL);
       const signer = new ethers.Wallet(deployerPrivateKey, provider);
-      const contract = new ethers.Contract(contractAddress, AGE_VERIFICATION_ABI, signer);
 
-      const baseNonce = await provider.getTransactionCount(signer.address, 'pending');
-      const txA = await contract.addTrustedIssuerA(issuerA.reducedX, issuerA.reducedY, { nonce: baseNonce });
-      await txA.wait();
+      // Each issuer is registered for the schema its server issues, under its published name
+      const addedA = await registerIssuer(contractAddress, signer, issuerA);
+      const addedB = await registerIssuer(contractAddress, signer, issuerB);
 
-      const txB = await contract.addTrustedIssuerB(issuerB.reducedX, issuerB.reducedY, { nonce: baseNonce + 1 });
-      await txB.wait();
-
-      setStatus({ type: 'success', message: 'Issuers registered on-chain.' });
+      setStatus({
+        type: 'success',
+        message: addedA || addedB ? 'Issuers registered on-chain.' : 'Both issuers were already registered.'
+      });
     } catch (error) {
       setStatus({ type: 'error', message: `Error: ${error.message}` });
     } finally {
@@ -87,7 +82,7 @@ function Prerequisites({
     <div className="card">
       <h2>Step 0: Setup (For Non-Technical Users)</h2>
       <p>
-        This demo requires just <strong>2 simple commands</strong> to get started. 
+        This demo requires just <strong>3 simple commands</strong> to get started. 
         Run these in your terminal before using the frontend.
       </p>
       
@@ -120,6 +115,24 @@ function Prerequisites({
             </p>
           </div>
         </div>
+
+        <div className="setup-step">
+          <div className="step-number">3</div>
+          <div className="step-content">
+            <h3>Start the Issuer Servers</h3>
+            <p>In two more terminals, run:</p>
+            <div className="code-block">
+              <code>npm run issuer:server:a</code>
+            </div>
+            <div className="code-block">
+              <code>npm run issuer:server:b</code>
+            </div>
+            <p className="step-note">
+              Issuer A (DMV) and Issuer B (Immigration) sign your credentials in Step 1. Their keys stay
+              in these processes; the browser only proves it controls your wallet.
+            </p>
+          </div>
+        </div>
       </div>
 
       <div className="what-it-does">
@@ -142,7 +155,7 @@ function Prerequisites({
           <summary><strong>⚙️ Advanced: Manual Configuration</strong></summary>
           <div className="advanced-content">
             <p>
-              For advanced users who want to customize issuer keys or contract addresses, 
+              For advanced users who want to customize issuer servers or contract addresses, 
               use the options below.
             </p>
             
@@ -164,27 +177,27 @@ function Prerequisites({
               </div>
               {demoMode && (
                 <div className="status info">
-                  Using Ganache defaults (fixed private keys + contract address). No manual input required.
+                  Using Ganache defaults (local issuer servers + contract address). No manual input required.
                 </div>
               )}
             </div>
 
             <div className="form-group">
-              <label>Issuer A Private Key</label>
+              <label>Issuer A Server URL</label>
               <input
                 type="text"
-                placeholder="0x..."
-                value={issuerPrivateKeys.a}
+                placeholder="http://127.0.0.1:4001"
+                value={issuerUrls.a}
                 onChange={handleIssuerChange('a')}
                 readOnly={demoMode}
               />
             </div>
             <div className="form-group">
-              <label>Issuer B Private Key</label>
+              <label>Issuer B Server URL</label>
               <input
                 type="text"
-                placeholder="0x..."
-                value={issuerPrivateKeys.b}
+                placeholder="http://127.0.0.1:4002"
+                value={issuerUrls.b}
                 onChange={handleIssuerChange('b')}
                 readOnly={demoMode}
               />
@@ -216,18 +229,25 @@ function Prerequisites({
               use this button:
             </p>
             <div className="button-group">
+              <button className="btn btn-secondary" onClick={handleCheckIssuers} disabled={registering}>
+                Check Issuer Servers
+              </button>
               <button className="btn btn-secondary" onClick={handleRegisterIssuers} disabled={registering}>
                 {registering ? 'Registering...' : 'Register Issuers On-Chain'}
               </button>
             </div>
             
-            {issuerPrivateKeys?.a && issuerPrivateKeys?.b && (
+            {issuerInfo && (
               <div className="status info">
-                <div><strong>Issuer A pubkey (raw):</strong> X={deriveIssuerPubkey(issuerPrivateKeys.a).rawX.slice(0, 20)}...</div>
-                <div><strong>Issuer A pubkey (reduced):</strong> X={deriveIssuerPubkey(issuerPrivateKeys.a).reducedX.slice(0, 20)}...</div>
-                <div><strong>Issuer B pubkey (raw):</strong> X={deriveIssuerPubkey(issuerPrivateKeys.b).rawX.slice(0, 20)}...</div>
-                <div><strong>Issuer B pubkey (reduced):</strong> X={deriveIssuerPubkey(issuerPrivateKeys.b).reducedX.slice(0, 20)}...</div>
-                <div>On-chain registration uses the <strong>reduced</strong> values.</div>
+                {[issuerInfo.a, issuerInfo.b].map((issuer) => (
+                  <React.Fragment key={issuer.name}>
+                    {issuer.publicKey
+                      ? <div><strong>{issuer.name} pubkey (full):</strong> {issuer.publicKey.slice(0, 22)}...</div>
+                      : <div><strong>{issuer.name} signs with:</strong> {issuer.signatureScheme} (BabyJubJub key)</div>}
+                    <div><strong>{issuer.name} pubkey (reduced):</strong> X={issuer.pubkey.x.slice(0, 20)}...</div>
+                  </React.Fragment>
+                ))}
+                <div>On-chain registration uses the <strong>reduced</strong> values (the BabyJubJub point for EdDSA issuers).</div>
               </div>
             )}
             {status && (
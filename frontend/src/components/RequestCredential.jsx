@@ -1,13 +1,12 @@
 import React, { useEffect, useState } from 'react';
 import { ethers } from 'ethers';
-import { issueDOBCredential, issueCitizenshipCredential } from '../utils/proof_utils';
-import * as secp256k1 from '@noble/secp256k1';
+import { MIN_DATE, assertBirthDate } from 'zk-credential-sdk';
+import { issueDOBCredential, describeSignature } from '../utils/proof_utils';
+import { requestCredential, fetchIssuerMetadata } from '../utils/issuer_client';
 import './RequestCredential.css';
 
 const GANACHE_PRIVATE_KEY =
   '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
-const BN254_SCALAR_FIELD =
-  BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
 
 function RequestCredential({
   credentials,
@@ -16,7 +15,7 @@ function RequestCredential({
   setWalletAddress,
   walletMode,
   setWalletMode,
-  issuerPrivateKeys,
+  issuerUrls,
   demoMode,
   onNext
 }) {
@@ -36,16 +35,15 @@ function RequestCredential({
     }
   }, [walletAddress, setWalletAddress, setWalletMode]);
 
-  const getUserPubkey = () => {
+  const requireWallet = () => {
     if (!walletAddress) {
       throw new Error('Wallet not initialized. Please wait a moment and try again.');
     }
-    return BigInt(walletAddress).toString();
+    return walletAddress;
   };
 
-  const reduceModR = (value) => {
-    return (BigInt(value) % BN254_SCALAR_FIELD).toString();
-  };
+  // Signs the issuer's wallet-ownership challenge (EIP-712 typed data) with the connected Ganache wallet
+  const ownershipSigner = new ethers.Wallet(GANACHE_PRIVATE_KEY);
 
   const handleRequestDOB = async () => {
     setLoading(true);
@@ -57,29 +55,26 @@ function RequestCredential({
       if (!dobInput) {
         throw new Error('Please choose a date of birth.');
       }
-      const dobDate = new Date(`${dobInput}T00:00:00Z`);
-      if (Number.isNaN(dobDate.getTime())) {
-        throw new Error('Invalid date of birth.');
-      }
-      const dob = Math.floor(dobDate.getTime() / 1000);
-      const userPubkey = getUserPubkey();
-      const nonce = Math.floor(Math.random() * 2**32);
+      // Issuers sign the YYYY-MM-DD date as days since 1900-01-01, so dates before 1970 work too
+      assertBirthDate(dobInput);
+      const dob = dobInput;
 
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      // Use untrusted issuer or trusted issuer
-      let issuerKey = issuerPrivateKeys?.a;
+      let credential;
       if (useUntrustedIssuer) {
-        // Generate a random unregistered issuer key
-        const randomKey = secp256k1.utils.randomPrivateKey();
-        const hexKey = Array.from(randomKey).map(b => b.toString(16).padStart(2, '0')).join('');
-        issuerKey = '0x' + hexKey;
+        // Sign locally with a random, unregistered issuer key, in Issuer A's signature scheme
+        const nonce = Math.floor(Math.random() * 2**32);
+        const { signatureScheme } = await fetchIssuerMetadata(issuerUrls.a);
+        credential = await issueDOBCredential(dob, BigInt(requireWallet()).toString(), nonce, undefined, signatureScheme);
         console.log('🚨 Using UNTRUSTED issuer key (not registered on-chain)');
+      } else {
+        credential = await requestCredential(issuerUrls.a, {
+          wallet: requireWallet(),
+          claims: { dateOfBirth: dob },
+          signer: ownershipSigner,
+          scheme: 'eip712'
+        });
       }
 
-      const credential = await issueDOBCredential(dob, userPubkey, nonce, issuerKey);
-
       setCredentials(prev => ({ ...prev, dob: credential }));
       
       if (useUntrustedIssuer) {
@@ -107,12 +102,12 @@ function RequestCredential({
       if (!citizenship) {
         throw new Error('Please enter a citizenship code (e.g., US).');
       }
-      const userPubkey = getUserPubkey();
-      const nonce = Math.floor(Math.random() * 2**32);
-
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      const credential = await issueCitizenshipCredential(citizenship, userPubkey, nonce, issuerPrivateKeys?.b);
+      const credential = await requestCredential(issuerUrls.b, {
+        wallet: requireWallet(),
+        claims: { citizenship },
+        signer: ownershipSigner,
+        scheme: 'eip712'
+      });
 
       setCredentials(prev => ({ ...prev, citizenship: credential }));
       setStatus({ type: 'success', message: 'Citizenship credential received from Issuer B!' });
@@ -143,7 +138,8 @@ function RequestCredential({
         <h3>What happens in this step?</h3>
         <p>
           You request <strong>signed credentials</strong> from trusted issuers using your Ganache wallet.
-          Each issuer digitally signs your information along with your wallet address, creating
+          Each issuer server first asks your wallet to sign a one-time challenge, proving you control
+          the address, then digitally signs your information along with that address, creating
           a verifiable credential that can later be used in a zero-knowledge proof.
         </p>
         <div className="flow-diagram">
@@ -264,6 +260,7 @@ function RequestCredential({
               type="date"
               value={dobInput}
               onChange={(e) => setDobInput(e.target.value)}
+              min={MIN_DATE}
               max={new Date().toISOString().split('T')[0]}
               className="date-input"
             />
@@ -485,11 +482,11 @@ function RequestCredential({
                       <h5>User Data</h5>
                       <div className="data-row">
                         <span className="data-label">Date of Birth:</span>
-                        <span className="data-value">{new Date(credentials.dob.dateOfBirth * 1000).toLocaleDateString()}</span>
+                        <span className="data-value">{credentials.dob.dateOfBirth}</span>
                       </div>
                       <div className="data-row">
-                        <span className="data-label">DOB (Unix):</span>
-                        <span className="data-value">{credentials.dob.dateOfBirth}</span>
+                        <span className="data-label">DOB (days since 1900):</span>
+                        <span className="data-value">{credentials.dob.dateOfBirthEncoded}</span>
                       </div>
                       <div className="data-row">
                         <span className="data-label">User Pubkey:</span>
@@ -501,44 +498,50 @@ function RequestCredential({
                         <span className="data-label">Nonce:</span>
                         <span className="data-value">{credentials.dob.nonce}</span>
                       </div>
+                      {credentials.dob.validUntil && (
+                        <div className="data-row">
+                          <span className="data-label">Valid Until:</span>
+                          <span className="data-value" title={credentials.dob.validUntil}>
+                            {new Date(Number(credentials.dob.validUntil) * 1000).toISOString().slice(0, 10)}
+                          </span>
+                        </div>
+                      )}
                     </div>
 
                     <div className="data-section">
-                      <h5>Issuer Signature</h5>
-                      <div className="data-row">
-                        <span className="data-label">Signature R:</span>
-                        <span className="data-value" title={credentials.dob.signature?.r}>
-                          {formatValue(credentials.dob.signature?.r)}
-                        </span>
-                      </div>
-                      <div className="data-row">
-                        <span className="data-label">Signature S:</span>
-                        <span className="data-value" title={credentials.dob.signature?.s}>
-                          {formatValue(credentials.dob.signature?.s)}
-                        </span>
-                      </div>
+                      <h5>Issuer Signature ({credentials.dob.signatureScheme || 'ecdsa-secp256k1'})</h5>
+                      {describeSignature(credentials.dob).map(({ label, value }) => (
+                        <div className="data-row" key={label}>
+                          <span className="data-label">{label}:</span>
+                          <span className="data-value" title={value}>
+                            {formatValue(value)}
+                          </span>
+                        </div>
+                      ))}
                     </div>
 
                     <div className="data-section">
                       <h5>Issuer Info</h5>
                       <div className="data-row">
-                        <span className="data-label">Pubkey X:</span>
+                        <span className="data-label">Pubkey X (reduced):</span>
                         <span className="data-value" title={credentials.dob.issuerPubkey?.x}>
                           {formatValue(credentials.dob.issuerPubkey?.x)}
                         </span>
                       </div>
                       <div className="data-row">
-                        <span className="data-label">Pubkey X (reduced):</span>
-                        <span className="data-value">
-                          {credentials.dob?.issuerPubkey?.x ? formatValue(reduceModR(credentials.dob.issuerPubkey.x)) : 'N/A'}
-                        </span>
-                      </div>
-                      <div className="data-row">
-                        <span className="data-label">Pubkey Y:</span>
+                        <span className="data-label">Pubkey Y (reduced):</span>
                         <span className="data-value" title={credentials.dob.issuerPubkey?.y}>
                           {formatValue(credentials.dob.issuerPubkey?.y)}
                         </span>
                       </div>
+                      {credentials.dob.issuerPublicKey && (
+                        <div className="data-row">
+                          <span className="data-label">Full public key:</span>
+                          <span className="data-value" title={credentials.dob.issuerPublicKey}>
+                            {formatValue(credentials.dob.issuerPublicKey)}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
 
@@ -548,6 +551,7 @@ function RequestCredential({
                       <li><strong>Signature (r, s):</strong> Proves this credential was signed by Issuer A</li>
                       <li><strong>Nonce:</strong> Prevents replay attacks and links credential to this session</li>
                       <li><strong>User Pubkey:</strong> Binds this credential to your identity</li>
+                      <li><strong>Valid Until:</strong> Signed expiry; the proof fails once it has passed</li>
                     </ul>
                   </div>
                 </div>
@@ -606,46 +610,50 @@ function RequestCredential({
                         <span className="data-label">Nonce:</span>
                         <span className="data-value">{credentials.citizenship.nonce}</span>
                       </div>
+                      {credentials.citizenship.validUntil && (
+                        <div className="data-row">
+                          <span className="data-label">Valid Until:</span>
+                          <span className="data-value" title={credentials.citizenship.validUntil}>
+                            {new Date(Number(credentials.citizenship.validUntil) * 1000).toISOString().slice(0, 10)}
+                          </span>
+                        </div>
+                      )}
                     </div>
 
                     <div className="data-section">
-                      <h5>Issuer Signature</h5>
-                      <div className="data-row">
-                        <span className="data-label">Signature R:</span>
-                        <span className="data-value" title={credentials.citizenship.signature?.r}>
-                          {formatValue(credentials.citizenship.signature?.r)}
-                        </span>
-                      </div>
-                      <div className="data-row">
-                        <span className="data-label">Signature S:</span>
-                        <span className="data-value" title={credentials.citizenship.signature?.s}>
-                          {formatValue(credentials.citizenship.signature?.s)}
-                        </span>
-                      </div>
+                      <h5>Issuer Signature ({credentials.citizenship.signatureScheme || 'ecdsa-secp256k1'})</h5>
+                      {describeSignature(credentials.citizenship).map(({ label, value }) => (
+                        <div className="data-row" key={label}>
+                          <span className="data-label">{label}:</span>
+                          <span className="data-value" title={value}>
+                            {formatValue(value)}
+                          </span>
+                        </div>
+                      ))}
                     </div>
 
                     <div className="data-section">
                       <h5>Issuer Info</h5>
                       <div className="data-row">
-                        <span className="data-label">Pubkey X:</span>
+                        <span className="data-label">Pubkey X (reduced):</span>
                         <span className="data-value" title={credentials.citizenship.issuerPubkey?.x}>
                           {formatValue(credentials.citizenship.issuerPubkey?.x)}
                         </span>
                       </div>
                       <div className="data-row">
-                        <span className="data-label">Pubkey X (reduced):</span>
-                        <span className="data-value">
-                          {credentials.citizenship?.issuerPubkey?.x
-                            ? formatValue(reduceModR(credentials.citizenship.issuerPubkey.x))
-                            : 'N/A'}
-                        </span>
-                      </div>
-                      <div className="data-row">
-                        <span className="data-label">Pubkey Y:</span>
+                        <span className="data-label">Pubkey Y (reduced):</span>
                         <span className="data-value" title={credentials.citizenship.issuerPubkey?.y}>
                           {formatValue(credentials.citizenship.issuerPubkey?.y)}
                         </span>
                       </div>
+                      {credentials.citizenship.issuerPublicKey && (
+                        <div className="data-row">
+                          <span className="data-label">Full public key:</span>
+                          <span className="data-value" title={credentials.citizenship.issuerPublicKey}>
+                            {formatValue(credentials.citizenship.issuerPublicKey)}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
 
@@ -1,12 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import { presentationToSolidityArgs, decodeAgePolicy, describeAgePolicy } from 'zk-credential-sdk';
 import './SubmitProof.css';
 
 // Contract ABI (simplified - in production, import from artifacts)
 const AGE_VERIFICATION_ABI = [
-  "function verifyProof(uint[2] memory a, uint[2][2] memory b, uint[2] memory c, uint[9] memory input) external view returns (bool)",
-  "function minAge() external view returns (uint256)",
+  "function verifyProof(uint[2] memory a, uint[2][2] memory b, uint[2] memory c, uint[11] memory input) external view returns (bool)",
+  "function verifyAndConsume(uint[2] memory a, uint[2][2] memory b, uint[2] memory c, uint[11] memory input) external returns (bool)",
+  "function verifyAndRecord(uint[2] memory a, uint[2][2] memory b, uint[2] memory c, uint[11] memory input) external returns (bool)",
+  "function challengeSubject(uint256) external view returns (address)",
+  "function challengeConsumed(uint256) external view returns (bool)",
+  "function agePolicy() external view returns (uint256)",
   "function requiredCitizenship() external view returns (uint256)",
+  "function revocationRoot() external view returns (uint256)",
+  "function proofFreshnessWindow() external view returns (uint256)",
   "function trustedIssuerA(bytes32) external view returns (bool)",
   "function trustedIssuerB(bytes32) external view returns (bool)"
 ];
@@ -35,6 +42,8 @@ function SubmitProof({
   const [showProofData, setShowProofData] = useState(true);
   const [diagnostics, setDiagnostics] = useState(null);
   const [useWrongWallet, setUseWrongWallet] = useState(false);
+  const [recordOnChain, setRecordOnChain] = useState(false);
+  const [recordedTx, setRecordedTx] = useState(null);
 
   useEffect(() => {
     if (walletMode === 'ganache') {
@@ -76,18 +85,11 @@ function SubmitProof({
     }
   };
 
+  // Validates the v2 presentation (throws on a v1 proof.json) and formats it for Solidity
   const formatProofForContract = () => {
     if (!proof) return null;
 
-    // Format proof components for Solidity
-    const a = [proof.proof.pi_a[0], proof.proof.pi_a[1]];
-    const b = [
-      [proof.proof.pi_b[0][1], proof.proof.pi_b[0][0]],
-      [proof.proof.pi_b[1][1], proof.proof.pi_b[1][0]]
-    ];
-    const c = [proof.proof.pi_c[0], proof.proof.pi_c[1]];
-    const input = proof.publicSignals;
-
+    const [a, b, c, input] = presentationToSolidityArgs(proof);
     return { a, b, c, input };
   };
 
@@ -108,7 +110,8 @@ function SubmitProof({
     }
 
     setLoading(true);
-    
+    setRecordedTx(null);
+
     const attackMode = useWrongWallet ? ' (⚠️ USING WRONG WALLET - Attack Simulation)' : '';
     setStatus({ type: 'info', message: `Verifying proof${attackMode}...` });
 
@@ -137,16 +140,26 @@ function SubmitProof({
         throw new Error('Connected wallet does not match the address used to generate the proof.');
       }
 
-      const result = await contract.verifyProof(
-        formatted.a,
-        formatted.b,
-        formatted.c,
-        formatted.input.map(s => BigInt(s))
-      );
+      const input = formatted.input.map(s => BigInt(s));
+      let result;
+      if (recordOnChain) {
+        // Every attempt is recorded, so failed ones (e.g. the attack simulation) are sent too
+        result = await contract.verifyAndRecord.staticCall(formatted.a, formatted.b, formatted.c, input);
+        setStatus({ type: 'info', message: 'Recording the verification on-chain...' });
+        const receipt = await (await contract.verifyAndRecord(formatted.a, formatted.b, formatted.c, input)).wait();
+        setRecordedTx({ hash: receipt.hash, blockNumber: receipt.blockNumber, from: signerAddress });
+      } else {
+        result = await contract.verifyProof(formatted.a, formatted.b, formatted.c, input);
+      }
+      if (result && !recordOnChain) {
+        // Use up the challenge so the same proof cannot be presented again
+        setStatus({ type: 'info', message: 'Proof accepted, consuming the challenge...' });
+        await (await contract.verifyAndConsume(formatted.a, formatted.b, formatted.c, input)).wait();
+      }
       setVerificationStatus({ success: result });
       setStatus(
         result
-          ? { type: 'success', message: 'Proof verified successfully!' }
+          ? { type: 'success', message: 'Proof verified successfully! Your wallet is now verified on-chain (isVerified).' }
           : { type: 'error', message: 'Proof verification failed.' }
       );
       if (!result) {
@@ -200,9 +213,13 @@ function SubmitProof({
         verifyError = err.message;
       }
       
-      const [minAge, requiredCitizenship] = await Promise.all([
-        contract.minAge(),
-        contract.requiredCitizenship()
+      const [agePolicy, requiredCitizenship, revocationRoot, freshnessWindow, challengeSubject, challengeConsumed] = await Promise.all([
+        contract.agePolicy(),
+        contract.requiredCitizenship(),
+        contract.revocationRoot(),
+        contract.proofFreshnessWindow(),
+        contract.challengeSubject(signals[10]),
+        contract.challengeConsumed(signals[10])
       ]);
       const block = await provider.getBlock('latest');
 
@@ -221,7 +238,6 @@ function SubmitProof({
       ]);
 
       const now = BigInt(block.timestamp);
-      const oneYear = BigInt(365 * 24 * 60 * 60);
 
       // Get the actual wallet that will submit the transaction
       let actualSenderAddress;
@@ -238,11 +254,14 @@ function SubmitProof({
       const userPubkey = signals[7];
 
       // Check each condition
-      const dateOk = signals[0] >= now - oneYear && signals[0] <= now + oneYear;
-      const minAgeOk = BigInt(signals[1]) === BigInt(minAge);
+      const dateOk = signals[0] + freshnessWindow >= now && signals[0] <= now + freshnessWindow;
+      // age_policy: the minimum age, or maxAge * 1000 + minAge with a maximum age
+      const agePolicyOk = BigInt(signals[1]) === BigInt(agePolicy);
       const citizenshipOk = BigInt(signals[2]) === BigInt(requiredCitizenship);
       const walletBindingOk = userPubkey === subjectWallet;
       const msgSenderOk = walletBigInt ? subjectWallet === walletBigInt : false;
+      const revocationRootOk = BigInt(signals[9]) === BigInt(revocationRoot);
+      const challengeOk = walletBigInt ? BigInt(challengeSubject) === walletBigInt && !challengeConsumed : false;
 
       // Determine likely cause of verification failure
       let failureReason = '';
@@ -253,18 +272,24 @@ function SubmitProof({
           failureReason = 'Issuer A not registered in contract';
         } else if (!issuerBOk) {
           failureReason = 'Issuer B not registered in contract';
-        } else if (!minAgeOk) {
-          failureReason = 'min_age mismatch with contract policy';
+        } else if (!agePolicyOk) {
+          failureReason = `age_policy mismatch with contract policy (${describeAgePolicy(decodeAgePolicy(agePolicy))})`;
         } else if (!citizenshipOk) {
           failureReason = 'required_citizenship mismatch with contract policy';
+        } else if (!revocationRootOk) {
+          failureReason = 'revocation_root is not the current on-chain root (a credential was revoked since the proof was made; regenerate it)';
         } else if (!dateOk) {
-          failureReason = 'current_date outside allowed window';
+          failureReason = `current_date more than ${freshnessWindow} s from the block time (contract proofFreshnessWindow); regenerate the proof`;
         } else if (!walletBindingOk) {
           failureReason = 'user_pubkey != subject_wallet';
         } else if (!msgSenderOk) {
           failureReason = 'subject_wallet != msg.sender (wrong wallet submitting)';
+        } else if (!challengeOk) {
+          failureReason = challengeConsumed
+            ? 'challenge already used (request a new one and regenerate the proof)'
+            : 'challenge was not issued to msg.sender by this contract';
         } else {
-          failureReason = 'All public signals look correct. Groth16 pairing check failed - likely circuit constraints not satisfied (age < 18 or citizenship != US). Note: Groth16 cannot tell which specific constraint failed.';
+          failureReason = 'All public signals look correct. Groth16 pairing check failed - likely circuit constraints not satisfied (age outside the policy or citizenship != US). Note: Groth16 cannot tell which specific constraint failed.';
         }
       }
 
@@ -277,14 +302,14 @@ function SubmitProof({
           highlight: true
         },
         {
-          label: 'current_date within allowed window',
-          value: signals[0].toString(),
+          label: 'current_date within proofFreshnessWindow of block time',
+          value: `${signals[0]} (block ${now}, window ±${freshnessWindow} s)`,
           ok: dateOk
         },
         {
-          label: 'min_age matches contract',
-          value: `${signals[1]} (contract ${minAge})`,
-          ok: minAgeOk
+          label: 'age_policy matches contract',
+          value: `${signals[1]} (contract ${agePolicy})`,
+          ok: agePolicyOk
         },
         {
           label: 'required_citizenship matches contract',
@@ -301,6 +326,11 @@ function SubmitProof({
           value: signals[5].toString(),
           ok: issuerBOk
         },
+        {
+          label: 'revocation_root matches contract',
+          value: `${signals[9]} (contract ${revocationRoot})`,
+          ok: revocationRootOk
+        },
         {
           label: 'user_pubkey == subject_wallet',
           value: `${userPubkey.toString()} == ${subjectWallet.toString()}`,
@@ -310,6 +340,11 @@ function SubmitProof({
           label: `subject_wallet == msg.sender${useWrongWallet ? ' (⚠️ Using Bob\'s wallet)' : ' (✓ Using your wallet)'}`,
           value: walletBigInt ? `${subjectWallet.toString()} == ${walletBigInt.toString()}` : 'wallet not connected',
           ok: msgSenderOk
+        },
+        {
+          label: 'challenge issued to msg.sender and unused',
+          value: `${formatValue(signals[10], 24)} (issued to ${challengeSubject}${challengeConsumed ? ', used' : ''})`,
+          ok: challengeOk
         }
       ]);
     } catch (error) {
@@ -317,7 +352,13 @@ function SubmitProof({
     }
   };
 
-  const formatted = formatProofForContract();
+  let formatted = null;
+  let presentationError = null;
+  try {
+    formatted = formatProofForContract();
+  } catch (error) {
+    presentationError = error.message;
+  }
 
   return (
     <div className="card">
@@ -328,7 +369,9 @@ function SubmitProof({
         <p>
           Your proof is submitted to the <strong>AgeVerification smart contract</strong> on Ethereum.
           The contract's <strong>Verifier</strong> checks the cryptographic proof and returns a
-          yes/no result. No on-chain registry is stored. The proof is bound to your wallet address.
+          yes/no result. An accepted proof uses up its challenge and marks your wallet verified until a
+          set time (<code>isVerified</code>), so other dApps need not check a proof again. Turn on
+          "Record on-chain" to also log the result for an audit trail. The proof is bound to your wallet address.
         </p>
         <div className="contract-flow">
           <div className="flow-step">
@@ -358,7 +401,7 @@ function SubmitProof({
               <span className="step-badge">2</span>
               <div>
                 <div className="step-title">Policy rules</div>
-                <div className="step-desc">min_age and required_citizenship match contract</div>
+                <div className="step-desc">age_policy and required_citizenship match contract</div>
               </div>
             </div>
             <div className="process-step">
@@ -551,6 +594,44 @@ function SubmitProof({
         </div>
       )}
 
+      {/* Audit Trail */}
+      {proof && (
+        <div className="section-card">
+          <h3>Audit Trail</h3>
+          <label className="record-toggle">
+            <input
+              type="checkbox"
+              checked={recordOnChain}
+              onChange={(e) => setRecordOnChain(e.target.checked)}
+            />
+            <span>Record on-chain</span>
+          </label>
+          <p className="data-description">
+            {recordOnChain
+              ? <>The proof is sent with <code>verifyAndRecord()</code>, which emits a <code>ProofVerificationRecorded</code> event with the result, your wallet, the block time and the public signals - accepted or not. The verification indexer stores these events for compliance queries.</>
+              : <>The proof is checked with the free <code>verifyProof()</code> view call and, if accepted, <code>verifyAndConsume()</code> uses up the challenge and sets your wallet's <code>verifiedUntil</code>. No audit event is emitted.</>}
+          </p>
+          {recordedTx && (
+            <div className="tx-details">
+              <div className="tx-info">
+                <div className="tx-row">
+                  <span className="tx-label">Transaction</span>
+                  <span className="tx-value hash" title={recordedTx.hash}>{recordedTx.hash}</span>
+                </div>
+                <div className="tx-row">
+                  <span className="tx-label">Block</span>
+                  <span className="tx-value">{recordedTx.blockNumber}</span>
+                </div>
+                <div className="tx-row">
+                  <span className="tx-label">Recorded for</span>
+                  <span className="tx-value hash" title={recordedTx.from}>{recordedTx.from}</span>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       {proof && (
         <div className="section-card">
           <h3>Diagnostics</h3>
@@ -589,6 +670,10 @@ function SubmitProof({
             <span className="toggle-icon">{showProofData ? '−' : '+'}</span>
           </div>
 
+          {showProofData && presentationError && (
+            <div className="status error">Unusable proof: {presentationError}</div>
+          )}
+
           {showProofData && formatted && (
             <div className="proof-data-display">
               <p className="data-description">
@@ -646,7 +731,7 @@ function SubmitProof({
                   </div>
 
                   <div className="param-group">
-                    <h4>input (uint[9]) - Public Signals</h4>
+                    <h4>input (uint[11]) - Public Signals</h4>
                     {formatted.input.map((val, idx) => (
                       <div className="param-value" key={idx}>
                         <span className="param-index">[{idx}]:</span>
@@ -663,7 +748,10 @@ function SubmitProof({
                   <li>Cryptographic pairing check on (a, b, c) proves the statement is true</li>
                   <li>Public signals must match expected values (current date, min age, issuer keys)</li>
                   <li>Issuer public keys must be in the trusted registry</li>
-                  <li>If all checks pass, the call returns <code>true</code></li>
+                  <li>The revocation root must match the contract's current root</li>
+                  <li>The challenge must have been issued to the submitting wallet and not used before</li>
+                  <li>If all checks pass, the call returns <code>true</code> and <code>verifyAndConsume()</code> uses up the challenge and sets <code>verifiedUntil</code></li>
+                  <li>With "Record on-chain", <code>verifyAndRecord()</code> runs the same checks in one transaction and logs the outcome</li>
                 </ul>
               </div>
             </div>
@@ -1,11 +1,28 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { getVerificationStatus } from '../utils/proof_utils';
 import './VerificationSummary.css';
 
-function VerificationSummary({ verificationStatus, walletAddress, proof, credentials, onBack }) {
+const GANACHE_RPC_URL = 'http://127.0.0.1:8545';
+
+function VerificationSummary({ verificationStatus, walletAddress, walletMode, contractAddress, proof, credentials, onBack }) {
   const [expandedSection, setExpandedSection] = useState(null);
+  const [chainStatus, setChainStatus] = useState(null);
   const resultText = verificationStatus?.success ? 'YES' : 'NO';
   const resultClass = verificationStatus?.success ? 'success' : 'error';
 
+  useEffect(() => {
+    if (!walletAddress || !contractAddress || (walletMode !== 'ganache' && !window.ethereum)) {
+      return;
+    }
+    const provider = walletMode === 'ganache'
+      ? new ethers.JsonRpcProvider(GANACHE_RPC_URL)
+      : new ethers.BrowserProvider(window.ethereum);
+    getVerificationStatus(walletAddress, contractAddress, provider)
+      .then(setChainStatus)
+      .catch((error) => setChainStatus({ error: error.message }));
+  }, [walletAddress, walletMode, contractAddress]);
+
   const toggleSection = (section) => {
     setExpandedSection(expandedSection === section ? null : section);
   };
@@ -23,6 +40,17 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
         <p className={`final-result ${resultClass}`}>
           Final Verification Result: <strong>{resultText}</strong>
         </p>
+        {chainStatus && (
+          <p className={`chain-status ${chainStatus.verified ? 'success' : 'error'}`}>
+            {chainStatus.error
+              ? `On-chain status unavailable: ${chainStatus.error}`
+              : chainStatus.verified
+                ? <>On-chain status: <strong>verified</strong> until {new Date(chainStatus.verifiedUntil * 1000).toLocaleString()} - dApps can check <code>isVerified(wallet)</code> without a new proof</>
+                : chainStatus.verifiedUntil > 0
+                  ? <>On-chain status: <strong>expired</strong> on {new Date(chainStatus.verifiedUntil * 1000).toLocaleString()} - submit a new proof to renew it</>
+                  : <>On-chain status: <strong>not verified</strong> - no accepted proof from this wallet has been recorded</>}
+          </p>
+        )}
       </div>
 
       {/* Section 1: Overview */}
@@ -76,7 +104,8 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
                   <div className="example-box">
                     <strong>Example credential structure:</strong>
                     <pre>{`{
-  dateOfBirth: "946684800",  // Jan 1, 2000 (Unix timestamp)
+  dateOfBirth: "2000-01-01",
+  dateOfBirthEncoded: "36524",  // signed as days since 1900-01-01
   userPubkey: "827641930419614124039720421795580660909102123457",
   nonce: "12355275362847035392",
   signature: {
@@ -119,12 +148,13 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
                         <li><strong>Age calculation:</strong> Computes (current_date - DOB) / seconds_per_year ≥ 18</li>
                         <li><strong>Citizenship check:</strong> citizenship == "US"</li>
                         <li><strong>Wallet binding:</strong> user_pubkey == subject_wallet</li>
+                        <li><strong>Not revoked:</strong> neither credential's nullifier is in the revocation tree</li>
                       </ol>
                     </li>
                     <li>If all checks pass, the circuit produces a <strong>Groth16 proof</strong>:
                       <ul>
                         <li><strong>Proof components:</strong> (a, b, c) — cryptographic elements (G1/G2 points)</li>
-                        <li><strong>Public signals:</strong> 9 values visible to everyone</li>
+                        <li><strong>Public signals:</strong> 10 values visible to everyone</li>
                       </ul>
                     </li>
                   </ul>
@@ -138,20 +168,21 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
   },
   publicSignals: [
     "1768503899",        // [0] current_date
-    "18",                // [1] min_age
+    "18",                // [1] age_policy (18+)
     "21843",             // [2] required_citizenship (US encoded)
     "1650512148...",     // [3] issuer_a_pubkey_x
     "1074950895...",     // [4] issuer_a_pubkey_y
     "1740853278...",     // [5] issuer_b_pubkey_x
     "1631292132...",     // [6] issuer_b_pubkey_y
     "827641930...",      // [7] user_pubkey
-    "827641930..."       // [8] subject_wallet (same as user_pubkey)
+    "827641930...",      // [8] subject_wallet (same as user_pubkey)
+    "0"                  // [9] revocation_root (0 = nothing revoked)
   ]
 }`}</pre>
                   </div>
                   <div className="privacy-highlight">
                     <strong>🔒 Privacy Guarantee:</strong>
-                    <p>Notice that <strong>your actual DOB</strong> (946684800) and <strong>citizenship
+                    <p>Notice that <strong>your actual DOB</strong> (2000-01-01) and <strong>citizenship
                       string</strong> are <strong>NOT</strong> in the public signals. They stayed private
                       on your device and were never sent to the blockchain!</p>
                   </div>
@@ -171,7 +202,7 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
                     <li><strong>AgeVerification checks:</strong>
                       <ol>
                         <li>Proof is valid (Verifier returned true)</li>
-                        <li>current_date is recent (within ±365 days of block.timestamp)</li>
+                        <li>current_date is recent (within the owner-set <code>proofFreshnessWindow</code> of block.timestamp, 365 days by default)</li>
                         <li>min_age matches contract requirement (18)</li>
                         <li>required_citizenship matches contract requirement (US)</li>
                         <li>Issuer A pubkey (from public signals) is in the trusted registry</li>
@@ -286,7 +317,7 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
             <div className="code-example">
               <strong>For DOB credential (Issuer A):</strong>
               <pre>{`messageHash = Poseidon([
-  dateOfBirth,     // e.g., 946684800 (Jan 1, 2000)
+  dateOfBirth,     // e.g., 36524 (Jan 1, 2000 as days since 1900-01-01)
   userPubkey,      // Your wallet address as BigInt
   nonce            // Random number (prevents replay)
 ])
@@ -331,6 +362,7 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
                 <strong>Your actual DOB credential (from Step 1):</strong>
                 <pre>{JSON.stringify({
                   dateOfBirth: credentials.dob.dateOfBirth,
+                  dateOfBirthEncoded: credentials.dob.dateOfBirthEncoded,
                   userPubkey: credentials.dob.userPubkey,
                   nonce: credentials.dob.nonce,
                   signature: {
@@ -393,7 +425,8 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
                 for the hash and issuer_a_pubkey
               </li>
               <li><strong>Same for Issuer B:</strong> Hash citizenship data and verify signature</li>
-              <li><strong>Calculate age:</strong> (current_date - date_of_birth) / 31557600 seconds</li>
+              <li><strong>Calculate age:</strong> (current_date + 2208988800 - date_of_birth × 86400) / 31557600 seconds
+                (date_of_birth counts days from 1900-01-01, current_date seconds from 1970-01-01)</li>
               <li><strong>Check age ≥ 18</strong></li>
               <li><strong>Check citizenship == required_citizenship</strong></li>
               <li><strong>Check user_pubkey == subject_wallet</strong> (wallet binding)</li>
@@ -425,14 +458,15 @@ function VerificationSummary({ verificationStatus, walletAddress, proof, credent
   pi_b: [[...], [...]]
   pi_c: [${proof.proof.pi_c[0].slice(0, 15)}..., ${proof.proof.pi_c[1].slice(0, 15)}...]
 
-Public signals (9 values):
+Public signals (10 values):
   [0] current_date:          ${proof.publicSignals[0]}
-  [1] min_age:               ${proof.publicSignals[1]}
+  [1] age_policy:            ${proof.publicSignals[1]}
   [2] required_citizenship:  ${proof.publicSignals[2]}
   [3-4] issuer_a_pubkey:     ${proof.publicSignals[3].slice(0, 15)}..., ${proof.publicSignals[4].slice(0, 15)}...
   [5-6] issuer_b_pubkey:     ${proof.publicSignals[5].slice(0, 15)}..., ${proof.publicSignals[6].slice(0, 15)}...
   [7] user_pubkey:           ${proof.publicSignals[7]}
-  [8] subject_wallet:        ${proof.publicSignals[8]}`}</pre>
+  [8] subject_wallet:        ${proof.publicSignals[8]}
+  [9] revocation_root:       ${proof.publicSignals[9]}`}</pre>
               </div>
             )}
           </div>
@@ -491,7 +525,7 @@ If not → proof is invalid (someone tried to cheat)`}</pre>
                 </tr>
                 <tr>
                   <td><code>current_date</code> in range</td>
-                  <td>Proof is fresh (±365 days)</td>
+                  <td>Proof is fresh (± <code>proofFreshnessWindow</code>)</td>
                   <td>Prevents using very old proofs</td>
                 </tr>
                 <tr>
@@ -550,7 +584,7 @@ If not → proof is invalid (someone tried to cheat)`}</pre>
             <p>When you submit a proof, only these values are sent to the blockchain:</p>
             <ul>
               <li><strong>Proof components:</strong> (a, b, c) — cryptographic G1/G2 points</li>
-              <li><strong>Public signals:</strong> current_date, min_age, required_citizenship,
+              <li><strong>Public signals:</strong> current_date, age_policy, required_citizenship,
                 issuer pubkeys, wallet address</li>
             </ul>
 
@@ -821,7 +855,7 @@ user_pubkey === subject_wallet
                 </tr>
                 <tr>
                   <td>Use old proof after turning 18</td>
-                  <td>Timestamp freshness check (±365 days)</td>
+                  <td>Timestamp freshness check (± <code>proofFreshnessWindow</code>, 5 minutes to 365 days)</td>
                 </tr>
               </tbody>
             </table>
@@ -935,7 +969,7 @@ The verifier checks this equation. If it holds, the proof is valid.`}</pre>
                   <strong>Proof Output (sent to blockchain):</strong>
                   <ul>
                     <li>Proof: (a, b, c) — 3 elliptic curve points</li>
-                    <li>Public signals: 9 field elements</li>
+                    <li>Public signals: 10 field elements</li>
                   </ul>
                 </div>
               </div>
@@ -953,6 +987,7 @@ The verifier checks this equation. If it holds, the proof is valid.`}</pre>
                     <li>issuer_b_pubkey: (x, y)</li>
                     <li>user_pubkey: {walletAddress ? walletAddress.slice(0, 10) + '...' : 'your wallet'}</li>
                     <li>subject_wallet: (same as user_pubkey)</li>
+                    <li>revocation_root: (the contract's current root)</li>
                   </ul>
                 </div>
                 <div className="dataflow-arrow">↓ Contract validation</div>
@@ -966,7 +1001,7 @@ The verifier checks this equation. If it holds, the proof is valid.`}</pre>
             <div className="key-insight">
               <strong>🔑 Key Insight:</strong>
               <p>
-                Your DOB (946684800) and citizenship ("US") are in Stage 1 (your device) but
+                Your DOB (2000-01-01) and citizenship ("US") are in Stage 1 (your device) but
                 <strong> NOT in Stage 2</strong> (blockchain). The proof mathematically guarantees
                 they satisfy the requirements without revealing them.
               </p>
@@ -1008,7 +1043,8 @@ The verifier checks this equation. If it holds, the proof is valid.`}</pre>
                   <div className="faq-detail-box">
                     <strong>Circuit Age Calculation (Simplified):</strong>
                     <pre>{`// From circuits/age_citizenship.circom
-age_in_seconds = current_date - date_of_birth;
+// date_of_birth: days since 1900-01-01, current_date: Unix seconds
+age_in_seconds = current_date + 2208988800 - date_of_birth * 86400;
 age_in_years = age_in_seconds / 31557600;  // Seconds in a year
 is_18_or_older = (age_in_years >= 18) ? 1 : 0;
 
@@ -1182,7 +1218,7 @@ require(trustedIssuerA[issuerHash], "Issuer not registered");
     uint[2] memory a,           // Proof component π_a
     uint[2][2] memory b,        // Proof component π_b
     uint[2] memory c,           // Proof component π_c
-    uint[9] memory input        // Public signals ONLY
+    uint[11] memory input       // Public signals ONLY
 ) external view returns (bool)
 
 // Notice: No DOB, no citizenship, no signatures!
@@ -1191,8 +1227,8 @@ require(trustedIssuerA[issuerHash], "Issuer not registered");
                   
                   <p><strong>Additional Guarantees:</strong></p>
                   <ul>
-                    <li>✅ <strong>View Function</strong> - The contract is read-only, it doesn't store any user data</li>
-                    <li>✅ <strong>Stateless</strong> - No user registry or history is kept</li>
+                    <li>✅ <strong>No Personal Data</strong> - Verification is a view call; it never stores anything about you</li>
+                    <li>✅ <strong>Minimal Registry</strong> - The only state is the one-time challenges (a wallet address and a random number), so a proof cannot be replayed, and each wallet's <code>verifiedUntil</code> time - a yes/no with an expiry, nothing about why</li>
                     <li>✅ <strong>Open Source</strong> - Anyone can audit the contract code</li>
                     <li>✅ <strong>Blockchain Transparency</strong> - All transactions are public, so if the contract tried to log private data, everyone would see it</li>
                   </ul>
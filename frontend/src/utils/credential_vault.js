@@ -0,0 +1,215 @@
+/**
+ * Credential Vault
+ * Persists the holder's credentials and generated proofs in IndexedDB, one
+ * encrypted record per wallet. The record is the SDK keystore format (scrypt +
+ * AES-256-GCM); its passphrase is the wallet's signature over a fixed unlock
+ * message, so only the wallet that owns the credentials can open the vault.
+ */
+
+import { keccak256, toUtf8Bytes } from 'ethers';
+import {
+  encryptKeystore,
+  decryptKeystore,
+  createCredentialWallet,
+  computeCredentialId,
+  addCredential,
+  removeCredential,
+  isVerifiableCredential,
+  fromVerifiableCredential,
+  parsePresentation
+} from 'zk-credential-sdk';
+
+const DB_NAME = 'zk-credential-vault';
+const DB_VERSION = 1;
+const STORE = 'vaults';
+
+/**
+ * Message the wallet signs to unlock its vault. ECDSA signatures from wallets
+ * are deterministic (RFC 6979), so the same wallet always derives the same key.
+ * @param {string} address
+ * @returns {string}
+ */
+export function formatVaultUnlockMessage(address) {
+  return [
+    'Unlock ZK credential vault',
+    '',
+    `Wallet: ${address}`,
+    '',
+    'Signing this message derives the key that encrypts your credentials in this browser.',
+    'It does not send a transaction or cost gas.'
+  ].join('\n');
+}
+
+/**
+ * Vault passphrase: the wallet's signature over the unlock message
+ * @param {import('ethers').Signer} signer
+ * @returns {Promise<string>}
+ */
+export async function deriveVaultKey(signer) {
+  return signer.signMessage(formatVaultUnlockMessage(await signer.getAddress()));
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = operation(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Empty vault: an SDK credential wallet plus the proofs generated from it
+ * @returns {{credentials: Array, proofs: Array}}
+ */
+export function createVault() {
+  return { ...createCredentialWallet(), proofs: [] };
+}
+
+/**
+ * Decrypt the wallet's vault (an empty vault if none is stored yet)
+ * @param {string} address - Wallet address
+ * @param {string} key - Vault key from deriveVaultKey
+ * @returns {Promise<Object>}
+ */
+export async function loadVault(address, key) {
+  const keystore = await withStore('readonly', (store) => store.get(address.toLowerCase()));
+  if (!keystore) {
+    return createVault();
+  }
+  return { proofs: [], ...(await decryptKeystore(keystore, key)) };
+}
+
+/**
+ * Encrypt and store the wallet's vault
+ * @param {string} address - Wallet address
+ * @param {string} key - Vault key from deriveVaultKey
+ * @param {Object} vault
+ */
+export async function saveVault(address, key, vault) {
+  const keystore = await encryptKeystore(vault, key);
+  await withStore('readwrite', (store) => store.put(keystore, address.toLowerCase()));
+}
+
+/**
+ * Remove the wallet's vault from this browser
+ * @param {string} address - Wallet address
+ */
+export async function deleteVault(address) {
+  await withStore('readwrite', (store) => store.delete(address.toLowerCase()));
+}
+
+// Same 16-hex-character ids as credentials, derived from the proof point and public signals
+function proofId(proof) {
+  return keccak256(toUtf8Bytes(JSON.stringify([proof.proof.pi_a, proof.publicSignals]))).slice(2, 18);
+}
+
+function isProof(json) {
+  return Array.isArray(json?.publicSignals) && Array.isArray(json?.proof?.pi_a);
+}
+
+/**
+ * Add a generated proof to the vault
+ * @param {Object} vault
+ * @param {Object} proof - v2 presentation from generateProof (or an imported proof.json)
+ * @param {Object} [options]
+ * @param {Date} [options.addedAt]
+ * @returns {{vault: Object, id: string}}
+ */
+export function addProof(vault, proof, { addedAt = new Date() } = {}) {
+  if (!isProof(proof)) {
+    throw new Error('Not a proof: proof.pi_a and publicSignals are required');
+  }
+  parsePresentation(proof);
+  const id = proofId(proof);
+  if (vault.proofs.some((entry) => entry.id === id)) {
+    throw new Error(`Proof ${id} is already in the vault`);
+  }
+  const entry = { id, addedAt: addedAt.toISOString(), proof };
+  return { vault: { ...vault, proofs: [...vault.proofs, entry] }, id };
+}
+
+/**
+ * Remove a credential or proof from the vault
+ * @param {Object} vault
+ * @param {string} id
+ * @returns {Object} New vault
+ */
+export function removeVaultItem(vault, id) {
+  if (vault.proofs.some((entry) => entry.id === id)) {
+    return { ...vault, proofs: vault.proofs.filter((entry) => entry.id !== id) };
+  }
+  return removeCredential(vault, id).wallet;
+}
+
+/**
+ * Import an exported credential (credential JSON or W3C VC) or proof JSON
+ * @param {Object} vault
+ * @param {Object} json
+ * @returns {Promise<{vault: Object, id: string, kind: string}>}
+ */
+export async function importVaultItem(vault, json) {
+  if (isProof(json)) {
+    return { ...addProof(vault, json), kind: 'proof' };
+  }
+  if (isVerifiableCredential(json)) {
+    return { ...addCredential(vault, await fromVerifiableCredential(json)), kind: 'verifiable credential' };
+  }
+  return { ...addCredential(vault, json), kind: 'credential' };
+}
+
+/**
+ * Add the session's credentials and proof to the vault if they are not stored yet
+ * @param {Object} vault
+ * @param {Object} session
+ * @param {Object} session.credentials - { dob, citizenship }
+ * @param {Object} [session.proof]
+ * @returns {{vault: Object, added: number}}
+ */
+export function persistSession(vault, { credentials, proof }) {
+  let next = vault;
+  let added = 0;
+  for (const credential of [credentials.dob, credentials.citizenship]) {
+    if (credential && !next.credentials.some((entry) => entry.id === computeCredentialId(credential))) {
+      next = addCredential(next, credential).wallet;
+      added++;
+    }
+  }
+  if (proof && !next.proofs.some((entry) => entry.id === proofId(proof))) {
+    next = addProof(next, proof).vault;
+    added++;
+  }
+  return { vault: next, added };
+}
+
+/**
+ * Save a credential or proof as a JSON download
+ * @param {string} filename
+ * @param {Object} data
+ */
+export function downloadJson(filename, data) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
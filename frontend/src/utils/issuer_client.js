@@ -0,0 +1,90 @@
+/**
+ * Issuer Client
+ * Requests credentials from the issuer servers (scripts/issuers/issuer_server.js),
+ * so the browser never holds issuer private keys.
+ */
+
+import { signOwnershipChallenge } from 'zk-credential-sdk';
+
+export const DEFAULT_ISSUER_URLS = {
+  a: import.meta.env.VITE_ISSUER_A_URL || 'http://127.0.0.1:4001',
+  b: import.meta.env.VITE_ISSUER_B_URL || 'http://127.0.0.1:4002'
+};
+
+async function requestJson(baseUrl, pathname, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${baseUrl.replace(/\/$/, '')}${pathname}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+  } catch {
+    throw new Error(
+      `Issuer server at ${baseUrl} is not reachable. Start it with "npm run issuer:server:a" / "npm run issuer:server:b".`
+    );
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Issuer server responded with HTTP ${response.status}`);
+  }
+  return body;
+}
+
+/**
+ * Issuer name, schema and public keys from GET /.well-known/issuer
+ * @param {string} baseUrl
+ * @returns {Promise<Object>}
+ */
+export async function fetchIssuerMetadata(baseUrl) {
+  return requestJson(baseUrl, '/.well-known/issuer');
+}
+
+/**
+ * Trusted issuer list (for verifyCredential) built from the issuers' published metadata.
+ * EdDSA-Poseidon issuers publish no secp256k1 publicKey, only their BabyJubJub pubkey.
+ * @param {string[]} baseUrls
+ * @returns {Promise<Array<{name: string, publicKey?: string, pubkey: Object, schemas: string[]}>>}
+ */
+export async function fetchTrustedIssuers(baseUrls) {
+  const issuers = await Promise.all(baseUrls.map(fetchIssuerMetadata));
+  return issuers.map((issuer) => ({
+    name: issuer.name,
+    publicKey: issuer.publicKey,
+    pubkey: issuer.pubkey,
+    schemas: [issuer.schema.id]
+  }));
+}
+
+/**
+ * Revocation registry (revoked credential nullifiers and tree root) from GET /revocations
+ * @param {string} baseUrl
+ * @returns {Promise<Object>}
+ */
+export async function fetchRevocationRegistry(baseUrl) {
+  return requestJson(baseUrl, '/revocations');
+}
+
+/**
+ * Request a credential: fetch an ownership challenge, sign it with the wallet,
+ * then submit the signature together with the claims
+ * @param {string} baseUrl - Issuer server URL
+ * @param {Object} params
+ * @param {string} params.wallet - Subject wallet address
+ * @param {Object} params.claims - Claims for the issuer's schema
+ * @param {import('ethers').Signer} params.signer - Signer for the wallet
+ * @param {string} [params.scheme] - 'eip191' (personal_sign, default) or 'eip712' (typed data)
+ * @returns {Promise<Object>} Signed credential
+ */
+export async function requestCredential(baseUrl, { wallet, claims, signer, scheme }) {
+  const challenge = await requestJson(baseUrl, '/challenges', {
+    method: 'POST',
+    body: JSON.stringify({ wallet, scheme })
+  });
+  const signature = await signOwnershipChallenge(challenge, signer);
+  const { credential } = await requestJson(baseUrl, '/credentials', {
+    method: 'POST',
+    body: JSON.stringify({ wallet, challengeNonce: challenge.nonce, signature, claims })
+  });
+  return credential;
+}
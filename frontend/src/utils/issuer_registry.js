@@ -0,0 +1,81 @@
+/**
+ * Issuer Registry
+ * Reads and adds entries of AgeVerification's trusted issuer registry
+ * (see scripts/deploy/issuer_registry.js for the command-line side).
+ */
+
+import { ethers } from 'ethers';
+
+const ISSUER_REGISTRY_ABI = [
+  "function getIssuerKeys() external view returns (bytes32[])",
+  "function issuers(bytes32) external view returns (uint256 pubkeyX, uint256 pubkeyY, string name, string jurisdiction, uint8 schemas, uint8 status, uint64 validFrom, uint64 validUntil, address addedBy, uint64 addedAt)",
+  "function addIssuer(uint256 pubkeyX, uint256 pubkeyY, string name, string jurisdiction, uint8 schemas, uint64 validFrom, uint64 validUntil) external returns (bytes32)"
+];
+
+// Must match AgeVerification.SCHEMA_*
+export const ISSUER_SCHEMA_BITS = {
+  date_of_birth: 1,
+  citizenship: 2
+};
+
+// AgeVerification.IssuerStatus, by value
+const ISSUER_STATUSES = ['none', 'active', 'suspended'];
+
+/**
+ * Registry key of an issuer, as AgeVerification computes it: keccak256(abi.encodePacked(x, y))
+ */
+export function issuerRegistryKey(x, y) {
+  return ethers.solidityPackedKeccak256(['uint256', 'uint256'], [x, y]).toLowerCase();
+}
+
+/**
+ * Every issuer in the registry, with `trusted` evaluated at the latest block
+ * @param {string} contractAddress - AgeVerification address
+ * @param {ethers.Provider} provider
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchIssuerRegistry(contractAddress, provider) {
+  const contract = new ethers.Contract(contractAddress, ISSUER_REGISTRY_ABI, provider);
+  const [keys, block] = await Promise.all([contract.getIssuerKeys(), provider.getBlock('latest')]);
+  const entries = await Promise.all(keys.map((key) => contract.issuers(key)));
+  return entries.map((entry, index) => {
+    const status = ISSUER_STATUSES[Number(entry.status)];
+    const validFrom = Number(entry.validFrom);
+    const validUntil = Number(entry.validUntil);
+    return {
+      key: keys[index].toLowerCase(),
+      name: entry.name,
+      jurisdiction: entry.jurisdiction,
+      schemas: Object.keys(ISSUER_SCHEMA_BITS).filter((id) => (Number(entry.schemas) & ISSUER_SCHEMA_BITS[id]) !== 0),
+      status,
+      validFrom,
+      validUntil,
+      addedBy: entry.addedBy,
+      addedAt: Number(entry.addedAt),
+      trusted: status === 'active' && block.timestamp >= validFrom && (validUntil === 0 || block.timestamp <= validUntil)
+    };
+  });
+}
+
+/**
+ * Add an issuer server's key to the registry unless it is already there
+ * @param {string} contractAddress - AgeVerification address
+ * @param {ethers.Signer} signer - Owner or registrar
+ * @param {Object} issuer - Issuer metadata from fetchIssuerMetadata (name, schema.id, pubkey)
+ * @returns {Promise<boolean>} False if the key was already registered
+ */
+export async function registerIssuer(contractAddress, signer, issuer) {
+  const contract = new ethers.Contract(contractAddress, ISSUER_REGISTRY_ABI, signer);
+  const { x, y } = issuer.pubkey;
+  const entry = await contract.issuers(issuerRegistryKey(x, y));
+  if (Number(entry.status) !== 0) {
+    return false;
+  }
+  const schemas = ISSUER_SCHEMA_BITS[issuer.schema.id];
+  if (!schemas) {
+    throw new Error(`${issuer.name} issues ${issuer.schema.id} credentials, which the registry does not know`);
+  }
+  const tx = await contract.addIssuer(x, y, issuer.name, 'US', schemas, 0, 0);
+  await tx.wait();
+  return true;
+}
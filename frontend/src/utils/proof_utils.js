@@ -1,239 +1,185 @@
 /**
  * Proof Utilities
- * Helper functions for credential issuance and proof generation
+ * Browser adapters over the shared credential SDK (sdk/ at the repo root),
+ * so the frontend and the CLI scripts issue credentials and build proofs
+ * with the same code.
  */
 
-import { sign, getPublicKey, utils, etc } from '@noble/secp256k1';
-import { hmac } from '@noble/hashes/hmac';
-import { sha256 } from '@noble/hashes/sha256';
-import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
-import { buildPoseidon } from 'circomlibjs';
-import * as snarkjs from 'snarkjs';
+import { utils } from '@noble/secp256k1';
+import { ethers } from 'ethers';
+import {
+  encodeCitizenship,
+  issueDOBCredential as issueDOBCredentialWithKey,
+  issueCitizenshipCredential as issueCitizenshipCredentialWithKey,
+  buildCircuitInputs,
+  buildRevocationInputs,
+  getCircuitName,
+  buildSignatureInputs,
+  SIGNATURE_SCHEMES,
+  getCredentialSignatureScheme,
+  DEFAULT_CREDENTIAL_VALIDITY_SECONDS,
+  generateProof as proveCircuit,
+  exportVerificationKey,
+  createPresentation,
+  DEFAULT_POLICY,
+  normalizePolicy,
+  decodeChallenge,
+  verifyCredential
+} from 'zk-credential-sdk';
+
+const CHALLENGE_ABI = [
+  'function issueChallenge() external returns (uint256)',
+  'event ChallengeIssued(address indexed subject, uint256 challenge)'
+];
+
+const VERIFICATION_STATUS_ABI = [
+  'function isVerified(address) external view returns (bool)',
+  'function verifiedUntil(address) external view returns (uint256)'
+];
+
+export { encodeCitizenship, getCircuitName, buildSignatureInputs, SIGNATURE_SCHEMES };
 
-let poseidonInstance = null;
-
-if (!etc.hmacSha256Sync) {
-  etc.hmacSha256Sync = (key, ...msgs) => hmac(sha256, key, etc.concatBytes(...msgs));
-}
-
-const BN254_SCALAR_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-
-function reduceModR(value) {
-  return BigInt(value) % BN254_SCALAR_FIELD;
-}
-function bigintToBytes32(value) {
-  const hex = value.toString(16).padStart(64, '0');
-  return hexToBytes(hex);
+/**
+ * Sign a DOB credential in the browser. Trusted credentials come from the issuer
+ * servers (see issuer_client.js); this is only used to simulate an untrusted issuer.
+ * Falls back to a random, unregistered issuer key when none is provided.
+ * signatureScheme should match the issuer servers' (their metadata's signatureScheme),
+ * so the credential pairs with theirs in one circuit.
+ */
+export async function issueDOBCredential(dateOfBirth, userPubkey, nonce, issuerPrivateKeyHex, signatureScheme) {
+  const issuerPrivateKey = issuerPrivateKeyHex || utils.randomPrivateKey();
+  return issueDOBCredentialWithKey(dateOfBirth, userPubkey, nonce, issuerPrivateKey, {
+    validForSeconds: DEFAULT_CREDENTIAL_VALIDITY_SECONDS,
+    signatureScheme
+  });
 }
 
-function signatureToBytes(signature) {
-  if (signature instanceof Uint8Array) {
-    return signature;
-  }
-  if (signature && typeof signature === 'object') {
-    if (typeof signature.toCompactRawBytes === 'function') {
-      return signature.toCompactRawBytes();
-    }
-    if ('r' in signature && 's' in signature) {
-      const rBytes = bigintToBytes32(BigInt(signature.r));
-      const sBytes = bigintToBytes32(BigInt(signature.s));
-      const out = new Uint8Array(64);
-      out.set(rBytes, 0);
-      out.set(sBytes, 32);
-      return out;
-    }
-  }
-  return new Uint8Array(signature);
+/**
+ * Sign a citizenship credential in the browser (untrusted-issuer simulation only).
+ * Falls back to a random, unregistered issuer key when none is provided.
+ */
+export async function issueCitizenshipCredential(citizenship, userPubkey, nonce, issuerPrivateKeyHex, signatureScheme) {
+  const issuerPrivateKey = issuerPrivateKeyHex || utils.randomPrivateKey();
+  return issueCitizenshipCredentialWithKey(citizenship, userPubkey, nonce, issuerPrivateKey, {
+    validForSeconds: DEFAULT_CREDENTIAL_VALIDITY_SECONDS,
+    signatureScheme
+  });
 }
 
-async function getPoseidon() {
-  if (!poseidonInstance) {
-    poseidonInstance = await buildPoseidon();
+/**
+ * Labelled signature components of a credential for display:
+ * (r, s) for ECDSA, (R8.x, R8.y, S) for EdDSA-Poseidon
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function describeSignature(credential) {
+  const signature = credential?.signature;
+  if (getCredentialSignatureScheme(credential) === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+    return [
+      { label: 'Signature R8.x', value: signature?.R8?.[0] },
+      { label: 'Signature R8.y', value: signature?.R8?.[1] },
+      { label: 'Signature S', value: signature?.S }
+    ];
   }
-  return poseidonInstance;
+  return [
+    { label: 'Signature R', value: signature?.r },
+    { label: 'Signature S', value: signature?.s }
+  ];
 }
 
 /**
- * Encode citizenship string as a field element
+ * Run the off-chain credential checks (schema, signature, validity period, trusted issuer) on both credentials
+ * @param {Array} trustedIssuers - From fetchTrustedIssuers (issuer servers' published keys)
+ * @param {Date|number} currentDate - The proof's current_date, checked against each credential's validity window
+ * @returns {Promise<{dob: Object, citizenship: Object}>} verifyCredential results
  */
-export function encodeCitizenship(citizenship) {
-  let encoded = BigInt(0);
-  for (let i = 0; i < citizenship.length; i++) {
-    encoded = encoded * BigInt(256) + BigInt(citizenship.charCodeAt(i));
-  }
-  return encoded;
+export async function verifyCredentials(dobCredential, citizenshipCredential, trustedIssuers, currentDate) {
+  const [dob, citizenship] = await Promise.all([
+    verifyCredential(dobCredential, { trustedIssuers, expectedType: 'date_of_birth', currentDate }),
+    verifyCredential(citizenshipCredential, { trustedIssuers, expectedType: 'citizenship', currentDate })
+  ]);
+  return { dob, citizenship };
 }
 
 /**
- * Issue a DOB credential (simulated - in production, this would be done by Issuer A)
+ * Ask AgeVerification for a single-use challenge issued to the signer's wallet.
+ * The same wallet must submit the proof; returns the challenge as 0x-prefixed 32-byte hex.
  */
-export async function issueDOBCredential(dateOfBirth, userPubkey, nonce, issuerPrivateKeyHex) {
-  // In a real application, this would call an API endpoint
-  // For the frontend demo, we simulate the credential structure
-  // The actual signing would be done server-side by the issuer
-  
-  // Generate a mock issuer key for demo purposes
-  const issuerPrivateKey = issuerPrivateKeyHex
-    ? hexToBytes(issuerPrivateKeyHex.replace(/^0x/, ''))
-    : utils.randomPrivateKey();
-  const issuerPubkey = getPublicKey(issuerPrivateKey, false);
-  
-  // Create credential message hash
-  const poseidon = await getPoseidon();
-  const messageHash = poseidon([BigInt(dateOfBirth), BigInt(userPubkey), BigInt(nonce)]);
-  
-  // Sign the message (in production, this would be done by the issuer)
-  const messageBytes = new Uint8Array(32);
-  const messageBigInt = BigInt(poseidon.F.toString(messageHash));
-  for (let i = 0; i < 32; i++) {
-    messageBytes[31 - i] = Number((messageBigInt >> BigInt(i * 8)) & BigInt(0xff));
+export async function requestChallenge(contractAddress, signer) {
+  const contract = new ethers.Contract(contractAddress, CHALLENGE_ABI, signer);
+  const receipt = await (await contract.issueChallenge()).wait();
+  const event = receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed?.name === 'ChallengeIssued');
+  if (!event) {
+    throw new Error('issueChallenge did not emit ChallengeIssued');
   }
-  
-  const signature = await sign(messageBytes, issuerPrivateKey);
-  const sigBytes = signatureToBytes(signature);
-  const signatureR = BigInt(`0x${bytesToHex(sigBytes.slice(0, 32))}`);
-  const signatureS = BigInt(`0x${bytesToHex(sigBytes.slice(32, 64))}`);
-  
-  const rawIssuerPubkeyX = BigInt(`0x${bytesToHex(issuerPubkey.slice(1, 33))}`);
-  const rawIssuerPubkeyY = BigInt(`0x${bytesToHex(issuerPubkey.slice(33, 65))}`);
-  const issuerPubkeyX = reduceModR(rawIssuerPubkeyX);
-  const issuerPubkeyY = reduceModR(rawIssuerPubkeyY);
-  
-  return {
-    credentialType: 'date_of_birth',
-    dateOfBirth: dateOfBirth.toString(),
-    userPubkey: userPubkey.toString(),
-    nonce: nonce.toString(),
-    signature: {
-      r: signatureR.toString(),
-      s: signatureS.toString()
-    },
-    issuerPubkey: {
-      x: issuerPubkeyX.toString(),
-      y: issuerPubkeyY.toString()
-    },
-    timestamp: Date.now(),
-    issuer: 'Issuer A (DMV)'
-  };
+  return decodeChallenge(event.args.challenge);
 }
 
 /**
- * Issue a citizenship credential (simulated - in production, this would be done by Issuer B)
+ * Persistent verification status of a wallet on AgeVerification: set when a proof is
+ * accepted by verifyAndConsume / verifyAndRecord, checked against the chain's clock.
+ * provider is any ethers runner (JsonRpcProvider, BrowserProvider, signer).
+ * @returns {Promise<{verified: boolean, verifiedUntil: number}>} verifiedUntil in Unix seconds, 0 if never verified
  */
-export async function issueCitizenshipCredential(citizenship, userPubkey, nonce, issuerPrivateKeyHex) {
-  // Similar to DOB credential, but for citizenship
-  const issuerPrivateKey = issuerPrivateKeyHex
-    ? hexToBytes(issuerPrivateKeyHex.replace(/^0x/, ''))
-    : utils.randomPrivateKey();
-  const issuerPubkey = getPublicKey(issuerPrivateKey, false);
-  
-  const citizenshipEncoded = encodeCitizenship(citizenship);
-  const poseidon = await getPoseidon();
-  const messageHash = poseidon([citizenshipEncoded, BigInt(userPubkey), BigInt(nonce)]);
-  
-  const messageBytes = new Uint8Array(32);
-  const messageBigInt = BigInt(poseidon.F.toString(messageHash));
-  for (let i = 0; i < 32; i++) {
-    messageBytes[31 - i] = Number((messageBigInt >> BigInt(i * 8)) & BigInt(0xff));
-  }
-  
-  const signature = await sign(messageBytes, issuerPrivateKey);
-  const sigBytes = signatureToBytes(signature);
-  const signatureR = BigInt(`0x${bytesToHex(sigBytes.slice(0, 32))}`);
-  const signatureS = BigInt(`0x${bytesToHex(sigBytes.slice(32, 64))}`);
-  
-  const rawIssuerPubkeyX = BigInt(`0x${bytesToHex(issuerPubkey.slice(1, 33))}`);
-  const rawIssuerPubkeyY = BigInt(`0x${bytesToHex(issuerPubkey.slice(33, 65))}`);
-  const issuerPubkeyX = reduceModR(rawIssuerPubkeyX);
-  const issuerPubkeyY = reduceModR(rawIssuerPubkeyY);
-  
-  return {
-    credentialType: 'citizenship',
-    citizenship: citizenship,
-    citizenshipEncoded: citizenshipEncoded.toString(),
-    userPubkey: userPubkey.toString(),
-    nonce: nonce.toString(),
-    signature: {
-      r: signatureR.toString(),
-      s: signatureS.toString()
-    },
-    issuerPubkey: {
-      x: issuerPubkeyX.toString(),
-      y: issuerPubkeyY.toString()
-    },
-    timestamp: Date.now(),
-    issuer: 'Issuer B (Immigration)'
-  };
+export async function getVerificationStatus(address, contractAddress, provider) {
+  const contract = new ethers.Contract(contractAddress, VERIFICATION_STATUS_ABI, provider);
+  const [verified, verifiedUntil] = await Promise.all([
+    contract.isVerified(address),
+    contract.verifiedUntil(address)
+  ]);
+  return { verified, verifiedUntil: Number(verifiedUntil) };
 }
 
 /**
- * Generate zero-knowledge proof
+ * Generate zero-knowledge proof, returned as a v2 presentation (proof, public signals,
+ * circuit, vkey hash, policy id, challenge - no private inputs).
+ * Throws if either credential is outside its validity window at currentDate, or has been revoked.
+ * revocationRegistry comes from fetchRevocationRegistry (default: nothing revoked, root 0).
+ * challenge comes from requestChallenge; without one the proof is only good for local checks.
+ * Credentials with a validity window need the age_citizenship_expiry artifacts, EdDSA-Poseidon
+ * signed ones the _eddsa variant (see getCircuitName);
+ * artifacts.circuit names the circuit the artifacts belong to (default: getCircuitName).
+ * policy is the minimum age, or { minAge, maxAge, requiredCitizenship } (defaults from DEFAULT_POLICY);
+ * a maxAge is packed into the age_policy signal with the minimum age;
+ * _calendar artifacts count age from the birthday (same inputs).
  * Note: This requires the circuit to be compiled and trusted setup to be run
  * In a production frontend, this might be done server-side due to computational requirements
  */
-export async function generateProof(dobCredential, citizenshipCredential, currentDate, minAge, artifacts, subjectWalletAddress) {
+export async function generateProof(dobCredential, citizenshipCredential, currentDate, policy, artifacts, subjectWalletAddress, revocationRegistry, challenge) {
+  const resolvedPolicy = normalizePolicy(policy !== null && typeof policy === 'object'
+    ? { ...DEFAULT_POLICY, ...policy }
+    : { ...DEFAULT_POLICY, minAge: policy });
+  const { minAge, maxAge, requiredCitizenship } = resolvedPolicy;
+  const calendar = Boolean(artifacts?.circuit?.endsWith('_calendar'));
   if (!artifacts?.wasm || !artifacts?.zkey) {
+    const circuitName = getCircuitName(dobCredential, citizenshipCredential, { calendar });
     throw new Error(
-      'Missing circuit artifacts. Select age_citizenship.wasm and age_citizenship_final.zkey first.'
+      `Missing circuit artifacts. Select ${circuitName}.wasm and ${circuitName}_final.zkey first.`
     );
   }
-
-  const dateOfBirth = BigInt(dobCredential.dateOfBirth);
-  const citizenship = encodeCitizenship(citizenshipCredential.citizenship);
-  const signatureAR = BigInt(dobCredential.signature.r);
-  const signatureAS = BigInt(dobCredential.signature.s);
-  const signatureBR = BigInt(citizenshipCredential.signature.r);
-  const signatureBS = BigInt(citizenshipCredential.signature.s);
-  const nonceA = BigInt(dobCredential.nonce);
-  const nonceB = BigInt(citizenshipCredential.nonce);
-
-  const userPubkey = BigInt(dobCredential.userPubkey);
-  if (userPubkey.toString() !== citizenshipCredential.userPubkey) {
-    throw new Error('Credentials do not belong to the same user.');
-  }
   if (!subjectWalletAddress) {
     throw new Error('Missing subject wallet address.');
   }
-  const subjectWallet = BigInt(subjectWalletAddress);
-  if (userPubkey !== subjectWallet) {
-    throw new Error('Wallet address does not match the credential subject.');
-  }
-
-  const currentDateInput = BigInt(Math.floor(currentDate.getTime() / 1000));
-  const minAgeInput = BigInt(minAge);
-  const requiredCitizenship = encodeCitizenship('US');
-  const issuerAPubkeyX = BigInt(dobCredential.issuerPubkey.x);
-  const issuerAPubkeyY = BigInt(dobCredential.issuerPubkey.y);
-  const issuerBPubkeyX = BigInt(citizenshipCredential.issuerPubkey.x);
-  const issuerBPubkeyY = BigInt(citizenshipCredential.issuerPubkey.y);
-
-  const input = {
-    date_of_birth: dateOfBirth.toString(),
-    citizenship: citizenship.toString(),
-    signature_a_r: signatureAR.toString(),
-    signature_a_s: signatureAS.toString(),
-    signature_b_r: signatureBR.toString(),
-    signature_b_s: signatureBS.toString(),
-    nonce_a: nonceA.toString(),
-    nonce_b: nonceB.toString(),
-    current_date: currentDateInput.toString(),
-    min_age: minAgeInput.toString(),
-    required_citizenship: requiredCitizenship.toString(),
-    issuer_a_pubkey_x: issuerAPubkeyX.toString(),
-    issuer_a_pubkey_y: issuerAPubkeyY.toString(),
-    issuer_b_pubkey_x: issuerBPubkeyX.toString(),
-    issuer_b_pubkey_y: issuerBPubkeyY.toString(),
-    user_pubkey: userPubkey.toString(),
-    subject_wallet: subjectWallet.toString()
-  };
-
-  const wasmData = artifacts.wasm instanceof Uint8Array ? artifacts.wasm : new Uint8Array(artifacts.wasm);
-  const zkeyData = artifacts.zkey instanceof Uint8Array ? artifacts.zkey : new Uint8Array(artifacts.zkey);
-
-  const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasmData, zkeyData);
 
-  return {
+  const revocation = await buildRevocationInputs(dobCredential, citizenshipCredential, revocationRegistry);
+  const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+    currentDate,
+    minAge,
+    maxAge,
+    requiredCitizenship,
+    subjectWallet: subjectWalletAddress,
+    revocation,
+    challenge,
+    calendar
+  });
+
+  const { proof, publicSignals } = await proveCircuit(input, artifacts);
+  return createPresentation({
+    circuit: artifacts.circuit || getCircuitName(dobCredential, citizenshipCredential, { calendar }),
     proof,
-    publicSignals: publicSignals.map((signal) => signal.toString())
-  };
+    publicSignals,
+    vkey: await exportVerificationKey(artifacts.zkey),
+    policy: resolvedPolicy
+  });
 }
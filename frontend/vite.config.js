@@ -9,13 +9,20 @@ export default defineConfig({
   },
   server: {
     port: 3000,
-    open: true
+    open: true,
+    fs: {
+      // The shared credential SDK lives outside the frontend root
+      allow: [resolve(__dirname, '..')]
+    }
   },
   resolve: {
     alias: {
       '@': '/src',
-      buffer: resolve(__dirname, 'node_modules/buffer/')
-    }
+      buffer: resolve(__dirname, 'node_modules/buffer/'),
+      'zk-credential-sdk': resolve(__dirname, '../sdk/src/index.js')
+    },
+    // Resolve the SDK's dependencies from the frontend's node_modules
+    dedupe: ['@noble/secp256k1', 'circomlibjs', 'ethers', 'snarkjs']
   },
   define: {
     global: 'globalThis'
@@ -40,6 +40,28 @@ contract Deploy is Script {
         );
         console.log(" AgeVerification deployed at:", address(ageVerification));
         
+        // Optional: accept only proofs made within PROOF_FRESHNESS_WINDOW seconds (default: 365 days)
+        uint256 freshnessWindow = vm.envOr("PROOF_FRESHNESS_WINDOW", uint256(0));
+        if (freshnessWindow != 0) {
+            ageVerification.setProofFreshnessWindow(freshnessWindow);
+        }
+        console.log(" Proof freshness window (s):", ageVerification.proofFreshnessWindow());
+        
+        // Optional: how long an accepted proof keeps a wallet verified (default: 30 days)
+        uint256 verificationValidity = vm.envOr("VERIFICATION_VALIDITY", uint256(0));
+        if (verificationValidity != 0) {
+            ageVerification.setVerificationValidity(verificationValidity);
+        }
+        console.log(" Verification validity (s):", ageVerification.verificationValidity());
+        
+        // Optional: age bounds, e.g. MIN_AGE=18 MAX_AGE=21 for 18 <= age < 21 (default: 18+, no maximum).
+        uint256 minAge = vm.envOr("MIN_AGE", MIN_AGE);
+        uint256 maxAge = vm.envOr("MAX_AGE", uint256(0));
+        if (minAge != MIN_AGE || maxAge != 0) {
+            ageVerification.setAgePolicy(minAge, maxAge);
+        }
+        console.log(" Age policy (public input [1]):", ageVerification.agePolicy());
+        
         // Note: In a real deployment, you would register issuer keys here
         // For example:
         // ageVerification.addTrustedIssuerA(issuerAPubkeyX, issuerAPubkeyY);
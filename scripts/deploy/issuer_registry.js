@@ -0,0 +1,128 @@
+/**
+ * Issuer Registry Helpers (deploy scripts)
+ *
+ * AgeVerification keeps a registry of trusted issuers: per public key a name,
+ * jurisdiction, the credential schemas it may sign, a validity period and who
+ * added it. Schemas are stored as a bitmask, one bit per credential type the
+ * circuit checks (date_of_birth for Issuer A, citizenship for Issuer B).
+ * Shared by manage_issuers.js, register_issuers.js and verifier_context.js.
+ */
+
+const { ethers } = require('ethers');
+
+const ISSUER_REGISTRY_ABI = [
+    'function owner() external view returns (address)',
+    'function isRegistrar(address) external view returns (bool)',
+    'function getIssuerKeys() external view returns (bytes32[])',
+    'function issuers(bytes32) external view returns (uint256 pubkeyX, uint256 pubkeyY, string name, string jurisdiction, uint8 schemas, uint8 status, uint64 validFrom, uint64 validUntil, address addedBy, uint64 addedAt)',
+    'function isTrustedIssuer(bytes32, uint8) external view returns (bool)',
+    'function addIssuer(uint256 pubkeyX, uint256 pubkeyY, string name, string jurisdiction, uint8 schemas, uint64 validFrom, uint64 validUntil) external returns (bytes32)',
+    'function suspendIssuer(bytes32) external',
+    'function reinstateIssuer(bytes32) external',
+    'function removeIssuer(bytes32) external',
+    'function setRegistrar(address, bool) external'
+];
+
+// Must match AgeVerification.SCHEMA_*
+const ISSUER_SCHEMA_BITS = {
+    date_of_birth: 1,
+    citizenship: 2
+};
+
+// AgeVerification.IssuerStatus, by value
+const ISSUER_STATUSES = ['none', 'active', 'suspended'];
+
+/**
+ * Registry schema bitmask from credential schema ids
+ * @param {string[]|string} schemas - Schema ids, or a comma-separated list
+ * @returns {number}
+ */
+function encodeIssuerSchemas(schemas) {
+    const ids = typeof schemas === 'string' ? schemas.split(',').map((id) => id.trim()).filter(Boolean) : schemas;
+    if (!ids || ids.length === 0) {
+        throw new Error(`Give at least one credential schema (${Object.keys(ISSUER_SCHEMA_BITS).join(', ')})`);
+    }
+    return ids.reduce((mask, id) => {
+        if (!ISSUER_SCHEMA_BITS[id]) {
+            throw new Error(`Unknown credential schema: ${id} (expected ${Object.keys(ISSUER_SCHEMA_BITS).join(', ')})`);
+        }
+        return mask | ISSUER_SCHEMA_BITS[id];
+    }, 0);
+}
+
+/**
+ * Credential schema ids from a registry schema bitmask
+ * @param {number|bigint} mask
+ * @returns {string[]}
+ */
+function decodeIssuerSchemas(mask) {
+    return Object.entries(ISSUER_SCHEMA_BITS)
+        .filter(([, bit]) => (Number(mask) & bit) !== 0)
+        .map(([id]) => id);
+}
+
+/**
+ * One registry entry in plain form
+ * @param {string} key - Registry key
+ * @param {ethers.Result} entry - AgeVerification.issuers(key)
+ * @param {number} [now] - Unix seconds to evaluate the validity period at (default: entry is not evaluated)
+ * @returns {Object}
+ */
+function toIssuerEntry(key, entry, now) {
+    const issuer = {
+        key,
+        name: entry.name,
+        jurisdiction: entry.jurisdiction,
+        schemas: decodeIssuerSchemas(entry.schemas),
+        status: ISSUER_STATUSES[Number(entry.status)],
+        validFrom: Number(entry.validFrom),
+        validUntil: Number(entry.validUntil),
+        addedBy: entry.addedBy,
+        addedAt: Number(entry.addedAt),
+        pubkey: { x: entry.pubkeyX.toString(), y: entry.pubkeyY.toString() }
+    };
+    if (now !== undefined) {
+        issuer.trusted = issuer.status === 'active' &&
+            now >= issuer.validFrom &&
+            (issuer.validUntil === 0 || now <= issuer.validUntil);
+    }
+    return issuer;
+}
+
+/**
+ * Every issuer in the registry, suspended and expired ones included
+ * @param {ethers.Contract} contract - AgeVerification with ISSUER_REGISTRY_ABI
+ * @returns {Promise<Object[]>} Entries with `trusted` evaluated at the latest block
+ */
+async function listIssuers(contract) {
+    const [keys, block] = await Promise.all([
+        contract.getIssuerKeys(),
+        contract.runner.provider.getBlock('latest')
+    ]);
+    const entries = await Promise.all(keys.map((key) => contract.issuers(key)));
+    return keys.map((key, index) => toIssuerEntry(key.toLowerCase(), entries[index], block.timestamp));
+}
+
+/**
+ * AgeVerification with the registry ABI
+ * @param {string} contractAddress
+ * @param {ethers.ContractRunner} runner - Provider for reads, signer for changes
+ * @returns {ethers.Contract}
+ */
+function connectIssuerRegistry(contractAddress, runner) {
+    if (!contractAddress) {
+        throw new Error('Set CONTRACT_ADDRESS to the AgeVerification whose issuer registry to use');
+    }
+    return new ethers.Contract(contractAddress, ISSUER_REGISTRY_ABI, runner);
+}
+
+module.exports = {
+    ISSUER_REGISTRY_ABI,
+    ISSUER_SCHEMA_BITS,
+    ISSUER_STATUSES,
+    encodeIssuerSchemas,
+    decodeIssuerSchemas,
+    toIssuerEntry,
+    listIssuers,
+    connectIssuerRegistry
+};
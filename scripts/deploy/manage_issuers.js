@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Issuer Registry Admin
+ *
+ * Lists and manages the trusted issuers of AgeVerification: any number of
+ * issuers per credential schema, each with a name, jurisdiction and validity
+ * period. Suspended issuers stay listed but their credentials are rejected
+ * until they are reinstated; removed issuers are deleted.
+ *
+ * Usage:
+ *   npm run issuers -- list [--json]
+ *   npm run issuers -- add <public key | key file> --name <name> --schemas <ids> [--jurisdiction <code>]
+ *                      [--valid-from <date>] [--valid-until <date>]
+ *   npm run issuers -- suspend <issuer>
+ *   npm run issuers -- reinstate <issuer>
+ *   npm run issuers -- remove <issuer>
+ *   npm run issuers -- registrar <address> [--revoke]      # owner only
+ *
+ * <issuer> is a registry key (0x + 64 hex) or a secp256k1 public key. A key
+ * file is an issuer key JSON such as .issuer_a_key.json; with
+ * ISSUER_SIGNATURE_SCHEME=eddsa-poseidon its BabyJubJub key is registered. An
+ * EdDSA-Poseidon issuer can also be added by its point, "<x>,<y>". --schemas takes
+ * date_of_birth, citizenship or both, comma-separated. Dates are YYYY-MM-DD
+ * (UTC; --valid-until covers the whole day), ISO timestamps or Unix seconds.
+ *
+ * CONTRACT_ADDRESS selects the contract, RPC_URL the chain (default:
+ * http://127.0.0.1:8545). Changes are sent from REGISTRAR_PRIVATE_KEY or
+ * DEPLOYER_PRIVATE_KEY, which must be the owner or an appointed registrar.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { reducePublicKey, getIssuerPublicKeyHex, getEddsaIssuerPubkey, SIGNATURE_SCHEMES } = require('../../sdk');
+const { credentialSignatureScheme } = require('../issuers/signature_scheme');
+const { issuerRegistryKey } = require('../verifier/verification_records');
+const { resolveIssuerKey, parseDateArg } = require('../verifier/query_verifications');
+const { encodeIssuerSchemas, listIssuers, connectIssuerRegistry } = require('./issuer_registry');
+
+const USAGE =
+    'Usage: npm run issuers -- list [--json]\n' +
+    '       npm run issuers -- add <public key | key file> --name <name> --schemas <ids> [--jurisdiction <code>]\n' +
+    '                              [--valid-from <date>] [--valid-until <date>]\n' +
+    '       npm run issuers -- suspend|reinstate|remove <registry key | public key>\n' +
+    '       npm run issuers -- registrar <address> [--revoke]';
+
+// Registry method and past tense for each per-issuer command
+const STATUS_ACTIONS = {
+    suspend: ['suspendIssuer', 'suspended'],
+    reinstate: ['reinstateIssuer', 'reinstated'],
+    remove: ['removeIssuer', 'removed']
+};
+
+const VALUE_FLAGS = ['--name', '--jurisdiction', '--schemas', '--valid-from', '--valid-until'];
+
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (VALUE_FLAGS.includes(args[i])) {
+            flags[args[i].slice(2)] = args[++i];
+        } else if (args[i] === '--json' || args[i] === '--revoke') {
+            flags[args[i].slice(2)] = true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+/**
+ * Issuer public key, reduced as the contract stores it, from a public key or an issuer key file
+ * @param {string} value - Compressed/uncompressed public key hex, a BabyJubJub point "<x>,<y>", or a key file path
+ * @param {string} [signatureScheme] - Scheme the key file's issuer signs with (default: ISSUER_SIGNATURE_SCHEME)
+ * @returns {Promise<{x: bigint, y: bigint}>}
+ */
+async function resolveIssuerPublicKey(value, signatureScheme = credentialSignatureScheme()) {
+    if (/^\d+,\d+$/.test(value)) {
+        const [x, y] = value.split(',').map(BigInt);
+        return { x, y };
+    }
+    if (fs.existsSync(value)) {
+        const keyFile = JSON.parse(fs.readFileSync(value, 'utf8'));
+        if (signatureScheme === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+            if (!keyFile.privateKey) {
+                throw new Error(`${value} has no privateKey to derive the EdDSA-Poseidon key from`);
+            }
+            return getEddsaIssuerPubkey(keyFile.privateKey);
+        }
+        const publicKey = keyFile.publicKeyUncompressed ||
+            (keyFile.privateKey && getIssuerPublicKeyHex(keyFile.privateKey));
+        if (!publicKey) {
+            throw new Error(`${value} has neither publicKeyUncompressed nor privateKey`);
+        }
+        return reducePublicKey(publicKey);
+    }
+    return reducePublicKey(value);
+}
+
+/**
+ * Add an issuer to the registry
+ * @param {ethers.Contract} contract - Registry connected to the owner or a registrar
+ * @param {Object} issuer
+ * @param {string} issuer.publicKey - Public key hex, BabyJubJub point or key file (see resolveIssuerPublicKey)
+ * @param {string} issuer.name - Display name
+ * @param {string|string[]} issuer.schemas - Credential schema ids
+ * @param {string} [issuer.jurisdiction='']
+ * @param {number} [issuer.validFrom=0] - Unix seconds, 0 = immediately
+ * @param {number} [issuer.validUntil=0] - Unix seconds, 0 = no expiry
+ * @returns {Promise<{key: string, txHash: string}>}
+ */
+async function addIssuer(contract, { publicKey, name, schemas, jurisdiction = '', validFrom = 0, validUntil = 0 }) {
+    if (!name) {
+        throw new Error('An issuer needs a --name');
+    }
+    const { x, y } = await resolveIssuerPublicKey(publicKey);
+    const mask = encodeIssuerSchemas(schemas);
+    const receipt = await (await contract.addIssuer(x, y, name, jurisdiction, mask, validFrom, validUntil)).wait();
+    return { key: issuerRegistryKey(x, y), txHash: receipt.hash };
+}
+
+function formatTime(seconds) {
+    return new Date(seconds * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+function printIssuers(issuers) {
+    if (issuers.length === 0) {
+        console.log('   (no issuers registered)');
+        return;
+    }
+    for (const issuer of issuers) {
+        const jurisdiction = issuer.jurisdiction ? ` [${issuer.jurisdiction}]` : '';
+        const state = issuer.status === 'active' && !issuer.trusted ? 'outside validity period' : issuer.status;
+        console.log(`   ${issuer.trusted ? '✅' : '⛔'} ${issuer.name || '(unnamed)'}${jurisdiction}  ${state}`);
+        console.log(`      key ${issuer.key}`);
+        console.log(`      schemas ${issuer.schemas.join(', ')}`);
+        console.log(`      valid ${issuer.validFrom ? formatTime(issuer.validFrom) : 'from registration'} until ${issuer.validUntil ? formatTime(issuer.validUntil) : 'no expiry'}`);
+        console.log(`      added by ${issuer.addedBy} at ${formatTime(issuer.addedAt)}`);
+    }
+}
+
+function registrarWallet(provider, env = process.env) {
+    const privateKey = env.REGISTRAR_PRIVATE_KEY || env.DEPLOYER_PRIVATE_KEY;
+    if (!privateKey) {
+        throw new Error('Set REGISTRAR_PRIVATE_KEY or DEPLOYER_PRIVATE_KEY to the owner or a registrar');
+    }
+    return new ethers.Wallet(privateKey, provider);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const { positional: [command, target, ...rest], flags } = parseArgs(process.argv.slice(2));
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545');
+    const contractAddress = process.env.CONTRACT_ADDRESS;
+
+    if (command === 'list' && !target) {
+        const issuers = await listIssuers(connectIssuerRegistry(contractAddress, provider));
+        if (flags.json) {
+            console.log(JSON.stringify(issuers, null, 2));
+            return issuers;
+        }
+        console.log('🏛️  Issuer Registry');
+        console.log('==================\n');
+        console.log(`📋 ${issuers.length} issuer(s) on ${contractAddress}, ${issuers.filter((issuer) => issuer.trusted).length} trusted now\n`);
+        printIssuers(issuers);
+        return issuers;
+    }
+
+    if (!['add', 'registrar', ...Object.keys(STATUS_ACTIONS)].includes(command) || !target || rest.length > 0) {
+        throw new Error(USAGE);
+    }
+    const contract = connectIssuerRegistry(contractAddress, registrarWallet(provider));
+
+    if (command === 'add') {
+        console.log(`➕ Adding issuer "${flags.name}" (${flags.schemas})...`);
+        const { key, txHash } = await addIssuer(contract, {
+            publicKey: target,
+            name: flags.name,
+            schemas: flags.schemas,
+            jurisdiction: flags.jurisdiction,
+            validFrom: flags['valid-from'] ? parseDateArg(flags['valid-from']) : 0,
+            validUntil: flags['valid-until'] ? parseDateArg(flags['valid-until'], true) : 0
+        });
+        console.log(`   Transaction: ${txHash}`);
+        console.log(`\n✅ Issuer added, registry key ${key}`);
+        return { key, txHash };
+    }
+
+    if (command === 'registrar') {
+        const account = ethers.getAddress(target);
+        const receipt = await (await contract.setRegistrar(account, !flags.revoke)).wait();
+        console.log(`   Transaction: ${receipt.hash}`);
+        console.log(`\n✅ ${account} ${flags.revoke ? 'is no longer' : 'is now'} a registrar`);
+        return { txHash: receipt.hash };
+    }
+
+    const [method, done] = STATUS_ACTIONS[command];
+    const key = resolveIssuerKey(target);
+    const receipt = await (await contract[method](key)).wait();
+    console.log(`   Transaction: ${receipt.hash}`);
+    console.log(`\n✅ Issuer ${key} ${done}`);
+    return { key, txHash: receipt.hash };
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { resolveIssuerPublicKey, addIssuer, main };
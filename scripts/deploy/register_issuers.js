@@ -1,39 +1,88 @@
 #!/usr/bin/env node
 /**
- * Register Issuer A/B public keys on AgeVerification.
+ * Register Issuer A/B public keys in the AgeVerification issuer registry.
+ *
+ * Issuer A (DMV) is trusted for date_of_birth credentials and Issuer B (Immigration)
+ * for citizenship, both in the US with no expiry. Keys already in the registry are
+ * left alone; manage other issuers with `npm run issuers`.
+ *
+ * Each issuer key can be given as a full secp256k1 public key, 65-byte uncompressed (0x04...)
+ * or 33-byte compressed (0x02.../0x03...), via ISSUER_A_PUBLIC_KEY / ISSUER_B_PUBLIC_KEY,
+ * or as a private key (ISSUER_*_PRIVATE_KEY or .issuer_*_key.json). The contract stores the
+ * coordinates reduced mod the BN254 scalar field.
+ *
+ * With ISSUER_SIGNATURE_SCHEME=eddsa-poseidon the issuers sign with EdDSA over BabyJubJub and
+ * are registered under their BabyJubJub public key instead, derived from the private key
+ * (ISSUER_*_PUBLIC_KEY is then "<x>,<y>", the point's decimal coordinates).
  */
 
 const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
-const { getPublicKey } = require('@noble/secp256k1');
-const { bytesToHex, hexToBytes } = require('@noble/hashes/utils');
-
-const AGE_VERIFICATION_ABI = [
-  'function addTrustedIssuerA(uint256,uint256) external',
-  'function addTrustedIssuerB(uint256,uint256) external'
-];
-
-const BN254_SCALAR_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+const { reducePublicKey, getIssuerPublicKeyHex, getEddsaIssuerPubkey, SIGNATURE_SCHEMES } = require('../../sdk');
+const { credentialSignatureScheme } = require('../issuers/signature_scheme');
+const { issuerRegistryKey } = require('../verifier/verification_records');
+const { ISSUER_REGISTRY_ABI, ISSUER_SCHEMA_BITS } = require('./issuer_registry');
 
 const ROOT = path.join(__dirname, '../..');
 const ISSUER_A_FILE = path.join(ROOT, '.issuer_a_key.json');
 const ISSUER_B_FILE = path.join(ROOT, '.issuer_b_key.json');
 
-function readIssuerPrivateKey(filePath) {
-  if (!fs.existsSync(filePath)) return null;
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  return data.privateKey ? `0x${data.privateKey}` : null;
+function readIssuerKeyFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
 }
 
-function derivePubkey(privateKeyHex) {
-  const priv = hexToBytes(privateKeyHex.replace(/^0x/, ''));
-  const pubkey = getPublicKey(priv, false);
-  const rawX = BigInt(`0x${bytesToHex(pubkey.slice(1, 33))}`);
-  const rawY = BigInt(`0x${bytesToHex(pubkey.slice(33, 65))}`);
-  const x = (rawX % BN254_SCALAR_FIELD).toString();
-  const y = (rawY % BN254_SCALAR_FIELD).toString();
-  return { x, y };
+/**
+ * Full public key for an issuer from (in order) ISSUER_<X>_PUBLIC_KEY,
+ * ISSUER_<X>_PRIVATE_KEY, or the issuer key file.
+ */
+function resolveIssuerPublicKey(label, filePath) {
+  const publicKey = process.env[`ISSUER_${label}_PUBLIC_KEY`];
+  if (publicKey) return publicKey;
+
+  const privateKey = process.env[`ISSUER_${label}_PRIVATE_KEY`];
+  if (privateKey) return getIssuerPublicKeyHex(privateKey);
+
+  const keyFile = readIssuerKeyFile(filePath);
+  if (keyFile.publicKeyUncompressed) return keyFile.publicKeyUncompressed;
+  if (keyFile.privateKey) return getIssuerPublicKeyHex(keyFile.privateKey);
+  return null;
+}
+
+function derivePubkey(publicKeyHex) {
+  const { x, y } = reducePublicKey(publicKeyHex);
+  return { x: x.toString(), y: y.toString() };
+}
+
+/**
+ * BabyJubJub public key of an EdDSA-Poseidon issuer from (in order) ISSUER_<X>_PUBLIC_KEY
+ * ("<x>,<y>"), ISSUER_<X>_PRIVATE_KEY, or the private key in the issuer key file.
+ */
+async function resolveEddsaPubkey(label, filePath) {
+  const publicKey = process.env[`ISSUER_${label}_PUBLIC_KEY`];
+  if (publicKey) {
+    const [x, y] = publicKey.split(',').map((coordinate) => BigInt(coordinate.trim()).toString());
+    if (y === undefined) {
+      throw new Error(`ISSUER_${label}_PUBLIC_KEY must be "<x>,<y>" for EdDSA-Poseidon issuers`);
+    }
+    return { x, y };
+  }
+  const privateKey = process.env[`ISSUER_${label}_PRIVATE_KEY`] || readIssuerKeyFile(filePath).privateKey;
+  if (!privateKey) return null;
+  const { x, y } = await getEddsaIssuerPubkey(privateKey);
+  return { x: x.toString(), y: y.toString() };
+}
+
+/**
+ * Issuer key as the contract registers it, for the configured signature scheme
+ */
+async function resolveIssuerPubkey(label, filePath, signatureScheme) {
+  if (signatureScheme === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+    return resolveEddsaPubkey(label, filePath);
+  }
+  const publicKey = resolveIssuerPublicKey(label, filePath);
+  return publicKey ? derivePubkey(publicKey) : null;
 }
 
 async function main() {
@@ -49,34 +98,37 @@ async function main() {
     process.exit(1);
   }
 
-  const issuerAPrivateKey =
-    process.env.ISSUER_A_PRIVATE_KEY || readIssuerPrivateKey(ISSUER_A_FILE);
-  const issuerBPrivateKey =
-    process.env.ISSUER_B_PRIVATE_KEY || readIssuerPrivateKey(ISSUER_B_FILE);
+  const signatureScheme = credentialSignatureScheme();
+  const issuerA = await resolveIssuerPubkey('A', ISSUER_A_FILE, signatureScheme);
+  const issuerB = await resolveIssuerPubkey('B', ISSUER_B_FILE, signatureScheme);
 
-  if (!issuerAPrivateKey || !issuerBPrivateKey) {
-    console.error('❌ Missing issuer private keys (env or .issuer_*_key.json)');
+  if (!issuerA || !issuerB) {
+    console.error('❌ Missing issuer keys (ISSUER_*_PUBLIC_KEY, ISSUER_*_PRIVATE_KEY or .issuer_*_key.json)');
     process.exit(1);
   }
 
-  const issuerA = derivePubkey(issuerAPrivateKey);
-  const issuerB = derivePubkey(issuerBPrivateKey);
-
   const rpcUrl = process.env.RPC_URL || 'http://127.0.0.1:8545';
   const provider = new ethers.JsonRpcProvider(rpcUrl);
   const signer = new ethers.Wallet(deployerPrivateKey, provider);
-  const contract = new ethers.Contract(contractAddress, AGE_VERIFICATION_ABI, signer);
+  const contract = new ethers.Contract(contractAddress, ISSUER_REGISTRY_ABI, signer);
 
-  console.log(`📦 Registering issuers on ${contractAddress}`);
+  console.log(`📦 Registering ${signatureScheme} issuers on ${contractAddress}`);
   console.log(`   Issuer A pubkey: x=${issuerA.x} y=${issuerA.y}`);
   console.log(`   Issuer B pubkey: x=${issuerB.x} y=${issuerB.y}`);
 
-  const baseNonce = await provider.getTransactionCount(signer.address, 'pending');
-  const txA = await contract.addTrustedIssuerA(issuerA.x, issuerA.y, { nonce: baseNonce });
-  await txA.wait();
-
-  const txB = await contract.addTrustedIssuerB(issuerB.x, issuerB.y, { nonce: baseNonce + 1 });
-  await txB.wait();
+  const issuers = [
+    { ...issuerA, name: 'Issuer A (DMV)', schemas: ISSUER_SCHEMA_BITS.date_of_birth },
+    { ...issuerB, name: 'Issuer B (Immigration)', schemas: ISSUER_SCHEMA_BITS.citizenship }
+  ];
+  for (const issuer of issuers) {
+    const entry = await contract.issuers(issuerRegistryKey(issuer.x, issuer.y));
+    if (entry.status !== 0n) {
+      console.log(`   ${issuer.name} is already registered`);
+      continue;
+    }
+    const tx = await contract.addIssuer(issuer.x, issuer.y, issuer.name, 'US', issuer.schemas, 0, 0);
+    await tx.wait();
+  }
 
   console.log('✅ Issuers registered successfully.');
 }
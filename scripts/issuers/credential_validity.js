@@ -0,0 +1,28 @@
+/**
+ * Credential Validity (issuer scripts)
+ *
+ * Issued credentials commit an issuedAt / validUntil window into the signed
+ * message, so holders must re-verify with the issuer once it lapses.
+ * The window defaults to DEFAULT_CREDENTIAL_VALIDITY_SECONDS (one year) and
+ * can be changed with CREDENTIAL_VALIDITY_DAYS.
+ */
+
+const { DEFAULT_CREDENTIAL_VALIDITY_SECONDS } = require('../../sdk');
+
+/**
+ * Validity window length, in seconds, for newly issued credentials
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {number}
+ */
+function credentialValiditySeconds(env = process.env) {
+    if (env.CREDENTIAL_VALIDITY_DAYS === undefined || env.CREDENTIAL_VALIDITY_DAYS === '') {
+        return DEFAULT_CREDENTIAL_VALIDITY_SECONDS;
+    }
+    const days = Number(env.CREDENTIAL_VALIDITY_DAYS);
+    if (!Number.isInteger(days) || days <= 0) {
+        throw new Error(`CREDENTIAL_VALIDITY_DAYS must be a positive whole number of days, got ${env.CREDENTIAL_VALIDITY_DAYS}`);
+    }
+    return days * 24 * 60 * 60;
+}
+
+module.exports = { credentialValiditySeconds };
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Generic Credential Issuance Script
+ *
+ * Issues a signed credential for any schema in the SDK's schema registry
+ * (date_of_birth, citizenship, accredited_investor, residency_state, ...),
+ * so new attribute credentials do not need their own issuer script.
+ *
+ * Usage:
+ *   npm run issuer:issue -- --list
+ *   npm run issuer:issue -- <schemaId> '<claims JSON>' [userPubkey] [nonce]
+ *
+ * Example:
+ *   ISSUER_KEY_FILE=.issuer_a_key.json \
+ *     npm run issuer:issue -- accredited_investor '{"accredited":true,"jurisdiction":"US"}' 0x90F8...
+ *
+ * The issuer key is read from ISSUER_PRIVATE_KEY (hex) or ISSUER_KEY_FILE
+ * (a JSON file with a "privateKey" field, like .issuer_a_key.json).
+ * Credentials are valid for one year, or CREDENTIAL_VALIDITY_DAYS days, and
+ * signed with ECDSA unless ISSUER_SIGNATURE_SCHEME=eddsa-poseidon.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { issueCredential, listSchemas, getSchema, VALIDITY_MESSAGE_INPUTS } = require('../../sdk');
+const { credentialValiditySeconds } = require('./credential_validity');
+const { credentialSignatureScheme } = require('./signature_scheme');
+
+const CREDENTIALS_DIR = path.join(__dirname, '../../credentials');
+
+function printSchemas() {
+    console.log('📚 Registered credential schemas:\n');
+    for (const schema of listSchemas()) {
+        const fields = schema.fields.map((field) => `${field.name}:${field.encoding}`).join(', ');
+        console.log(`   ${schema.id.padEnd(22)} ${schema.title}`);
+        console.log(`   ${''.padEnd(22)} fields: ${fields}`);
+        console.log(`   ${''.padEnd(22)} message: Poseidon(${[...schema.messageLayout, ...VALIDITY_MESSAGE_INPUTS].join(', ')})\n`);
+    }
+}
+
+function loadIssuerPrivateKey() {
+    if (process.env.ISSUER_PRIVATE_KEY) {
+        return process.env.ISSUER_PRIVATE_KEY;
+    }
+    const keyFile = process.env.ISSUER_KEY_FILE;
+    if (!keyFile) {
+        throw new Error('Missing issuer key: set ISSUER_PRIVATE_KEY or ISSUER_KEY_FILE');
+    }
+    const keyData = JSON.parse(fs.readFileSync(path.resolve(keyFile), 'utf8'));
+    if (!keyData.privateKey) {
+        throw new Error(`No privateKey found in ${keyFile}`);
+    }
+    return keyData.privateKey;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0 || args[0] === '--list') {
+        printSchemas();
+        return null;
+    }
+
+    console.log('🏛️  Credential Issuance');
+    console.log('========================\n');
+
+    const [schemaId, claimsJson, subjectArg, nonceArg] = args;
+    const schema = getSchema(schemaId);
+    if (!claimsJson) {
+        throw new Error(`Missing claims JSON for ${schemaId}. Fields: ${schema.fields.map((f) => f.name).join(', ')}`);
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(claimsJson);
+    } catch (error) {
+        throw new Error(`Claims must be valid JSON: ${error.message}`);
+    }
+
+    const subject = subjectArg || process.env.SUBJECT_WALLET;
+    if (!subject) {
+        throw new Error('Missing subject: pass a user pubkey / wallet address or set SUBJECT_WALLET');
+    }
+
+    console.log(`📋 Schema: ${schema.title} (${schema.id})`);
+    console.log(`   Subject: ${subject}`);
+    console.log(`   Claims:  ${JSON.stringify(claims)}\n`);
+
+    const signatureScheme = credentialSignatureScheme();
+    console.log(`🔏 Signing credential (${signatureScheme})...`);
+    const credential = await issueCredential(schema.id, claims, subject, loadIssuerPrivateKey(), {
+        nonce: nonceArg,
+        issuer: process.env.ISSUER_NAME,
+        validForSeconds: credentialValiditySeconds(),
+        signatureScheme
+    });
+
+    if (!fs.existsSync(CREDENTIALS_DIR)) {
+        fs.mkdirSync(CREDENTIALS_DIR, { recursive: true });
+    }
+
+    const credentialPath = path.join(CREDENTIALS_DIR, `${schema.id}_credential.json`);
+    fs.writeFileSync(credentialPath, JSON.stringify(credential, null, 2));
+
+    console.log(`⏳ Valid until: ${new Date(Number(credential.validUntil) * 1000).toISOString()}`);
+    console.log('✅ Credential issued and saved!');
+    console.log(`📁 Location: ${credentialPath}`);
+    console.log(`👛 Keep it in the encrypted wallet: npm run wallet -- import ${path.relative(process.cwd(), credentialPath)}\n`);
+    console.log('📄 Credential Details:');
+    console.log(JSON.stringify(credential, null, 2));
+
+    return credential;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -5,96 +5,43 @@
  * 
  * This script simulates Issuer A (e.g., DMV) issuing a date of birth credential.
  * In production, this would be done by a trusted authority with proper authentication.
+ *
+ * The credential is only bound to a wallet the subject proves it controls
+ * (see wallet_ownership.js):
+ *   npm run issuer:a -- challenge <wallet> [--eip712]
+ *   npm run sign:challenge -- <challenge file>
+ *   npm run issuer:a -- <dob> <wallet> <nonce> --signature <signature>
+ *
+ * <dob> is the birth date as YYYY-MM-DD (UTC), from 1900-01-01 up to today;
+ * the credential signs it as days since 1900-01-01 (docs/DATE_ENCODING.md).
+ *
+ * Set ISSUER_SIGNATURE_SCHEME=eddsa-poseidon to sign with EdDSA-Poseidon over
+ * BabyJubJub (verified for real in the circuit) instead of secp256k1 ECDSA.
  */
 
-const secp256k1 = require('@noble/secp256k1');
-const { hmac } = require('@noble/hashes/hmac');
-const { sha256 } = require('@noble/hashes/sha256');
-const { buildPoseidon } = require('circomlibjs');
-const { HDNodeWallet } = require('ethers');
+const { utils } = require('@noble/secp256k1');
+const {
+    issueDOBCredential,
+    assertBirthDate,
+    getIssuerPubkey,
+    getSchemeIssuerPubkey,
+    getIssuerPublicKeyHex,
+    SIGNATURE_SCHEMES,
+    getGanacheDeterministicPrivateKey,
+    CREDENTIAL_TYPES
+} = require('../../sdk');
+const {
+    parseIssuerArgs,
+    writeOwnershipChallenge,
+    consumeOwnershipChallenge,
+    proveDemoOwnership
+} = require('./wallet_ownership');
+const { credentialValiditySeconds } = require('./credential_validity');
+const { credentialSignatureScheme } = require('./signature_scheme');
 const fs = require('fs');
 const path = require('path');
 
-// Configure secp256k1 to use @noble/hashes for HMAC
-secp256k1.etc.hmacSha256Sync = (k, ...m) => hmac(sha256, k, secp256k1.etc.concatBytes(...m));
-
-const { sign, getPublicKey, utils } = secp256k1;
-
-let poseidon = null;
-const GANACHE_DETERMINISTIC_MNEMONIC =
-    'myth like bonus scare over problem client lizard pioneer submit female collect';
-const BN254_SCALAR_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-
-async function initPoseidon() {
-    if (!poseidon) {
-        poseidon = await buildPoseidon();
-    }
-    return poseidon;
-}
-
-function reduceModR(value) {
-    return BigInt(value) % BN254_SCALAR_FIELD;
-}
-
-function getGanacheDeterministicPrivateKey(accountIndex) {
-    const mnemonic = process.env.GANACHE_MNEMONIC || GANACHE_DETERMINISTIC_MNEMONIC;
-    const hdNode = HDNodeWallet.fromPhrase(mnemonic, undefined, "m/44'/60'/0'/0");
-    const wallet = hdNode.derivePath(String(accountIndex));
-    return wallet.privateKey;
-}
-
-/**
- * Generate a credential for date of birth
- * @param {bigint} dateOfBirth - Unix timestamp of date of birth
- * @param {bigint} userPubkey - User's public key (field element)
- * @param {bigint} nonce - Random nonce for this credential
- * @param {Uint8Array} issuerPrivateKey - Issuer's private key
- * @returns {Object} Signed credential
- */
-async function issueDOBCredential(dateOfBirth, userPubkey, nonce, issuerPrivateKey) {
-    // Initialize poseidon
-    const poseidonHash = await initPoseidon();
-
-    // Create credential message: Poseidon hash of (dob, userPubkey, nonce)
-    const messageHashBytes = poseidonHash([dateOfBirth, userPubkey, nonce]);
-    const messageHash = poseidonHash.F.toString(messageHashBytes);
-    
-    // Sign the message hash using ECDSA
-    const messageBytes = new Uint8Array(32);
-    const messageBigInt = BigInt(messageHash.toString());
-    for (let i = 0; i < 32; i++) {
-        messageBytes[31 - i] = Number((messageBigInt >> BigInt(i * 8)) & BigInt(0xff));
-    }
-    
-    const signature = await sign(messageBytes, issuerPrivateKey);
-    // In @noble/secp256k1 v2.x, signature.r and signature.s are bigints
-    const signatureR = signature.r;
-    const signatureS = signature.s;
-
-    // Get issuer's public key (uncompressed: 65 bytes, first byte is 0x04)
-    const issuerPubkey = getPublicKey(issuerPrivateKey, false);
-    const rawIssuerPubkeyX = BigInt('0x' + Buffer.from(issuerPubkey.slice(1, 33)).toString('hex'));
-    const rawIssuerPubkeyY = BigInt('0x' + Buffer.from(issuerPubkey.slice(33, 65)).toString('hex'));
-    const issuerPubkeyX = reduceModR(rawIssuerPubkeyX);
-    const issuerPubkeyY = reduceModR(rawIssuerPubkeyY);
-    
-    return {
-        credentialType: 'date_of_birth',
-        dateOfBirth: dateOfBirth.toString(),
-        userPubkey: userPubkey.toString(),
-        nonce: nonce.toString(),
-        signature: {
-            r: signatureR.toString(),
-            s: signatureS.toString()
-        },
-        issuerPubkey: {
-            x: issuerPubkeyX.toString(),
-            y: issuerPubkeyY.toString()
-        },
-        timestamp: Date.now(),
-        issuer: 'Issuer A (DMV)'
-    };
-}
+const ISSUER_NAME = 'Issuer A (DMV)';
 
 /**
  * Main function
@@ -120,55 +67,93 @@ async function main() {
             console.log('✅ Generated new Issuer A key pair (random)');
         } else {
             // Default to Ganache deterministic account #1 (second address)
-            const ganachePrivateKey = getGanacheDeterministicPrivateKey(1);
+            const ganachePrivateKey = getGanacheDeterministicPrivateKey(1, process.env.GANACHE_MNEMONIC);
             issuerPrivateKey = new Uint8Array(Buffer.from(ganachePrivateKey.slice(2), 'hex'));
             console.log('✅ Derived Issuer A key from Ganache account #1 (index 1)');
         }
-        const issuerPubkey = getPublicKey(issuerPrivateKey, false); // uncompressed (65 bytes)
+        const issuerPubkey = getIssuerPubkey(issuerPrivateKey);
         issuerKeyData = {
             privateKey: Buffer.from(issuerPrivateKey).toString('hex'),
             publicKey: {
-                x: reduceModR(BigInt('0x' + Buffer.from(issuerPubkey.slice(1, 33)).toString('hex'))).toString(),
-                y: reduceModR(BigInt('0x' + Buffer.from(issuerPubkey.slice(33, 65)).toString('hex'))).toString()
-            }
+                x: issuerPubkey.x.toString(),
+                y: issuerPubkey.y.toString()
+            },
+            publicKeyUncompressed: getIssuerPublicKeyHex(issuerPrivateKey)
         };
         fs.writeFileSync(issuerKeyPath, JSON.stringify(issuerKeyData, null, 2));
         console.log('⚠️  WARNING: Keep this key secure!');
     }
     
-    console.log(`\n📋 Issuer A Public Key:`);
-    console.log(`   X: ${issuerKeyData.publicKey.x}`);
-    console.log(`   Y: ${issuerKeyData.publicKey.y}\n`);
-    
-    // Get user input (in production, this would come from authenticated user)
-    const args = process.argv.slice(2);
-    let dateOfBirth, userPubkey, nonce;
+    const signatureScheme = credentialSignatureScheme();
+    if (signatureScheme === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+        const eddsaPubkey = await getSchemeIssuerPubkey(issuerPrivateKey, signatureScheme);
+        console.log(`\n📋 Issuer A Public Key (EdDSA-Poseidon, BabyJubJub):`);
+        console.log(`   X: ${eddsaPubkey.x}`);
+        console.log(`   Y: ${eddsaPubkey.y}\n`);
+    } else {
+        console.log(`\n📋 Issuer A Public Key:`);
+        console.log(`   X (reduced): ${issuerKeyData.publicKey.x}`);
+        console.log(`   Y (reduced): ${issuerKeyData.publicKey.y}`);
+        console.log(`   Uncompressed: ${getIssuerPublicKeyHex(issuerPrivateKey)}\n`);
+    }
     
+    // The subject must prove control of the wallet the credential is bound to
+    const { positional: args, flags } = parseIssuerArgs(process.argv.slice(2));
+    let dateOfBirth, userPubkey, nonce, wallet;
+
+    if (args[0] === 'challenge') {
+        if (!args[1]) {
+            throw new Error('Usage: npm run issuer:a -- challenge <wallet> [--eip712]');
+        }
+        const { challenge, file } = writeOwnershipChallenge({
+            issuer: ISSUER_NAME,
+            credentialType: CREDENTIAL_TYPES.DATE_OF_BIRTH,
+            wallet: args[1],
+            scheme: flags.scheme
+        });
+        console.log(`🔑 Ownership challenge for ${challenge.wallet} (${challenge.scheme}):\n`);
+        console.log(challenge.message);
+        console.log(`\n📁 Saved to: ${file}`);
+        console.log('\nSign it with the wallet, then issue with the signature:');
+        console.log(`   npm run sign:challenge -- ${path.relative(process.cwd(), file)}`);
+        console.log(`   npm run issuer:a -- <YYYY-MM-DD> ${challenge.wallet} <nonce> --signature <signature>`);
+        return challenge;
+    }
+
     if (args.length >= 3) {
-        // Command line arguments provided
-        dateOfBirth = BigInt(args[0]);
-        userPubkey = BigInt(args[1]);
+        // Command line arguments provided; check the date before using up the challenge
+        dateOfBirth = args[0];
+        assertBirthDate(dateOfBirth);
         nonce = BigInt(args[2]);
+        wallet = consumeOwnershipChallenge({
+            credentialType: CREDENTIAL_TYPES.DATE_OF_BIRTH,
+            wallet: args[1],
+            signature: flags.signature,
+            issuerScript: 'issuer:a'
+        });
     } else {
         // Use example values for demo
         console.log('📝 Using example values for demo...\n');
         // Example: Born on Jan 1, 2000 (18+ years old)
-        dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
-        if (process.env.SUBJECT_WALLET) {
-            userPubkey = BigInt(process.env.SUBJECT_WALLET);
-        } else {
-            userPubkey = BigInt('1234567890123456789012345678901234567890123456789012345678901234');
-        }
+        dateOfBirth = '2000-01-01';
         nonce = BigInt(Math.floor(Math.random() * 2**64));
+        wallet = await proveDemoOwnership({
+            issuer: ISSUER_NAME,
+            credentialType: CREDENTIAL_TYPES.DATE_OF_BIRTH,
+            wallet: process.env.SUBJECT_WALLET || undefined
+        });
     }
-    
+    userPubkey = BigInt(wallet);
+    console.log(`✅ Wallet ownership proven: ${wallet}\n`);
+
     // Issue credential
-    console.log('🔏 Signing credential...');
+    console.log(`🔏 Signing credential (${signatureScheme})...`);
     const credential = await issueDOBCredential(
         dateOfBirth,
         userPubkey,
         nonce,
-        issuerPrivateKey
+        issuerPrivateKey,
+        { validForSeconds: credentialValiditySeconds(), signatureScheme }
     );
     
     // Save credential to file
@@ -180,8 +165,10 @@ async function main() {
     const credentialPath = path.join(credentialsDir, 'dob_credential.json');
     fs.writeFileSync(credentialPath, JSON.stringify(credential, null, 2));
     
+    console.log(`⏳ Valid until: ${new Date(Number(credential.validUntil) * 1000).toISOString()}`);
     console.log('✅ Credential issued and saved!');
-    console.log(`📁 Location: ${credentialPath}\n`);
+    console.log(`📁 Location: ${credentialPath}`);
+    console.log(`👛 Keep it in the encrypted wallet: npm run wallet -- import ${path.relative(process.cwd(), credentialPath)}\n`);
     console.log('📄 Credential Details:');
     console.log(JSON.stringify(credential, null, 2));
     
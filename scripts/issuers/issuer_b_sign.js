@@ -5,115 +5,40 @@
  * 
  * This script simulates Issuer B (e.g., Immigration) issuing a citizenship credential.
  * In production, this would be done by a trusted authority with proper authentication.
+ *
+ * The credential is only bound to a wallet the subject proves it controls
+ * (see wallet_ownership.js):
+ *   npm run issuer:b -- challenge <wallet> [--eip712]
+ *   npm run sign:challenge -- <challenge file>
+ *   npm run issuer:b -- <country> <wallet> <nonce> --signature <signature>
+ *
+ * Set ISSUER_SIGNATURE_SCHEME=eddsa-poseidon to sign with EdDSA-Poseidon over
+ * BabyJubJub (verified for real in the circuit) instead of secp256k1 ECDSA.
  */
 
-const secp256k1 = require('@noble/secp256k1');
-const { hmac } = require('@noble/hashes/hmac');
-const { sha256 } = require('@noble/hashes/sha256');
-const { buildPoseidon } = require('circomlibjs');
-const { HDNodeWallet } = require('ethers');
+const { utils } = require('@noble/secp256k1');
+const {
+    issueCitizenshipCredential,
+    encodeCitizenship,
+    getIssuerPubkey,
+    getSchemeIssuerPubkey,
+    getIssuerPublicKeyHex,
+    SIGNATURE_SCHEMES,
+    getGanacheDeterministicPrivateKey,
+    CREDENTIAL_TYPES
+} = require('../../sdk');
+const {
+    parseIssuerArgs,
+    writeOwnershipChallenge,
+    consumeOwnershipChallenge,
+    proveDemoOwnership
+} = require('./wallet_ownership');
+const { credentialValiditySeconds } = require('./credential_validity');
+const { credentialSignatureScheme } = require('./signature_scheme');
 const fs = require('fs');
 const path = require('path');
 
-// Configure secp256k1 to use @noble/hashes for HMAC
-secp256k1.etc.hmacSha256Sync = (k, ...m) => hmac(sha256, k, secp256k1.etc.concatBytes(...m));
-
-const { sign, getPublicKey, utils } = secp256k1;
-
-let poseidon = null;
-const GANACHE_DETERMINISTIC_MNEMONIC =
-    'myth like bonus scare over problem client lizard pioneer submit female collect';
-const BN254_SCALAR_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-
-async function initPoseidon() {
-    if (!poseidon) {
-        poseidon = await buildPoseidon();
-    }
-    return poseidon;
-}
-
-function reduceModR(value) {
-    return BigInt(value) % BN254_SCALAR_FIELD;
-}
-
-function getGanacheDeterministicPrivateKey(accountIndex) {
-    const mnemonic = process.env.GANACHE_MNEMONIC || GANACHE_DETERMINISTIC_MNEMONIC;
-    const hdNode = HDNodeWallet.fromPhrase(mnemonic, undefined, "m/44'/60'/0'/0");
-    const wallet = hdNode.derivePath(String(accountIndex));
-    return wallet.privateKey;
-}
-
-/**
- * Encode citizenship string as a field element
- * @param {string} citizenship - Citizenship string (e.g., "US")
- * @returns {bigint} Field element representation
- */
-function encodeCitizenship(citizenship) {
-    // Simple encoding: convert string to bigint
-    // In production, use a more robust encoding scheme
-    let encoded = BigInt(0);
-    for (let i = 0; i < citizenship.length; i++) {
-        encoded = encoded * BigInt(256) + BigInt(citizenship.charCodeAt(i));
-    }
-    return encoded;
-}
-
-/**
- * Generate a credential for citizenship
- * @param {string} citizenship - Citizenship string (e.g., "US")
- * @param {bigint} userPubkey - User's public key (field element)
- * @param {bigint} nonce - Random nonce for this credential
- * @param {Uint8Array} issuerPrivateKey - Issuer's private key
- * @returns {Object} Signed credential
- */
-async function issueCitizenshipCredential(citizenship, userPubkey, nonce, issuerPrivateKey) {
-    // Initialize poseidon
-    const poseidonHash = await initPoseidon();
-
-    // Encode citizenship as field element
-    const citizenshipEncoded = encodeCitizenship(citizenship);
-
-    // Create credential message: Poseidon hash of (citizenship, userPubkey, nonce)
-    const messageHashBytes = poseidonHash([citizenshipEncoded, userPubkey, nonce]);
-    const messageHash = poseidonHash.F.toString(messageHashBytes);
-    
-    // Sign the message hash using ECDSA
-    const messageBytes = new Uint8Array(32);
-    const messageBigInt = BigInt(messageHash.toString());
-    for (let i = 0; i < 32; i++) {
-        messageBytes[31 - i] = Number((messageBigInt >> BigInt(i * 8)) & BigInt(0xff));
-    }
-    
-    const signature = await sign(messageBytes, issuerPrivateKey);
-    // In @noble/secp256k1 v2.x, signature.r and signature.s are bigints
-    const signatureR = signature.r;
-    const signatureS = signature.s;
-
-    // Get issuer's public key (uncompressed: 65 bytes, first byte is 0x04)
-    const issuerPubkey = getPublicKey(issuerPrivateKey, false);
-    const rawIssuerPubkeyX = BigInt('0x' + Buffer.from(issuerPubkey.slice(1, 33)).toString('hex'));
-    const rawIssuerPubkeyY = BigInt('0x' + Buffer.from(issuerPubkey.slice(33, 65)).toString('hex'));
-    const issuerPubkeyX = reduceModR(rawIssuerPubkeyX);
-    const issuerPubkeyY = reduceModR(rawIssuerPubkeyY);
-    
-    return {
-        credentialType: 'citizenship',
-        citizenship: citizenship,
-        citizenshipEncoded: citizenshipEncoded.toString(),
-        userPubkey: userPubkey.toString(),
-        nonce: nonce.toString(),
-        signature: {
-            r: signatureR.toString(),
-            s: signatureS.toString()
-        },
-        issuerPubkey: {
-            x: issuerPubkeyX.toString(),
-            y: issuerPubkeyY.toString()
-        },
-        timestamp: Date.now(),
-        issuer: 'Issuer B (Immigration)'
-    };
-}
+const ISSUER_NAME = 'Issuer B (Immigration)';
 
 /**
  * Main function
@@ -139,54 +64,91 @@ async function main() {
             console.log('✅ Generated new Issuer B key pair (random)');
         } else {
             // Default to Ganache deterministic account #2 (third address)
-            const ganachePrivateKey = getGanacheDeterministicPrivateKey(2);
+            const ganachePrivateKey = getGanacheDeterministicPrivateKey(2, process.env.GANACHE_MNEMONIC);
             issuerPrivateKey = new Uint8Array(Buffer.from(ganachePrivateKey.slice(2), 'hex'));
             console.log('✅ Derived Issuer B key from Ganache account #2 (index 2)');
         }
-        const issuerPubkey = getPublicKey(issuerPrivateKey, false); // uncompressed (65 bytes)
+        const issuerPubkey = getIssuerPubkey(issuerPrivateKey);
         issuerKeyData = {
             privateKey: Buffer.from(issuerPrivateKey).toString('hex'),
             publicKey: {
-                x: reduceModR(BigInt('0x' + Buffer.from(issuerPubkey.slice(1, 33)).toString('hex'))).toString(),
-                y: reduceModR(BigInt('0x' + Buffer.from(issuerPubkey.slice(33, 65)).toString('hex'))).toString()
-            }
+                x: issuerPubkey.x.toString(),
+                y: issuerPubkey.y.toString()
+            },
+            publicKeyUncompressed: getIssuerPublicKeyHex(issuerPrivateKey)
         };
         fs.writeFileSync(issuerKeyPath, JSON.stringify(issuerKeyData, null, 2));
         console.log('⚠️  WARNING: Keep this key secure!');
     }
     
-    console.log(`\n📋 Issuer B Public Key:`);
-    console.log(`   X: ${issuerKeyData.publicKey.x}`);
-    console.log(`   Y: ${issuerKeyData.publicKey.y}\n`);
-    
-    // Get user input (in production, this would come from authenticated user)
-    const args = process.argv.slice(2);
-    let citizenship, userPubkey, nonce;
+    const signatureScheme = credentialSignatureScheme();
+    if (signatureScheme === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+        const eddsaPubkey = await getSchemeIssuerPubkey(issuerPrivateKey, signatureScheme);
+        console.log(`\n📋 Issuer B Public Key (EdDSA-Poseidon, BabyJubJub):`);
+        console.log(`   X: ${eddsaPubkey.x}`);
+        console.log(`   Y: ${eddsaPubkey.y}\n`);
+    } else {
+        console.log(`\n📋 Issuer B Public Key:`);
+        console.log(`   X (reduced): ${issuerKeyData.publicKey.x}`);
+        console.log(`   Y (reduced): ${issuerKeyData.publicKey.y}`);
+        console.log(`   Uncompressed: ${getIssuerPublicKeyHex(issuerPrivateKey)}\n`);
+    }
     
+    // The subject must prove control of the wallet the credential is bound to
+    const { positional: args, flags } = parseIssuerArgs(process.argv.slice(2));
+    let citizenship, userPubkey, nonce, wallet;
+
+    if (args[0] === 'challenge') {
+        if (!args[1]) {
+            throw new Error('Usage: npm run issuer:b -- challenge <wallet> [--eip712]');
+        }
+        const { challenge, file } = writeOwnershipChallenge({
+            issuer: ISSUER_NAME,
+            credentialType: CREDENTIAL_TYPES.CITIZENSHIP,
+            wallet: args[1],
+            scheme: flags.scheme
+        });
+        console.log(`🔑 Ownership challenge for ${challenge.wallet} (${challenge.scheme}):\n`);
+        console.log(challenge.message);
+        console.log(`\n📁 Saved to: ${file}`);
+        console.log('\nSign it with the wallet, then issue with the signature:');
+        console.log(`   npm run sign:challenge -- ${path.relative(process.cwd(), file)}`);
+        console.log(`   npm run issuer:b -- <country> ${challenge.wallet} <nonce> --signature <signature>`);
+        return challenge;
+    }
+
     if (args.length >= 3) {
         // Command line arguments provided
         citizenship = args[0];
-        userPubkey = BigInt(args[1]);
         nonce = BigInt(args[2]);
+        wallet = consumeOwnershipChallenge({
+            credentialType: CREDENTIAL_TYPES.CITIZENSHIP,
+            wallet: args[1],
+            signature: flags.signature,
+            issuerScript: 'issuer:b'
+        });
     } else {
         // Use example values for demo
         console.log('📝 Using example values for demo...\n');
         citizenship = 'US';
-        if (process.env.SUBJECT_WALLET) {
-            userPubkey = BigInt(process.env.SUBJECT_WALLET);
-        } else {
-            userPubkey = BigInt('1234567890123456789012345678901234567890123456789012345678901234');
-        }
         nonce = BigInt(Math.floor(Math.random() * 2**64));
+        wallet = await proveDemoOwnership({
+            issuer: ISSUER_NAME,
+            credentialType: CREDENTIAL_TYPES.CITIZENSHIP,
+            wallet: process.env.SUBJECT_WALLET || undefined
+        });
     }
-    
+    userPubkey = BigInt(wallet);
+    console.log(`✅ Wallet ownership proven: ${wallet}\n`);
+
     // Issue credential
-    console.log('🔏 Signing credential...');
+    console.log(`🔏 Signing credential (${signatureScheme})...`);
     const credential = await issueCitizenshipCredential(
         citizenship,
         userPubkey,
         nonce,
-        issuerPrivateKey
+        issuerPrivateKey,
+        { validForSeconds: credentialValiditySeconds(), signatureScheme }
     );
     
     // Save credential to file
@@ -198,8 +160,10 @@ async function main() {
     const credentialPath = path.join(credentialsDir, 'citizenship_credential.json');
     fs.writeFileSync(credentialPath, JSON.stringify(credential, null, 2));
     
+    console.log(`⏳ Valid until: ${new Date(Number(credential.validUntil) * 1000).toISOString()}`);
     console.log('✅ Credential issued and saved!');
-    console.log(`📁 Location: ${credentialPath}\n`);
+    console.log(`📁 Location: ${credentialPath}`);
+    console.log(`👛 Keep it in the encrypted wallet: npm run wallet -- import ${path.relative(process.cwd(), credentialPath)}\n`);
     console.log('📄 Credential Details:');
     console.log(JSON.stringify(credential, null, 2));
     
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Issuer HTTP Server
+ *
+ * Runs one issuer (one credential schema, one signing key) as a small REST
+ * service so wallets and the frontend never handle issuer private keys.
+ *
+ * Endpoints:
+ *   GET  /.well-known/issuer  Issuer name, schema, signature scheme, public key (full + reduced) and credential validity
+ *   POST /challenges          { wallet, scheme? } -> one-time wallet-ownership challenge
+ *                             (scheme: "eip191" personal_sign, default, or "eip712" typed data;
+ *                             429 while too many unanswered challenges are pending)
+ *   POST /credentials         { wallet, challengeNonce, signature, claims } -> signed credential
+ *   GET  /revocations         Revocation registry (revoked nullifiers and tree root) for non-revocation proofs
+ *
+ * Usage:
+ *   npm run issuer:server:a   # Issuer A (DMV), date_of_birth on port 4001
+ *   npm run issuer:server:b   # Issuer B (Immigration), citizenship on port 4002
+ *   node scripts/issuers/issuer_server.js --schema residency_state --port 4003 --name "State DMV"
+ *
+ * Options (or environment variables):
+ *   --schema  ISSUER_SCHEMA       Credential schema id (default: date_of_birth)
+ *   --name    ISSUER_NAME         Issuer display name
+ *   --port    PORT                Listen port (default: 4001)
+ *   --host    HOST                Listen host (default: 127.0.0.1)
+ *   --account ISSUER_ACCOUNT      Ganache deterministic account for the key (default: 1, or 2 for citizenship)
+ *   --signature-scheme ISSUER_SIGNATURE_SCHEME
+ *                                 ecdsa-secp256k1 (default) or eddsa-poseidon (BabyJubJub key, real in-circuit check)
+ *   ISSUER_PRIVATE_KEY / ISSUER_KEY_FILE override the Ganache key
+ *   ISSUER_CORS_ORIGIN            Access-Control-Allow-Origin (default: *)
+ *   CREDENTIAL_VALIDITY_DAYS      Validity window of issued credentials (default: 365)
+ *   REVOCATION_REGISTRY_FILE      Registry served at GET /revocations (default: credentials/revocation_registry.json)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getAddress } = require('ethers');
+const {
+    getSchema,
+    issueCredential,
+    getSchemeIssuerPubkey,
+    getIssuerPublicKeyHex,
+    SIGNATURE_SCHEMES,
+    getGanacheDeterministicPrivateKey,
+    DEFAULT_CREDENTIAL_VALIDITY_SECONDS,
+    OWNERSHIP_SCHEMES,
+    createOwnershipChallenge,
+    verifyOwnershipSignature
+} = require('../../sdk');
+const { credentialValiditySeconds } = require('./credential_validity');
+const { credentialSignatureScheme } = require('./signature_scheme');
+const { revocationRegistryPath, loadRevocationRegistry } = require('./revocation_registry');
+
+// Demo issuers: Issuer A / B use Ganache accounts #1 / #2, as registered on-chain
+const DEFAULT_ISSUERS = {
+    date_of_birth: { name: 'Issuer A (DMV)', account: 1 },
+    citizenship: { name: 'Issuer B (Immigration)', account: 2 }
+};
+
+// Largest accepted request body; credential requests are tiny
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Unanswered ownership challenges kept at once; POST /challenges is unauthenticated
+const MAX_PENDING_CHALLENGES = 10000;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)$/.exec(argv[i]);
+        if (match && i + 1 < argv.length) {
+            options[match[1]] = argv[++i];
+        }
+    }
+    return options;
+}
+
+function loadPrivateKey(options) {
+    if (options.privateKey) return options.privateKey;
+    if (options.keyFile) {
+        const keyData = JSON.parse(fs.readFileSync(path.resolve(options.keyFile), 'utf8'));
+        if (!keyData.privateKey) {
+            throw new Error(`No privateKey found in ${options.keyFile}`);
+        }
+        return keyData.privateKey;
+    }
+    return getGanacheDeterministicPrivateKey(Number(options.account ?? 1), options.mnemonic);
+}
+
+/**
+ * Resolve the server configuration from CLI args and environment variables
+ */
+function resolveConfig(argv = process.argv.slice(2), env = process.env) {
+    const args = parseArgs(argv);
+    const schemaId = args.schema || env.ISSUER_SCHEMA || 'date_of_birth';
+    const defaults = DEFAULT_ISSUERS[schemaId] || { name: getSchema(schemaId).title, account: 1 };
+    return {
+        schemaId,
+        name: args.name || env.ISSUER_NAME || defaults.name,
+        port: Number(args.port || env.PORT || 4001),
+        host: args.host || env.HOST || '127.0.0.1',
+        corsOrigin: env.ISSUER_CORS_ORIGIN || '*',
+        privateKey: env.ISSUER_PRIVATE_KEY,
+        keyFile: env.ISSUER_KEY_FILE,
+        account: args.account || env.ISSUER_ACCOUNT || defaults.account,
+        mnemonic: env.GANACHE_MNEMONIC,
+        validForSeconds: credentialValiditySeconds(env),
+        signatureScheme: credentialSignatureScheme(env, args['signature-scheme']),
+        revocationRegistryFile: revocationRegistryPath(env)
+    };
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        const onData = (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                // Stop buffering but keep the socket open for the 413 (closed after the response)
+                tooLarge = true;
+                req.off('data', onData);
+                req.resume();
+                reject(new HttpError(413, 'Request body too large'));
+            }
+        };
+        req.on('data', onData);
+        req.on('end', () => {
+            if (tooLarge) return;
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseWallet(wallet) {
+    try {
+        return getAddress(wallet);
+    } catch {
+        throw new HttpError(400, 'wallet must be an Ethereum address');
+    }
+}
+
+/**
+ * Create the issuer HTTP server (not yet listening)
+ * @param {Object} options
+ * @param {string} options.schemaId - Credential schema this issuer signs
+ * @param {string} options.name - Issuer display name
+ * @param {string} [options.privateKey] - Issuer private key (hex)
+ * @param {string} [options.keyFile] - Issuer key file with a privateKey field
+ * @param {number|string} [options.account] - Ganache deterministic account index
+ * @param {string} [options.corsOrigin] - Access-Control-Allow-Origin value
+ * @param {number} [options.challengeTtlSeconds] - Ownership challenge validity
+ * @param {number} [options.maxPendingChallenges] - Unanswered challenges kept at once (default: 10000);
+ *   POST /challenges answers 429 beyond that until some expire or are used
+ * @param {number} [options.validForSeconds] - Validity window of issued credentials (default: one year)
+ * @param {string} [options.signatureScheme] - SIGNATURE_SCHEMES value credentials are signed with (default: ECDSA)
+ * @param {string} [options.revocationRegistryFile] - Revocation registry served at GET /revocations
+ * @returns {http.Server}
+ */
+function createIssuerServer(options) {
+    const schema = getSchema(options.schemaId);
+    const privateKey = loadPrivateKey(options);
+    const signatureScheme = options.signatureScheme || SIGNATURE_SCHEMES.ECDSA_SECP256K1;
+    const corsOrigin = options.corsOrigin || '*';
+    const validForSeconds = options.validForSeconds || DEFAULT_CREDENTIAL_VALIDITY_SECONDS;
+    const maxPendingChallenges = options.maxPendingChallenges || MAX_PENDING_CHALLENGES;
+    const challenges = new Map();
+    let metadata;
+
+    // The EdDSA key is derived asynchronously; the full secp256k1 key only exists for ECDSA issuers
+    async function describeIssuer() {
+        const pubkey = await getSchemeIssuerPubkey(privateKey, signatureScheme);
+        return {
+            name: options.name,
+            schema: {
+                id: schema.id,
+                title: schema.title,
+                fields: schema.fields.map(({ name, encoding }) => ({ name, encoding })),
+                messageLayout: schema.messageLayout
+            },
+            signatureScheme,
+            ...(signatureScheme === SIGNATURE_SCHEMES.ECDSA_SECP256K1 ? {
+                publicKey: getIssuerPublicKeyHex(privateKey),
+                publicKeyCompressed: getIssuerPublicKeyHex(privateKey, true)
+            } : {}),
+            pubkey: { x: pubkey.x.toString(), y: pubkey.y.toString() },
+            credentialValiditySeconds: validForSeconds
+        };
+    }
+
+    function pruneExpiredChallenges() {
+        const now = Math.floor(Date.now() / 1000);
+        for (const [nonce, challenge] of challenges) {
+            if (challenge.expiresAt < now) challenges.delete(nonce);
+        }
+    }
+
+    async function createChallenge(body) {
+        pruneExpiredChallenges();
+        if (challenges.size >= maxPendingChallenges) {
+            throw new HttpError(429, 'Too many pending ownership challenges; try again later');
+        }
+        const scheme = body.scheme || OWNERSHIP_SCHEMES.EIP191;
+        if (!Object.values(OWNERSHIP_SCHEMES).includes(scheme)) {
+            throw new HttpError(400, `scheme must be one of: ${Object.values(OWNERSHIP_SCHEMES).join(', ')}`);
+        }
+        const challenge = createOwnershipChallenge({
+            wallet: parseWallet(body.wallet),
+            issuer: options.name,
+            credentialType: schema.id,
+            scheme,
+            ttlSeconds: options.challengeTtlSeconds
+        });
+        challenges.set(challenge.nonce, challenge);
+        return challenge;
+    }
+
+    async function issue(body) {
+        const wallet = parseWallet(body.wallet);
+        const challenge = challenges.get(body.challengeNonce);
+        if (!challenge || challenge.wallet !== wallet) {
+            throw new HttpError(401, 'Unknown or already used ownership challenge; request a new one from POST /challenges');
+        }
+        // One-time use, even if verification fails below
+        challenges.delete(body.challengeNonce);
+
+        try {
+            verifyOwnershipSignature(challenge, body.signature);
+        } catch (error) {
+            throw new HttpError(401, error.message);
+        }
+
+        if (!body.claims || typeof body.claims !== 'object') {
+            throw new HttpError(400, 'claims must be an object');
+        }
+
+        try {
+            return await issueCredential(schema.id, body.claims, BigInt(wallet), privateKey, {
+                issuer: options.name,
+                validForSeconds,
+                signatureScheme
+            });
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+    }
+
+    const routes = {
+        // Derived on first use, so a bad key fails this request instead of the process
+        'GET /.well-known/issuer': async () => {
+            metadata = metadata || describeIssuer().catch((error) => {
+                metadata = undefined;
+                throw error;
+            });
+            return [200, await metadata];
+        },
+        'POST /challenges': async (req) => [201, await createChallenge(await readJsonBody(req))],
+        'POST /credentials': async (req) => [201, { credential: await issue(await readJsonBody(req)) }],
+        // Read on every request so revocations from the CLI show up without a restart
+        'GET /revocations': async () => [200, loadRevocationRegistry(options.revocationRegistryFile)]
+    };
+
+    return http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const handler = routes[`${req.method} ${pathname}`];
+        let status;
+        let payload;
+        try {
+            if (!handler) {
+                throw new HttpError(404, `No route for ${req.method} ${pathname}`);
+            }
+            [status, payload] = await handler(req);
+        } catch (error) {
+            status = error.status || 500;
+            payload = { error: error.message };
+        }
+
+        // The rest of an oversized body is not read, so the connection cannot be reused
+        res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 413 ? { Connection: 'close' } : {}) });
+        res.end(JSON.stringify(payload));
+    });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const config = resolveConfig();
+    const server = createIssuerServer(config);
+
+    await new Promise((resolve) => server.listen(config.port, config.host, resolve));
+
+    console.log(`🏛️  ${config.name} issuer server`);
+    console.log('='.repeat(40) + '\n');
+    console.log(`📋 Schema: ${config.schemaId}`);
+    console.log(`🔏 Signature scheme: ${config.signatureScheme}`);
+    console.log(`🌐 Listening on http://${config.host}:${config.port}`);
+    console.log(`   GET  /.well-known/issuer`);
+    console.log(`   POST /challenges`);
+    console.log(`   POST /credentials`);
+    console.log(`   GET  /revocations\n`);
+
+    return server;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createIssuerServer, resolveConfig, main };
@@ -0,0 +1,56 @@
+/**
+ * Revocation Registry File (issuer scripts)
+ *
+ * The issuers' revoked credential nullifiers are kept in one JSON registry
+ * (see sdk/src/revocation.js), by default credentials/revocation_registry.json
+ * or REVOCATION_REGISTRY_FILE. The revoke CLI writes it, the issuer server
+ * serves it at GET /revocations, and generate_proof.js builds the
+ * non-membership proofs from it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRevocationRegistry, buildRevocationTree } = require('../../sdk');
+
+const DEFAULT_REVOCATION_REGISTRY_FILE = path.join(__dirname, '../../credentials/revocation_registry.json');
+
+/**
+ * Path of the registry file
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {string}
+ */
+function revocationRegistryPath(env = process.env) {
+    return env.REVOCATION_REGISTRY_FILE ? path.resolve(env.REVOCATION_REGISTRY_FILE) : DEFAULT_REVOCATION_REGISTRY_FILE;
+}
+
+/**
+ * Load the registry (an empty one if the file does not exist yet)
+ * @param {string} [file] - Registry path (default: revocationRegistryPath())
+ * @returns {Object} Revocation registry JSON
+ */
+function loadRevocationRegistry(file = revocationRegistryPath()) {
+    if (!fs.existsSync(file)) {
+        return createRevocationRegistry();
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Check a registry against its root and write it
+ * @param {Object} registry - Revocation registry JSON
+ * @param {string} [file] - Registry path (default: revocationRegistryPath())
+ * @returns {Promise<string>} Path written
+ */
+async function saveRevocationRegistry(registry, file = revocationRegistryPath()) {
+    await buildRevocationTree(registry);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(registry, null, 2));
+    return file;
+}
+
+module.exports = {
+    DEFAULT_REVOCATION_REGISTRY_FILE,
+    revocationRegistryPath,
+    loadRevocationRegistry,
+    saveRevocationRegistry
+};
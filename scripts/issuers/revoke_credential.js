@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Credential Revocation Script
+ *
+ * Revokes single credentials by adding their nullifier
+ * Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce) to the revocation registry
+ * (a sparse Merkle tree, see sdk/src/revocation.js), and publishes the new
+ * tree root to AgeVerification. Proofs for a revoked credential can no longer
+ * be generated, and proofs made against an older root are rejected on-chain.
+ *
+ * Usage:
+ *   npm run issuer:revoke -- <a|b> <nonce> [--publish]       # revoke by issuer and credential nonce
+ *   npm run issuer:revoke -- --credential <file> [--publish] # revoke an issued credential file
+ *   npm run issuer:revoke -- list                            # show the registry and its root
+ *   npm run issuer:revoke -- publish                         # post the current root on-chain
+ *
+ * <a|b> revokes a credential of the demo issuer's key (.issuer_a_key.json /
+ * .issuer_b_key.json, or its Ganache account) under ISSUER_SIGNATURE_SCHEME,
+ * like the issuer scripts sign it.
+ *
+ * Publishing needs CONTRACT_ADDRESS and DEPLOYER_PRIVATE_KEY (the contract owner),
+ * and RPC_URL (default: http://127.0.0.1:8545).
+ * The registry path can be changed with REVOCATION_REGISTRY_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    SIGNATURE_SCHEMES,
+    getSchemeIssuerPubkey,
+    getGanacheDeterministicPrivateKey,
+    computeRevocationRoot,
+    revokeCredential
+} = require('../../sdk');
+const { credentialSignatureScheme } = require('./signature_scheme');
+const {
+    revocationRegistryPath,
+    loadRevocationRegistry,
+    saveRevocationRegistry
+} = require('./revocation_registry');
+
+const ROOT = path.join(__dirname, '../..');
+
+const AGE_VERIFICATION_ABI = [
+    'function revocationRoot() view returns (uint256)',
+    'function setRevocationRoot(uint256) external'
+];
+
+// Demo issuers: key file, or the Ganache account the issuer scripts default to
+const ISSUERS = {
+    a: { name: 'Issuer A (DMV)', keyFile: '.issuer_a_key.json', account: 1 },
+    b: { name: 'Issuer B (Immigration)', keyFile: '.issuer_b_key.json', account: 2 }
+};
+
+/**
+ * Public key of demo issuer a or b as its credentials carry it: the reduced
+ * secp256k1 key, or the BabyJubJub key when the issuers sign with EdDSA-Poseidon
+ * @param {string} label - a or b
+ * @param {string} [signatureScheme] - Scheme the issuer signs with (default: ISSUER_SIGNATURE_SCHEME)
+ * @returns {Promise<{x: string, y: string}>}
+ */
+async function resolveIssuerPubkey(label, signatureScheme = credentialSignatureScheme()) {
+    const issuer = ISSUERS[label];
+    if (!issuer) {
+        throw new Error(`Unknown issuer "${label}" (expected a or b)`);
+    }
+    const keyPath = path.join(ROOT, issuer.keyFile);
+    const keyFile = fs.existsSync(keyPath) ? JSON.parse(fs.readFileSync(keyPath, 'utf8')) : null;
+    if (keyFile && signatureScheme !== SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+        return keyFile.publicKey;
+    }
+    const privateKey = keyFile
+        ? keyFile.privateKey
+        : getGanacheDeterministicPrivateKey(issuer.account, process.env.GANACHE_MNEMONIC);
+    const pubkey = await getSchemeIssuerPubkey(privateKey, signatureScheme);
+    return { x: pubkey.x.toString(), y: pubkey.y.toString() };
+}
+
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--publish') {
+            flags.publish = true;
+        } else if (args[i] === '--credential') {
+            flags.credential = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+/**
+ * Post the registry root to AgeVerification (no-op if it is already current)
+ * @param {bigint} root
+ */
+async function publishRevocationRoot(root) {
+    const contractAddress = process.env.CONTRACT_ADDRESS;
+    const deployerPrivateKey = process.env.DEPLOYER_PRIVATE_KEY;
+    if (!contractAddress) {
+        throw new Error('Missing CONTRACT_ADDRESS');
+    }
+    if (!deployerPrivateKey) {
+        throw new Error('Missing DEPLOYER_PRIVATE_KEY (the AgeVerification owner)');
+    }
+
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545');
+    const signer = new ethers.Wallet(deployerPrivateKey, provider);
+    const contract = new ethers.Contract(contractAddress, AGE_VERIFICATION_ABI, signer);
+
+    const currentRoot = await contract.revocationRoot();
+    if (currentRoot === root) {
+        console.log(`✅ On-chain revocation root is already ${root}`);
+        return;
+    }
+
+    console.log(`📡 Publishing revocation root to ${contractAddress}`);
+    const tx = await contract.setRevocationRoot(root);
+    await tx.wait();
+    console.log(`✅ Revocation root updated: ${currentRoot} → ${root}`);
+}
+
+function printRegistry(registry) {
+    console.log(`📁 Registry: ${revocationRegistryPath()}`);
+    console.log(`🌳 Root: ${registry.root}`);
+    console.log(`🚫 Revoked credentials: ${registry.revoked.length}`);
+    for (const entry of registry.revoked) {
+        console.log(`   - nonce ${entry.nonce} (issuer x=${entry.issuerPubkey.x}) revoked ${entry.revokedAt}`);
+    }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    console.log('🚫 Credential Revocation');
+    console.log('========================\n');
+
+    const { positional: args, flags } = parseArgs(process.argv.slice(2));
+    let registry = loadRevocationRegistry();
+
+    if (args[0] === 'list') {
+        printRegistry(registry);
+        return registry;
+    }
+
+    if (args[0] === 'publish') {
+        // Rebuild the root from the entries rather than trusting the stored value
+        await publishRevocationRoot(await computeRevocationRoot(registry));
+        return registry;
+    }
+
+    let issuerPubkey;
+    let nonce;
+    if (flags.credential) {
+        const credential = JSON.parse(fs.readFileSync(path.resolve(flags.credential), 'utf8'));
+        issuerPubkey = credential.issuerPubkey;
+        nonce = credential.nonce;
+        console.log(`📄 Credential: ${flags.credential} (${credential.credentialType})`);
+    } else if (args.length >= 2) {
+        issuerPubkey = await resolveIssuerPubkey(args[0].toLowerCase());
+        nonce = args[1];
+        console.log(`🏛️  Issuer: ${ISSUERS[args[0].toLowerCase()].name}`);
+    } else {
+        throw new Error(
+            'Usage: npm run issuer:revoke -- <a|b> <nonce> [--publish]\n' +
+            '       npm run issuer:revoke -- --credential <file> [--publish]\n' +
+            '       npm run issuer:revoke -- list | publish'
+        );
+    }
+
+    registry = await revokeCredential(registry, { issuerPubkey, nonce: BigInt(nonce) });
+    const file = await saveRevocationRegistry(registry);
+    const entry = registry.revoked[registry.revoked.length - 1];
+
+    console.log(`✅ Revoked credential with nonce ${entry.nonce}`);
+    console.log(`   Nullifier: ${entry.nullifier}`);
+    console.log(`🌳 New revocation root: ${registry.root}`);
+    console.log(`📁 Registry saved to: ${file}\n`);
+
+    if (flags.publish) {
+        await publishRevocationRoot(BigInt(registry.root));
+    } else {
+        console.log('Publish the new root so AgeVerification enforces it:');
+        console.log('   npm run issuer:revoke -- publish');
+    }
+    return registry;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { resolveIssuerPubkey, publishRevocationRoot, main };
@@ -0,0 +1,23 @@
+/**
+ * Issuer Signature Scheme (issuer scripts)
+ *
+ * Issuers sign credentials with ECDSA over secp256k1 by default. With
+ * ISSUER_SIGNATURE_SCHEME=eddsa-poseidon they sign with EdDSA-Poseidon over
+ * BabyJubJub instead, using the same private key: the circuit verifies those
+ * signatures for real (the age_citizenship_*eddsa variants), and the issuer is
+ * registered on-chain under its BabyJubJub public key.
+ */
+
+const { SIGNATURE_SCHEMES, resolveSignatureScheme } = require('../../sdk');
+
+/**
+ * Signature scheme for newly issued credentials
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @param {string} [override] - Scheme given on the command line, takes precedence
+ * @returns {string} One of SIGNATURE_SCHEMES
+ */
+function credentialSignatureScheme(env = process.env, override) {
+    return resolveSignatureScheme(override || env.ISSUER_SIGNATURE_SCHEME || SIGNATURE_SCHEMES.ECDSA_SECP256K1);
+}
+
+module.exports = { credentialSignatureScheme };
@@ -0,0 +1,139 @@
+/**
+ * Wallet-Ownership Challenge Flow (CLI)
+ *
+ * Issuer scripts only bind a credential to a wallet after the subject has
+ * signed a one-time challenge with it. The CLI flow is file based:
+ *
+ *   1. npm run issuer:a -- challenge <wallet> [--eip712]
+ *        Issuer writes credentials/challenges/<credentialType>_<wallet>.json
+ *   2. npm run sign:challenge -- credentials/challenges/<file>.json
+ *        Subject signs it with their wallet (EIP-191 or EIP-712)
+ *   3. npm run issuer:a -- <dob> <wallet> <nonce> --signature <signature>
+ *        Issuer recovers the signer with ethers, then issues the credential
+ *
+ * Without arguments the issuer scripts run a demo that signs the challenge
+ * locally with SUBJECT_PRIVATE_KEY (default: Ganache account #0).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Wallet, getAddress, toBeHex } = require('ethers');
+const {
+    OWNERSHIP_SCHEMES,
+    createOwnershipChallenge,
+    signOwnershipChallenge,
+    verifyOwnershipSignature,
+    getGanacheDeterministicPrivateKey
+} = require('../../sdk');
+
+const CHALLENGES_DIR = path.join(__dirname, '../../credentials/challenges');
+
+/**
+ * Accept a wallet as a 0x address or as the decimal userPubkey stored in credentials
+ * @param {string} value
+ * @returns {string} Checksummed address
+ */
+function toWalletAddress(value) {
+    try {
+        if (/^0x[0-9a-fA-F]{40}$/.test(value)) {
+            return getAddress(value);
+        }
+        return getAddress(toBeHex(BigInt(value), 20));
+    } catch {
+        throw new Error(`Not a wallet address: ${value}`);
+    }
+}
+
+/**
+ * Split CLI args into positional values and --signature / --eip712 flags
+ */
+function parseIssuerArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--signature') {
+            flags.signature = args[++i];
+        } else if (args[i] === '--eip712') {
+            flags.scheme = OWNERSHIP_SCHEMES.EIP712;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+function challengePath(credentialType, wallet) {
+    return path.join(CHALLENGES_DIR, `${credentialType}_${wallet}.json`);
+}
+
+/**
+ * Step 1: create a challenge for a wallet and save it for the subject to sign
+ * @returns {{challenge: Object, file: string}}
+ */
+function writeOwnershipChallenge({ issuer, credentialType, wallet, scheme }) {
+    const challenge = createOwnershipChallenge({
+        wallet: toWalletAddress(wallet),
+        issuer,
+        credentialType,
+        scheme
+    });
+    if (!fs.existsSync(CHALLENGES_DIR)) {
+        fs.mkdirSync(CHALLENGES_DIR, { recursive: true });
+    }
+    const file = challengePath(credentialType, challenge.wallet);
+    fs.writeFileSync(file, JSON.stringify(challenge, null, 2));
+    return { challenge, file };
+}
+
+/**
+ * Step 3: load the pending challenge for a wallet, consume it and verify the signature
+ * @returns {string} Proven wallet address
+ */
+function consumeOwnershipChallenge({ credentialType, wallet, signature, issuerScript }) {
+    const address = toWalletAddress(wallet);
+    const file = challengePath(credentialType, address);
+    if (!signature) {
+        throw new Error(
+            `Missing --signature. Prove wallet ownership first:\n` +
+            `   npm run ${issuerScript} -- challenge ${address}`
+        );
+    }
+    if (!fs.existsSync(file)) {
+        throw new Error(
+            `No pending ownership challenge for ${address}. Request one with:\n` +
+            `   npm run ${issuerScript} -- challenge ${address}`
+        );
+    }
+
+    const challenge = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // One-time use, even if verification fails
+    fs.unlinkSync(file);
+    return verifyOwnershipSignature(challenge, signature);
+}
+
+/**
+ * Demo mode: run the whole challenge-response in-process, signing as the subject
+ * @returns {Promise<string>} Proven wallet address
+ */
+async function proveDemoOwnership({ issuer, credentialType, wallet }) {
+    const subject = new Wallet(process.env.SUBJECT_PRIVATE_KEY || getGanacheDeterministicPrivateKey(0));
+    const address = wallet ? toWalletAddress(wallet) : subject.address;
+    if (address !== subject.address) {
+        throw new Error(
+            `Cannot prove ownership of ${address} in demo mode: SUBJECT_PRIVATE_KEY controls ${subject.address}. ` +
+            'Set SUBJECT_PRIVATE_KEY or use the challenge flow.'
+        );
+    }
+
+    const challenge = createOwnershipChallenge({ wallet: address, issuer, credentialType });
+    const signature = await signOwnershipChallenge(challenge, subject);
+    return verifyOwnershipSignature(challenge, signature);
+}
+
+module.exports = {
+    toWalletAddress,
+    parseIssuerArgs,
+    writeOwnershipChallenge,
+    consumeOwnershipChallenge,
+    proveDemoOwnership
+};
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Circuit Benchmark Script
+ *
+ * Reports what each issuer signature check costs: the constraint count of the
+ * compiled circuit and, when its trusted setup has run, the time to compute a
+ * witness and a Groth16 proof for freshly issued test credentials.
+ *
+ *   age_citizenship            placeholder ECDSA check (not a real verification)
+ *   age_citizenship_eddsa      EdDSA-Poseidon, verified in full
+ *   age_citizenship_secp256k1  secp256k1 ECDSA, verified in full (circom-ecdsa)
+ *
+ * Usage:
+ *   npm run benchmark:circuits                           # the three circuits above
+ *   npm run benchmark:circuits -- age_citizenship_expiry_secp256k1 --runs 3
+ *   npm run benchmark:circuits -- --json                 # machine-readable results
+ *
+ * Circuits that are not compiled are listed as missing; proving is skipped for
+ * circuits without a zkey. The secp256k1 circuits need circom-ecdsa
+ * (bash scripts/setup/install_circom_ecdsa.sh), COMPILE_SECP256K1=1 npm run
+ * compile:circuit and a 2^22 Powers of Tau (npm run download:ptau -- 22), and
+ * proving them takes several GB of memory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const {
+    CIRCUITS,
+    SIGNATURE_SCHEMES,
+    DEFAULT_CREDENTIAL_VALIDITY_SECONDS,
+    getGanacheDeterministicPrivateKey,
+    issueDOBCredential,
+    issueCitizenshipCredential,
+    buildCircuitInputs
+} = require('../../sdk');
+
+const BUILD_DIR = path.join(__dirname, '../../build');
+
+const DEFAULT_BENCHMARK_CIRCUITS = [CIRCUITS.STANDARD, CIRCUITS.EDDSA, CIRCUITS.SECP256K1];
+
+const EDDSA_CIRCUITS = [CIRCUITS.EDDSA, CIRCUITS.EXPIRY_EDDSA, CIRCUITS.EDDSA_CALENDAR, CIRCUITS.EXPIRY_EDDSA_CALENDAR];
+const SECP256K1_CIRCUITS = [
+    CIRCUITS.SECP256K1, CIRCUITS.EXPIRY_SECP256K1, CIRCUITS.SECP256K1_CALENDAR, CIRCUITS.EXPIRY_SECP256K1_CALENDAR
+];
+const EXPIRY_CIRCUITS = [
+    CIRCUITS.EXPIRY, CIRCUITS.EXPIRY_EDDSA, CIRCUITS.EXPIRY_SECP256K1, CIRCUITS.EXPIRY_CALENDAR,
+    CIRCUITS.EXPIRY_EDDSA_CALENDAR, CIRCUITS.EXPIRY_SECP256K1_CALENDAR
+];
+
+function parseArgs(args) {
+    const options = { circuits: [], runs: 1, json: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--runs') {
+            options.runs = Number(args[++i]);
+            if (!Number.isInteger(options.runs) || options.runs < 1) {
+                throw new Error('--runs must be a positive integer');
+            }
+        } else if (args[i] === '--json') {
+            options.json = true;
+        } else if (Object.values(CIRCUITS).includes(args[i])) {
+            options.circuits.push(args[i]);
+        } else {
+            throw new Error(`Unknown circuit or option: ${args[i]}\nCircuits: ${Object.values(CIRCUITS).join(', ')}`);
+        }
+    }
+    if (options.circuits.length === 0) {
+        options.circuits = DEFAULT_BENCHMARK_CIRCUITS;
+    }
+    return options;
+}
+
+/**
+ * Inputs for one proof of a circuit, from test credentials signed with the scheme it verifies
+ * @param {string} circuitName - One of CIRCUITS
+ * @returns {Promise<Object>}
+ */
+async function buildBenchmarkInputs(circuitName) {
+    const signatureScheme = EDDSA_CIRCUITS.includes(circuitName)
+        ? SIGNATURE_SCHEMES.EDDSA_POSEIDON
+        : SIGNATURE_SCHEMES.ECDSA_SECP256K1;
+    const issuance = {
+        signatureScheme,
+        ...(EXPIRY_CIRCUITS.includes(circuitName) ? { validForSeconds: DEFAULT_CREDENTIAL_VALIDITY_SECONDS } : {})
+    };
+    const userPubkey = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+    const dobCredential = await issueDOBCredential('2000-01-01', userPubkey, BigInt(1), getGanacheDeterministicPrivateKey(1), issuance);
+    const citizenshipCredential = await issueCitizenshipCredential(
+        'US', userPubkey, BigInt(2), getGanacheDeterministicPrivateKey(2), issuance
+    );
+    return buildCircuitInputs(dobCredential, citizenshipCredential, {
+        currentDate: new Date(),
+        minAge: 18,
+        secp256k1: SECP256K1_CIRCUITS.includes(circuitName),
+        calendar: circuitName.endsWith('_calendar')
+    });
+}
+
+/**
+ * Constraint count and (if a zkey exists) witness / proving times of one circuit
+ * @param {string} circuitName
+ * @param {Object} [options]
+ * @param {number} [options.runs=1] - Proofs to time (the average is reported)
+ * @returns {Promise<Object>}
+ */
+async function benchmarkCircuit(circuitName, options = {}) {
+    const runs = options.runs || 1;
+    const r1csPath = path.join(BUILD_DIR, `${circuitName}.r1cs`);
+    const wasmPath = path.join(BUILD_DIR, `${circuitName}_js`, `${circuitName}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${circuitName}_final.zkey`);
+
+    if (!fs.existsSync(r1csPath)) {
+        return { circuit: circuitName, compiled: false };
+    }
+
+    const r1cs = await snarkjs.r1cs.info(r1csPath);
+    const result = {
+        circuit: circuitName,
+        compiled: true,
+        constraints: r1cs.nConstraints,
+        privateInputs: r1cs.nPrvInputs,
+        publicInputs: r1cs.nPubInputs,
+        wires: r1cs.nVars
+    };
+
+    if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
+        return result;
+    }
+
+    const input = await buildBenchmarkInputs(circuitName);
+    let witnessMs = 0;
+    let provingMs = 0;
+    for (let run = 0; run < runs; run++) {
+        const witness = { type: 'mem' };
+        const witnessStart = process.hrtime.bigint();
+        await snarkjs.wtns.calculate(input, wasmPath, witness);
+        const provingStart = process.hrtime.bigint();
+        await snarkjs.groth16.prove(zkeyPath, witness);
+        const provingEnd = process.hrtime.bigint();
+
+        witnessMs += Number(provingStart - witnessStart) / 1e6;
+        provingMs += Number(provingEnd - provingStart) / 1e6;
+    }
+
+    return {
+        ...result,
+        runs,
+        witnessMs: Math.round(witnessMs / runs),
+        provingMs: Math.round(provingMs / runs),
+        zkeyBytes: fs.statSync(zkeyPath).size
+    };
+}
+
+function formatMs(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+}
+
+function printResults(results) {
+    console.log(`\n📊 Results (${os.cpus().length} CPU, ${(os.totalmem() / 1024 ** 3).toFixed(1)} GB RAM)\n`);
+    for (const result of results) {
+        console.log(`   ${result.circuit}`);
+        if (!result.compiled) {
+            console.log('     ⚠️  Not compiled (npm run compile:circuit)\n');
+            continue;
+        }
+        console.log(`     Constraints:  ${result.constraints.toLocaleString('en-US')}`);
+        console.log(`     Wires:        ${result.wires.toLocaleString('en-US')}`);
+        if (result.provingMs === undefined) {
+            console.log('     ⚠️  No zkey, proving not timed (npm run setup)\n');
+            continue;
+        }
+        console.log(`     Witness:      ${formatMs(result.witnessMs)}`);
+        console.log(`     Proving:      ${formatMs(result.provingMs)} (average of ${result.runs})`);
+        console.log(`     Proving key:  ${(result.zkeyBytes / 1024 ** 2).toFixed(1)} MB\n`);
+    }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.json) {
+        console.log('⏱️  Circuit Benchmark');
+        console.log('====================');
+    }
+
+    const results = [];
+    for (const circuitName of options.circuits) {
+        if (!options.json) {
+            console.log(`\n🔧 Benchmarking ${circuitName}...`);
+        }
+        results.push(await benchmarkCircuit(circuitName, options));
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        printResults(results);
+    }
+    return results;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('\n❌ Error:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { benchmarkCircuit, buildBenchmarkInputs, main };
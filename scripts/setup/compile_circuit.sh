@@ -18,6 +18,23 @@ CIRCUIT_FILE_HARD="circuits/age_citizenship.circom"
 CIRCUIT_FILE_SOFT="circuits/age_citizenship_soft.circom"
 CIRCUIT_NAME_HARD="age_citizenship"
 CIRCUIT_NAME_SOFT="age_citizenship_soft"
+CIRCUIT_FILE_EXPIRY="circuits/age_citizenship_expiry.circom"
+CIRCUIT_NAME_EXPIRY="age_citizenship_expiry"
+# EdDSA-Poseidon variants (issuers signing with ISSUER_SIGNATURE_SCHEME=eddsa-poseidon)
+CIRCUIT_FILE_EDDSA="circuits/age_citizenship_eddsa.circom"
+CIRCUIT_NAME_EDDSA="age_citizenship_eddsa"
+CIRCUIT_FILE_EXPIRY_EDDSA="circuits/age_citizenship_expiry_eddsa.circom"
+CIRCUIT_NAME_EXPIRY_EDDSA="age_citizenship_expiry_eddsa"
+# Calendar variants (exact calendar age, counted from the birthday)
+CIRCUIT_NAME_CALENDAR="age_citizenship_calendar"
+CIRCUIT_NAME_EXPIRY_CALENDAR="age_citizenship_expiry_calendar"
+CIRCUIT_NAME_EDDSA_CALENDAR="age_citizenship_eddsa_calendar"
+CIRCUIT_NAME_EXPIRY_EDDSA_CALENDAR="age_citizenship_expiry_eddsa_calendar"
+# secp256k1 variants (full ECDSA verification, opt-in with COMPILE_SECP256K1=1)
+CIRCUIT_NAME_SECP256K1="age_citizenship_secp256k1"
+CIRCUIT_NAME_EXPIRY_SECP256K1="age_citizenship_expiry_secp256k1"
+CIRCUIT_NAME_SECP256K1_CALENDAR="age_citizenship_secp256k1_calendar"
+CIRCUIT_NAME_EXPIRY_SECP256K1_CALENDAR="age_citizenship_expiry_secp256k1_calendar"
 
 # Check if circuit files exist
 if [ ! -f "$CIRCUIT_FILE_HARD" ]; then
@@ -30,6 +47,16 @@ if [ ! -f "$CIRCUIT_FILE_SOFT" ]; then
     exit 1
 fi
 
+if [ ! -f "$CIRCUIT_FILE_EXPIRY" ]; then
+    echo "❌ Error: Expiry circuit file not found: $CIRCUIT_FILE_EXPIRY"
+    exit 1
+fi
+
+if [ ! -f "$CIRCUIT_FILE_EDDSA" ] || [ ! -f "$CIRCUIT_FILE_EXPIRY_EDDSA" ]; then
+    echo "❌ Error: EdDSA circuit files not found: $CIRCUIT_FILE_EDDSA, $CIRCUIT_FILE_EXPIRY_EDDSA"
+    exit 1
+fi
+
 # Step 1: Compile circuit to R1CS
 echo "📦 Step 1: Compiling circuit to R1CS..."
 
@@ -89,6 +116,83 @@ echo "   - R1CS file: build/${CIRCUIT_NAME_SOFT}.r1cs"
 echo "   - WASM file: build/${CIRCUIT_NAME_SOFT}.wasm"
 echo "   - Symbol file: build/${CIRCUIT_NAME_SOFT}.sym"
 
+# Compile expiry circuit (credentials with issuedAt / validUntil)
+echo ""
+echo "📦 Compiling EXPIRY circuit..."
+circom "$CIRCUIT_FILE_EXPIRY" --r1cs --wasm --sym -o build -l node_modules
+
+if [ ! -f "build/${CIRCUIT_NAME_EXPIRY}.r1cs" ]; then
+    echo "❌ Error: Expiry circuit compilation failed"
+    exit 1
+fi
+
+echo "✅ Expiry circuit compiled successfully!"
+echo "   - R1CS file: build/${CIRCUIT_NAME_EXPIRY}.r1cs"
+echo "   - WASM file: build/${CIRCUIT_NAME_EXPIRY}.wasm"
+echo "   - Symbol file: build/${CIRCUIT_NAME_EXPIRY}.sym"
+
+# Compile EdDSA circuits (issuer signatures verified with EdDSAPoseidonVerifier)
+for CIRCUIT_NAME_VARIANT in "$CIRCUIT_NAME_EDDSA" "$CIRCUIT_NAME_EXPIRY_EDDSA"; do
+    echo ""
+    echo "📦 Compiling EdDSA circuit ${CIRCUIT_NAME_VARIANT}..."
+    circom "circuits/${CIRCUIT_NAME_VARIANT}.circom" --r1cs --wasm --sym -o build -l node_modules
+
+    if [ ! -f "build/${CIRCUIT_NAME_VARIANT}.r1cs" ]; then
+        echo "❌ Error: EdDSA circuit ${CIRCUIT_NAME_VARIANT} compilation failed"
+        exit 1
+    fi
+
+    echo "✅ EdDSA circuit ${CIRCUIT_NAME_VARIANT} compiled successfully!"
+    echo "   - R1CS file: build/${CIRCUIT_NAME_VARIANT}.r1cs"
+    echo "   - WASM file: build/${CIRCUIT_NAME_VARIANT}.wasm"
+done
+
+# Compile calendar circuits (age checked against calendar dates)
+for CIRCUIT_NAME_VARIANT in "$CIRCUIT_NAME_CALENDAR" "$CIRCUIT_NAME_EXPIRY_CALENDAR" \
+    "$CIRCUIT_NAME_EDDSA_CALENDAR" "$CIRCUIT_NAME_EXPIRY_EDDSA_CALENDAR"; do
+    echo ""
+    echo "📦 Compiling calendar circuit ${CIRCUIT_NAME_VARIANT}..."
+    circom "circuits/${CIRCUIT_NAME_VARIANT}.circom" --r1cs --wasm --sym -o build -l node_modules
+
+    if [ ! -f "build/${CIRCUIT_NAME_VARIANT}.r1cs" ]; then
+        echo "❌ Error: Calendar circuit ${CIRCUIT_NAME_VARIANT} compilation failed"
+        exit 1
+    fi
+
+    echo "✅ Calendar circuit ${CIRCUIT_NAME_VARIANT} compiled successfully!"
+    echo "   - R1CS file: build/${CIRCUIT_NAME_VARIANT}.r1cs"
+    echo "   - WASM file: build/${CIRCUIT_NAME_VARIANT}.wasm"
+done
+
+# Compile secp256k1 circuits (issuer signatures verified with circom-ecdsa).
+# ~3M constraints each: compiling takes a long time and a lot of memory, so they are opt-in.
+if [ "${COMPILE_SECP256K1:-0}" = "1" ]; then
+    if [ ! -f "lib/circom-ecdsa/circuits/ecdsa.circom" ]; then
+        echo "❌ Error: circom-ecdsa not found in lib/circom-ecdsa"
+        echo "   Please install it first: bash scripts/setup/install_circom_ecdsa.sh"
+        exit 1
+    fi
+
+    for CIRCUIT_NAME_VARIANT in "$CIRCUIT_NAME_SECP256K1" "$CIRCUIT_NAME_EXPIRY_SECP256K1" \
+        "$CIRCUIT_NAME_SECP256K1_CALENDAR" "$CIRCUIT_NAME_EXPIRY_SECP256K1_CALENDAR"; do
+        echo ""
+        echo "📦 Compiling secp256k1 circuit ${CIRCUIT_NAME_VARIANT} (this takes a while)..."
+        circom "circuits/${CIRCUIT_NAME_VARIANT}.circom" --r1cs --wasm --sym -o build -l node_modules -l lib
+
+        if [ ! -f "build/${CIRCUIT_NAME_VARIANT}.r1cs" ]; then
+            echo "❌ Error: secp256k1 circuit ${CIRCUIT_NAME_VARIANT} compilation failed"
+            exit 1
+        fi
+
+        echo "✅ secp256k1 circuit ${CIRCUIT_NAME_VARIANT} compiled successfully!"
+        echo "   - R1CS file: build/${CIRCUIT_NAME_VARIANT}.r1cs"
+        echo "   - WASM file: build/${CIRCUIT_NAME_VARIANT}.wasm"
+    done
+else
+    echo ""
+    echo "ℹ️  Skipping secp256k1 circuits (set COMPILE_SECP256K1=1 to compile them)"
+fi
+
 # Step 2: Print circuit info
 echo ""
 echo "📊 Hard Constraint Circuit Information:"
@@ -98,12 +202,28 @@ echo ""
 echo "📊 Soft Constraint Circuit Information:"
 snarkjs r1cs info build/${CIRCUIT_NAME_SOFT}.r1cs
 
+echo ""
+echo "📊 Expiry Circuit Information:"
+snarkjs r1cs info build/${CIRCUIT_NAME_EXPIRY}.r1cs
+
+echo ""
+echo "📊 EdDSA Expiry Circuit Information:"
+snarkjs r1cs info build/${CIRCUIT_NAME_EXPIRY_EDDSA}.r1cs
+
+if [ -f "build/${CIRCUIT_NAME_EXPIRY_SECP256K1}.r1cs" ]; then
+    echo ""
+    echo "📊 secp256k1 Expiry Circuit Information (compare costs with npm run benchmark:circuits):"
+    snarkjs r1cs info build/${CIRCUIT_NAME_EXPIRY_SECP256K1}.r1cs
+fi
+
 # Step 3: Generate Solidity verifier (requires trusted setup first)
 echo ""
 echo "⚠️  Note: To generate the Solidity verifier contracts, you need to:"
 echo "   1. Run the trusted setup: npm run setup"
 echo "   2. Then run:"
-echo "      snarkjs zkey export solidityverifier build/${CIRCUIT_NAME_HARD}_final.zkey src/Verifier.sol"
+echo "      snarkjs zkey export solidityverifier build/${CIRCUIT_NAME_EXPIRY}_final.zkey src/Verifier.sol"
+echo "      (or build/${CIRCUIT_NAME_EXPIRY_EDDSA}_final.zkey when the issuers sign with EdDSA-Poseidon,"
+echo "       build/${CIRCUIT_NAME_EXPIRY_SECP256K1}_final.zkey to verify ECDSA signatures in full)"
 echo "      snarkjs zkey export solidityverifier build/${CIRCUIT_NAME_SOFT}_final.zkey src/VerifierSoft.sol"
 echo ""
-echo "✅ Both circuits compiled successfully!"
+echo "✅ All circuits compiled successfully!"
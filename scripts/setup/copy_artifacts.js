@@ -13,6 +13,10 @@ const buildDir = path.join(rootDir, 'build');
 const wasmSource = path.join(buildDir, 'age_citizenship_js', 'age_citizenship.wasm');
 const zkeySource = path.join(buildDir, 'age_citizenship_final.zkey');
 
+// Expiry circuit artifacts (credentials with a validity window)
+const wasmSourceExpiry = path.join(buildDir, 'age_citizenship_expiry_js', 'age_citizenship_expiry.wasm');
+const zkeySourceExpiry = path.join(buildDir, 'age_citizenship_expiry_final.zkey');
+
 // Soft constraint circuit artifacts
 const wasmSourceSoft = path.join(buildDir, 'age_citizenship_soft_js', 'age_citizenship_soft.wasm');
 const zkeySourceSoft = path.join(buildDir, 'age_citizenship_soft_final.zkey');
@@ -22,6 +26,13 @@ const wasmTargetDir = path.join(targetDir, 'age_citizenship_js');
 const wasmTarget = path.join(wasmTargetDir, 'age_citizenship.wasm');
 const zkeyTarget = path.join(targetDir, 'age_citizenship_final.zkey');
 
+const wasmTargetDirExpiry = path.join(targetDir, 'age_citizenship_expiry_js');
+const wasmTargetExpiry = path.join(wasmTargetDirExpiry, 'age_citizenship_expiry.wasm');
+const zkeyTargetExpiry = path.join(targetDir, 'age_citizenship_expiry_final.zkey');
+
+// EdDSA-Poseidon circuit artifacts (optional)
+const EDDSA_CIRCUITS = ['age_citizenship_eddsa', 'age_citizenship_expiry_eddsa'];
+
 const wasmTargetDirSoft = path.join(targetDir, 'age_citizenship_soft_js');
 const wasmTargetSoft = path.join(wasmTargetDirSoft, 'age_citizenship_soft.wasm');
 const zkeyTargetSoft = path.join(targetDir, 'age_citizenship_soft_final.zkey');
@@ -53,6 +64,20 @@ function main() {
     console.log('✅ Hard constraint artifacts copied');
     console.log(`   - ${wasmTarget}`);
     console.log(`   - ${zkeyTarget}`);
+
+    // Copy expiry circuit artifacts (required: the issuers sign credentials that expire)
+    console.log('\nExpiry Circuit:');
+    ensureFileExists(wasmSourceExpiry, 'Expiry WASM');
+    ensureFileExists(zkeySourceExpiry, 'Expiry zkey');
+
+    fs.mkdirSync(wasmTargetDirExpiry, { recursive: true });
+
+    copyFile(wasmSourceExpiry, wasmTargetExpiry);
+    copyFile(zkeySourceExpiry, zkeyTargetExpiry);
+
+    console.log('✅ Expiry circuit artifacts copied');
+    console.log(`   - ${wasmTargetExpiry}`);
+    console.log(`   - ${zkeyTargetExpiry}`);
     
     // Copy soft constraint artifacts (optional)
     console.log('\nSoft Constraint Circuit:');
@@ -73,6 +98,23 @@ function main() {
       console.log('   See docs/SOFT_CONSTRAINTS.md for instructions');
     }
     
+
+    // Copy EdDSA circuit artifacts (optional: only for issuers signing with EdDSA-Poseidon)
+    console.log('\nEdDSA Circuits:');
+    for (const circuit of EDDSA_CIRCUITS) {
+      const wasmSourceEddsa = path.join(buildDir, `${circuit}_js`, `${circuit}.wasm`);
+      const zkeySourceEddsa = path.join(buildDir, `${circuit}_final.zkey`);
+      if (!fs.existsSync(wasmSourceEddsa) || !fs.existsSync(zkeySourceEddsa)) {
+        console.log(`⚠️  ${circuit} artifacts not found (only needed for EdDSA-Poseidon issuers)`);
+        continue;
+      }
+      const wasmTargetDirEddsa = path.join(targetDir, `${circuit}_js`);
+      fs.mkdirSync(wasmTargetDirEddsa, { recursive: true });
+      copyFile(wasmSourceEddsa, path.join(wasmTargetDirEddsa, `${circuit}.wasm`));
+      copyFile(zkeySourceEddsa, path.join(targetDir, `${circuit}_final.zkey`));
+      console.log(`✅ ${circuit} artifacts copied`);
+    }
+    
     console.log('\n✅ Artifact copy complete!');
   } catch (error) {
     console.error(`\n❌ ${error.message}`);
@@ -5,13 +5,29 @@
 # This script downloads the Powers of Tau file required for the trusted setup ceremony.
 # The file is ~18MB and is NOT included in git to avoid bloating the repository.
 #
+# The secp256k1 circuits (~3M constraints) need a larger one:
+#   bash scripts/setup/download_ptau.sh 22    (~4.8GB)
+#
 # Run this before: npm run setup
 
 set -e
 
 PTAU_DIR="$(dirname "$0")/../../ptau"
-PTAU_FILE="$PTAU_DIR/powersOfTau_final.ptau"
-PTAU_URL="https://storage.googleapis.com/zkevm/ptau/powersOfTau28_hez_final_14.ptau"
+# Power of two of the largest circuit the file supports (default 2^14)
+PTAU_POWER="${1:-14}"
+PTAU_NAME="powersOfTau28_hez_final_${PTAU_POWER}.ptau"
+PTAU_URL="https://storage.googleapis.com/zkevm/ptau/${PTAU_NAME}"
+
+if [ "$PTAU_POWER" = "14" ]; then
+    PTAU_FILE="$PTAU_DIR/powersOfTau_final.ptau"
+    PTAU_SIZE="~18 MB"
+elif [ "$PTAU_POWER" = "22" ]; then
+    PTAU_FILE="$PTAU_DIR/$PTAU_NAME"
+    PTAU_SIZE="~4.8 GB"
+else
+    echo "Error: Unsupported Powers of Tau size 2^${PTAU_POWER} (use 14 or 22)"
+    exit 1
+fi
 
 # Create ptau directory if it doesn't exist
 mkdir -p "$PTAU_DIR"
@@ -29,9 +45,9 @@ if [ -f "$PTAU_FILE" ]; then
     exit 0
 fi
 
-echo "Downloading Powers of Tau (powersOfTau28_hez_final_14.ptau)..."
+echo "Downloading Powers of Tau (${PTAU_NAME})..."
 echo "Source: Hermez Network / Polygon zkEVM"
-echo "Size: ~18 MB"
+echo "Size: ${PTAU_SIZE}"
 echo ""
 
 # Download with progress
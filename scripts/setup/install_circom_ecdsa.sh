@@ -0,0 +1,53 @@
+#!/bin/bash
+
+# Script to fetch circom-ecdsa for the secp256k1 circuits
+#
+# age_citizenship_secp256k1 / age_citizenship_expiry_secp256k1 verify issuer
+# ECDSA signatures with 0xPARC's circom-ecdsa, which is not published on npm.
+# This clones it into lib/circom-ecdsa (not tracked in git).
+#
+# Its circuits include circomlib as ../node_modules/circomlib; that path is
+# linked to this project's node_modules, so circom sees a single copy of the
+# circomlib templates that both libraries use.
+#
+# Run this before: COMPILE_SECP256K1=1 npm run compile:circuit
+
+set -e
+
+ROOT_DIR="$(cd "$(dirname "$0")/../.." && pwd)"
+ECDSA_DIR="$ROOT_DIR/lib/circom-ecdsa"
+ECDSA_REPO="${CIRCOM_ECDSA_REPO:-https://github.com/0xPARC/circom-ecdsa.git}"
+
+echo "🔧 Installing circom-ecdsa"
+echo "=========================="
+echo ""
+
+if [ -f "$ECDSA_DIR/circuits/ecdsa.circom" ]; then
+    echo "✅ circom-ecdsa already present: $ECDSA_DIR"
+else
+    if ! command -v git &> /dev/null; then
+        echo "❌ git is required to fetch circom-ecdsa"
+        exit 1
+    fi
+    echo "📥 Cloning $ECDSA_REPO..."
+    git clone --depth 1 "$ECDSA_REPO" "$ECDSA_DIR"
+fi
+
+if [ ! -d "$ROOT_DIR/node_modules/circomlib" ]; then
+    echo "❌ circomlib not found in node_modules. Run: npm install"
+    exit 1
+fi
+
+# Point circom-ecdsa's circomlib includes at ours
+if [ ! -e "$ECDSA_DIR/node_modules" ]; then
+    ln -s ../../node_modules "$ECDSA_DIR/node_modules"
+fi
+
+echo ""
+echo "✅ circom-ecdsa ready!"
+echo ""
+echo "Next steps:"
+echo "  COMPILE_SECP256K1=1 npm run compile:circuit"
+echo "  npm run download:ptau -- 22"
+echo "  npm run setup"
+echo ""
@@ -22,8 +22,44 @@ const BUILD_DIR = path.join(__dirname, '../../build');
 const PTAU_DIR = path.join(__dirname, '../../ptau');
 const CIRCUIT_DIR = path.join(__dirname, '../../circuits');
 
-// Support both hard and soft constraint circuits
-const CIRCUIT_NAMES = ['age_citizenship', 'age_citizenship_soft'];
+// Hard and soft constraint circuits, plus the expiry variant for credentials with a validity window,
+// the EdDSA-Poseidon variants of the hard and expiry circuits, their secp256k1 variants
+// (only set up when compiled with COMPILE_SECP256K1=1) and the calendar variants of each (exact
+// birthdays)
+const CIRCUIT_NAMES = [
+    'age_citizenship',
+    'age_citizenship_soft',
+    'age_citizenship_expiry',
+    'age_citizenship_eddsa',
+    'age_citizenship_expiry_eddsa',
+    'age_citizenship_secp256k1',
+    'age_citizenship_expiry_secp256k1',
+    'age_citizenship_calendar',
+    'age_citizenship_expiry_calendar',
+    'age_citizenship_eddsa_calendar',
+    'age_citizenship_expiry_eddsa_calendar',
+    'age_citizenship_secp256k1_calendar',
+    'age_citizenship_expiry_secp256k1_calendar'
+];
+
+// The secp256k1 circuits (~3M constraints) outgrow the default 2^14 Powers of Tau
+const SECP256K1_CIRCUITS = [
+    'age_citizenship_secp256k1',
+    'age_citizenship_expiry_secp256k1',
+    'age_citizenship_secp256k1_calendar',
+    'age_citizenship_expiry_secp256k1_calendar'
+];
+const SECP256K1_PTAU_PATH = path.join(PTAU_DIR, 'powersOfTau28_hez_final_22.ptau');
+
+// Circuit whose verifier is deployed as src/Verifier.sol. The issuers sign credentials with
+// a validity window, so the expiry circuit is the default (its EdDSA variant when
+// ISSUER_SIGNATURE_SCHEME=eddsa-poseidon); set VERIFIER_CIRCUIT=age_citizenship for credentials
+// without one, VERIFIER_CIRCUIT=age_citizenship_expiry_secp256k1 to verify ECDSA signatures
+// in full, VERIFIER_CIRCUIT=age_citizenship_expiry_calendar (or age_citizenship_expiry_eddsa_calendar,
+// age_citizenship_expiry_secp256k1_calendar) to count age from the birthday. All share the same
+// public inputs, age_policy included (maximum ages, setAgePolicy), so AgeVerification is unchanged.
+const VERIFIER_CIRCUIT = process.env.VERIFIER_CIRCUIT ||
+    (process.env.ISSUER_SIGNATURE_SCHEME === 'eddsa-poseidon' ? 'age_citizenship_expiry_eddsa' : 'age_citizenship_expiry');
 
 // Ensure build directory exists
 if (!fs.existsSync(BUILD_DIR)) {
@@ -70,12 +106,19 @@ async function phase2(ptauPath, circuitName) {
         return null;
     }
 
+    const circuitPtauPath = SECP256K1_CIRCUITS.includes(circuitName) ? SECP256K1_PTAU_PATH : ptauPath;
+    if (!fs.existsSync(circuitPtauPath)) {
+        console.log(`⚠️  ${path.basename(circuitPtauPath)} not found for ${circuitName}, skipping...`);
+        console.log('   Download it with: npm run download:ptau -- 22');
+        return null;
+    }
+
     // Step 1: Start Phase 2
     console.log('🔧 Starting Phase 2 (generating initial zkey)...');
     const zkeyPath = path.join(BUILD_DIR, `${circuitName}_0000.zkey`);
 
     if (!fs.existsSync(zkeyPath)) {
-        await snarkjs.zKey.newZKey(r1csPath, ptauPath, zkeyPath, console);
+        await snarkjs.zKey.newZKey(r1csPath, circuitPtauPath, zkeyPath, console);
         console.log('✅ Initial zkey created');
     } else {
         console.log('✅ Initial zkey already exists');
@@ -104,8 +147,8 @@ async function phase2(ptauPath, circuitName) {
         console.log('✅ Verification key already exists');
     }
 
-    // Step 4: Generate Solidity verifier using CLI (only for main hard circuit)
-    if (circuitName === 'age_citizenship') {
+    // Step 4: Generate Solidity verifier using CLI (only for the deployed circuit)
+    if (circuitName === VERIFIER_CIRCUIT) {
         console.log('🔧 Generating Solidity verifier contract...');
         const verifierPath = path.join(__dirname, '../../src/Verifier.sol');
 
@@ -166,8 +209,8 @@ async function main() {
             console.log(`   - Verification key: ${vkeyPath}`);
         });
         
-        console.log(`\n   - Verifier contract: src/Verifier.sol (for main circuit)`);
-        console.log('\n🎉 You can now generate proofs with both hard and soft constraint circuits!');
+        console.log(`\n   - Verifier contract: src/Verifier.sol (for ${VERIFIER_CIRCUIT})`);
+        console.log('\n🎉 You can now generate proofs with the hard, soft, expiry and EdDSA circuits!');
         
     } catch (error) {
         console.error('\n❌ Error during trusted setup:', error);
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Deploy the Compliance Token
+ *
+ * Deploys ComplianceToken (src/ComplianceToken.sol), a reference ERC-20 that
+ * only verified wallets can hold: minting, transfer and transferFrom check
+ * AgeVerification.isVerified for the sender and the recipient.
+ *
+ * Usage:
+ *   npm run compile                                          # forge build, writes out/
+ *   CONTRACT_ADDRESS=0x... npm run token:deploy              # AgeVerification to consult
+ *
+ * TOKEN_NAME and TOKEN_SYMBOL default to "Compliant Security" / CSEC. The
+ * deployer becomes the token owner (see token_contract.js for the wallet).
+ */
+
+const { ethers } = require('ethers');
+const { loadTokenArtifact, ownerWallet } = require('./token_contract');
+
+/**
+ * Deploy ComplianceToken
+ * @param {Object} options
+ * @param {string} options.registryAddress - AgeVerification address
+ * @param {ethers.Signer} options.signer - Deployer, becomes the owner
+ * @param {string} [options.name='Compliant Security']
+ * @param {string} [options.symbol='CSEC']
+ * @returns {Promise<ethers.Contract>}
+ */
+async function deployComplianceToken({ registryAddress, signer, name = 'Compliant Security', symbol = 'CSEC' }) {
+    if (!registryAddress) {
+        throw new Error('Set CONTRACT_ADDRESS to the AgeVerification the token should consult');
+    }
+    const { abi, bytecode } = loadTokenArtifact();
+    const token = await new ethers.ContractFactory(abi, bytecode, signer).deploy(name, symbol, registryAddress);
+    await token.waitForDeployment();
+    return token;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    console.log('🪙 Deploying ComplianceToken');
+    console.log('============================\n');
+
+    const signer = ownerWallet();
+    const registryAddress = process.env.CONTRACT_ADDRESS;
+    const token = await deployComplianceToken({
+        registryAddress,
+        signer,
+        name: process.env.TOKEN_NAME || undefined,
+        symbol: process.env.TOKEN_SYMBOL || undefined
+    });
+    const address = await token.getAddress();
+
+    console.log(`   Name:     ${await token.name()} (${await token.symbol()})`);
+    console.log(`   Owner:    ${signer.address}`);
+    console.log(`   Registry: ${registryAddress} (AgeVerification)`);
+    console.log(`\n✅ ComplianceToken deployed at ${address}`);
+    console.log(`\nMint to a verified wallet with:\n   TOKEN_ADDRESS=${address} npm run token:mint -- <wallet> <amount>`);
+    return address;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { deployComplianceToken, main };
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Mint Compliance Tokens
+ *
+ * Mints ComplianceToken to a wallet that AgeVerification currently lists as
+ * verified (an accepted proof within verificationValidity). Unverified
+ * wallets are refused before a transaction is sent; the contract would
+ * revert anyway.
+ *
+ * Usage:
+ *   TOKEN_ADDRESS=0x... npm run token:mint -- <wallet> <amount>     # amount in whole tokens, e.g. 100 or 2.5
+ *
+ * Must be sent by the token owner (see token_contract.js for the wallet).
+ */
+
+const { ethers } = require('ethers');
+const { ownerWallet, connectToken } = require('./token_contract');
+
+/**
+ * Mint tokens to a verified wallet
+ * @param {Object} options
+ * @param {string} options.tokenAddress - ComplianceToken address
+ * @param {ethers.Signer} options.signer - Token owner
+ * @param {string} options.to - Recipient wallet
+ * @param {string} options.amount - Whole tokens (decimal string)
+ * @returns {Promise<{txHash: string, balance: bigint}>} Recipient balance after minting, in base units
+ */
+async function mintTokens({ tokenAddress, signer, to, amount }) {
+    const recipient = ethers.getAddress(to);
+    const { token, registry } = await connectToken(tokenAddress, signer);
+    if (!(await registry.isVerified(recipient))) {
+        const until = await registry.verifiedUntil(recipient);
+        throw new Error(
+            until > 0n
+                ? `${recipient} was verified until ${new Date(Number(until) * 1000).toISOString()}; it must submit a new proof`
+                : `${recipient} is not verified; it must submit an accepted proof (verifyAndConsume) first`
+        );
+    }
+
+    const value = ethers.parseUnits(amount, await token.decimals());
+    const receipt = await (await token.mint(recipient, value)).wait();
+    return { txHash: receipt.hash, balance: await token.balanceOf(recipient) };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const [to, amount] = process.argv.slice(2);
+    if (!to || !amount) {
+        throw new Error('Usage: TOKEN_ADDRESS=0x... npm run token:mint -- <wallet> <amount>');
+    }
+
+    console.log(`🪙 Minting ${amount} tokens to ${to}...`);
+    const { txHash, balance } = await mintTokens({
+        tokenAddress: process.env.TOKEN_ADDRESS,
+        signer: ownerWallet(),
+        to,
+        amount
+    });
+    console.log(`   Transaction: ${txHash}`);
+    console.log(`\n✅ Balance of ${to}: ${ethers.formatUnits(balance, 18)}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { mintTokens, main };
@@ -0,0 +1,79 @@
+/**
+ * Compliance Token Helpers (token scripts)
+ *
+ * Shared by deploy_token.js and mint_tokens.js: the ComplianceToken artifact
+ * from the Foundry build (out/), and the owner wallet that deploys and mints -
+ * DEPLOYER_PRIVATE_KEY, or Ganache deterministic account DEPLOYER_ACCOUNT
+ * (default: 0). RPC_URL defaults to http://127.0.0.1:8545.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { getGanacheDeterministicPrivateKey } = require('../../sdk');
+
+const ARTIFACT_FILE = path.join(__dirname, '../../out/ComplianceToken.sol/ComplianceToken.json');
+
+const COMPLIANCE_TOKEN_ABI = [
+    'function name() external view returns (string)',
+    'function symbol() external view returns (string)',
+    'function decimals() external view returns (uint8)',
+    'function totalSupply() external view returns (uint256)',
+    'function balanceOf(address) external view returns (uint256)',
+    'function verificationRegistry() external view returns (address)',
+    'function canTransfer(address from, address to) external view returns (bool)',
+    'function transfer(address to, uint256 amount) external returns (bool)',
+    'function mint(address to, uint256 amount) external'
+];
+
+const VERIFICATION_REGISTRY_ABI = [
+    'function isVerified(address) external view returns (bool)',
+    'function verifiedUntil(address) external view returns (uint256)'
+];
+
+/**
+ * ComplianceToken ABI and bytecode, as written by forge build
+ * @returns {{abi: Array, bytecode: string}}
+ */
+function loadTokenArtifact() {
+    if (!fs.existsSync(ARTIFACT_FILE)) {
+        throw new Error(`ComplianceToken artifact not found: ${ARTIFACT_FILE}\nRun: npm run compile`);
+    }
+    const artifact = JSON.parse(fs.readFileSync(ARTIFACT_FILE, 'utf8'));
+    return { abi: artifact.abi, bytecode: artifact.bytecode.object };
+}
+
+/**
+ * Token owner wallet (see module comment)
+ * @returns {ethers.Wallet}
+ */
+function ownerWallet(env = process.env) {
+    const provider = new ethers.JsonRpcProvider(env.RPC_URL || 'http://127.0.0.1:8545');
+    return new ethers.Wallet(
+        env.DEPLOYER_PRIVATE_KEY ||
+        getGanacheDeterministicPrivateKey(Number(env.DEPLOYER_ACCOUNT || 0), env.GANACHE_MNEMONIC),
+        provider
+    );
+}
+
+/**
+ * ComplianceToken at TOKEN_ADDRESS, and the verification registry it consults
+ * @param {ethers.Signer} signer
+ * @returns {Promise<{token: ethers.Contract, registry: ethers.Contract}>}
+ */
+async function connectToken(tokenAddress, signer) {
+    if (!tokenAddress) {
+        throw new Error('Set TOKEN_ADDRESS to the ComplianceToken (npm run token:deploy prints it)');
+    }
+    const token = new ethers.Contract(tokenAddress, COMPLIANCE_TOKEN_ABI, signer);
+    const registry = new ethers.Contract(await token.verificationRegistry(), VERIFICATION_REGISTRY_ABI, signer);
+    return { token, registry };
+}
+
+module.exports = {
+    COMPLIANCE_TOKEN_ABI,
+    VERIFICATION_REGISTRY_ABI,
+    loadTokenArtifact,
+    ownerWallet,
+    connectToken
+};
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * W3C Verifiable Credential Converter
+ *
+ * Converts between this project's credential JSON and W3C VC Data Model 2.0
+ * (see sdk/src/vc.js): issuers become did:key identifiers, subjects did:ethr,
+ * and the Poseidon + secp256k1 signature a DataIntegrityProof.
+ *
+ * Usage:
+ *   npm run vc -- export <credential.json> [vc.json]   # credential -> VC (stdout without output file)
+ *   npm run vc -- import <vc.json> [credential.json]   # VC -> credential, signature checked
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toVerifiableCredential, fromVerifiableCredential } = require('../../sdk');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function writeOutput(json, file) {
+    const text = JSON.stringify(json, null, 2);
+    if (file) {
+        fs.writeFileSync(path.resolve(file), text);
+    } else {
+        console.log(text);
+    }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const [command, input, output] = process.argv.slice(2);
+    if (!['export', 'import'].includes(command) || !input) {
+        throw new Error(
+            'Usage: npm run vc -- export <credential.json> [vc.json]\n' +
+            '       npm run vc -- import <vc.json> [credential.json]'
+        );
+    }
+
+    if (command === 'export') {
+        const vc = toVerifiableCredential(readJson(input));
+        writeOutput(vc, output);
+        if (output) {
+            console.log(`✅ Exported ${vc.type[1]} for ${vc.credentialSubject.id}`);
+            console.log(`   Issuer: ${vc.issuer.id}`);
+            console.log(`📁 Saved to: ${output}`);
+        }
+        return vc;
+    }
+
+    const credential = await fromVerifiableCredential(readJson(input));
+    writeOutput(credential, output);
+    if (output) {
+        console.log(`✅ Imported ${credential.credentialType} credential (issuer signature verified)`);
+        console.log(`📁 Saved to: ${output}`);
+    }
+    return credential;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,99 @@
+/**
+ * Credential Keystore File (user scripts)
+ *
+ * The user's credentials are kept in one passphrase-encrypted keystore (see
+ * sdk/src/keystore.js), by default credentials/wallet.keystore.json or
+ * CREDENTIAL_WALLET_FILE. The passphrase comes from CREDENTIAL_WALLET_PASSPHRASE,
+ * or is prompted for on the terminal.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createCredentialWallet, encryptKeystore, decryptKeystore } = require('../../sdk');
+
+const DEFAULT_CREDENTIAL_WALLET_FILE = path.join(__dirname, '../../credentials/wallet.keystore.json');
+
+/**
+ * Path of the keystore file
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {string}
+ */
+function credentialWalletPath(env = process.env) {
+    return env.CREDENTIAL_WALLET_FILE ? path.resolve(env.CREDENTIAL_WALLET_FILE) : DEFAULT_CREDENTIAL_WALLET_FILE;
+}
+
+/**
+ * Read a passphrase from the terminal without echoing it
+ * @param {string} prompt
+ * @returns {Promise<string>}
+ */
+function promptPassphrase(prompt) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error('No terminal to prompt on; set CREDENTIAL_WALLET_PASSPHRASE'));
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Print the prompt, then swallow the typed characters
+    rl._writeToOutput = (text) => {
+        if (text.startsWith(prompt)) rl.output.write(prompt);
+    };
+    return new Promise((resolve) => {
+        rl.question(prompt, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Passphrase from CREDENTIAL_WALLET_PASSPHRASE or the terminal
+ * @param {Object} [options]
+ * @param {boolean} [options.confirm] - Ask twice (when creating a keystore)
+ * @returns {Promise<string>}
+ */
+async function resolvePassphrase({ confirm = false } = {}) {
+    if (process.env.CREDENTIAL_WALLET_PASSPHRASE) {
+        return process.env.CREDENTIAL_WALLET_PASSPHRASE;
+    }
+    const passphrase = await promptPassphrase('🔑 Wallet passphrase: ');
+    if (confirm && passphrase !== await promptPassphrase('🔑 Repeat passphrase: ')) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+/**
+ * Decrypt the keystore (an empty wallet if the file does not exist yet)
+ * @param {string} passphrase
+ * @param {string} [file] - Keystore path (default: credentialWalletPath())
+ * @returns {Promise<Object>} Credential wallet
+ */
+async function loadCredentialWallet(passphrase, file = credentialWalletPath()) {
+    if (!fs.existsSync(file)) {
+        return createCredentialWallet();
+    }
+    return decryptKeystore(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+}
+
+/**
+ * Encrypt and write the keystore
+ * @param {Object} wallet - Credential wallet
+ * @param {string} passphrase
+ * @param {string} [file] - Keystore path (default: credentialWalletPath())
+ * @returns {Promise<string>} Path written
+ */
+async function saveCredentialWallet(wallet, passphrase, file = credentialWalletPath()) {
+    const keystore = await encryptKeystore(wallet, passphrase);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    return file;
+}
+
+module.exports = {
+    DEFAULT_CREDENTIAL_WALLET_FILE,
+    credentialWalletPath,
+    resolvePassphrase,
+    loadCredentialWallet,
+    saveCredentialWallet
+};
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Credential Wallet
+ *
+ * Manages the user's credentials in an encrypted keystore (scrypt + AES-256-GCM,
+ * see sdk/src/keystore.js) instead of the single plaintext file per type that
+ * the issuer scripts write. The wallet can hold several credentials per type,
+ * from different issuers or for different subject wallets.
+ *
+ * Usage:
+ *   npm run wallet -- list [credentialType]             # ids, types, issuers, subjects
+ *   npm run wallet -- import <file...> [--label <text>] # credential JSON or W3C VC, e.g. credentials/dob_credential.json
+ *   npm run wallet -- export <id> [file] [--vc]         # plaintext credential JSON or W3C VC (stdout without file)
+ *   npm run wallet -- delete <id>
+ *
+ * Ids may be shortened to any unique prefix. Proofs are generated from the
+ * wallet with: npm run generate:proof -- --wallet [--dob <id|type>] [--citizenship <id|type>]
+ *
+ * The passphrase comes from CREDENTIAL_WALLET_PASSPHRASE or is prompted for;
+ * the keystore path can be changed with CREDENTIAL_WALLET_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    addCredential,
+    listCredentials,
+    selectCredential,
+    removeCredential,
+    computeCredentialId,
+    isVerifiableCredential,
+    fromVerifiableCredential,
+    toVerifiableCredential
+} = require('../../sdk');
+const {
+    credentialWalletPath,
+    resolvePassphrase,
+    loadCredentialWallet,
+    saveCredentialWallet
+} = require('./credential_keystore');
+
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--label') {
+            flags.label = args[++i];
+        } else if (args[i] === '--vc') {
+            flags.vc = true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+function formatDate(seconds) {
+    return seconds ? new Date(Number(seconds) * 1000).toISOString().slice(0, 10) : 'never';
+}
+
+function printCredentials(entries) {
+    if (entries.length === 0) {
+        console.log('   (no credentials)');
+        return;
+    }
+    for (const entry of entries) {
+        const subject = `0x${BigInt(entry.userPubkey).toString(16).padStart(40, '0')}`;
+        console.log(`   ${entry.id}  ${entry.credentialType.padEnd(16)} ${entry.issuer || 'unknown issuer'}`);
+        console.log(`   ${' '.repeat(16)}  subject ${subject}, valid until ${formatDate(entry.validUntil)}${entry.label ? `, "${entry.label}"` : ''}`);
+    }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    console.log('👛 Credential Wallet');
+    console.log('====================\n');
+
+    const { positional: [command, ...args], flags } = parseArgs(process.argv.slice(2));
+    const file = credentialWalletPath();
+    const usage =
+        'Usage: npm run wallet -- list [credentialType]\n' +
+        '       npm run wallet -- import <file...> [--label <text>]\n' +
+        '       npm run wallet -- export <id> [file] [--vc]\n' +
+        '       npm run wallet -- delete <id>';
+
+    if (!['list', 'import', 'export', 'delete'].includes(command)) {
+        throw new Error(usage);
+    }
+
+    const creating = !fs.existsSync(file);
+    if (creating && command !== 'import') {
+        throw new Error(`No credential wallet at ${file}\nImport a credential first: npm run wallet -- import credentials/dob_credential.json`);
+    }
+    const passphrase = await resolvePassphrase({ confirm: creating });
+    let wallet = await loadCredentialWallet(passphrase, file);
+    console.log(`📁 Wallet: ${file}\n`);
+
+    if (command === 'list') {
+        const entries = listCredentials(wallet, { credentialType: args[0] });
+        console.log(`📋 Credentials (${entries.length}):`);
+        printCredentials(entries);
+        return entries;
+    }
+
+    if (command === 'import') {
+        if (args.length === 0) {
+            throw new Error(usage);
+        }
+        for (const credentialFile of args) {
+            const json = JSON.parse(fs.readFileSync(path.resolve(credentialFile), 'utf8'));
+            // W3C VCs are converted (and their signature checked) on the way in
+            const credential = isVerifiableCredential(json) ? await fromVerifiableCredential(json) : json;
+            let id;
+            ({ wallet, id } = addCredential(wallet, credential, { label: flags.label }));
+            console.log(`✅ Imported ${credential.credentialType} credential ${id} from ${credentialFile}`);
+        }
+        await saveCredentialWallet(wallet, passphrase, file);
+        console.log(`🔒 Wallet saved (${wallet.credentials.length} credentials)`);
+        console.log('   The plaintext credential files can now be deleted.');
+        return wallet;
+    }
+
+    if (!args[0]) {
+        throw new Error(usage);
+    }
+
+    if (command === 'export') {
+        const credential = selectCredential(wallet, args[0]);
+        const json = JSON.stringify(flags.vc ? toVerifiableCredential(credential) : credential, null, 2);
+        if (args[1]) {
+            fs.writeFileSync(path.resolve(args[1]), json);
+            console.log(`📤 Exported credential ${computeCredentialId(credential)} to ${args[1]} (plaintext${flags.vc ? ' W3C VC' : ''})`);
+        } else {
+            console.log(json);
+        }
+        return credential;
+    }
+
+    const { wallet: updated, credential } = removeCredential(wallet, args[0]);
+    await saveCredentialWallet(updated, passphrase, file);
+    console.log(`🗑️  Deleted ${credential.credentialType} credential ${computeCredentialId(credential)}`);
+    console.log(`🔒 Wallet saved (${updated.credentials.length} credentials)`);
+    return updated;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
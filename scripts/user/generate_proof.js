@@ -6,41 +6,178 @@
  * This script generates a zero-knowledge proof that proves:
  * 1. The user has a valid DOB credential from Issuer A
  * 2. The user has a valid citizenship credential from Issuer B
- * 3. The user is 18+ years old
- * 4. The user is a US citizen
+ * 3. The user's age is within the policy bounds (default: 18+)
+ * 4. The user is a citizen of the policy's country (default: US)
+ * 5. Both credentials are within their validity window (issuedAt / validUntil) at current_date
+ * 6. Neither credential has been revoked (non-membership in the revocation registry's tree)
  * 
  * All without revealing the actual date of birth or other personal information.
+ *
+ * Usage:
+ *   npm run generate:proof                                  # credentials/*_credential.json
+ *   npm run generate:proof -- --wallet                      # one credential per type from the wallet
+ *   npm run generate:proof -- --dob <id|type> --citizenship <id|type>
+ *   npm run generate:proof -- --calendar                    # count age from the birthday (_calendar circuits)
+ *   npm run generate:proof -- --challenge <challenge>       # answer a verifier's challenge (default: random)
+ *   npm run generate:proof -- --debug-inputs [file]         # also dump the private inputs (default: credentials/proof_debug_inputs.json)
+ *   npm run generate:proof -- --secp256k1                   # verify the ECDSA signatures in full (_secp256k1 circuits)
+ *   npm run generate:proof -- --min-age 18 --max-age 21     # prove 18 <= age < 21
+ *
+ * Selecting credentials reads the encrypted credential wallet (npm run wallet).
+ * When only one is selected by id, the other is picked among the credentials
+ * bound to the same subject.
+ *
+ * credentials/proof.json is a v2 presentation (see sdk/src/presentation.js):
+ * the proof, public signals, circuit, verification key hash, policy id and
+ * challenge. It is safe to hand to a verifier. The debug dump holds the date
+ * of birth, signatures and nonces - keep it local.
+ *
+ * --max-age is exclusive. Public signal 1 is the packed age_policy
+ * (maxAge * 1000 + minAge, or minAge alone without a maximum), which has to
+ * match the verifier's: AgeVerification.agePolicy() on chain.
+ *
+ * The challenge is a public input of the proof. AgeVerification only accepts
+ * one it issued to the submitting wallet (npm run request:challenge), and the
+ * verifier server one from its POST /challenges; each is accepted once. A
+ * random challenge is only good for local checks (npm run verify:proof).
  */
 
-const snarkjs = require('snarkjs');
 const fs = require('fs');
 const path = require('path');
+const {
+    encodeCitizenship,
+    DEFAULT_POLICY,
+    normalizePolicy,
+    describeAgePolicy,
+    buildCircuitInputs,
+    computeCredentialAge,
+    getCircuitName,
+    getCredentialValidity,
+    buildRevocationInputs,
+    verifyCredential,
+    describeFailedChecks,
+    generateProof: proveCircuit,
+    exportVerificationKey,
+    createPresentation,
+    CREDENTIAL_TYPES,
+    selectCredential
+} = require('../../sdk');
+const { loadRevocationRegistry } = require('../issuers/revocation_registry');
+const { credentialWalletPath, resolvePassphrase, loadCredentialWallet } = require('./credential_keystore');
 
-const CIRCUIT_NAME = 'age_citizenship';
 const BUILD_DIR = path.join(__dirname, '../../build');
 const CREDENTIALS_DIR = path.join(__dirname, '../../credentials');
+const ROOT = path.join(__dirname, '../..');
+const DEFAULT_DEBUG_INPUTS_FILE = path.join(CREDENTIALS_DIR, 'proof_debug_inputs.json');
 
 /**
- * Encode citizenship string as a field element
+ * Trusted issuers from the local issuer key files (.issuer_a_key.json / .issuer_b_key.json),
+ * or from the JSON array in TRUSTED_ISSUERS_FILE ([{ name, pubkey: { x, y }, schemas }]).
+ * Returns undefined when none are available, which skips the trusted-issuer check.
  */
-function encodeCitizenship(citizenship) {
-    let encoded = BigInt(0);
-    for (let i = 0; i < citizenship.length; i++) {
-        encoded = encoded * BigInt(256) + BigInt(citizenship.charCodeAt(i));
+function loadTrustedIssuers() {
+    if (process.env.TRUSTED_ISSUERS_FILE) {
+        return JSON.parse(fs.readFileSync(path.resolve(process.env.TRUSTED_ISSUERS_FILE), 'utf8'));
     }
-    return encoded;
+    const issuers = [
+        { name: 'Issuer A (DMV)', file: '.issuer_a_key.json', schemas: ['date_of_birth'] },
+        { name: 'Issuer B (Immigration)', file: '.issuer_b_key.json', schemas: ['citizenship'] }
+    ]
+        .filter(({ file }) => fs.existsSync(path.join(ROOT, file)))
+        .map(({ name, file, schemas }) => ({
+            name,
+            pubkey: JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8')).publicKey,
+            schemas
+        }));
+    return issuers.length > 0 ? issuers : undefined;
+}
+
+/**
+ * Verifier policy a proof is generated for
+ * @param {number|Object} policy - Minimum age, or { minAge, maxAge, requiredCitizenship }
+ *   (missing fields from DEFAULT_POLICY)
+ * @returns {{minAge: string, maxAge?: string, requiredCitizenship: string}}
+ */
+function resolvePolicy(policy) {
+    return normalizePolicy(policy !== null && typeof policy === 'object'
+        ? { ...DEFAULT_POLICY, ...policy }
+        : { ...DEFAULT_POLICY, minAge: policy });
+}
+
+/**
+ * Verify both credentials off-chain and print a per-check report.
+ * Throws with the failed checks so a tampered credential never reaches the circuit.
+ */
+async function verifyCredentials(dobCredential, citizenshipCredential, trustedIssuers, currentDate) {
+    console.log('🔎 Verifying credentials...');
+    const results = [
+        ['DOB credential', await verifyCredential(dobCredential, { trustedIssuers, expectedType: 'date_of_birth', currentDate })],
+        ['Citizenship credential', await verifyCredential(citizenshipCredential, { trustedIssuers, expectedType: 'citizenship', currentDate })]
+    ];
+
+    for (const [label, result] of results) {
+        console.log(`   ${label}:`);
+        for (const check of result.checks) {
+            const icon = check.passed ? '✅' : check.skipped ? '⏭️ ' : '❌';
+            console.log(`     ${icon} ${check.label}: ${check.reason}`);
+        }
+    }
+    console.log('');
+
+    const failures = results
+        .filter(([, result]) => !result.valid)
+        .map(([label, result]) => `${label} - ${describeFailedChecks(result)}`);
+    if (failures.length > 0) {
+        throw new Error(`Credential verification failed:\n   ${failures.join('\n   ')}`);
+    }
+}
+
+/**
+ * Verification key of a circuit: build/<circuit>_vkey.json from the trusted setup,
+ * or exported from the proving key when that file is missing
+ */
+async function loadVerificationKey(circuitName, zkeyPath) {
+    const vkeyPath = path.join(BUILD_DIR, `${circuitName}_vkey.json`);
+    if (fs.existsSync(vkeyPath)) {
+        return JSON.parse(fs.readFileSync(vkeyPath, 'utf8'));
+    }
+    return exportVerificationKey(zkeyPath);
 }
 
 /**
  * Generate zero-knowledge proof
+ * @param {Object} dobCredential
+ * @param {Object} citizenshipCredential
+ * @param {Date} currentDate
+ * @param {number|Object} policy - Minimum age, or a policy { minAge, maxAge, requiredCitizenship }
+ * @param {Object} [options]
+ * @param {Array} [options.trustedIssuers] - Issuer allowlist for the off-chain credential check
+ * @param {Object} [options.revocationRegistry] - Revocation registry JSON (default: the registry file)
+ * @param {string|bigint} [options.challenge] - Verifier-issued challenge the proof answers (default: random)
+ * @param {string} [options.debugInputsFile] - Also write the private circuit inputs here (opt-in, never part of the presentation)
+ * @param {boolean} [options.secp256k1] - Prove ECDSA credentials with the _secp256k1 circuits (see getCircuitName)
+ * @param {boolean} [options.calendar] - Count age from the birthday with the _calendar circuits
+ * @returns {Promise<Object>} v2 presentation (see createPresentation)
  */
-async function generateProof(dobCredential, citizenshipCredential, currentDate, minAge) {
+async function generateProof(dobCredential, citizenshipCredential, currentDate, policy, options = {}) {
     console.log('🔐 Generating Zero-Knowledge Proof...\n');
     
+    const resolvedPolicy = resolvePolicy(policy);
+    const { minAge, maxAge, requiredCitizenship } = resolvedPolicy;
+    
+    // Rejects expired credentials against current_date, before any proving work
+    await verifyCredentials(dobCredential, citizenshipCredential, options.trustedIssuers, currentDate);
+    
+    // Credentials with a validity window are proven with the expiry circuit
+    const circuitName = getCircuitName(dobCredential, citizenshipCredential, {
+        secp256k1: options.secp256k1,
+        calendar: options.calendar
+    });
+    
     // Check if circuit files exist
     // WASM is generated in a subdirectory by circom
-    const wasmPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`);
-    const zkeyPath = path.join(BUILD_DIR, `${CIRCUIT_NAME}_final.zkey`);
+    const wasmPath = path.join(BUILD_DIR, `${circuitName}_js`, `${circuitName}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${circuitName}_final.zkey`);
     
     if (!fs.existsSync(wasmPath)) {
         throw new Error(`WASM file not found: ${wasmPath}\nPlease compile the circuit first: npm run compile:circuit`);
@@ -50,86 +187,59 @@ async function generateProof(dobCredential, citizenshipCredential, currentDate,
         throw new Error(`ZKey file not found: ${zkeyPath}\nPlease run trusted setup first: npm run setup`);
     }
     
-    // Prepare private inputs
-    const dateOfBirth = BigInt(dobCredential.dateOfBirth);
-    const citizenship = encodeCitizenship(citizenshipCredential.citizenship);
-    const signatureAR = BigInt(dobCredential.signature.r);
-    const signatureAS = BigInt(dobCredential.signature.s);
-    const signatureBR = BigInt(citizenshipCredential.signature.r);
-    const signatureBS = BigInt(citizenshipCredential.signature.s);
-    const nonceA = BigInt(dobCredential.nonce);
-    const nonceB = BigInt(citizenshipCredential.nonce);
-    
-    // Verify that both credentials belong to the same user
-    const userPubkey = BigInt(dobCredential.userPubkey);
-    if (userPubkey.toString() !== citizenshipCredential.userPubkey) {
-        throw new Error('Credentials do not belong to the same user!');
-    }
-    
-    // Prepare public inputs
-    const currentDateInput = BigInt(Math.floor(currentDate.getTime() / 1000));
-    const minAgeInput = BigInt(minAge);
-    const requiredCitizenship = encodeCitizenship('US');
-    const issuerAPubkeyX = BigInt(dobCredential.issuerPubkey.x);
-    const issuerAPubkeyY = BigInt(dobCredential.issuerPubkey.y);
-    const issuerBPubkeyX = BigInt(citizenshipCredential.issuerPubkey.x);
-    const issuerBPubkeyY = BigInt(citizenshipCredential.issuerPubkey.y);
     const subjectWalletEnv = process.env.SUBJECT_WALLET;
-    const subjectWallet = subjectWalletEnv ? BigInt(subjectWalletEnv) : userPubkey;
-    if (subjectWallet !== userPubkey) {
+    if (subjectWalletEnv && BigInt(subjectWalletEnv) !== BigInt(dobCredential.userPubkey)) {
         throw new Error('SUBJECT_WALLET does not match credential userPubkey.');
     }
-    const userPubkeyInput = userPubkey;
     
-    // Calculate age to verify it's >= 18
-    const ageInSeconds = currentDateInput - dateOfBirth;
-    const ageInYears = Number(ageInSeconds) / 31557600; // Seconds in a year
+    // Non-membership proofs against the published revocation root (throws if revoked)
+    const revocationRegistry = options.revocationRegistry || loadRevocationRegistry();
+    const revocation = await buildRevocationInputs(dobCredential, citizenshipCredential, revocationRegistry);
+    
+    // Prepare circuit inputs (also checks both credentials belong to the same user)
+    const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+        currentDate,
+        minAge,
+        maxAge,
+        requiredCitizenship,
+        subjectWallet: subjectWalletEnv || undefined,
+        revocation,
+        challenge: options.challenge,
+        secp256k1: options.secp256k1,
+        calendar: options.calendar
+    });
     
-    if (ageInYears < minAge) {
+    // Calculate age to check it against the policy (completed calendar years for the _calendar circuits)
+    const ageInYears = computeCredentialAge(dobCredential, currentDate, { calendar: options.calendar });
+    
+    if (ageInYears < Number(minAge)) {
         throw new Error(`User is only ${ageInYears.toFixed(2)} years old, but minimum age is ${minAge}`);
     }
+    if (maxAge !== undefined && ageInYears >= Number(maxAge)) {
+        throw new Error(`User is ${ageInYears.toFixed(2)} years old, but the policy requires an age below ${maxAge}`);
+    }
     
     console.log('📋 Proof Inputs:');
-    console.log(`   Date of Birth: ${new Date(Number(dateOfBirth) * 1000).toISOString()}`);
+    console.log(`   Date of Birth: ${dobCredential.dateOfBirth}`);
     console.log(`   Current Date: ${currentDate.toISOString()}`);
     console.log(`   Age: ${ageInYears.toFixed(2)} years`);
     console.log(`   Citizenship: ${citizenshipCredential.citizenship}`);
-    console.log(`   Min Age Required: ${minAge}\n`);
-    
-    // Prepare circuit inputs
-    const input = {
-        // Private inputs
-        date_of_birth: dateOfBirth.toString(),
-        citizenship: citizenship.toString(),
-        signature_a_r: signatureAR.toString(),
-        signature_a_s: signatureAS.toString(),
-        signature_b_r: signatureBR.toString(),
-        signature_b_s: signatureBS.toString(),
-        nonce_a: nonceA.toString(),
-        nonce_b: nonceB.toString(),
-        
-        // Public inputs
-        current_date: currentDateInput.toString(),
-        min_age: minAgeInput.toString(),
-        required_citizenship: requiredCitizenship.toString(),
-        issuer_a_pubkey_x: issuerAPubkeyX.toString(),
-        issuer_a_pubkey_y: issuerAPubkeyY.toString(),
-        issuer_b_pubkey_x: issuerBPubkeyX.toString(),
-        issuer_b_pubkey_y: issuerBPubkeyY.toString(),
-        user_pubkey: userPubkeyInput.toString(),
-        subject_wallet: subjectWallet.toString()
-    };
+    console.log(`   Age Policy: ${describeAgePolicy(resolvedPolicy)}`);
+    for (const [label, credential] of [['DOB', dobCredential], ['Citizenship', citizenshipCredential]]) {
+        const validity = getCredentialValidity(credential);
+        if (validity) {
+            console.log(`   ${label} Credential Valid Until: ${new Date(Number(validity.validUntil) * 1000).toISOString()}`);
+        }
+    }
+    console.log(`   Revocation Root: ${input.revocation_root} (${revocationRegistry.revoked.length} revoked)`);
+    console.log(`   Circuit: ${circuitName}\n`);
     
     console.log('🔧 Computing witness...');
     // Debug: print all input values
     console.log(`   DEBUG Input values:`);
     console.log(`     current_date:        ${input.current_date}`);
     console.log(`     issuer_a_pubkey_x:   ${input.issuer_a_pubkey_x}`);
-    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        input,
-        wasmPath,
-        zkeyPath
-    );
+    const { proof, publicSignals } = await proveCircuit(input, { wasm: wasmPath, zkey: zkeyPath });
     console.log(`   DEBUG Public signals:`);
     console.log(`     [0] current_date:    ${publicSignals[0]}`);
     console.log(`     [3] issuer_a_pubkey: ${publicSignals[3]}`);
@@ -138,33 +248,89 @@ async function generateProof(dobCredential, citizenshipCredential, currentDate,
     
     console.log('✅ Proof generated successfully!\n');
     
-    // Format proof for Solidity
-    const calldata = await snarkjs.groth16.exportSolidityCallData(proof, publicSignals);
-    const calldataObj = JSON.parse('[' + calldata + ']');
-    
-    const formattedProof = {
-        a: [proof.pi_a[0], proof.pi_a[1]],
-        b: [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
-        c: [proof.pi_c[0], proof.pi_c[1]],
-        publicSignals: publicSignals.map(s => s.toString())
-    };
+    if (options.debugInputsFile) {
+        fs.mkdirSync(path.dirname(options.debugInputsFile), { recursive: true });
+        fs.writeFileSync(
+            options.debugInputsFile,
+            JSON.stringify({ warning: 'Private circuit inputs - do not share', circuit: circuitName, input }, null, 2),
+            { mode: 0o600 }
+        );
+        console.log(`⚠️  Private inputs written to ${options.debugInputsFile} (debug only, do not share)\n`);
+    }
     
-    return {
-        proof: formattedProof,
-        publicSignals: publicSignals.map(s => s.toString()),
-        calldata: calldataObj,
-        input: input
-    };
+    // Only the proof and its public context leave this function
+    return createPresentation({
+        circuit: circuitName,
+        proof,
+        publicSignals,
+        vkey: await loadVerificationKey(circuitName, zkeyPath),
+        policy: resolvedPolicy
+    });
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--wallet') {
+            options.wallet = true;
+        } else if (args[i] === '--secp256k1') {
+            options.secp256k1 = true;
+        } else if (args[i] === '--calendar') {
+            options.calendar = true;
+        } else if (args[i] === '--min-age') {
+            options.minAge = args[++i];
+        } else if (args[i] === '--max-age') {
+            options.maxAge = args[++i];
+        } else if (args[i] === '--dob' || args[i] === '--citizenship' || args[i] === '--challenge') {
+            options[args[i].slice(2)] = args[++i];
+        } else if (args[i] === '--debug-inputs') {
+            options.debugInputsFile = args[i + 1] && !args[i + 1].startsWith('--')
+                ? path.resolve(args[++i])
+                : DEFAULT_DEBUG_INPUTS_FILE;
+        }
+    }
+    return options;
 }
 
 /**
- * Main function
+ * Select the DOB and citizenship credentials from the encrypted credential wallet
+ * @param {Object} selectors
+ * @param {string} [selectors.dob] - Credential id or type (default: date_of_birth)
+ * @param {string} [selectors.citizenship] - Credential id or type (default: citizenship)
  */
-async function main() {
-    console.log('🎫 Zero-Knowledge Proof Generation');
-    console.log('===================================\n');
-    
-    // Load credentials
+async function loadCredentialsFromWallet({ dob, citizenship }) {
+    const file = credentialWalletPath();
+    if (!fs.existsSync(file)) {
+        throw new Error(`No credential wallet at ${file}\nImport credentials first: npm run wallet -- import <file>`);
+    }
+    const wallet = await loadCredentialWallet(await resolvePassphrase(), file);
+
+    // Whichever side is named explicitly fixes the subject for the other
+    let dobCredential;
+    let citizenshipCredential;
+    if (citizenship && !dob) {
+        citizenshipCredential = selectCredential(wallet, citizenship);
+        dobCredential = selectCredential(wallet, CREDENTIAL_TYPES.DATE_OF_BIRTH, { userPubkey: citizenshipCredential.userPubkey });
+    } else {
+        dobCredential = selectCredential(wallet, dob || CREDENTIAL_TYPES.DATE_OF_BIRTH);
+        citizenshipCredential = selectCredential(wallet, citizenship || CREDENTIAL_TYPES.CITIZENSHIP, { userPubkey: dobCredential.userPubkey });
+    }
+    for (const [label, credential, expected] of [
+        ['--dob', dobCredential, CREDENTIAL_TYPES.DATE_OF_BIRTH],
+        ['--citizenship', citizenshipCredential, CREDENTIAL_TYPES.CITIZENSHIP]
+    ]) {
+        if (credential.credentialType !== expected) {
+            throw new Error(`${label} selected a ${credential.credentialType} credential, expected ${expected}`);
+        }
+    }
+    console.log(`👛 Credentials selected from ${file}`);
+    return { dobCredential, citizenshipCredential };
+}
+
+/**
+ * Load the plaintext credentials written by the issuer scripts
+ */
+function loadCredentialFiles() {
     const dobCredentialPath = path.join(CREDENTIALS_DIR, 'dob_credential.json');
     const citizenshipCredentialPath = path.join(CREDENTIALS_DIR, 'citizenship_credential.json');
     
@@ -176,34 +342,60 @@ async function main() {
         throw new Error(`Citizenship credential not found: ${citizenshipCredentialPath}\nPlease issue a citizenship credential first: npm run issuer:b`);
     }
     
-    const dobCredential = JSON.parse(fs.readFileSync(dobCredentialPath, 'utf8'));
-    const citizenshipCredential = JSON.parse(fs.readFileSync(citizenshipCredentialPath, 'utf8'));
+    return {
+        dobCredential: JSON.parse(fs.readFileSync(dobCredentialPath, 'utf8')),
+        citizenshipCredential: JSON.parse(fs.readFileSync(citizenshipCredentialPath, 'utf8'))
+    };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    console.log('🎫 Zero-Knowledge Proof Generation');
+    console.log('===================================\n');
+    
+    const args = parseArgs(process.argv.slice(2));
+    const { dobCredential, citizenshipCredential } = args.wallet || args.dob || args.citizenship
+        ? await loadCredentialsFromWallet(args)
+        : loadCredentialFiles();
     
     console.log('✅ Credentials loaded\n');
     
-    // Get current date and minimum age
+    // Get current date and the age bounds (default: 18+)
     const currentDate = new Date();
-    const minAge = 18;
+    const policy = { minAge: args.minAge ?? DEFAULT_POLICY.minAge, maxAge: args.maxAge };
     
     // Generate proof
-    const proofData = await generateProof(
+    const presentation = await generateProof(
         dobCredential,
         citizenshipCredential,
         currentDate,
-        minAge
+        policy,
+        {
+            trustedIssuers: loadTrustedIssuers(),
+            challenge: args.challenge,
+            debugInputsFile: args.debugInputsFile,
+            secp256k1: args.secp256k1,
+            calendar: args.calendar
+        }
     );
     
-    // Save proof to file
+    // Save the presentation to file
     const proofPath = path.join(CREDENTIALS_DIR, 'proof.json');
-    fs.writeFileSync(proofPath, JSON.stringify(proofData, null, 2));
+    fs.writeFileSync(proofPath, JSON.stringify(presentation, null, 2));
     
     console.log('📁 Proof saved to:', proofPath);
     console.log('\n📊 Proof Summary:');
-    console.log(`   Public Signals: ${proofData.publicSignals.length} values`);
-    console.log(`   Proof Components: a, b, c`);
+    console.log(`   Format: presentation v${presentation.version} (no private inputs)`);
+    console.log(`   Circuit: ${presentation.circuit}`);
+    console.log(`   Verification Key Hash: ${presentation.vkeyHash}`);
+    console.log(`   Policy Id: ${presentation.policyId}`);
+    console.log(`   Challenge: ${presentation.challenge}`);
+    console.log(`   Public Signals: ${presentation.publicSignals.length} values`);
     console.log('\n✅ Ready to submit to smart contract!');
     
-    return proofData;
+    return presentation;
 }
 
 // Run if called directly
@@ -214,4 +406,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { generateProof, encodeCitizenship, main };
+module.exports = { generateProof, encodeCitizenship, loadTrustedIssuers, main };
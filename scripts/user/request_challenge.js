@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Request a Proof Challenge
+ *
+ * Asks a verifier for a fresh challenge to put into the next proof
+ * (npm run generate:proof -- --challenge <challenge>). Each challenge is
+ * accepted once, so a proof cannot be replayed.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... npm run request:challenge                    # AgeVerification.issueChallenge()
+ *   npm run request:challenge -- --verifier http://127.0.0.1:4010       # verifier server POST /challenges
+ *
+ * On-chain, the challenge is issued to the subject's wallet, which must also
+ * submit the proof: SUBJECT_PRIVATE_KEY, or Ganache deterministic account
+ * SUBJECT_ACCOUNT (default: 0). RPC_URL defaults to http://127.0.0.1:8545.
+ */
+
+const { ethers } = require('ethers');
+const { decodeChallenge, getGanacheDeterministicPrivateKey } = require('../../sdk');
+
+const AGE_VERIFICATION_ABI = [
+    'function issueChallenge() external returns (uint256)',
+    'event ChallengeIssued(address indexed subject, uint256 challenge)'
+];
+
+function subjectWallet(provider) {
+    return new ethers.Wallet(
+        process.env.SUBJECT_PRIVATE_KEY ||
+        getGanacheDeterministicPrivateKey(Number(process.env.SUBJECT_ACCOUNT || 0), process.env.GANACHE_MNEMONIC),
+        provider
+    );
+}
+
+/**
+ * Challenge from AgeVerification, issued to the subject wallet
+ * @returns {Promise<string>} 0x-prefixed 32-byte challenge
+ */
+async function requestContractChallenge(contractAddress, rpcUrl = 'http://127.0.0.1:8545') {
+    const wallet = subjectWallet(new ethers.JsonRpcProvider(rpcUrl));
+    const contract = new ethers.Contract(contractAddress, AGE_VERIFICATION_ABI, wallet);
+
+    console.log(`📨 Requesting a challenge from AgeVerification at ${contractAddress} for ${wallet.address}...`);
+    const receipt = await (await contract.issueChallenge()).wait();
+    const event = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed?.name === 'ChallengeIssued');
+    if (!event) {
+        throw new Error('issueChallenge did not emit ChallengeIssued');
+    }
+    return decodeChallenge(event.args.challenge);
+}
+
+/**
+ * Challenge from a verifier server
+ * @returns {Promise<string>} 0x-prefixed 32-byte challenge
+ */
+async function requestServerChallenge(baseUrl, wallet) {
+    console.log(`📨 Requesting a challenge from ${baseUrl}...`);
+    const response = await fetch(new URL('/challenges', baseUrl), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(wallet ? { wallet } : {})
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.error || `Verifier responded with ${response.status}`);
+    }
+    console.log(`   Expires: ${new Date(body.expiresAt * 1000).toISOString()}`);
+    return body.challenge;
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--verifier' || args[i] === '--wallet') {
+            options[args[i].slice(2)] = args[++i];
+        }
+    }
+    return options;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let challenge;
+    if (options.verifier) {
+        challenge = await requestServerChallenge(options.verifier, options.wallet);
+    } else {
+        if (!process.env.CONTRACT_ADDRESS) {
+            throw new Error('Set CONTRACT_ADDRESS, or pass --verifier <url> to ask a verifier server');
+        }
+        challenge = await requestContractChallenge(process.env.CONTRACT_ADDRESS, process.env.RPC_URL);
+    }
+
+    console.log(`\n✅ Challenge: ${challenge}`);
+    console.log(`\nAnswer it with:\n   npm run generate:proof -- --challenge ${challenge}`);
+    return challenge;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { requestContractChallenge, requestServerChallenge, main };
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Sign Wallet-Ownership Challenge
+ *
+ * Signs a challenge written by "npm run issuer:a -- challenge <wallet>" with the
+ * subject's wallet key, so the issuer can bind the credential to that wallet.
+ *
+ * Usage:
+ *   npm run sign:challenge -- credentials/challenges/date_of_birth_0x....json
+ *
+ * The key comes from SUBJECT_PRIVATE_KEY, or from Ganache deterministic
+ * account SUBJECT_ACCOUNT (default: 0).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Wallet } = require('ethers');
+const { signOwnershipChallenge, getGanacheDeterministicPrivateKey } = require('../../sdk');
+
+/**
+ * Main function
+ */
+async function main() {
+    const challengeFile = process.argv[2];
+    if (!challengeFile) {
+        throw new Error('Usage: npm run sign:challenge -- <challenge file>');
+    }
+
+    const challenge = JSON.parse(fs.readFileSync(path.resolve(challengeFile), 'utf8'));
+    const signer = new Wallet(
+        process.env.SUBJECT_PRIVATE_KEY ||
+        getGanacheDeterministicPrivateKey(Number(process.env.SUBJECT_ACCOUNT || 0), process.env.GANACHE_MNEMONIC)
+    );
+    if (signer.address !== challenge.wallet) {
+        throw new Error(`Challenge is for ${challenge.wallet}, but the signing key controls ${signer.address}`);
+    }
+
+    console.log(`✍️  Signing ${challenge.scheme} ownership challenge from ${challenge.issuer}...\n`);
+    console.log(challenge.message);
+
+    const signature = await signOwnershipChallenge(challenge, signer);
+    console.log(`\n✅ Signature:\n${signature}`);
+    return signature;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Verification Event Indexer
+ *
+ * Reads the ProofVerificationRecorded events AgeVerification.verifyAndRecord
+ * emits and stores them in the verification records database, the audit trail
+ * query_verifications.js searches. Resumes from the last indexed block.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... npm run indexer                  # index up to the chain head and exit
+ *   CONTRACT_ADDRESS=0x... npm run indexer -- --follow      # keep polling for new blocks
+ *
+ * Options:
+ *   --from <block>            First block on the first run (default: INDEXER_FROM_BLOCK or 0)
+ *   --batch <blocks>          Blocks per eth_getLogs request (default: INDEXER_BATCH_BLOCKS or 2000)
+ *   --confirmations <n>       Stay n blocks behind the head (default: INDEXER_CONFIRMATIONS or 0)
+ *   --interval <seconds>      Poll interval with --follow (default: INDEXER_POLL_SECONDS or 5)
+ *
+ * RPC_URL defaults to http://127.0.0.1:8545; the database to
+ * credentials/verification_records.db (VERIFICATION_DB_FILE).
+ */
+
+const { ethers } = require('ethers');
+const {
+    issuerRegistryKey,
+    openVerificationDb,
+    getLastIndexedBlock,
+    saveVerificationRecords
+} = require('./verification_records');
+
+const AGE_VERIFICATION_ABI = [
+    'event ProofVerificationRecorded(address indexed user, bool indexed result, uint256 timestamp, uint256[11] publicSignals, uint256[2] proofA, uint256[2][2] proofB, uint256[2] proofC)'
+];
+
+/**
+ * Verification record from a ProofVerificationRecorded event
+ * @param {ethers.EventLog} event
+ * @returns {Object} Record for saveVerificationRecords
+ */
+function decodeVerificationEvent(event) {
+    const { user, result, timestamp, publicSignals, proofA, proofB, proofC } = event.args;
+    const signals = publicSignals.map((signal) => signal.toString());
+    return {
+        txHash: event.transactionHash,
+        logIndex: event.index,
+        blockNumber: event.blockNumber,
+        recordedAt: Number(timestamp),
+        wallet: ethers.getAddress(user),
+        result,
+        proofDate: signals[0],
+        // age_policy: the minimum age, packed with the maximum age if any (see decodeAgePolicy)
+        minAge: signals[1],
+        requiredCitizenship: signals[2],
+        issuerA: issuerRegistryKey(signals[3], signals[4]),
+        issuerB: issuerRegistryKey(signals[5], signals[6]),
+        revocationRoot: signals[9],
+        // Not decodeChallenge: a rejected attempt can carry any uint256, not just field elements
+        challenge: ethers.toBeHex(signals[10], 32),
+        publicSignals: signals,
+        proof: {
+            a: proofA.map(String),
+            b: proofB.map((row) => row.map(String)),
+            c: proofC.map(String)
+        }
+    };
+}
+
+/**
+ * Index new ProofVerificationRecorded events up to the chain head
+ * @param {Object} options
+ * @param {string} options.contractAddress - AgeVerification address
+ * @param {Database} options.db - Open verification records database
+ * @param {string} [options.rpcUrl] - JSON-RPC endpoint (default: http://127.0.0.1:8545)
+ * @param {ethers.Provider} [options.provider] - Provider to use instead of rpcUrl
+ * @param {number} [options.fromBlock=0] - First block when nothing is indexed yet
+ * @param {number} [options.batchSize=2000] - Blocks per query
+ * @param {number} [options.confirmations=0] - Blocks to stay behind the head
+ * @returns {Promise<{added: number, lastBlock: number|null}>}
+ */
+async function indexVerifications({
+    contractAddress,
+    db,
+    rpcUrl = 'http://127.0.0.1:8545',
+    provider = new ethers.JsonRpcProvider(rpcUrl),
+    fromBlock = 0,
+    batchSize = 2000,
+    confirmations = 0
+}) {
+    if (!contractAddress) {
+        throw new Error('Indexing needs CONTRACT_ADDRESS');
+    }
+    const contract = new ethers.Contract(contractAddress, AGE_VERIFICATION_ABI, provider);
+    const lastIndexed = getLastIndexedBlock(db, contractAddress);
+    const head = (await provider.getBlockNumber()) - confirmations;
+
+    let added = 0;
+    let start = lastIndexed === null ? fromBlock : lastIndexed + 1;
+    while (start <= head) {
+        const end = Math.min(start + batchSize - 1, head);
+        const events = await contract.queryFilter('ProofVerificationRecorded', start, end);
+        added += saveVerificationRecords(db, contractAddress, events.map(decodeVerificationEvent), end);
+        start = end + 1;
+    }
+    return { added, lastBlock: getLastIndexedBlock(db, contractAddress) };
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--follow') {
+            options.follow = true;
+        } else if (['--from', '--batch', '--confirmations', '--interval'].includes(args[i])) {
+            options[args[i].slice(2)] = args[++i];
+        }
+    }
+    return options;
+}
+
+function toCount(value, name) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`${name} must be a non-negative integer, got ${value}`);
+    }
+    return count;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const env = process.env;
+    const options = {
+        contractAddress: env.CONTRACT_ADDRESS,
+        rpcUrl: env.RPC_URL || 'http://127.0.0.1:8545',
+        fromBlock: toCount(args.from ?? env.INDEXER_FROM_BLOCK ?? 0, '--from'),
+        batchSize: Math.max(1, toCount(args.batch ?? env.INDEXER_BATCH_BLOCKS ?? 2000, '--batch')),
+        confirmations: toCount(args.confirmations ?? env.INDEXER_CONFIRMATIONS ?? 0, '--confirmations')
+    };
+    const intervalMs = toCount(args.interval ?? env.INDEXER_POLL_SECONDS ?? 5, '--interval') * 1000;
+    if (!options.contractAddress) {
+        throw new Error('Set CONTRACT_ADDRESS to the AgeVerification to index');
+    }
+
+    const db = openVerificationDb();
+    options.db = db;
+    console.log(`📚 Indexing ProofVerificationRecorded from ${options.contractAddress} on ${options.rpcUrl}`);
+
+    try {
+        const { added, lastBlock } = await indexVerifications(options);
+        console.log(`✅ ${added} new record(s), indexed through block ${lastBlock ?? 'none'}`);
+        if (!args.follow) {
+            return;
+        }
+
+        console.log(`👀 Following new blocks every ${intervalMs / 1000}s (Ctrl+C to stop)`);
+        let stopped = false;
+        process.once('SIGINT', () => { stopped = true; });
+        while (!stopped) {
+            await new Promise((resolve) => setTimeout(resolve, intervalMs));
+            const batch = await indexVerifications(options);
+            if (batch.added > 0) {
+                console.log(`✅ ${batch.added} new record(s), indexed through block ${batch.lastBlock}`);
+            }
+        }
+    } finally {
+        db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { decodeVerificationEvent, indexVerifications, main };
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Verification Audit Trail Queries
+ *
+ * Searches the verification records the indexer (npm run indexer) stored from
+ * AgeVerification.verifyAndRecord: every attempt, accepted or rejected, with
+ * the submitting wallet, block time, policy and issuers it was checked against.
+ *
+ * Usage:
+ *   npm run query:verifications -- wallet <address>            # attempts submitted by a wallet
+ *   npm run query:verifications -- issuer <key>                # proofs from an issuer, as issuer A or B
+ *   npm run query:verifications -- dates <from> <to>           # recorded between two dates, inclusive
+ *
+ * An issuer is its registry key (0x + 64 hex, keccak256(x, y)) or its
+ * secp256k1 public key (compressed or uncompressed hex). Dates are
+ * YYYY-MM-DD (UTC, <to> covers the whole day), ISO timestamps or Unix seconds.
+ *
+ * Options:
+ *   --accepted | --rejected   Only accepted or only rejected attempts
+ *   --contract <address>      Only records from this AgeVerification (default: all indexed contracts)
+ *   --json                    Print the records as JSON
+ *
+ * The database is credentials/verification_records.db (VERIFICATION_DB_FILE).
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { reducePublicKey, decodeCitizenship, decodeAgePolicy, describeAgePolicy } = require('../../sdk');
+const {
+    issuerRegistryKey,
+    verificationDbPath,
+    openVerificationDb,
+    queryVerificationRecords
+} = require('./verification_records');
+
+const USAGE =
+    'Usage: npm run query:verifications -- wallet <address>\n' +
+    '       npm run query:verifications -- issuer <registry key | public key>\n' +
+    '       npm run query:verifications -- dates <from> <to>\n' +
+    '       [--accepted | --rejected] [--contract <address>] [--json]';
+
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--accepted' || args[i] === '--rejected' || args[i] === '--json') {
+            flags[args[i].slice(2)] = true;
+        } else if (args[i] === '--contract') {
+            flags.contract = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+/**
+ * Issuer registry key from a key hash or a public key
+ * @param {string} issuer - 0x-prefixed 32-byte registry key, or a secp256k1 public key
+ * @returns {string}
+ */
+function resolveIssuerKey(issuer) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(issuer)) {
+        return issuer.toLowerCase();
+    }
+    const { x, y } = reducePublicKey(issuer);
+    return issuerRegistryKey(x, y);
+}
+
+/**
+ * Unix seconds from a date argument
+ * @param {string} value - YYYY-MM-DD, ISO timestamp or Unix seconds
+ * @param {boolean} [endOfDay=false] - For a bare YYYY-MM-DD, the last second of that day
+ * @returns {number}
+ */
+function parseDateArg(value, endOfDay = false) {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) {
+        throw new Error(`Not a date: ${value} (use YYYY-MM-DD, an ISO timestamp or Unix seconds)`);
+    }
+    const seconds = Math.floor(millis / 1000);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86400 - 1 : seconds;
+}
+
+/**
+ * Query filter from command-line arguments
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{filter: Object, json: boolean}}
+ */
+function buildFilter(args) {
+    const { positional: [command, ...values], flags } = parseArgs(args);
+    if (flags.accepted && flags.rejected) {
+        throw new Error('Pass --accepted or --rejected, not both');
+    }
+
+    const filter = {};
+    if (command === 'wallet' && values.length === 1) {
+        filter.wallet = ethers.getAddress(values[0]);
+    } else if (command === 'issuer' && values.length === 1) {
+        filter.issuer = resolveIssuerKey(values[0]);
+    } else if (command === 'dates' && values.length === 2) {
+        filter.from = parseDateArg(values[0]);
+        filter.to = parseDateArg(values[1], true);
+        if (filter.from > filter.to) {
+            throw new Error(`<from> (${values[0]}) is after <to> (${values[1]})`);
+        }
+    } else {
+        throw new Error(USAGE);
+    }
+
+    if (flags.accepted || flags.rejected) {
+        filter.result = Boolean(flags.accepted);
+    }
+    if (flags.contract) {
+        filter.contract = ethers.getAddress(flags.contract);
+    }
+    return { filter, json: Boolean(flags.json) };
+}
+
+// age_policy signal: the minimum age, packed with the maximum age if any
+function describeAge(value) {
+    try {
+        return describeAgePolicy(decodeAgePolicy(value));
+    } catch {
+        return `age_policy ${value}`;
+    }
+}
+
+function describeCitizenship(value) {
+    try {
+        return decodeCitizenship(value);
+    } catch {
+        return value;
+    }
+}
+
+function printRecords(records) {
+    if (records.length === 0) {
+        console.log('   (no records)');
+        return;
+    }
+    for (const record of records) {
+        const recordedAt = new Date(record.recordedAt * 1000).toISOString().replace('.000Z', 'Z');
+        console.log(`   ${record.result ? '✅ accepted' : '❌ rejected'}  ${recordedAt}  ${record.wallet}`);
+        console.log(`      policy ${describeAge(record.minAge)} / ${describeCitizenship(record.requiredCitizenship)}, block ${record.blockNumber}, tx ${record.txHash}`);
+        console.log(`      issuer A ${record.issuerA}`);
+        console.log(`      issuer B ${record.issuerB}`);
+    }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const { filter, json } = buildFilter(process.argv.slice(2));
+    const file = verificationDbPath();
+    if (!fs.existsSync(file)) {
+        throw new Error(`No verification records at ${file}\nIndex them first: CONTRACT_ADDRESS=0x... npm run indexer`);
+    }
+
+    const db = openVerificationDb(file);
+    try {
+        const records = queryVerificationRecords(db, filter);
+        if (json) {
+            console.log(JSON.stringify(records, null, 2));
+            return records;
+        }
+
+        console.log('🔎 Verification Records');
+        console.log('=======================\n');
+        console.log(`📁 Database: ${file}`);
+        const accepted = records.filter((record) => record.result).length;
+        console.log(`📋 ${records.length} record(s): ${accepted} accepted, ${records.length - accepted} rejected\n`);
+        printRecords(records);
+        return records;
+    } finally {
+        db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { resolveIssuerKey, parseDateArg, buildFilter, main };
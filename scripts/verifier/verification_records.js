@@ -0,0 +1,208 @@
+/**
+ * Verification Records Database (verifier scripts)
+ *
+ * SQLite store for the audit trail AgeVerification.verifyAndRecord emits
+ * (ProofVerificationRecorded), by default credentials/verification_records.db
+ * or VERIFICATION_DB_FILE. The indexer (index_verifications.js) writes it,
+ * the query CLI (query_verifications.js) reads it.
+ *
+ * One row per event, keyed by transaction hash and log index, so indexing a
+ * block range twice is harmless. Issuers are stored as the contract's
+ * registry key, keccak256(pubkey_x, pubkey_y).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+
+const DEFAULT_VERIFICATION_DB_FILE = path.join(__dirname, '../../credentials/verification_records.db');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS verifications (
+    contract TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    recorded_at INTEGER NOT NULL,
+    wallet TEXT NOT NULL,
+    result INTEGER NOT NULL,
+    proof_date TEXT NOT NULL,
+    min_age TEXT NOT NULL,
+    required_citizenship TEXT NOT NULL,
+    issuer_a TEXT NOT NULL,
+    issuer_b TEXT NOT NULL,
+    revocation_root TEXT NOT NULL,
+    challenge TEXT NOT NULL,
+    public_signals TEXT NOT NULL,
+    proof TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS verifications_wallet ON verifications (wallet);
+CREATE INDEX IF NOT EXISTS verifications_issuer_a ON verifications (issuer_a);
+CREATE INDEX IF NOT EXISTS verifications_issuer_b ON verifications (issuer_b);
+CREATE INDEX IF NOT EXISTS verifications_recorded_at ON verifications (recorded_at);
+CREATE TABLE IF NOT EXISTS indexer_state (
+    contract TEXT PRIMARY KEY,
+    last_block INTEGER NOT NULL
+);
+`;
+
+/**
+ * Issuer registry key, as AgeVerification computes it: keccak256(abi.encodePacked(x, y))
+ * @param {bigint|string} x - Reduced public key x
+ * @param {bigint|string} y - Reduced public key y
+ * @returns {string} 0x-prefixed, lowercase
+ */
+function issuerRegistryKey(x, y) {
+    return ethers.solidityPackedKeccak256(['uint256', 'uint256'], [x, y]).toLowerCase();
+}
+
+/**
+ * Path of the database file
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {string}
+ */
+function verificationDbPath(env = process.env) {
+    return env.VERIFICATION_DB_FILE ? path.resolve(env.VERIFICATION_DB_FILE) : DEFAULT_VERIFICATION_DB_FILE;
+}
+
+/**
+ * Open (and create if needed) the database
+ * @param {string} [file] - Database path (default: verificationDbPath()), or ':memory:'
+ * @returns {Database} better-sqlite3 handle; close it when done
+ */
+function openVerificationDb(file = verificationDbPath()) {
+    if (file !== ':memory:') {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    return db;
+}
+
+/**
+ * Last block indexed for a contract
+ * @returns {number|null} Block number, or null before the first run
+ */
+function getLastIndexedBlock(db, contract) {
+    const row = db.prepare('SELECT last_block FROM indexer_state WHERE contract = ?').get(contract.toLowerCase());
+    return row ? row.last_block : null;
+}
+
+/**
+ * Store verification records and the indexed block height in one transaction
+ * @param {Database} db
+ * @param {string} contract - AgeVerification address
+ * @param {Object[]} records - Decoded ProofVerificationRecorded events (see index_verifications.js)
+ * @param {number} lastBlock - Highest block the records were read up to
+ * @returns {number} Number of new records
+ */
+function saveVerificationRecords(db, contract, records, lastBlock) {
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO verifications (
+            contract, tx_hash, log_index, block_number, recorded_at, wallet, result, proof_date, min_age,
+            required_citizenship, issuer_a, issuer_b, revocation_root, challenge, public_signals, proof
+        ) VALUES (
+            @contract, @txHash, @logIndex, @blockNumber, @recordedAt, @wallet, @result, @proofDate, @minAge,
+            @requiredCitizenship, @issuerA, @issuerB, @revocationRoot, @challenge, @publicSignals, @proof
+        )
+    `);
+    const setLastBlock = db.prepare(`
+        INSERT INTO indexer_state (contract, last_block) VALUES (?, ?)
+        ON CONFLICT (contract) DO UPDATE SET last_block = excluded.last_block
+    `);
+
+    return db.transaction(() => {
+        let added = 0;
+        for (const record of records) {
+            added += insert.run({
+                ...record,
+                contract: contract.toLowerCase(),
+                result: record.result ? 1 : 0,
+                publicSignals: JSON.stringify(record.publicSignals),
+                proof: JSON.stringify(record.proof)
+            }).changes;
+        }
+        setLastBlock.run(contract.toLowerCase(), lastBlock);
+        return added;
+    })();
+}
+
+function toRecord(row) {
+    return {
+        contract: row.contract,
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        blockNumber: row.block_number,
+        recordedAt: row.recorded_at,
+        wallet: row.wallet,
+        result: row.result === 1,
+        proofDate: row.proof_date,
+        minAge: row.min_age,
+        requiredCitizenship: row.required_citizenship,
+        issuerA: row.issuer_a,
+        issuerB: row.issuer_b,
+        revocationRoot: row.revocation_root,
+        challenge: row.challenge,
+        publicSignals: JSON.parse(row.public_signals),
+        proof: JSON.parse(row.proof)
+    };
+}
+
+/**
+ * Query verification records, oldest first. Filters combine with AND.
+ * @param {Database} db
+ * @param {Object} [filter]
+ * @param {string} [filter.wallet] - Submitting wallet (msg.sender)
+ * @param {string} [filter.issuer] - Issuer registry key, as issuer A or issuer B
+ * @param {number} [filter.from] - Recorded at or after (Unix seconds)
+ * @param {number} [filter.to] - Recorded at or before (Unix seconds)
+ * @param {boolean} [filter.result] - Only accepted (true) or rejected (false) attempts
+ * @param {string} [filter.contract] - Only records from this AgeVerification
+ * @returns {Object[]}
+ */
+function queryVerificationRecords(db, filter = {}) {
+    const clauses = [];
+    const params = {};
+    if (filter.wallet !== undefined) {
+        clauses.push('wallet = @wallet');
+        params.wallet = ethers.getAddress(filter.wallet);
+    }
+    if (filter.issuer !== undefined) {
+        clauses.push('(issuer_a = @issuer OR issuer_b = @issuer)');
+        params.issuer = filter.issuer.toLowerCase();
+    }
+    if (filter.from !== undefined) {
+        clauses.push('recorded_at >= @from');
+        params.from = filter.from;
+    }
+    if (filter.to !== undefined) {
+        clauses.push('recorded_at <= @to');
+        params.to = filter.to;
+    }
+    if (filter.result !== undefined) {
+        clauses.push('result = @result');
+        params.result = filter.result ? 1 : 0;
+    }
+    if (filter.contract !== undefined) {
+        clauses.push('contract = @contract');
+        params.contract = filter.contract.toLowerCase();
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return db
+        .prepare(`SELECT * FROM verifications ${where} ORDER BY block_number, log_index`)
+        .all(params)
+        .map(toRecord);
+}
+
+module.exports = {
+    DEFAULT_VERIFICATION_DB_FILE,
+    issuerRegistryKey,
+    verificationDbPath,
+    openVerificationDb,
+    getLastIndexedBlock,
+    saveVerificationRecords,
+    queryVerificationRecords
+};
@@ -0,0 +1,117 @@
+/**
+ * Verifier Context (verifier scripts)
+ *
+ * What an off-chain verifier checks a presentation against, shared by
+ * verify_proof.js and verifier_server.js: the circuit's exported
+ * verification key, and - to reach the same decision as AgeVerification -
+ * the contract's policy, freshness window, issuer registry, revocation root
+ * and block time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { decodeCitizenship } = require('../../sdk');
+const { ISSUER_REGISTRY_ABI } = require('../deploy/issuer_registry');
+
+const DEFAULT_VKEY_DIR = path.join(__dirname, '../../build');
+
+const AGE_VERIFICATION_ABI = [
+    'function minAge() external view returns (uint256)',
+    'function maxAge() external view returns (uint256)',
+    'function requiredCitizenship() external view returns (uint256)',
+    'function revocationRoot() external view returns (uint256)',
+    'function proofFreshnessWindow() external view returns (uint256)',
+    'function trustedIssuerA(bytes32) external view returns (bool)',
+    'function trustedIssuerB(bytes32) external view returns (bool)',
+    ...ISSUER_REGISTRY_ABI
+];
+
+/**
+ * Verification key of a circuit (<vkeyDir>/<circuit>_vkey.json, written by the trusted setup)
+ * @param {string} circuit - Circuit name
+ * @param {Object} [options]
+ * @param {string} [options.file] - Explicit vkey file
+ * @param {string} [options.vkeyDir] - Directory of <circuit>_vkey.json files (default: build/)
+ * @returns {Object} snarkjs verification key
+ */
+function loadVerificationKey(circuit, { file, vkeyDir = DEFAULT_VKEY_DIR } = {}) {
+    const vkeyPath = file ? path.resolve(file) : path.join(vkeyDir, `${circuit}_vkey.json`);
+    if (!fs.existsSync(vkeyPath)) {
+        throw new Error(`Verification key not found: ${vkeyPath}\nRun the trusted setup first (npm run setup) or pass --vkey`);
+    }
+    return JSON.parse(fs.readFileSync(vkeyPath, 'utf8'));
+}
+
+function connect({ contractAddress, rpcUrl = 'http://127.0.0.1:8545' }) {
+    if (!contractAddress) {
+        throw new Error('Reading the policy from the chain needs CONTRACT_ADDRESS (and RPC_URL for a non-local chain)');
+    }
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    return { provider, contract: new ethers.Contract(contractAddress, AGE_VERIFICATION_ABI, provider) };
+}
+
+/**
+ * Policy, proof freshness window and revocation root currently set on AgeVerification
+ * @param {Object} options
+ * @param {string} options.contractAddress - AgeVerification address
+ * @param {string} [options.rpcUrl] - JSON-RPC endpoint (default: http://127.0.0.1:8545)
+ * @returns {Promise<{policy: Object, dateWindowSeconds: number, revocationRoot: bigint}>}
+ */
+async function loadChainPolicy(options) {
+    const { contract } = connect(options);
+    const [minAge, maxAge, requiredCitizenship, proofFreshnessWindow, revocationRoot] = await Promise.all([
+        contract.minAge(),
+        contract.maxAge(),
+        contract.requiredCitizenship(),
+        contract.proofFreshnessWindow(),
+        contract.revocationRoot()
+    ]);
+    return {
+        policy: { minAge, maxAge, requiredCitizenship: decodeCitizenship(requiredCitizenship) },
+        dateWindowSeconds: Number(proofFreshnessWindow),
+        revocationRoot
+    };
+}
+
+/**
+ * Policy, freshness window, issuer allowlist, revocation root and clock from AgeVerification.
+ * Only the two issuer keys in the proof are looked up, not the whole registry.
+ * @param {Object} presentation - Parsed v2 presentation
+ * @param {Object} options - See loadChainPolicy
+ * @returns {Promise<{source: string, policy: Object, dateWindowSeconds: number, trustedIssuers: Array, revocationRoot: bigint, currentDate: bigint}>}
+ */
+async function loadChainContext(presentation, options) {
+    const { provider, contract } = connect(options);
+
+    const signals = presentation.publicSignals;
+    const issuerAHash = ethers.solidityPackedKeccak256(['uint256', 'uint256'], [signals[3], signals[4]]);
+    const issuerBHash = ethers.solidityPackedKeccak256(['uint256', 'uint256'], [signals[5], signals[6]]);
+    const [{ policy, dateWindowSeconds, revocationRoot }, issuerATrusted, issuerBTrusted, issuerA, issuerB, block] = await Promise.all([
+        loadChainPolicy(options),
+        contract.trustedIssuerA(issuerAHash),
+        contract.trustedIssuerB(issuerBHash),
+        contract.issuers(issuerAHash),
+        contract.issuers(issuerBHash),
+        provider.getBlock('latest')
+    ]);
+
+    const trustedIssuers = [];
+    if (issuerATrusted) {
+        trustedIssuers.push({ name: issuerA.name || 'on-chain Issuer A registry', pubkey: { x: signals[3], y: signals[4] }, schemas: ['date_of_birth'] });
+    }
+    if (issuerBTrusted) {
+        trustedIssuers.push({ name: issuerB.name || 'on-chain Issuer B registry', pubkey: { x: signals[5], y: signals[6] }, schemas: ['citizenship'] });
+    }
+
+    return {
+        source: `AgeVerification at ${options.contractAddress} (block ${block.number})`,
+        policy,
+        dateWindowSeconds,
+        trustedIssuers,
+        revocationRoot,
+        currentDate: BigInt(block.timestamp)
+    };
+}
+
+module.exports = { DEFAULT_VKEY_DIR, loadVerificationKey, loadChainPolicy, loadChainContext };
@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+
+/**
+ * Verifier HTTP Server
+ *
+ * Verifies proof.json v2 presentations for off-chain relying parties (a
+ * web shop, an exchange's backend) that want AgeVerification's decision
+ * without a transaction. Each answer comes with an EIP-712 receipt signed
+ * by the verifier key, so the relying party can keep or forward it.
+ *
+ * The checks are the SDK's verifyPresentation - the same ones
+ * AgeVerification.verifyProof applies - against the vkeys of the accepted
+ * circuits. Only circuits with a policy-enforcing on-chain verifier are
+ * accepted (age_citizenship, age_citizenship_expiry and their _eddsa,
+ * _secp256k1 and _calendar variants); the soft circuit's proofs are not.
+ *
+ * Every proof must answer a challenge from POST /challenges (a public input
+ * of the circuit). A challenge is single-use and short-lived: it is used up
+ * by the first presentation that verifies, so proofs cannot be replayed.
+ *
+ * Endpoints:
+ *   GET  /policy       What to prove: policy, policy id, accepted circuits and vkey hashes,
+ *                      trusted issuers, revocation root, verifier address and the receipt types
+ *   POST /challenges   { wallet? } -> { challenge, wallet, expiresAt } for the next proof
+ *   POST /verify       { presentation, wallet? } -> { valid, circuit, checks, receipt, verifier, signature }
+ *
+ * Usage:
+ *   npm run verifier:server
+ *   CONTRACT_ADDRESS=0x... npm run verifier:server   # policy, issuers and root from AgeVerification
+ *
+ * Options (or environment variables):
+ *   --port     PORT                   Listen port (default: 4010)
+ *   --host     HOST                   Listen host (default: 127.0.0.1)
+ *   --account  VERIFIER_ACCOUNT       Ganache deterministic account for the receipt key (default: 5)
+ *   --policy   VERIFIER_POLICY_FILE   { "minAge": 18, "maxAge": 21, "requiredCitizenship": "US" } (default: 18+ / US;
+ *                                    maxAge is optional and exclusive)
+ *   --issuers  TRUSTED_ISSUERS_FILE   Trusted issuer list (default: .issuer_*_key.json)
+ *   --window   VERIFIER_DATE_WINDOW_SECONDS  Accepted proof age, either way (default: 365 days)
+ *   VERIFIER_CHALLENGE_TTL_SECONDS    How long an issued challenge can be answered (default: 600)
+ *   VERIFIER_PRIVATE_KEY / VERIFIER_KEY_FILE override the Ganache key
+ *   VERIFIER_CORS_ORIGIN              Access-Control-Allow-Origin (default: *)
+ *   CONTRACT_ADDRESS, RPC_URL         Read the policy, freshness window, issuer registry, revocation
+ *                                     root and clock from AgeVerification instead of local files
+ *   REVOCATION_REGISTRY_FILE          Local revocation registry (default: credentials/revocation_registry.json)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Wallet, getAddress } = require('ethers');
+const {
+    DEFAULT_POLICY,
+    DEFAULT_PROOF_DATE_WINDOW_SECONDS,
+    RECEIPT_EIP712_DOMAIN,
+    RECEIPT_EIP712_TYPES,
+    normalizePolicy,
+    describeAgePolicy,
+    computePolicyId,
+    computeVerificationKeyHash,
+    computeRevocationRoot,
+    createPresentationChallenge,
+    parsePresentation,
+    verifyPresentation,
+    createVerificationReceipt,
+    signVerificationReceipt,
+    getGanacheDeterministicPrivateKey
+} = require('../../sdk');
+const { loadTrustedIssuers } = require('../user/generate_proof');
+const { revocationRegistryPath, loadRevocationRegistry } = require('../issuers/revocation_registry');
+const { DEFAULT_VKEY_DIR, loadVerificationKey, loadChainPolicy, loadChainContext } = require('./verifier_context');
+
+// Circuits whose public signals AgeVerification enforces; the soft circuit is not one of them.
+// Only those with a vkey in the vkey directory are loaded.
+const DEFAULT_CIRCUITS = [
+    'age_citizenship',
+    'age_citizenship_expiry',
+    'age_citizenship_eddsa',
+    'age_citizenship_expiry_eddsa',
+    'age_citizenship_secp256k1',
+    'age_citizenship_expiry_secp256k1',
+    'age_citizenship_calendar',
+    'age_citizenship_expiry_calendar',
+    'age_citizenship_eddsa_calendar',
+    'age_citizenship_expiry_eddsa_calendar',
+    'age_citizenship_secp256k1_calendar',
+    'age_citizenship_expiry_secp256k1_calendar'
+];
+
+// Presentations are a few kilobytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Proving takes seconds to a few minutes, in the browser too
+const DEFAULT_CHALLENGE_TTL_SECONDS = 10 * 60;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)$/.exec(argv[i]);
+        if (match && i + 1 < argv.length) {
+            options[match[1]] = argv[++i];
+        }
+    }
+    return options;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function loadPrivateKey(options) {
+    if (options.privateKey) return options.privateKey;
+    if (options.keyFile) {
+        const keyData = readJson(options.keyFile);
+        if (!keyData.privateKey) {
+            throw new Error(`No privateKey found in ${options.keyFile}`);
+        }
+        return keyData.privateKey;
+    }
+    return getGanacheDeterministicPrivateKey(Number(options.account ?? 5), options.mnemonic);
+}
+
+/**
+ * Resolve the server configuration from CLI args and environment variables
+ */
+function resolveConfig(argv = process.argv.slice(2), env = process.env) {
+    const args = parseArgs(argv);
+    const policyFile = args.policy || env.VERIFIER_POLICY_FILE;
+    const trustedIssuersFile = args.issuers || env.TRUSTED_ISSUERS_FILE;
+    const dateWindowSeconds = args.window || env.VERIFIER_DATE_WINDOW_SECONDS;
+    const contractAddress = env.CONTRACT_ADDRESS;
+    return {
+        port: Number(args.port || env.PORT || 4010),
+        host: args.host || env.HOST || '127.0.0.1',
+        corsOrigin: env.VERIFIER_CORS_ORIGIN || '*',
+        privateKey: env.VERIFIER_PRIVATE_KEY,
+        keyFile: env.VERIFIER_KEY_FILE,
+        account: args.account || env.VERIFIER_ACCOUNT || 5,
+        mnemonic: env.GANACHE_MNEMONIC,
+        policy: policyFile ? readJson(policyFile) : DEFAULT_POLICY,
+        dateWindowSeconds: dateWindowSeconds ? Number(dateWindowSeconds) : undefined,
+        // On-chain mode takes the issuer registry from the contract
+        trustedIssuers: contractAddress ? undefined : trustedIssuersFile ? readJson(trustedIssuersFile) : loadTrustedIssuers(),
+        chain: contractAddress ? { contractAddress, rpcUrl: env.RPC_URL } : undefined,
+        challengeTtlSeconds: Number(env.VERIFIER_CHALLENGE_TTL_SECONDS || DEFAULT_CHALLENGE_TTL_SECONDS),
+        revocationRegistryFile: revocationRegistryPath(env)
+    };
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseWallet(wallet) {
+    try {
+        return getAddress(wallet);
+    } catch {
+        throw new HttpError(400, 'wallet must be an Ethereum address');
+    }
+}
+
+function loadCircuitKeys(circuits, vkeyDir) {
+    const vkeys = {};
+    for (const circuit of circuits) {
+        if (fs.existsSync(path.join(vkeyDir, `${circuit}_vkey.json`))) {
+            vkeys[circuit] = loadVerificationKey(circuit, { vkeyDir });
+        }
+    }
+    if (Object.keys(vkeys).length === 0) {
+        throw new Error(`No verification key for ${circuits.join(' or ')} in ${vkeyDir}\nRun the trusted setup first (npm run setup)`);
+    }
+    return vkeys;
+}
+
+/**
+ * Create the verifier HTTP server (not yet listening)
+ * @param {Object} [options]
+ * @param {string} [options.privateKey] - Receipt signing key (hex)
+ * @param {string} [options.keyFile] - Key file with a privateKey field
+ * @param {number|string} [options.account] - Ganache deterministic account index (default: 5)
+ * @param {Object} [options.policy] - { minAge, maxAge?, requiredCitizenship } (default: DEFAULT_POLICY)
+ * @param {Array} [options.trustedIssuers] - Trusted issuer list (required without options.chain)
+ * @param {{contractAddress: string, rpcUrl?: string}} [options.chain] - Read policy, issuers, root and clock from AgeVerification
+ * @param {string[]} [options.circuits] - Accepted circuits (default: age_citizenship, age_citizenship_expiry and their _eddsa / _secp256k1 / _calendar variants)
+ * @param {string} [options.vkeyDir] - Directory of <circuit>_vkey.json files (default: build/)
+ * @param {number} [options.dateWindowSeconds] - Accepted proof date skew (default: 365 days; with
+ *   options.chain, AgeVerification.proofFreshnessWindow)
+ * @param {number} [options.challengeTtlSeconds] - How long an issued challenge can be answered (default: 10 minutes)
+ * @param {string} [options.corsOrigin] - Access-Control-Allow-Origin value
+ * @param {string} [options.revocationRegistryFile] - Local revocation registry
+ * @returns {http.Server}
+ */
+function createVerifierServer(options = {}) {
+    const signer = new Wallet(loadPrivateKey(options));
+    const corsOrigin = options.corsOrigin || '*';
+    const dateWindowSeconds = options.dateWindowSeconds ?? DEFAULT_PROOF_DATE_WINDOW_SECONDS;
+    const challengeTtlSeconds = options.challengeTtlSeconds || DEFAULT_CHALLENGE_TTL_SECONDS;
+    const challenges = new Map();
+    const vkeys = loadCircuitKeys(options.circuits || DEFAULT_CIRCUITS, options.vkeyDir || DEFAULT_VKEY_DIR);
+    const policy = options.chain ? undefined : normalizePolicy(options.policy || DEFAULT_POLICY);
+    if (!options.chain && !options.trustedIssuers) {
+        throw new Error('No trusted issuers: set TRUSTED_ISSUERS_FILE, create the issuer keys, or set CONTRACT_ADDRESS');
+    }
+
+    // Revocations from the CLI show up without a restart
+    async function loadLocalContext() {
+        return {
+            policy,
+            dateWindowSeconds,
+            trustedIssuers: options.trustedIssuers,
+            revocationRoot: await computeRevocationRoot(loadRevocationRegistry(options.revocationRegistryFile)),
+            currentDate: new Date()
+        };
+    }
+
+    async function describePolicy() {
+        const context = options.chain ? await loadChainPolicy(options.chain) : await loadLocalContext();
+        const current = normalizePolicy(context.policy);
+        return {
+            verifier: signer.address,
+            policy: current,
+            policyId: computePolicyId(current),
+            dateWindowSeconds: context.dateWindowSeconds,
+            circuits: Object.entries(vkeys).map(([name, vkey]) => ({ name, vkeyHash: computeVerificationKeyHash(vkey) })),
+            trustedIssuers: options.chain
+                ? { source: 'AgeVerification', contractAddress: options.chain.contractAddress }
+                : context.trustedIssuers.map(({ name, pubkey, schemas }) => ({ name, pubkey, schemas })),
+            revocationRoot: context.revocationRoot.toString(),
+            receipt: { domain: RECEIPT_EIP712_DOMAIN, types: RECEIPT_EIP712_TYPES }
+        };
+    }
+
+    function pruneExpiredChallenges() {
+        const now = Math.floor(Date.now() / 1000);
+        for (const [challenge, issued] of challenges) {
+            if (issued.expiresAt < now) challenges.delete(challenge);
+        }
+    }
+
+    async function createChallenge(body) {
+        pruneExpiredChallenges();
+        const issued = {
+            challenge: createPresentationChallenge(),
+            wallet: body.wallet === undefined ? null : parseWallet(body.wallet),
+            expiresAt: Math.floor(Date.now() / 1000) + challengeTtlSeconds
+        };
+        challenges.set(issued.challenge, issued);
+        return issued;
+    }
+
+    async function verify(body) {
+        let presentation;
+        try {
+            presentation = parsePresentation(body.presentation);
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+        const vkey = vkeys[presentation.circuit];
+        if (!vkey) {
+            throw new HttpError(400, `Circuit ${presentation.circuit} is not accepted (accepted: ${Object.keys(vkeys).join(', ')})`);
+        }
+        pruneExpiredChallenges();
+        const issued = challenges.get(presentation.challenge);
+        if (!issued) {
+            throw new HttpError(401, 'Unknown, expired or already used challenge; request a new one from POST /challenges');
+        }
+        const wallet = body.wallet === undefined ? issued.wallet : parseWallet(body.wallet);
+        if (issued.wallet && wallet !== issued.wallet) {
+            throw new HttpError(400, `The challenge was issued to ${issued.wallet}`);
+        }
+
+        const context = options.chain ? await loadChainContext(presentation, options.chain) : await loadLocalContext();
+        const result = await verifyPresentation(presentation, {
+            vkey,
+            policy: context.policy,
+            currentDate: context.currentDate,
+            dateWindowSeconds: context.dateWindowSeconds,
+            trustedIssuers: context.trustedIssuers,
+            revocationRoot: context.revocationRoot,
+            subjectWallet: wallet || undefined,
+            challenge: issued.challenge
+        });
+        // One-time use once accepted; a rejected presentation can be fixed and retried
+        if (result.valid) {
+            challenges.delete(issued.challenge);
+        }
+
+        // Rejections are signed too, so a relying party can show why it refused
+        const signed = await signVerificationReceipt(createVerificationReceipt(presentation, result), signer);
+        return { valid: result.valid, circuit: result.circuit, checks: result.checks, ...signed };
+    }
+
+    const routes = {
+        'GET /policy': async () => [200, await describePolicy()],
+        'POST /challenges': async (req) => [201, await createChallenge(await readJsonBody(req))],
+        'POST /verify': async (req) => [200, await verify(await readJsonBody(req))]
+    };
+
+    return http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const handler = routes[`${req.method} ${pathname}`];
+        let status;
+        let payload;
+        try {
+            if (!handler) {
+                throw new HttpError(404, `No route for ${req.method} ${pathname}`);
+            }
+            [status, payload] = await handler(req);
+        } catch (error) {
+            status = error.status || 500;
+            payload = { error: error.message };
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const config = resolveConfig();
+    const server = createVerifierServer(config);
+
+    await new Promise((resolve) => server.listen(config.port, config.host, resolve));
+
+    console.log('🔍 Verifier server');
+    console.log('='.repeat(40) + '\n');
+    console.log(`🔑 Receipt signer: ${new Wallet(loadPrivateKey(config)).address}`);
+    console.log(`📋 Policy: ${config.chain ? `AgeVerification at ${config.chain.contractAddress}` : `${describeAgePolicy(config.policy)} / ${config.policy.requiredCitizenship}`}`);
+    console.log(`🌐 Listening on http://${config.host}:${config.port}`);
+    console.log('   GET  /policy');
+    console.log('   POST /challenges');
+    console.log('   POST /verify\n');
+
+    return server;
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createVerifierServer, resolveConfig, main };
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Proof Verification
+ *
+ * Verifies a proof.json v2 presentation the way AgeVerification.verifyProof
+ * does, without submitting it: the Groth16 proof against the circuit's
+ * exported verification key, then the policy checks on the public signals
+ * (proof date, min age, citizenship, trusted issuers, revocation root,
+ * wallet binding). Prints one line per check.
+ *
+ * Usage:
+ *   npm run verify:proof -- [proof.json]                 # default: credentials/proof.json
+ *   npm run verify:proof -- proof.json --chain           # policy, issuers and root from AgeVerification
+ *
+ * Options:
+ *   --vkey <file>           Verification key (default: build/<circuit>_vkey.json)
+ *   --policy <file>         { "minAge": 18, "maxAge": 21, "requiredCitizenship": "US" } (default: 18+ / US;
+ *                           maxAge is optional and exclusive)
+ *   --issuers <file>        Trusted issuer list, as TRUSTED_ISSUERS_FILE (default: .issuer_*_key.json)
+ *   --wallet <address>      Wallet the proof must be bound to
+ *   --challenge <0x...>     Challenge the presentation must answer
+ *   --window <seconds>      Accepted proof age, either way (default: 365 days, AgeVerification's default)
+ *   --chain                 Read minAge, maxAge, requiredCitizenship, proofFreshnessWindow, revocationRoot, the issuer
+ *                           registry and the block time from CONTRACT_ADDRESS on RPC_URL (default http://127.0.0.1:8545)
+ *
+ * Without --chain the revocation root comes from the local registry file
+ * (credentials/revocation_registry.json or REVOCATION_REGISTRY_FILE).
+ * Exits with status 1 when any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    DEFAULT_POLICY,
+    DEFAULT_PROOF_DATE_WINDOW_SECONDS,
+    computeRevocationRoot,
+    parsePresentation,
+    verifyPresentation,
+    describeFailedChecks
+} = require('../../sdk');
+const { loadTrustedIssuers } = require('../user/generate_proof');
+const { loadRevocationRegistry } = require('../issuers/revocation_registry');
+const { loadVerificationKey, loadChainContext } = require('./verifier_context');
+
+const DEFAULT_PROOF_FILE = path.join(__dirname, '../../credentials/proof.json');
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--chain') {
+            options.chain = true;
+        } else if (['--vkey', '--policy', '--issuers', '--wallet', '--challenge', '--window'].includes(args[i])) {
+            options[args[i].slice(2)] = args[++i];
+        } else {
+            options.proofFile = args[i];
+        }
+    }
+    return options;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+async function loadLocalContext(options) {
+    if (options.issuers) {
+        process.env.TRUSTED_ISSUERS_FILE = options.issuers;
+    }
+    return {
+        source: 'local files',
+        policy: options.policy ? readJson(options.policy) : DEFAULT_POLICY,
+        dateWindowSeconds: options.window ? Number(options.window) : DEFAULT_PROOF_DATE_WINDOW_SECONDS,
+        trustedIssuers: loadTrustedIssuers(),
+        revocationRoot: await computeRevocationRoot(loadRevocationRegistry()),
+        currentDate: new Date()
+    };
+}
+
+/**
+ * Main function
+ * @returns {Promise<Object>} verifyPresentation result
+ */
+async function main() {
+    console.log('🔍 Offline Proof Verification');
+    console.log('=============================\n');
+
+    const options = parseArgs(process.argv.slice(2));
+    const proofFile = options.proofFile ? path.resolve(options.proofFile) : DEFAULT_PROOF_FILE;
+    const presentation = parsePresentation(readJson(proofFile));
+    const vkey = loadVerificationKey(presentation.circuit, { file: options.vkey });
+    const context = options.chain
+        ? await loadChainContext(presentation, { contractAddress: process.env.CONTRACT_ADDRESS, rpcUrl: process.env.RPC_URL })
+        : await loadLocalContext(options);
+
+    console.log(`📁 Presentation: ${proofFile}`);
+    console.log(`   Circuit: ${presentation.circuit}`);
+    console.log(`   Policy and issuers from: ${context.source}\n`);
+
+    const result = await verifyPresentation(presentation, {
+        vkey,
+        policy: context.policy,
+        currentDate: context.currentDate,
+        dateWindowSeconds: context.dateWindowSeconds,
+        trustedIssuers: context.trustedIssuers,
+        revocationRoot: context.revocationRoot,
+        subjectWallet: options.wallet,
+        challenge: options.challenge
+    });
+
+    console.log('📋 Checks:');
+    for (const check of result.checks) {
+        const icon = check.passed ? '✅' : check.skipped ? '⏭️ ' : '❌';
+        console.log(`   ${icon} ${check.label}: ${check.reason}`);
+    }
+
+    if (!result.valid) {
+        throw new Error(`Presentation rejected: ${describeFailedChecks(result)}`);
+    }
+    console.log('\n✅ Presentation verified: AgeVerification would accept it from the bound wallet.');
+    return result;
+}
+
+// Run if called directly (snarkjs keeps worker threads alive, so exit explicitly)
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('\n❌ Error:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,9 @@
+/**
+ * CommonJS entry point for the Node scripts.
+ *
+ * The SDK itself is authored as ES modules so the frontend can import it
+ * directly; Node (>= 20.19) loads it synchronously through require(esm),
+ * the same mechanism the scripts already rely on for @noble/secp256k1 v2.
+ */
+
+module.exports = require('./src/index.js');
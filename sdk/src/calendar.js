@@ -0,0 +1,203 @@
+/**
+ * Date Encoding
+ *
+ * Dates are given as "YYYY-MM-DD" (UTC) and must fall between MIN_DATE and
+ * MAX_DATE. Credentials sign birth dates as their day number: days since
+ * DATE_EPOCH (1900-01-01, docs/DATE_ENCODING.md). The circuits put it on the
+ * Unix-seconds scale of current_date as day * 86400 - DATE_EPOCH_UNIX_OFFSET,
+ * so birth dates before 1970 never turn negative.
+ *
+ * The _calendar circuits count age from the birthday instead: they convert the
+ * day number and current_date to calendar dates in-circuit and count completed
+ * calendar years, the year difference minus one before this year's birthday,
+ * instead of dividing by a 365.25-day year. Encoded as YYYYMMDD integers
+ * (2000-01-01 -> 20000101), dates order like the dates themselves and
+ * subtracting N * 10000 moves a date back N years, so "at least N years old" is
+ *
+ *   birthDate <= today - N * 10000
+ *
+ * "today" is the UTC date of the proof's current_date: a birthday counts from
+ * 00:00 UTC. Someone born on February 29 turns N on March 1 in common years.
+ *
+ * Points in time (current_date, issuedAt, validUntil) stay Unix seconds.
+ */
+
+import { toUnixSeconds } from './validity.js';
+
+// Day 0 of the day-number encoding
+export const DATE_EPOCH = '1900-01-01';
+
+// Seconds from DATE_EPOCH to the Unix epoch (25567 days), as the circuits add them
+export const DATE_EPOCH_UNIX_OFFSET = 2208988800;
+
+// Supported dates, inclusive
+export const MIN_DATE = DATE_EPOCH;
+export const MAX_DATE = '2099-12-31';
+
+// Encoded YYYYMMDD value of one year
+export const CALENDAR_YEAR = 10000;
+
+const SECONDS_PER_DAY = 86400;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_RANGE = [MIN_DATE, MAX_DATE].map((date) => Number(date.replaceAll('-', '')));
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+  return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+function assertCalendarDate({ year, month, day }, label) {
+  if (
+    !Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day) ||
+    month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)
+  ) {
+    throw new Error(`${label} is not a valid calendar date`);
+  }
+  const encoded = year * CALENDAR_YEAR + month * 100 + day;
+  if (encoded < DATE_RANGE[0] || encoded > DATE_RANGE[1]) {
+    throw new Error(`${label} must be between ${MIN_DATE} and ${MAX_DATE}`);
+  }
+}
+
+/**
+ * Parse a calendar date and check it is in the supported range
+ * @param {string|{year: number, month: number, day: number}} value - "YYYY-MM-DD" or its parts
+ * @param {string} [label] - Name used in error messages
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function parseCalendarDate(value, label = 'Date') {
+  let date;
+  if (typeof value === 'string') {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+      throw new Error(`${label} must be a YYYY-MM-DD date`);
+    }
+    date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    date = { year: value.year, month: value.month, day: value.day };
+  } else {
+    throw new Error(`${label} must be a YYYY-MM-DD date`);
+  }
+  assertCalendarDate(date, label);
+  return date;
+}
+
+/**
+ * "YYYY-MM-DD" form of a calendar date
+ * @param {{year: number, month: number, day: number}} date
+ * @returns {string}
+ */
+export function formatCalendarDate({ year, month, day }) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Encode a calendar date as YYYYMMDD, as the _calendar circuits compare dates
+ * @param {string|{year: number, month: number, day: number}} value
+ * @returns {bigint}
+ */
+export function encodeCalendarDate(value) {
+  const { year, month, day } = parseCalendarDate(value);
+  return BigInt(year * CALENDAR_YEAR + month * 100 + day);
+}
+
+/**
+ * Inverse of encodeCalendarDate
+ * @param {bigint|number|string} encoded
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function decodeCalendarDate(encoded) {
+  const value = Number(encoded);
+  const date = {
+    year: Math.floor(value / CALENDAR_YEAR),
+    month: Math.floor(value / 100) % 100,
+    day: value % 100
+  };
+  assertCalendarDate(date, `Encoded date ${encoded}`);
+  return date;
+}
+
+/**
+ * Encode a calendar date as its day number (days since DATE_EPOCH)
+ * @param {string|{year: number, month: number, day: number}} value
+ * @returns {number}
+ */
+export function toDayNumber(value) {
+  const { year, month, day } = parseCalendarDate(value);
+  return Date.UTC(year, month - 1, day) / (SECONDS_PER_DAY * 1000) + DATE_EPOCH_UNIX_OFFSET / SECONDS_PER_DAY;
+}
+
+/**
+ * Inverse of toDayNumber
+ * @param {bigint|number|string} dayNumber
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function fromDayNumber(dayNumber) {
+  const unixDays = Number(dayNumber) - DATE_EPOCH_UNIX_OFFSET / SECONDS_PER_DAY;
+  const date = new Date(unixDays * SECONDS_PER_DAY * 1000);
+  return parseCalendarDate(
+    { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() },
+    `Day number ${dayNumber}`
+  );
+}
+
+/**
+ * Check a birth date is in the supported range and not after a reference date
+ * @param {string|{year: number, month: number, day: number}} value - "YYYY-MM-DD" or its parts
+ * @param {Date|number|bigint|string} [currentDate] - Reference point in time (default: now)
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function assertBirthDate(value, currentDate = new Date()) {
+  const birthDate = parseCalendarDate(value, 'Date of birth');
+  const today = toCalendarDate(currentDate);
+  if (encodeCalendarDate(birthDate) > encodeCalendarDate(today)) {
+    throw new Error(`Date of birth ${formatCalendarDate(birthDate)} is after ${formatCalendarDate(today)}`);
+  }
+  return birthDate;
+}
+
+/**
+ * UTC calendar date of a point in time, as the _calendar circuits derive it from current_date
+ * @param {Date|number|bigint|string} currentDate - Date or Unix seconds
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function toCalendarDate(currentDate) {
+  const days = Number(toUnixSeconds(currentDate) / BigInt(SECONDS_PER_DAY));
+  const date = new Date(days * SECONDS_PER_DAY * 1000);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Latest birth date of someone who is at least `years` old on currentDate:
+ * the same day `years` years earlier (February 28 when that is a February 29
+ * in a common year, which compares the same way)
+ * @param {Date|number|bigint|string} currentDate
+ * @param {number|bigint} years
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function computeBirthdayThreshold(currentDate, years) {
+  const today = toCalendarDate(currentDate);
+  const year = today.year - Number(years);
+  if (year * CALENDAR_YEAR + 1231 < DATE_RANGE[0]) {
+    throw new Error(`No supported birth date is ${years} years before ${formatCalendarDate(today)}`);
+  }
+  return { year, month: today.month, day: Math.min(today.day, daysInMonth(year, today.month)) };
+}
+
+/**
+ * Age in completed years on currentDate, as the _calendar circuits count it
+ * @param {string|{year: number, month: number, day: number}} birthDate
+ * @param {Date|number|bigint|string} currentDate
+ * @returns {number}
+ */
+export function computeCalendarAge(birthDate, currentDate) {
+  const birth = encodeCalendarDate(birthDate);
+  const today = encodeCalendarDate(toCalendarDate(currentDate));
+  if (birth > today) {
+    throw new Error('Birth date is after the current date');
+  }
+  return Number((today - birth) / BigInt(CALENDAR_YEAR));
+}
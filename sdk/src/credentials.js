@@ -0,0 +1,248 @@
+/**
+ * Credential Issuance & Verification
+ *
+ * A credential is the issuer's ECDSA (secp256k1) signature over the
+ * Poseidon hash of its schema's message layout, e.g.
+ * Poseidon(dateOfBirth, userPubkey, nonce) for date_of_birth, or
+ * Poseidon(dateOfBirth, userPubkey, nonce, issuedAt, validUntil) when it expires.
+ * Issuers can sign the same hash with EdDSA-Poseidon over BabyJubJub instead
+ * (signatureScheme "eddsa-poseidon", see eddsa.js), which the circuit checks for real.
+ */
+
+import { signAsync, verify, getPublicKey, Signature } from '@noble/secp256k1';
+import { bigintToBytes32, bytesToBigInt } from './field.js';
+import { getIssuerPubkey, getIssuerPublicKeyHex, toPrivateKeyBytes } from './keys.js';
+import {
+  SIGNATURE_SCHEMES,
+  resolveSignatureScheme,
+  getCredentialSignatureScheme,
+  getEddsaIssuerPubkey,
+  signEddsaPoseidon,
+  verifyEddsaPoseidon
+} from './eddsa.js';
+import { poseidonHash } from './poseidon.js';
+import { ENCODINGS, getSchema, encodeClaims, buildMessageInputs, extractClaims } from './schemas.js';
+import { resolveValidityWindow, getCredentialValidity } from './validity.js';
+import { assertBirthDate } from './calendar.js';
+
+export const CREDENTIAL_TYPES = {
+  DATE_OF_BIRTH: 'date_of_birth',
+  CITIZENSHIP: 'citizenship',
+  ACCREDITED_INVESTOR: 'accredited_investor',
+  RESIDENCY_STATE: 'residency_state'
+};
+
+// Claim encodings of calendar dates (see schemas.js)
+const DATE_ENCODINGS = ['day'];
+
+/**
+ * Random 64-bit credential nonce
+ * @returns {bigint}
+ */
+export function randomNonce() {
+  const bytes = new Uint8Array(8);
+  globalThis.crypto.getRandomValues(bytes);
+  return bytesToBigInt(bytes);
+}
+
+/**
+ * Poseidon inputs (in schema layout order) for an issued credential
+ * @param {Object} credential - Issued credential JSON
+ * @returns {bigint[]}
+ */
+export function getCredentialMessageInputs(credential) {
+  const schema = getSchema(credential.credentialType);
+  const encodedClaims = encodeClaims(schema, extractClaims(schema, credential));
+  return buildMessageInputs(
+    schema,
+    encodedClaims,
+    credential.userPubkey,
+    credential.nonce,
+    getCredentialValidity(credential)
+  );
+}
+
+/**
+ * Recompute the Poseidon message hash the issuer signed
+ * @param {Object} credential - Issued credential JSON
+ * @returns {Promise<bigint>}
+ */
+export async function computeCredentialMessageHash(credential) {
+  return poseidonHash(getCredentialMessageInputs(credential));
+}
+
+/**
+ * Issuer public key as the circuit and contract use it for a signature scheme:
+ * the reduced secp256k1 key for ECDSA, the BabyJubJub point for EdDSA-Poseidon
+ * @param {string|Uint8Array} privateKey
+ * @param {string} [signatureScheme] - One of SIGNATURE_SCHEMES (default: ECDSA)
+ * @returns {Promise<{x: bigint, y: bigint}>}
+ */
+export async function getSchemeIssuerPubkey(privateKey, signatureScheme) {
+  if (resolveSignatureScheme(signatureScheme) === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+    return getEddsaIssuerPubkey(privateKey);
+  }
+  return getIssuerPubkey(privateKey);
+}
+
+async function signMessageHash(messageHash, privateKey, signatureScheme) {
+  if (signatureScheme === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+    const { R8, S } = await signEddsaPoseidon(messageHash, privateKey);
+    return {
+      signatureScheme,
+      signature: { R8: R8.map((coordinate) => coordinate.toString()), S: S.toString() }
+    };
+  }
+  const { r, s } = await signAsync(bigintToBytes32(messageHash), privateKey);
+  return {
+    signature: { r: r.toString(), s: s.toString() },
+    // Full 65-byte key so relying parties can check the signature from the credential alone
+    issuerPublicKey: getIssuerPublicKeyHex(privateKey)
+  };
+}
+
+/**
+ * Issue a signed credential for any registered schema
+ * @param {string} schemaId - Registered schema id (e.g. "date_of_birth")
+ * @param {Object} claims - Claim values keyed by schema field name
+ * @param {bigint|string} subject - User public key / wallet address the credential is bound to
+ * @param {string|Uint8Array} issuerKey - Issuer's private key
+ * @param {Object} [options]
+ * @param {bigint|number|string} [options.nonce] - Credential nonce (random if omitted)
+ * @param {string} [options.issuer] - Human-readable issuer name
+ * @param {Date|number|bigint} [options.validUntil] - Expiry (Unix seconds or Date), committed in the signed message
+ * @param {number} [options.validForSeconds] - Expiry relative to issuedAt, when validUntil is not given
+ * @param {Date|number|bigint} [options.issuedAt] - Start of the validity window (default: now)
+ * @param {string} [options.signatureScheme] - One of SIGNATURE_SCHEMES (default: ECDSA over secp256k1)
+ * @returns {Promise<Object>} Signed credential; never expires unless validUntil or validForSeconds is given
+ */
+export async function issueCredential(schemaId, claims, subject, issuerKey, options = {}) {
+  const schema = getSchema(schemaId);
+  const encodedClaims = encodeClaims(schema, claims);
+  // Date claims are birth dates: none may lie after the issuance date
+  for (const field of schema.fields) {
+    if (DATE_ENCODINGS.includes(field.encoding)) {
+      assertBirthDate(claims[field.name], options.issuedAt ?? new Date());
+    }
+  }
+  const userPubkey = BigInt(subject);
+  const nonce = options.nonce !== undefined ? BigInt(options.nonce) : randomNonce();
+  const validity = resolveValidityWindow(options);
+  const signatureScheme = resolveSignatureScheme(options.signatureScheme);
+
+  const privateKey = toPrivateKeyBytes(issuerKey);
+  const messageHash = await poseidonHash(buildMessageInputs(schema, encodedClaims, userPubkey, nonce, validity));
+  const { signature, ...signatureFields } = await signMessageHash(messageHash, privateKey, signatureScheme);
+  const issuerPubkey = await getSchemeIssuerPubkey(privateKey, signatureScheme);
+
+  const credential = { credentialType: schema.id };
+  for (const field of schema.fields) {
+    credential[field.name] = ENCODINGS[field.encoding].serialize(claims[field.name]);
+    if (field.encoding !== 'uint') {
+      credential[`${field.name}Encoded`] = encodedClaims[field.name].toString();
+    }
+  }
+
+  return {
+    ...credential,
+    userPubkey: userPubkey.toString(),
+    nonce: nonce.toString(),
+    ...(validity ? { issuedAt: validity.issuedAt.toString(), validUntil: validity.validUntil.toString() } : {}),
+    ...(signatureFields.signatureScheme ? { signatureScheme: signatureFields.signatureScheme } : {}),
+    signature,
+    issuerPubkey: {
+      x: issuerPubkey.x.toString(),
+      y: issuerPubkey.y.toString()
+    },
+    ...(signatureFields.issuerPublicKey ? { issuerPublicKey: signatureFields.issuerPublicKey } : {}),
+    timestamp: Date.now(),
+    issuer: options.issuer || schema.title
+  };
+}
+
+/**
+ * Generate a credential for date of birth. The birth date is signed as its day
+ * number (days since 1900-01-01, see calendar.js), so it may lie anywhere from
+ * 1900-01-01 up to the issuance date. Both the 365.25-day circuits and the
+ * _calendar circuits (exact birthdays) take it.
+ * @param {string|{year: number, month: number, day: number}} dateOfBirth - "YYYY-MM-DD" (UTC) or its parts
+ * @param {bigint|string} userPubkey - User's public key (field element)
+ * @param {bigint|number|string} nonce - Random nonce for this credential
+ * @param {string|Uint8Array} issuerPrivateKey - Issuer's private key
+ * @param {Object} [options]
+ * @param {string} [options.issuer] - Human-readable issuer name
+ * @param {Date|number|bigint} [options.validUntil] - Expiry, see issueCredential
+ * @param {number} [options.validForSeconds] - Expiry relative to issuedAt, see issueCredential
+ * @returns {Promise<Object>} Signed credential with dateOfBirth ("YYYY-MM-DD") and dateOfBirthEncoded (day number)
+ */
+export async function issueDOBCredential(dateOfBirth, userPubkey, nonce, issuerPrivateKey, options = {}) {
+  assertBirthDate(dateOfBirth, options.issuedAt ?? new Date());
+  return issueCredential(CREDENTIAL_TYPES.DATE_OF_BIRTH, { dateOfBirth }, userPubkey, issuerPrivateKey, {
+    ...options,
+    nonce,
+    issuer: options.issuer || 'Issuer A (DMV)'
+  });
+}
+
+/**
+ * Generate a credential for citizenship
+ * @param {string} citizenship - Citizenship string (e.g., "US")
+ * @param {bigint|string} userPubkey - User's public key (field element)
+ * @param {bigint|number|string} nonce - Random nonce for this credential
+ * @param {string|Uint8Array} issuerPrivateKey - Issuer's private key
+ * @param {Object} [options]
+ * @param {string} [options.issuer] - Human-readable issuer name
+ * @param {Date|number|bigint} [options.validUntil] - Expiry, see issueCredential
+ * @param {number} [options.validForSeconds] - Expiry relative to issuedAt, see issueCredential
+ * @returns {Promise<Object>} Signed credential
+ */
+export async function issueCitizenshipCredential(citizenship, userPubkey, nonce, issuerPrivateKey, options = {}) {
+  return issueCredential(CREDENTIAL_TYPES.CITIZENSHIP, { citizenship }, userPubkey, issuerPrivateKey, {
+    ...options,
+    nonce,
+    issuer: options.issuer || 'Issuer B (Immigration)'
+  });
+}
+
+/**
+ * Check a credential's signature against the issuer's full public key.
+ *
+ * Uses the key passed in (or derived from the issuer private key) and falls
+ * back to the full `issuerPublicKey` the credential carries. EdDSA-Poseidon
+ * credentials are checked against their BabyJubJub `issuerPubkey`.
+ *
+ * @param {Object} credential - Issued credential JSON
+ * @param {Object} [issuer]
+ * @param {string|Uint8Array|{x: bigint|string, y: bigint|string}} [issuer.publicKey] - secp256k1 public key
+ *   (hex or bytes, compressed or uncompressed), or the BabyJubJub point for EdDSA-Poseidon credentials
+ * @param {string|Uint8Array} [issuer.privateKey] - Issuer private key to derive the public key from
+ * @returns {Promise<boolean>}
+ */
+export async function verifyCredentialSignature(credential, { publicKey, privateKey } = {}) {
+  if (getCredentialSignatureScheme(credential) === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+    const pubkey = publicKey || (privateKey ? await getEddsaIssuerPubkey(privateKey) : credential.issuerPubkey);
+    return verifyEddsaPoseidon(await computeCredentialMessageHash(credential), credential.signature, pubkey);
+  }
+
+  let issuerPublicKey = publicKey;
+  if (!issuerPublicKey && privateKey) {
+    issuerPublicKey = getPublicKey(toPrivateKeyBytes(privateKey), false);
+  }
+  if (!issuerPublicKey) {
+    issuerPublicKey = credential.issuerPublicKey;
+  }
+  if (!issuerPublicKey) {
+    throw new Error('An issuer public or private key is required to verify a credential signature');
+  }
+  if (typeof issuerPublicKey === 'string') {
+    issuerPublicKey = issuerPublicKey.replace(/^0x/, '');
+  }
+
+  const messageHash = await computeCredentialMessageHash(credential);
+  const signature = new Signature(BigInt(credential.signature.r), BigInt(credential.signature.s));
+  try {
+    return verify(signature, bigintToBytes32(messageHash), issuerPublicKey);
+  } catch {
+    return false;
+  }
+}
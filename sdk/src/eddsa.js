@@ -0,0 +1,100 @@
+/**
+ * EdDSA-Poseidon Helpers
+ *
+ * Issuers can sign with EdDSA over BabyJubJub instead of secp256k1 ECDSA.
+ * BabyJubJub is defined over the BN254 scalar field, so the issuer public key
+ * and the signature (R8, S) are field elements the circuit verifies natively
+ * with circomlib's EdDSAPoseidonVerifier, at a fraction of the cost of ECDSA.
+ * The issuer keeps the same 32-byte private key for either scheme.
+ */
+
+import { buildEddsa } from 'circomlibjs';
+import { toPrivateKeyBytes } from './keys.js';
+
+export const SIGNATURE_SCHEMES = {
+  ECDSA_SECP256K1: 'ecdsa-secp256k1',
+  EDDSA_POSEIDON: 'eddsa-poseidon'
+};
+
+let eddsaInstance = null;
+
+/**
+ * Build (once) and return the circomlibjs EdDSA signer
+ */
+export async function initEddsa() {
+  if (!eddsaInstance) {
+    eddsaInstance = await buildEddsa();
+  }
+  return eddsaInstance;
+}
+
+/**
+ * Normalize a signature scheme name; credentials without one are ECDSA
+ * @param {string} [scheme]
+ * @returns {string} One of SIGNATURE_SCHEMES
+ */
+export function resolveSignatureScheme(scheme) {
+  if (scheme === undefined || scheme === null || scheme === '') {
+    return SIGNATURE_SCHEMES.ECDSA_SECP256K1;
+  }
+  if (!Object.values(SIGNATURE_SCHEMES).includes(scheme)) {
+    throw new Error(`Unknown signature scheme: ${scheme} (expected ${Object.values(SIGNATURE_SCHEMES).join(' or ')})`);
+  }
+  return scheme;
+}
+
+/**
+ * Signature scheme an issued credential was signed with
+ * @param {Object} credential - Issued credential JSON
+ * @returns {string} One of SIGNATURE_SCHEMES
+ */
+export function getCredentialSignatureScheme(credential) {
+  return resolveSignatureScheme(credential?.signatureScheme);
+}
+
+function toPoint(eddsa, pubkey) {
+  return [eddsa.F.e(BigInt(pubkey.x)), eddsa.F.e(BigInt(pubkey.y))];
+}
+
+/**
+ * BabyJubJub public key of an issuer, in the form the circuit and contract use
+ * @param {string|Uint8Array} privateKey
+ * @returns {Promise<{x: bigint, y: bigint}>}
+ */
+export async function getEddsaIssuerPubkey(privateKey) {
+  const eddsa = await initEddsa();
+  const [x, y] = eddsa.prv2pub(toPrivateKeyBytes(privateKey));
+  return { x: eddsa.F.toObject(x), y: eddsa.F.toObject(y) };
+}
+
+/**
+ * Sign a field element (the credential's Poseidon message hash)
+ * @param {bigint} messageHash
+ * @param {string|Uint8Array} privateKey
+ * @returns {Promise<{R8: bigint[], S: bigint}>}
+ */
+export async function signEddsaPoseidon(messageHash, privateKey) {
+  const eddsa = await initEddsa();
+  const signature = eddsa.signPoseidon(toPrivateKeyBytes(privateKey), eddsa.F.e(messageHash));
+  return {
+    R8: [eddsa.F.toObject(signature.R8[0]), eddsa.F.toObject(signature.R8[1])],
+    S: signature.S
+  };
+}
+
+/**
+ * Check an EdDSA-Poseidon signature as EdDSAPoseidonVerifier does
+ * @param {bigint} messageHash
+ * @param {{R8: Array<bigint|string>, S: bigint|string}} signature
+ * @param {{x: bigint|string, y: bigint|string}} pubkey - BabyJubJub public key
+ * @returns {Promise<boolean>}
+ */
+export async function verifyEddsaPoseidon(messageHash, signature, pubkey) {
+  const eddsa = await initEddsa();
+  try {
+    const R8 = toPoint(eddsa, { x: signature.R8[0], y: signature.R8[1] });
+    return eddsa.verifyPoseidon(eddsa.F.e(messageHash), { R8, S: BigInt(signature.S) }, toPoint(eddsa, pubkey));
+  } catch {
+    return false;
+  }
+}
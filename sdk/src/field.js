@@ -0,0 +1,91 @@
+/**
+ * Field Helpers
+ * Encoding of credential values as BN254 field elements
+ */
+
+export const BN254_SCALAR_FIELD = BigInt(
+  '21888242871839275222246405745257275088548364400416034343698204186575808495617'
+);
+
+/**
+ * Reduce a value into the BN254 scalar field (the circuit works mod r)
+ * @param {bigint|string|number} value
+ * @returns {bigint}
+ */
+export function reduceModR(value) {
+  return BigInt(value) % BN254_SCALAR_FIELD;
+}
+
+/**
+ * Encode an ASCII string as a field element (big-endian bytes)
+ * @param {string} text - At most 31 ASCII characters so the value stays below r
+ * @returns {bigint}
+ */
+export function encodeAscii(text) {
+  let encoded = BigInt(0);
+  for (let i = 0; i < text.length; i++) {
+    encoded = encoded * BigInt(256) + BigInt(text.charCodeAt(i));
+  }
+  return encoded;
+}
+
+/**
+ * Decode a field element produced by encodeAscii
+ * @param {bigint|string|number} value
+ * @returns {string}
+ */
+export function decodeAscii(value) {
+  let remaining = BigInt(value);
+  let text = '';
+  while (remaining > BigInt(0)) {
+    text = String.fromCharCode(Number(remaining & BigInt(0xff))) + text;
+    remaining >>= BigInt(8);
+  }
+  return text;
+}
+
+/**
+ * Encode citizenship string as a field element
+ * @param {string} citizenship - Citizenship string (e.g., "US")
+ * @returns {bigint} Big-endian byte encoding of the ASCII code
+ */
+export function encodeCitizenship(citizenship) {
+  return encodeAscii(citizenship);
+}
+
+/**
+ * Decode a citizenship field element (e.g. AgeVerification.requiredCitizenship)
+ * @param {bigint|string|number} value
+ * @returns {string} Citizenship code (e.g., "US")
+ */
+export function decodeCitizenship(value) {
+  return decodeAscii(value);
+}
+
+/**
+ * Convert a bigint to a 32-byte big-endian array (the ECDSA message format)
+ * @param {bigint} value
+ * @returns {Uint8Array}
+ */
+export function bigintToBytes32(value) {
+  const bytes = new Uint8Array(32);
+  let remaining = BigInt(value);
+  for (let i = 31; i >= 0; i--) {
+    bytes[i] = Number(remaining & BigInt(0xff));
+    remaining >>= BigInt(8);
+  }
+  return bytes;
+}
+
+/**
+ * Interpret a big-endian byte array as an unsigned bigint
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+export function bytesToBigInt(bytes) {
+  let value = BigInt(0);
+  for (const byte of bytes) {
+    value = (value << BigInt(8)) + BigInt(byte);
+  }
+  return value;
+}
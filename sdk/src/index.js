@@ -0,0 +1,181 @@
+/**
+ * zk-credential-sdk
+ *
+ * Single implementation of credential issuance, credential verification,
+ * circuit input building and proof generation, shared by the issuer and
+ * user scripts (via index.cjs) and the React frontend (ESM).
+ */
+
+export {
+  BN254_SCALAR_FIELD,
+  reduceModR,
+  encodeAscii,
+  decodeAscii,
+  encodeCitizenship,
+  decodeCitizenship,
+  bigintToBytes32,
+  bytesToBigInt
+} from './field.js';
+export { initPoseidon, poseidonHash } from './poseidon.js';
+export {
+  GANACHE_DETERMINISTIC_MNEMONIC,
+  toPrivateKeyBytes,
+  toUncompressedPublicKey,
+  reducePublicKey,
+  getIssuerPublicKeyHex,
+  getIssuerPubkey,
+  getGanacheDeterministicPrivateKey
+} from './keys.js';
+export {
+  SIGNATURE_SCHEMES,
+  initEddsa,
+  resolveSignatureScheme,
+  getCredentialSignatureScheme,
+  getEddsaIssuerPubkey,
+  signEddsaPoseidon,
+  verifyEddsaPoseidon
+} from './eddsa.js';
+export {
+  RESERVED_MESSAGE_INPUTS,
+  VALIDITY_MESSAGE_INPUTS,
+  ENCODINGS,
+  registerSchema,
+  getSchema,
+  listSchemas,
+  encodeClaims,
+  buildMessageInputs,
+  extractClaims
+} from './schemas.js';
+export {
+  CREDENTIAL_TYPES,
+  randomNonce,
+  getCredentialMessageInputs,
+  computeCredentialMessageHash,
+  getSchemeIssuerPubkey,
+  issueCredential,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  verifyCredentialSignature
+} from './credentials.js';
+export {
+  OWNERSHIP_CHALLENGE_TTL_SECONDS,
+  OWNERSHIP_SCHEMES,
+  OWNERSHIP_EIP712_DOMAIN,
+  OWNERSHIP_EIP712_TYPES,
+  createOwnershipChallenge,
+  formatOwnershipMessage,
+  getOwnershipTypedData,
+  signOwnershipChallenge,
+  verifyOwnershipSignature
+} from './ownership.js';
+export {
+  KEYSTORE_VERSION,
+  DEFAULT_KEYSTORE_KDF_PARAMS,
+  encryptKeystore,
+  decryptKeystore,
+  createCredentialWallet,
+  computeCredentialId,
+  addCredential,
+  listCredentials,
+  selectCredential,
+  removeCredential
+} from './keystore.js';
+export {
+  DEFAULT_CREDENTIAL_VALIDITY_SECONDS,
+  toUnixSeconds,
+  resolveValidityWindow,
+  getCredentialValidity,
+  assertCredentialValidAt
+} from './validity.js';
+export {
+  REVOCATION_TREE_LEVELS,
+  EMPTY_REVOCATION_ROOT,
+  computeRevocationNullifier,
+  computeCredentialNullifier,
+  createRevocationRegistry,
+  buildRevocationTree,
+  computeRevocationRoot,
+  revokeCredential,
+  isCredentialRevoked,
+  emptyRevocationInputs,
+  buildRevocationInputs
+} from './revocation.js';
+export { VERIFICATION_CHECKS, findTrustedIssuer, verifyCredential, describeFailedChecks } from './verification.js';
+export {
+  VC_CONTEXT_V2,
+  VC_CRYPTOSUITE,
+  publicKeyToDidKey,
+  didKeyToPublicKey,
+  addressToDidEthr,
+  didEthrToAddress,
+  toVerifiableCredential,
+  fromVerifiableCredential,
+  isVerifiableCredential
+} from './vc.js';
+export {
+  SECONDS_PER_YEAR,
+  CIRCUITS,
+  getCircuitName,
+  buildSignatureInputs,
+  computeAgeInYears,
+  computeCredentialAge,
+  buildCircuitInputs
+} from './inputs.js';
+export {
+  DATE_EPOCH,
+  DATE_EPOCH_UNIX_OFFSET,
+  MIN_DATE,
+  MAX_DATE,
+  CALENDAR_YEAR,
+  parseCalendarDate,
+  formatCalendarDate,
+  encodeCalendarDate,
+  decodeCalendarDate,
+  toDayNumber,
+  fromDayNumber,
+  assertBirthDate,
+  toCalendarDate,
+  computeBirthdayThreshold,
+  computeCalendarAge
+} from './calendar.js';
+export {
+  SECP256K1_LIMB_BITS,
+  SECP256K1_LIMB_COUNT,
+  splitToLimbs,
+  joinLimbs,
+  getPublicKeyCoordinates,
+  buildSecp256k1SignatureInputs
+} from './limbs.js';
+export { generateProof, formatProofForSolidity, exportSolidityCalldata, exportVerificationKey } from './proof.js';
+export {
+  PRESENTATION_VERSION,
+  PRESENTATION_TYPE,
+  PUBLIC_SIGNAL_NAMES,
+  DEFAULT_POLICY,
+  AGE_POLICY_BASE,
+  computeVerificationKeyHash,
+  normalizePolicy,
+  encodeAgePolicy,
+  decodeAgePolicy,
+  describeAgePolicy,
+  computePolicyId,
+  computePresentationHash,
+  createPresentationChallenge,
+  encodeChallenge,
+  decodeChallenge,
+  createPresentation,
+  parsePresentation,
+  presentationToSolidityArgs
+} from './presentation.js';
+export {
+  PRESENTATION_CHECKS,
+  DEFAULT_PROOF_DATE_WINDOW_SECONDS,
+  verifyPresentation
+} from './presentation_verification.js';
+export {
+  RECEIPT_EIP712_DOMAIN,
+  RECEIPT_EIP712_TYPES,
+  createVerificationReceipt,
+  signVerificationReceipt,
+  verifyVerificationReceipt
+} from './receipt.js';
@@ -0,0 +1,227 @@
+/**
+ * Circuit Input Builder
+ * Maps a DOB + citizenship credential pair onto the age_citizenship circuit inputs
+ * (or age_citizenship_expiry, for credentials that carry a validity window, and
+ * the _eddsa variants of both for EdDSA-Poseidon signed credentials, or the
+ * _secp256k1 variants to verify ECDSA signatures in full, and the _calendar
+ * variants of each, which check age against calendar dates). Every circuit takes
+ * the age bounds as age_policy (see encodeAgePolicy)
+ */
+
+import { encodeCitizenship } from './field.js';
+import { toUnixSeconds, getCredentialValidity, assertCredentialValidAt } from './validity.js';
+import { emptyRevocationInputs } from './revocation.js';
+import { createPresentationChallenge, encodeChallenge, encodeAgePolicy } from './presentation.js';
+import { SIGNATURE_SCHEMES, getCredentialSignatureScheme } from './eddsa.js';
+import { buildSecp256k1SignatureInputs } from './limbs.js';
+import { DATE_EPOCH_UNIX_OFFSET, toDayNumber, computeCalendarAge } from './calendar.js';
+
+// Seconds in a year (365.25 days), matching the circuit's age division
+export const SECONDS_PER_YEAR = 31557600;
+
+export const CIRCUITS = {
+  STANDARD: 'age_citizenship',
+  EXPIRY: 'age_citizenship_expiry',
+  EDDSA: 'age_citizenship_eddsa',
+  EXPIRY_EDDSA: 'age_citizenship_expiry_eddsa',
+  SECP256K1: 'age_citizenship_secp256k1',
+  EXPIRY_SECP256K1: 'age_citizenship_expiry_secp256k1',
+  CALENDAR: 'age_citizenship_calendar',
+  EXPIRY_CALENDAR: 'age_citizenship_expiry_calendar',
+  EDDSA_CALENDAR: 'age_citizenship_eddsa_calendar',
+  EXPIRY_EDDSA_CALENDAR: 'age_citizenship_expiry_eddsa_calendar',
+  SECP256K1_CALENDAR: 'age_citizenship_secp256k1_calendar',
+  EXPIRY_SECP256K1_CALENDAR: 'age_citizenship_expiry_secp256k1_calendar'
+};
+
+// Circuits whose signed messages commit issuedAt / validUntil
+const EXPIRY_CIRCUITS = [
+  CIRCUITS.EXPIRY,
+  CIRCUITS.EXPIRY_EDDSA,
+  CIRCUITS.EXPIRY_SECP256K1,
+  CIRCUITS.EXPIRY_CALENDAR,
+  CIRCUITS.EXPIRY_EDDSA_CALENDAR,
+  CIRCUITS.EXPIRY_SECP256K1_CALENDAR
+];
+
+/**
+ * Circuit that verifies a credential pair: the expiry variant commits
+ * issuedAt / validUntil in the signed messages and checks them against current_date,
+ * the eddsa variants verify EdDSA-Poseidon instead of ECDSA issuer signatures,
+ * the secp256k1 variants (opt-in, ~1.5M constraints per signature) verify ECDSA for real,
+ * and the calendar variants of each count age in calendar years from the birthday instead of 365.25-day years
+ * @param {Object} dobCredential
+ * @param {Object} citizenshipCredential
+ * @param {Object} [options]
+ * @param {boolean} [options.secp256k1] - Prove ECDSA credentials with the _secp256k1 circuits
+ * @param {boolean} [options.calendar] - Check age against calendar dates with the _calendar circuits
+ * @returns {string} Circuit name (build artifact prefix)
+ */
+export function getCircuitName(dobCredential, citizenshipCredential, options = {}) {
+  const dobExpires = getCredentialValidity(dobCredential) !== null;
+  if (dobExpires !== (getCredentialValidity(citizenshipCredential) !== null)) {
+    throw new Error('Both credentials must carry a validity window (issuedAt / validUntil), or neither');
+  }
+  const signatureScheme = getCredentialSignatureScheme(dobCredential);
+  if (signatureScheme !== getCredentialSignatureScheme(citizenshipCredential)) {
+    throw new Error(
+      `Both credentials must use the same signature scheme, got ${signatureScheme} and ` +
+      `${getCredentialSignatureScheme(citizenshipCredential)}`
+    );
+  }
+  if (signatureScheme === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+    if (options.secp256k1) {
+      throw new Error('The secp256k1 circuits only take ECDSA credentials');
+    }
+    if (options.calendar) {
+      return dobExpires ? CIRCUITS.EXPIRY_EDDSA_CALENDAR : CIRCUITS.EDDSA_CALENDAR;
+    }
+    return dobExpires ? CIRCUITS.EXPIRY_EDDSA : CIRCUITS.EDDSA;
+  }
+  if (options.secp256k1) {
+    if (options.calendar) {
+      return dobExpires ? CIRCUITS.EXPIRY_SECP256K1_CALENDAR : CIRCUITS.SECP256K1_CALENDAR;
+    }
+    return dobExpires ? CIRCUITS.EXPIRY_SECP256K1 : CIRCUITS.SECP256K1;
+  }
+  if (options.calendar) {
+    return dobExpires ? CIRCUITS.EXPIRY_CALENDAR : CIRCUITS.CALENDAR;
+  }
+  return dobExpires ? CIRCUITS.EXPIRY : CIRCUITS.STANDARD;
+}
+
+/**
+ * Private signature inputs of one credential, named as its circuit expects them:
+ * signature_<suffix>_r / _s for ECDSA, signature_<suffix>_r8x / _r8y / _s for EdDSA-Poseidon
+ * @param {Object} credential
+ * @param {string} suffix - "a" (DOB) or "b" (citizenship)
+ * @returns {Object} Decimal strings keyed by circuit signal name
+ */
+export function buildSignatureInputs(credential, suffix) {
+  const { signature } = credential;
+  if (getCredentialSignatureScheme(credential) === SIGNATURE_SCHEMES.EDDSA_POSEIDON) {
+    return {
+      [`signature_${suffix}_r8x`]: BigInt(signature.R8[0]).toString(),
+      [`signature_${suffix}_r8y`]: BigInt(signature.R8[1]).toString(),
+      [`signature_${suffix}_s`]: BigInt(signature.S).toString()
+    };
+  }
+  return {
+    [`signature_${suffix}_r`]: BigInt(signature.r).toString(),
+    [`signature_${suffix}_s`]: BigInt(signature.s).toString()
+  };
+}
+
+/**
+ * Age in (fractional) years as the circuit computes it:
+ * (current_date + DATE_EPOCH_UNIX_OFFSET - date_of_birth * 86400) / SECONDS_PER_YEAR
+ * @param {string|number|bigint} dateOfBirth - "YYYY-MM-DD" or its day number (days since 1900-01-01)
+ * @param {Date|number|bigint} currentDate
+ * @returns {number}
+ */
+export function computeAgeInYears(dateOfBirth, currentDate) {
+  const dayNumber = typeof dateOfBirth === 'string' ? toDayNumber(dateOfBirth) : dateOfBirth;
+  const ageInSeconds = toUnixSeconds(currentDate) + BigInt(DATE_EPOCH_UNIX_OFFSET) - BigInt(dayNumber) * BigInt(86400);
+  return Number(ageInSeconds) / SECONDS_PER_YEAR;
+}
+
+/**
+ * Age of a DOB credential's holder as its circuit computes it: completed
+ * calendar years for the _calendar circuits, 365.25-day years otherwise
+ * @param {Object} dobCredential
+ * @param {Date|number|bigint} currentDate
+ * @param {Object} [options]
+ * @param {boolean} [options.calendar] - Age as the _calendar circuits count it
+ * @returns {number}
+ */
+export function computeCredentialAge(dobCredential, currentDate, options = {}) {
+  if (options.calendar) {
+    return computeCalendarAge(dobCredential.dateOfBirth, currentDate);
+  }
+  return computeAgeInYears(dobCredential.dateOfBirth, currentDate);
+}
+
+/**
+ * Build the full (private + public) input object for the circuit
+ * @param {Object} dobCredential - Credential issued by Issuer A (date_of_birth)
+ * @param {Object} citizenshipCredential - Credential issued by Issuer B
+ * @param {Object} options
+ * @param {Date|number|bigint} options.currentDate - Proof date
+ * @param {number|bigint} options.minAge - Minimum age to prove
+ * @param {number|bigint} [options.maxAge] - Exclusive maximum age to prove (default: no upper bound)
+ * @param {string} [options.requiredCitizenship] - Citizenship to prove (default "US")
+ * @param {string|bigint} [options.subjectWallet] - Wallet the proof is bound to (default: credential subject)
+ * @param {Object} [options.revocation] - Non-revocation inputs from buildRevocationInputs (default: empty registry, root 0)
+ * @param {string|bigint} [options.challenge] - Verifier-issued challenge the proof answers (default: a random one,
+ *   which no verifier will accept - fine for local testing only)
+ * @param {boolean} [options.secp256k1] - Build limb inputs for the _secp256k1 circuits (see getCircuitName)
+ * @param {boolean} [options.calendar] - Inputs for the _calendar circuits (see getCircuitName)
+ * @returns {Object} Circuit input with all values as decimal strings, for the circuit from getCircuitName()
+ */
+export function buildCircuitInputs(dobCredential, citizenshipCredential, options) {
+  const {
+    currentDate,
+    minAge,
+    maxAge,
+    requiredCitizenship = 'US',
+    subjectWallet,
+    revocation = emptyRevocationInputs(),
+    challenge = createPresentationChallenge(),
+    secp256k1 = false,
+    calendar = false
+  } = options;
+  // Verify that both credentials belong to the same user
+  const userPubkey = BigInt(dobCredential.userPubkey);
+  if (userPubkey !== BigInt(citizenshipCredential.userPubkey)) {
+    throw new Error('Credentials do not belong to the same user!');
+  }
+
+  const subject = subjectWallet !== undefined && subjectWallet !== null ? BigInt(subjectWallet) : userPubkey;
+  if (subject !== userPubkey) {
+    throw new Error('Wallet address does not match the credential subject.');
+  }
+
+  // An expired credential cannot satisfy the expiry circuit, so fail early with the date
+  const circuitName = getCircuitName(dobCredential, citizenshipCredential, { secp256k1, calendar });
+  const expires = EXPIRY_CIRCUITS.includes(circuitName);
+  const signatureInputs = secp256k1 ? buildSecp256k1SignatureInputs : buildSignatureInputs;
+  assertCredentialValidAt(dobCredential, currentDate, 'DOB credential');
+  assertCredentialValidAt(citizenshipCredential, currentDate, 'Citizenship credential');
+
+  const input = {
+    // Private inputs
+    date_of_birth: toDayNumber(dobCredential.dateOfBirth).toString(),
+    citizenship: encodeCitizenship(citizenshipCredential.citizenship).toString(),
+    ...signatureInputs(dobCredential, 'a'),
+    ...signatureInputs(citizenshipCredential, 'b'),
+    nonce_a: BigInt(dobCredential.nonce).toString(),
+    nonce_b: BigInt(citizenshipCredential.nonce).toString(),
+
+    // Public inputs
+    current_date: toUnixSeconds(currentDate).toString(),
+    age_policy: encodeAgePolicy({ minAge, maxAge }).toString(),
+    required_citizenship: encodeCitizenship(requiredCitizenship).toString(),
+    issuer_a_pubkey_x: BigInt(dobCredential.issuerPubkey.x).toString(),
+    issuer_a_pubkey_y: BigInt(dobCredential.issuerPubkey.y).toString(),
+    issuer_b_pubkey_x: BigInt(citizenshipCredential.issuerPubkey.x).toString(),
+    issuer_b_pubkey_y: BigInt(citizenshipCredential.issuerPubkey.y).toString(),
+    user_pubkey: userPubkey.toString(),
+    subject_wallet: subject.toString(),
+    challenge: encodeChallenge(challenge).toString(),
+
+    // Revocation: public root, private non-membership proofs
+    ...revocation
+  };
+
+  if (expires) {
+    const dobValidity = getCredentialValidity(dobCredential);
+    const citizenshipValidity = getCredentialValidity(citizenshipCredential);
+    Object.assign(input, {
+      issued_at_a: dobValidity.issuedAt.toString(),
+      valid_until_a: dobValidity.validUntil.toString(),
+      issued_at_b: citizenshipValidity.issuedAt.toString(),
+      valid_until_b: citizenshipValidity.validUntil.toString()
+    });
+  }
+  return input;
+}
@@ -0,0 +1,91 @@
+/**
+ * Key Helpers
+ * Issuer key handling shared by the issuer scripts and the frontend
+ */
+
+import { getPublicKey, etc, Point } from '@noble/secp256k1';
+import { HDNodeWallet } from 'ethers';
+import { bytesToBigInt, reduceModR } from './field.js';
+
+export const GANACHE_DETERMINISTIC_MNEMONIC =
+  'myth like bonus scare over problem client lizard pioneer submit female collect';
+
+/**
+ * Normalize a private key given as hex (with or without 0x) or bytes
+ * @param {string|Uint8Array} privateKey
+ * @returns {Uint8Array}
+ */
+export function toPrivateKeyBytes(privateKey) {
+  if (privateKey instanceof Uint8Array) {
+    return privateKey;
+  }
+  if (typeof privateKey === 'string') {
+    return etc.hexToBytes(privateKey.replace(/^0x/, ''));
+  }
+  throw new Error('Issuer private key must be a hex string or Uint8Array');
+}
+
+/**
+ * Normalize a secp256k1 public key to its 65-byte uncompressed form
+ * @param {string|Uint8Array} publicKey - 65-byte uncompressed (0x04...) or 33-byte compressed (0x02/0x03...) key, hex or bytes
+ * @returns {Uint8Array}
+ */
+export function toUncompressedPublicKey(publicKey) {
+  let bytes;
+  if (publicKey instanceof Uint8Array) {
+    bytes = publicKey;
+  } else if (typeof publicKey === 'string' && /^(0x)?[0-9a-fA-F]+$/.test(publicKey)) {
+    bytes = etc.hexToBytes(publicKey.replace(/^0x/, ''));
+  } else {
+    throw new Error('Issuer public key must be a hex string or Uint8Array');
+  }
+  if (bytes.length !== 33 && bytes.length !== 65) {
+    throw new Error(`Issuer public key must be 33 (compressed) or 65 (uncompressed) bytes, got ${bytes.length}`);
+  }
+  return Point.fromBytes(bytes).toRawBytes(false);
+}
+
+/**
+ * Derive the reduced issuer key the circuit and contract use from a full public key:
+ * the uncompressed secp256k1 coordinates, each reduced into the BN254 scalar field
+ * @param {string|Uint8Array} publicKey - Compressed or uncompressed secp256k1 public key
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function reducePublicKey(publicKey) {
+  const uncompressed = toUncompressedPublicKey(publicKey);
+  return {
+    x: reduceModR(bytesToBigInt(uncompressed.slice(1, 33))),
+    y: reduceModR(bytesToBigInt(uncompressed.slice(33, 65)))
+  };
+}
+
+/**
+ * Full secp256k1 public key of an issuer, as 0x-prefixed hex
+ * @param {string|Uint8Array} privateKey
+ * @param {boolean} [compressed=false] - 33-byte compressed instead of 65-byte uncompressed
+ * @returns {string}
+ */
+export function getIssuerPublicKeyHex(privateKey, compressed = false) {
+  return `0x${etc.bytesToHex(getPublicKey(toPrivateKeyBytes(privateKey), compressed))}`;
+}
+
+/**
+ * Derive the issuer public key in the form the circuit and contract use:
+ * uncompressed secp256k1 coordinates reduced into the BN254 scalar field
+ * @param {string|Uint8Array} privateKey
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function getIssuerPubkey(privateKey) {
+  return reducePublicKey(getPublicKey(toPrivateKeyBytes(privateKey), false));
+}
+
+/**
+ * Private key of a Ganache deterministic (`ganache -d`) account
+ * @param {number} accountIndex - Account index (0 = deployer, 1 = Issuer A, 2 = Issuer B)
+ * @param {string} [mnemonic] - Override the default Ganache mnemonic
+ * @returns {string} 0x-prefixed private key
+ */
+export function getGanacheDeterministicPrivateKey(accountIndex, mnemonic = GANACHE_DETERMINISTIC_MNEMONIC) {
+  const hdNode = HDNodeWallet.fromPhrase(mnemonic, undefined, "m/44'/60'/0'/0");
+  return hdNode.derivePath(String(accountIndex)).privateKey;
+}
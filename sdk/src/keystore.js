@@ -0,0 +1,213 @@
+/**
+ * Encrypted Credential Keystore
+ *
+ * A credential wallet holds any number of credentials per type. At rest it is
+ * encrypted with a key derived from a passphrase (scrypt) under AES-256-GCM,
+ * using ethers' scrypt and WebCrypto so the same format works in Node and the
+ * browser. Wallet operations are immutable: they return a new wallet object.
+ */
+
+import { getBytes, hexlify, keccak256, scrypt, toUtf8Bytes, toUtf8String } from 'ethers';
+
+export const KEYSTORE_VERSION = 1;
+
+// scrypt cost; stored in each keystore so it can be raised without breaking old files
+export const DEFAULT_KEYSTORE_KDF_PARAMS = { n: 32768, r: 8, p: 1, dklen: 32 };
+
+const CIPHER = 'aes-256-gcm';
+
+// Length of the credential ids shown to users (hex characters)
+const CREDENTIAL_ID_LENGTH = 16;
+
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  globalThis.crypto.getRandomValues(bytes);
+  return bytes;
+}
+
+async function deriveKey(passphrase, kdfparams) {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) {
+    throw new Error('A keystore passphrase is required');
+  }
+  const { n, r, p, dklen, salt } = kdfparams;
+  const keyHex = await scrypt(toUtf8Bytes(passphrase.normalize('NFKC')), getBytes(salt), n, r, p, dklen);
+  return globalThis.crypto.subtle.importKey('raw', getBytes(keyHex), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt a credential wallet
+ * @param {Object} wallet - Credential wallet (see createCredentialWallet)
+ * @param {string} passphrase
+ * @param {Object} [options]
+ * @param {Object} [options.kdfParams] - scrypt { n, r, p, dklen } (default: DEFAULT_KEYSTORE_KDF_PARAMS)
+ * @returns {Promise<Object>} Keystore JSON
+ */
+export async function encryptKeystore(wallet, passphrase, { kdfParams = DEFAULT_KEYSTORE_KDF_PARAMS } = {}) {
+  const kdfparams = { ...kdfParams, salt: hexlify(randomBytes(16)) };
+  const iv = randomBytes(12);
+  const key = await deriveKey(passphrase, kdfparams);
+  const ciphertext = await globalThis.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    toUtf8Bytes(JSON.stringify(wallet))
+  );
+  return {
+    version: KEYSTORE_VERSION,
+    kdf: 'scrypt',
+    kdfparams,
+    cipher: CIPHER,
+    cipherparams: { iv: hexlify(iv) },
+    // WebCrypto appends the 16-byte GCM tag to the ciphertext
+    ciphertext: hexlify(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a keystore back into its credential wallet
+ * @param {Object} keystore - Keystore JSON from encryptKeystore
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Credential wallet
+ */
+export async function decryptKeystore(keystore, passphrase) {
+  if (keystore?.version !== KEYSTORE_VERSION || keystore.kdf !== 'scrypt' || keystore.cipher !== CIPHER) {
+    throw new Error(`Unsupported keystore format (expected version ${KEYSTORE_VERSION}, scrypt, ${CIPHER})`);
+  }
+  const key = await deriveKey(passphrase, keystore.kdfparams);
+  let plaintext;
+  try {
+    plaintext = await globalThis.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: getBytes(keystore.cipherparams.iv) },
+      key,
+      getBytes(keystore.ciphertext)
+    );
+  } catch {
+    throw new Error('Could not decrypt keystore: wrong passphrase or corrupted file');
+  }
+  return JSON.parse(toUtf8String(new Uint8Array(plaintext)));
+}
+
+/**
+ * Empty credential wallet
+ * @returns {{credentials: Array}}
+ */
+export function createCredentialWallet() {
+  return { credentials: [] };
+}
+
+/**
+ * Stable id of a credential: derived from its issuer key and nonce, so
+ * importing the same credential twice is detected
+ * @param {Object} credential
+ * @returns {string} Hex id
+ */
+export function computeCredentialId(credential) {
+  if (!credential?.issuerPubkey || credential.nonce === undefined) {
+    throw new Error('Credential must have issuerPubkey and nonce');
+  }
+  const { x, y } = credential.issuerPubkey;
+  return keccak256(toUtf8Bytes(`${x}:${y}:${credential.nonce}`)).slice(2, 2 + CREDENTIAL_ID_LENGTH);
+}
+
+function summarize(entry) {
+  const { credential } = entry;
+  return {
+    id: entry.id,
+    credentialType: credential.credentialType,
+    issuer: credential.issuer,
+    userPubkey: credential.userPubkey,
+    issuedAt: credential.issuedAt,
+    validUntil: credential.validUntil,
+    label: entry.label,
+    addedAt: entry.addedAt
+  };
+}
+
+/**
+ * Add a credential to the wallet
+ * @param {Object} wallet - Credential wallet
+ * @param {Object} credential - Issued credential JSON
+ * @param {Object} [options]
+ * @param {string} [options.label] - Free-form note shown in listings
+ * @param {Date} [options.addedAt]
+ * @returns {{wallet: Object, id: string}} New wallet and the credential's id
+ */
+export function addCredential(wallet, credential, { label, addedAt = new Date() } = {}) {
+  if (!credential?.credentialType || !credential.signature) {
+    throw new Error('Not a credential: credentialType and signature are required');
+  }
+  const id = computeCredentialId(credential);
+  if (wallet.credentials.some((entry) => entry.id === id)) {
+    throw new Error(`Credential ${id} is already in the wallet`);
+  }
+  const entry = { id, ...(label ? { label } : {}), addedAt: addedAt.toISOString(), credential };
+  return { wallet: { ...wallet, credentials: [...wallet.credentials, entry] }, id };
+}
+
+/**
+ * Summaries of the wallet's credentials (no claims or signatures)
+ * @param {Object} wallet - Credential wallet
+ * @param {Object} [filter]
+ * @param {string} [filter.credentialType]
+ * @param {string|bigint} [filter.userPubkey] - Subject wallet the credential is bound to
+ * @returns {Array<Object>}
+ */
+export function listCredentials(wallet, { credentialType, userPubkey } = {}) {
+  return wallet.credentials
+    .filter((entry) => !credentialType || entry.credential.credentialType === credentialType)
+    .filter((entry) => userPubkey === undefined || BigInt(entry.credential.userPubkey) === BigInt(userPubkey))
+    .map(summarize);
+}
+
+function findById(wallet, id) {
+  const matches = wallet.credentials.filter((entry) => entry.id.startsWith(id.toLowerCase()));
+  if (matches.length > 1) {
+    throw new Error(`Credential id prefix "${id}" is ambiguous: ${matches.map((entry) => entry.id).join(', ')}`);
+  }
+  return matches[0];
+}
+
+/**
+ * Select one credential by id (or unique id prefix) or by credential type
+ * @param {Object} wallet - Credential wallet
+ * @param {string} selector - Credential id or credential type
+ * @param {Object} [options]
+ * @param {string|bigint} [options.userPubkey] - Only consider credentials bound to this subject
+ * @returns {Object} Credential JSON
+ */
+export function selectCredential(wallet, selector, { userPubkey } = {}) {
+  const byId = /^[0-9a-f]+$/i.test(selector) ? findById(wallet, selector) : undefined;
+  if (byId) {
+    if (userPubkey !== undefined && BigInt(byId.credential.userPubkey) !== BigInt(userPubkey)) {
+      throw new Error(`Credential ${byId.id} is bound to a different wallet`);
+    }
+    return byId.credential;
+  }
+
+  const matches = listCredentials(wallet, { credentialType: selector, userPubkey });
+  if (matches.length === 0) {
+    throw new Error(`No credential with id or type "${selector}" in the wallet`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Several ${selector} credentials match; select one by id: ${matches.map((entry) => entry.id).join(', ')}`
+    );
+  }
+  return wallet.credentials.find((entry) => entry.id === matches[0].id).credential;
+}
+
+/**
+ * Remove a credential from the wallet
+ * @param {Object} wallet - Credential wallet
+ * @param {string} id - Credential id or unique id prefix
+ * @returns {{wallet: Object, credential: Object}} New wallet and the removed credential
+ */
+export function removeCredential(wallet, id) {
+  const entry = findById(wallet, id);
+  if (!entry) {
+    throw new Error(`No credential with id "${id}" in the wallet`);
+  }
+  return {
+    wallet: { ...wallet, credentials: wallet.credentials.filter((other) => other.id !== entry.id) },
+    credential: entry.credential
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * secp256k1 Limb Helpers
+ *
+ * secp256k1 values are up to 256 bits wide, wider than the BN254 scalar field
+ * the circuits work in. The placeholder ECDSA circuits reduce them mod r; the
+ * _secp256k1 circuits verify the signature for real (circom-ecdsa), which needs
+ * the full values, so r, s and the issuer public key go in as 4 little-endian
+ * 64-bit limbs instead.
+ */
+
+import { bytesToBigInt } from './field.js';
+import { toUncompressedPublicKey, reducePublicKey } from './keys.js';
+import { SIGNATURE_SCHEMES, getCredentialSignatureScheme } from './eddsa.js';
+
+export const SECP256K1_LIMB_BITS = 64;
+export const SECP256K1_LIMB_COUNT = 4;
+
+/**
+ * Split a non-negative integer into little-endian limbs
+ * @param {bigint|number|string} value
+ * @param {number} [bits=SECP256K1_LIMB_BITS] - Bits per limb
+ * @param {number} [count=SECP256K1_LIMB_COUNT] - Number of limbs
+ * @returns {bigint[]} Least significant limb first
+ */
+export function splitToLimbs(value, bits = SECP256K1_LIMB_BITS, count = SECP256K1_LIMB_COUNT) {
+  const big = BigInt(value);
+  if (big < BigInt(0) || big >= BigInt(1) << BigInt(bits * count)) {
+    throw new Error(`Value does not fit in ${count} limbs of ${bits} bits: ${big}`);
+  }
+  const mask = (BigInt(1) << BigInt(bits)) - BigInt(1);
+  return Array.from({ length: count }, (_, i) => (big >> BigInt(bits * i)) & mask);
+}
+
+/**
+ * Inverse of splitToLimbs
+ * @param {Array<bigint|number|string>} limbs - Least significant limb first
+ * @param {number} [bits=SECP256K1_LIMB_BITS] - Bits per limb
+ * @returns {bigint}
+ */
+export function joinLimbs(limbs, bits = SECP256K1_LIMB_BITS) {
+  return limbs.reduceRight((acc, limb) => (acc << BigInt(bits)) + BigInt(limb), BigInt(0));
+}
+
+/**
+ * Full (unreduced) affine coordinates of a secp256k1 public key
+ * @param {string|Uint8Array} publicKey - Compressed or uncompressed public key
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function getPublicKeyCoordinates(publicKey) {
+  const uncompressed = toUncompressedPublicKey(publicKey);
+  return {
+    x: bytesToBigInt(uncompressed.slice(1, 33)),
+    y: bytesToBigInt(uncompressed.slice(33, 65))
+  };
+}
+
+/**
+ * Private signature inputs of one ECDSA credential for the _secp256k1 circuits:
+ * signature_<suffix>_r / _s and issuer_<suffix>_pubkey_x_limbs / _y_limbs, 4 limbs each.
+ * The circuit ties the key limbs to the reduced issuer_<suffix>_pubkey_x / _y public inputs.
+ * @param {Object} credential - ECDSA credential carrying the full issuerPublicKey
+ * @param {string} suffix - "a" (DOB) or "b" (citizenship)
+ * @returns {Object} Arrays of decimal strings keyed by circuit signal name
+ */
+export function buildSecp256k1SignatureInputs(credential, suffix) {
+  const { signature, issuerPublicKey, issuerPubkey } = credential;
+  if (getCredentialSignatureScheme(credential) !== SIGNATURE_SCHEMES.ECDSA_SECP256K1 || signature?.r === undefined) {
+    throw new Error('The secp256k1 circuits only take ECDSA credentials (signature.r / signature.s)');
+  }
+  if (!issuerPublicKey) {
+    throw new Error('The secp256k1 circuits need the full issuerPublicKey on the credential');
+  }
+
+  const reduced = reducePublicKey(issuerPublicKey);
+  if (reduced.x !== BigInt(issuerPubkey.x) || reduced.y !== BigInt(issuerPubkey.y)) {
+    throw new Error('issuerPublicKey does not match issuerPubkey');
+  }
+
+  const { x, y } = getPublicKeyCoordinates(issuerPublicKey);
+  const toStrings = (value) => splitToLimbs(value).map((limb) => limb.toString());
+  return {
+    [`signature_${suffix}_r`]: toStrings(signature.r),
+    [`signature_${suffix}_s`]: toStrings(signature.s),
+    [`issuer_${suffix}_pubkey_x_limbs`]: toStrings(x),
+    [`issuer_${suffix}_pubkey_y_limbs`]: toStrings(y)
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Wallet-Ownership Challenges
+ *
+ * Before binding a credential to a wallet, the issuer hands out a one-time
+ * challenge that the subject signs with that wallet, either as an EIP-191
+ * personal_sign message or as EIP-712 typed data. The issuer recovers the
+ * signer with ethers and only issues when it matches.
+ */
+
+import { getAddress, verifyMessage, verifyTypedData } from 'ethers';
+
+export const OWNERSHIP_CHALLENGE_TTL_SECONDS = 300;
+
+export const OWNERSHIP_SCHEMES = {
+  EIP191: 'eip191',
+  EIP712: 'eip712'
+};
+
+export const OWNERSHIP_EIP712_DOMAIN = {
+  name: 'ZK Credential Issuer',
+  version: '1'
+};
+
+export const OWNERSHIP_EIP712_TYPES = {
+  OwnershipChallenge: [
+    { name: 'wallet', type: 'address' },
+    { name: 'issuer', type: 'string' },
+    { name: 'credentialType', type: 'string' },
+    { name: 'nonce', type: 'bytes16' },
+    { name: 'issuedAt', type: 'uint64' },
+    { name: 'expiresAt', type: 'uint64' }
+  ]
+};
+
+function randomHex(byteLength) {
+  const bytes = new Uint8Array(byteLength);
+  globalThis.crypto.getRandomValues(bytes);
+  return `0x${Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Create a one-time ownership challenge for a wallet
+ * @param {Object} params
+ * @param {string} params.wallet - Subject wallet address
+ * @param {string} params.issuer - Issuer name shown to the wallet owner
+ * @param {string} params.credentialType - Credential schema being requested
+ * @param {string} [params.scheme] - 'eip191' (personal_sign, default) or 'eip712' (typed data)
+ * @param {number} [params.ttlSeconds] - Validity of the challenge
+ * @param {number} [params.now] - Current unix time in seconds
+ * @returns {{scheme: string, wallet: string, issuer: string, credentialType: string, nonce: string, issuedAt: number, expiresAt: number, message: string, typedData?: Object}}
+ */
+export function createOwnershipChallenge({
+  wallet,
+  issuer,
+  credentialType,
+  scheme = OWNERSHIP_SCHEMES.EIP191,
+  ttlSeconds = OWNERSHIP_CHALLENGE_TTL_SECONDS,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  if (!Object.values(OWNERSHIP_SCHEMES).includes(scheme)) {
+    throw new Error(`Unsupported ownership challenge scheme: ${scheme}`);
+  }
+  const challenge = {
+    scheme,
+    wallet: getAddress(wallet),
+    issuer,
+    credentialType,
+    nonce: randomHex(16),
+    issuedAt: now,
+    expiresAt: now + ttlSeconds
+  };
+  return {
+    ...challenge,
+    message: formatOwnershipMessage(challenge),
+    ...(scheme === OWNERSHIP_SCHEMES.EIP712 ? { typedData: getOwnershipTypedData(challenge) } : {})
+  };
+}
+
+/**
+ * The exact text the wallet signs for a challenge
+ * @param {Object} challenge
+ * @returns {string}
+ */
+export function formatOwnershipMessage({ wallet, issuer, credentialType, nonce, issuedAt, expiresAt }) {
+  return [
+    `${issuer} requests proof that you control this wallet before issuing a ${credentialType} credential.`,
+    '',
+    `Wallet: ${getAddress(wallet)}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt * 1000).toISOString()}`,
+    `Expires At: ${new Date(expiresAt * 1000).toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * EIP-712 payload for a challenge (as passed to eth_signTypedData_v4 / signer.signTypedData)
+ * @param {Object} challenge
+ * @returns {{domain: Object, types: Object, primaryType: string, message: Object}}
+ */
+export function getOwnershipTypedData({ wallet, issuer, credentialType, nonce, issuedAt, expiresAt }) {
+  return {
+    domain: OWNERSHIP_EIP712_DOMAIN,
+    types: OWNERSHIP_EIP712_TYPES,
+    primaryType: 'OwnershipChallenge',
+    message: { wallet: getAddress(wallet), issuer, credentialType, nonce, issuedAt, expiresAt }
+  };
+}
+
+/**
+ * Sign a challenge with an ethers signer, using the challenge's scheme
+ * @param {Object} challenge - Challenge from createOwnershipChallenge
+ * @param {import('ethers').Signer} signer - Wallet that owns challenge.wallet
+ * @returns {Promise<string>} Signature
+ */
+export async function signOwnershipChallenge(challenge, signer) {
+  if (challenge.scheme === OWNERSHIP_SCHEMES.EIP712) {
+    const { domain, types, message } = getOwnershipTypedData(challenge);
+    return signer.signTypedData(domain, types, message);
+  }
+  return signer.signMessage(formatOwnershipMessage(challenge));
+}
+
+/**
+ * Check a signed challenge and return the proven wallet address
+ * @param {Object} challenge - Challenge from createOwnershipChallenge
+ * @param {string} signature - Wallet signature over the challenge (EIP-191 message or EIP-712 typed data)
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current unix time in seconds
+ * @returns {string} Checksummed wallet address
+ */
+export function verifyOwnershipSignature(challenge, signature, { now = Math.floor(Date.now() / 1000) } = {}) {
+  if (now > challenge.expiresAt) {
+    throw new Error('Ownership challenge has expired');
+  }
+  if (!signature) {
+    throw new Error('Missing ownership signature');
+  }
+
+  let signer;
+  try {
+    if (challenge.scheme === OWNERSHIP_SCHEMES.EIP712) {
+      const { domain, types, message } = getOwnershipTypedData(challenge);
+      signer = verifyTypedData(domain, types, message, signature);
+    } else {
+      signer = verifyMessage(formatOwnershipMessage(challenge), signature);
+    }
+  } catch {
+    throw new Error('Malformed ownership signature');
+  }
+  if (signer !== getAddress(challenge.wallet)) {
+    throw new Error(`Ownership signature was made by ${signer}, not ${getAddress(challenge.wallet)}`);
+  }
+  return signer;
+}
@@ -0,0 +1,29 @@
+/**
+ * Poseidon Helpers
+ * Lazily builds a single circomlibjs Poseidon instance and shares it
+ */
+
+import { buildPoseidon } from 'circomlibjs';
+
+let poseidonInstance = null;
+
+/**
+ * Build (once) and return the circomlibjs Poseidon hasher
+ */
+export async function initPoseidon() {
+  if (!poseidonInstance) {
+    poseidonInstance = await buildPoseidon();
+  }
+  return poseidonInstance;
+}
+
+/**
+ * Poseidon hash of a list of field elements
+ * @param {Array<bigint|string|number>} values
+ * @returns {Promise<bigint>} Hash as a field element
+ */
+export async function poseidonHash(values) {
+  const poseidon = await initPoseidon();
+  const hash = poseidon(values.map((value) => BigInt(value)));
+  return BigInt(poseidon.F.toString(hash));
+}
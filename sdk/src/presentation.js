@@ -0,0 +1,319 @@
+/**
+ * Proof Presentations (proof.json v2)
+ *
+ * What a prover hands to a verifier: the Groth16 proof, its public signals,
+ * the circuit it was made with, the hash of that circuit's verification key,
+ * the id of the policy it satisfies and the verifier's challenge. Nothing
+ * else - private circuit inputs (date of birth, signatures, nonces) never go
+ * into a presentation; tools that need them write a separate debug dump.
+ *
+ * The challenge is the circuit's last public input, so a proof answers
+ * exactly one verifier session: AgeVerification and the verifier server
+ * only accept challenges they issued, once.
+ *
+ * The vkey hash and policy id are keccak256 over canonical JSON (keys
+ * sorted, no whitespace), so a verifier can recompute both from its own
+ * vkey.json and policy and compare.
+ */
+
+import { hexlify, keccak256, randomBytes, toBeHex, toUtf8Bytes } from 'ethers';
+import { BN254_SCALAR_FIELD, encodeCitizenship, reduceModR } from './field.js';
+import { formatProofForSolidity } from './proof.js';
+
+export const PRESENTATION_VERSION = 2;
+export const PRESENTATION_TYPE = 'ZkCompliancePresentation';
+
+// Public signals in circuit order (uint[11] input of AgeVerification.verifyProof).
+// Signal 1 is the packed age_policy (see encodeAgePolicy), the plain minimum age without a maxAge.
+export const PUBLIC_SIGNAL_NAMES = [
+  'current_date',
+  'age_policy',
+  'required_citizenship',
+  'issuer_a_pubkey_x',
+  'issuer_a_pubkey_y',
+  'issuer_b_pubkey_x',
+  'issuer_b_pubkey_y',
+  'user_pubkey',
+  'subject_wallet',
+  'revocation_root',
+  'challenge'
+];
+
+export const DEFAULT_POLICY = { minAge: 18, requiredCitizenship: 'US' };
+
+// Age bounds stay below AGE_POLICY_BASE, so one public signal carries both:
+// age_policy = maxAge * AGE_POLICY_BASE + minAge
+export const AGE_POLICY_BASE = 1000;
+
+const PRESENTATION_FIELDS = ['version', 'type', 'circuit', 'vkeyHash', 'policyId', 'challenge', 'proof', 'publicSignals'];
+const HASH_PATTERN = /^0x[0-9a-f]{64}$/;
+const DECIMAL_PATTERN = /^\d+$/;
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of a verification key (snarkjs vkey.json)
+ * @param {Object} vkey
+ * @returns {string} 0x-prefixed keccak256
+ */
+export function computeVerificationKeyHash(vkey) {
+  if (!vkey?.protocol || !vkey?.IC) {
+    throw new Error('Not a snarkjs verification key (protocol and IC are required)');
+  }
+  return keccak256(toUtf8Bytes(canonicalJson(vkey)));
+}
+
+function normalizeAgeBounds({ minAge, maxAge }) {
+  if (minAge === undefined || !DECIMAL_PATTERN.test(String(minAge))) {
+    throw new Error('Policy minAge must be a non-negative integer');
+  }
+  if (maxAge !== undefined && maxAge !== null && !DECIMAL_PATTERN.test(String(maxAge))) {
+    throw new Error('Policy maxAge must be a non-negative integer');
+  }
+  // No maxAge (or 0) is no upper bound
+  if (maxAge === undefined || maxAge === null || BigInt(maxAge) === BigInt(0)) {
+    return { minAge: BigInt(minAge).toString() };
+  }
+  if (BigInt(maxAge) <= BigInt(minAge)) {
+    throw new Error(`Policy maxAge ${maxAge} must be greater than minAge ${minAge}`);
+  }
+  if (BigInt(maxAge) >= BigInt(AGE_POLICY_BASE)) {
+    throw new Error(`Policy maxAge must be below ${AGE_POLICY_BASE}`);
+  }
+  return { minAge: BigInt(minAge).toString(), maxAge: BigInt(maxAge).toString() };
+}
+
+/**
+ * Normalize a verifier policy: ages as decimal strings, citizenship as an uppercase code.
+ * maxAge is an exclusive upper bound (18 <= age < 21 is { minAge: 18, maxAge: 21 });
+ * without it (or with 0) there is none and the policy is unchanged from a minAge-only one.
+ * @param {Object} policy
+ * @param {number|bigint|string} policy.minAge
+ * @param {number|bigint|string} [policy.maxAge] - Exclusive upper bound (0 or absent: none)
+ * @param {string} policy.requiredCitizenship
+ * @returns {{minAge: string, maxAge?: string, requiredCitizenship: string}}
+ */
+export function normalizePolicy(policy) {
+  const { requiredCitizenship } = policy || {};
+  const ages = normalizeAgeBounds(policy || {});
+  if (typeof requiredCitizenship !== 'string' || !/^[A-Za-z]{2,3}$/.test(requiredCitizenship)) {
+    throw new Error('Policy requiredCitizenship must be a country code');
+  }
+  return { ...ages, requiredCitizenship: requiredCitizenship.toUpperCase() };
+}
+
+/**
+ * Age bounds as the circuits' age_policy input (public signal 1):
+ * maxAge * AGE_POLICY_BASE + minAge. A policy without maxAge encodes as minAge,
+ * the min_age signal of age_citizenship_soft.
+ * @param {Object} policy
+ * @param {number|bigint|string} policy.minAge - Below AGE_POLICY_BASE when maxAge is set
+ * @param {number|bigint|string} [policy.maxAge] - Exclusive upper bound (0 or absent: none)
+ * @returns {bigint}
+ */
+export function encodeAgePolicy(policy) {
+  const { minAge, maxAge } = normalizeAgeBounds(policy || {});
+  if (maxAge === undefined) {
+    return BigInt(minAge);
+  }
+  if (BigInt(minAge) >= BigInt(AGE_POLICY_BASE)) {
+    throw new Error(`Policy minAge must be below ${AGE_POLICY_BASE}`);
+  }
+  return BigInt(maxAge) * BigInt(AGE_POLICY_BASE) + BigInt(minAge);
+}
+
+/**
+ * Inverse of encodeAgePolicy
+ * @param {string|bigint|number} agePolicy - Public signal 1
+ * @returns {{minAge: string, maxAge?: string}}
+ */
+export function decodeAgePolicy(agePolicy) {
+  const value = BigInt(agePolicy);
+  const base = BigInt(AGE_POLICY_BASE);
+  const maxAge = value / base;
+  if (maxAge === BigInt(0)) {
+    return { minAge: value.toString() };
+  }
+  return normalizeAgeBounds({ minAge: value % base, maxAge });
+}
+
+/**
+ * Age bounds for display, e.g. "age >= 18", "18 <= age < 21" or "age < 26"
+ * @param {Object} policy - minAge and optional maxAge
+ * @returns {string}
+ */
+export function describeAgePolicy(policy) {
+  const { minAge, maxAge } = normalizeAgeBounds(policy || {});
+  if (maxAge === undefined) {
+    return `age >= ${minAge}`;
+  }
+  return minAge === '0' ? `age < ${maxAge}` : `${minAge} <= age < ${maxAge}`;
+}
+
+/**
+ * Id of a verifier policy
+ * @param {Object} policy - See normalizePolicy
+ * @returns {string} 0x-prefixed keccak256
+ */
+export function computePolicyId(policy) {
+  return keccak256(toUtf8Bytes(canonicalJson(normalizePolicy(policy))));
+}
+
+/**
+ * Hash of a whole presentation (e.g. to reference it from a verification receipt)
+ * @param {Object} presentation
+ * @returns {string} 0x-prefixed keccak256
+ */
+export function computePresentationHash(presentation) {
+  return keccak256(toUtf8Bytes(canonicalJson(presentation)));
+}
+
+/**
+ * Random verifier challenge (a field element, so it fits the circuit's challenge input)
+ * @returns {string} 0x-prefixed 32 bytes
+ */
+export function createPresentationChallenge() {
+  return decodeChallenge(reduceModR(hexlify(randomBytes(32))));
+}
+
+/**
+ * Challenge as the circuit's challenge input
+ * @param {string|bigint|number} challenge - 0x-prefixed hex (e.g. from createPresentationChallenge) or a number
+ *   (e.g. from AgeVerification's ChallengeIssued event)
+ * @returns {bigint}
+ */
+export function encodeChallenge(challenge) {
+  let value;
+  try {
+    value = BigInt(challenge);
+  } catch {
+    throw new Error('Challenge must be 0x-prefixed hex or a decimal number');
+  }
+  if (value < BigInt(0) || value >= BN254_SCALAR_FIELD) {
+    throw new Error('Challenge must be a BN254 field element');
+  }
+  return value;
+}
+
+/**
+ * Challenge as it appears in a presentation
+ * @param {string|bigint|number} challenge - See encodeChallenge
+ * @returns {string} 0x-prefixed 32 bytes
+ */
+export function decodeChallenge(challenge) {
+  return toBeHex(encodeChallenge(challenge), 32);
+}
+
+function assertPolicyMatchesSignals(policy, publicSignals) {
+  const { minAge, maxAge, requiredCitizenship } = normalizePolicy(policy);
+  if (publicSignals[1] !== encodeAgePolicy({ minAge, maxAge }).toString()) {
+    throw new Error(
+      `Proof age_policy ${publicSignals[1]} does not match the policy minAge ${minAge}` +
+      (maxAge === undefined ? '' : `, maxAge ${maxAge} (age_policy ${encodeAgePolicy({ minAge, maxAge })})`)
+    );
+  }
+  if (publicSignals[2] !== encodeCitizenship(requiredCitizenship).toString()) {
+    throw new Error(`Proof required_citizenship does not match the policy (${requiredCitizenship})`);
+  }
+}
+
+/**
+ * Wrap a generated proof as a presentation
+ * @param {Object} params
+ * @param {string} params.circuit - Circuit name (build artifact prefix)
+ * @param {Object} params.proof - snarkjs proof
+ * @param {string[]} params.publicSignals
+ * @param {Object} [params.vkey] - Verification key (hashed), or:
+ * @param {string} [params.vkeyHash] - Precomputed computeVerificationKeyHash
+ * @param {Object} [params.policy] - Policy the proof's age_policy / required_citizenship satisfy
+ *   (default DEFAULT_POLICY)
+ * @returns {Object} Presentation, with the challenge taken from the proof's challenge signal
+ */
+export function createPresentation({ circuit, proof, publicSignals, vkey, vkeyHash, policy = DEFAULT_POLICY }) {
+  const signals = (publicSignals || []).map((signal) => signal.toString());
+  assertPolicyMatchesSignals(policy, signals);
+
+  return parsePresentation({
+    version: PRESENTATION_VERSION,
+    type: PRESENTATION_TYPE,
+    circuit,
+    vkeyHash: vkeyHash || computeVerificationKeyHash(vkey),
+    policyId: computePolicyId(policy),
+    challenge: decodeChallenge(signals[PUBLIC_SIGNAL_NAMES.indexOf('challenge')] ?? ''),
+    proof: {
+      pi_a: proof?.pi_a?.map(String),
+      pi_b: proof?.pi_b?.map((pair) => pair.map(String)),
+      pi_c: proof?.pi_c?.map(String),
+      protocol: proof?.protocol || 'groth16',
+      curve: proof?.curve || 'bn128'
+    },
+    publicSignals: signals
+  });
+}
+
+function isDecimalArray(value, length) {
+  return Array.isArray(value) && value.length === length && value.every((item) => DECIMAL_PATTERN.test(item));
+}
+
+/**
+ * Validate a presentation (e.g. a parsed proof.json) and return it unchanged
+ * @param {Object} json
+ * @returns {Object} Presentation
+ */
+export function parsePresentation(json) {
+  if (json?.version === undefined && (json?.input || json?.calldata)) {
+    throw new Error('This is a v1 proof.json (raw snarkjs output with private inputs); regenerate it with npm run generate:proof');
+  }
+  if (json?.version !== PRESENTATION_VERSION || json.type !== PRESENTATION_TYPE) {
+    throw new Error(`Not a v${PRESENTATION_VERSION} ${PRESENTATION_TYPE}`);
+  }
+  const unexpected = Object.keys(json).filter((key) => !PRESENTATION_FIELDS.includes(key));
+  if (unexpected.length > 0) {
+    throw new Error(`Unexpected presentation field(s): ${unexpected.join(', ')}`);
+  }
+  if (typeof json.circuit !== 'string' || !/^[a-z0-9_]+$/.test(json.circuit)) {
+    throw new Error('Presentation circuit must be a circuit name');
+  }
+  for (const field of ['vkeyHash', 'policyId']) {
+    if (!HASH_PATTERN.test(json[field])) {
+      throw new Error(`Presentation ${field} must be a 0x-prefixed 32-byte hash`);
+    }
+  }
+  if (!HASH_PATTERN.test(json.challenge)) {
+    throw new Error('Presentation challenge must be 0x-prefixed 32-byte hex');
+  }
+  const { proof } = json;
+  if (
+    !isDecimalArray(proof?.pi_a?.slice(0, 2), 2) ||
+    !Array.isArray(proof.pi_b) || !proof.pi_b.slice(0, 2).every((pair) => isDecimalArray(pair?.slice(0, 2), 2)) ||
+    !isDecimalArray(proof.pi_c?.slice(0, 2), 2)
+  ) {
+    throw new Error('Presentation proof must carry Groth16 pi_a, pi_b and pi_c');
+  }
+  if (!isDecimalArray(json.publicSignals, PUBLIC_SIGNAL_NAMES.length)) {
+    throw new Error(`Presentation must carry ${PUBLIC_SIGNAL_NAMES.length} public signals as decimal strings`);
+  }
+  if (BigInt(json.challenge) !== BigInt(json.publicSignals[PUBLIC_SIGNAL_NAMES.indexOf('challenge')])) {
+    throw new Error('Presentation challenge does not match the proof\'s challenge signal');
+  }
+  return json;
+}
+
+/**
+ * Arguments for AgeVerification.verifyProof(a, b, c, input)
+ * @param {Object} presentation
+ * @returns {Array} [a, b, c, input] with input as bigints
+ */
+export function presentationToSolidityArgs(presentation) {
+  const { proof, publicSignals } = parsePresentation(presentation);
+  const { a, b, c } = formatProofForSolidity(proof, publicSignals);
+  return [a, b, c, publicSignals.map((signal) => BigInt(signal))];
+}
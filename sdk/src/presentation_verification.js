@@ -0,0 +1,241 @@
+/**
+ * Off-chain Presentation Verification
+ *
+ * Verifies a proof.json v2 presentation without a chain: the Groth16 proof
+ * against the circuit's verification key, then the same policy checks
+ * AgeVerification.verifyProof applies to the public signals, reported one
+ * by one like verifyCredential's checks.
+ */
+
+import * as snarkjs from 'snarkjs';
+import { getAddress, toBeHex, zeroPadValue } from 'ethers';
+import { encodeCitizenship } from './field.js';
+import { toUnixSeconds } from './validity.js';
+import { findTrustedIssuer } from './verification.js';
+import {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  encodeAgePolicy,
+  decodeAgePolicy,
+  describeAgePolicy,
+  computePolicyId,
+  computeVerificationKeyHash,
+  encodeChallenge,
+  parsePresentation
+} from './presentation.js';
+
+export const PRESENTATION_CHECKS = {
+  FORMAT: 'format',
+  VERIFICATION_KEY: 'verificationKey',
+  PROOF: 'proof',
+  POLICY: 'policy',
+  DATE: 'date',
+  MIN_AGE: 'minAge',
+  CITIZENSHIP: 'citizenship',
+  ISSUER_A: 'issuerA',
+  ISSUER_B: 'issuerB',
+  REVOCATION_ROOT: 'revocationRoot',
+  SUBJECT: 'subject',
+  CHALLENGE: 'challenge'
+};
+
+// AgeVerification's default proofFreshnessWindow: a current_date up to 365 days either side of
+// block.timestamp. The owner can narrow it; verifiers of a deployment read it from the contract.
+export const DEFAULT_PROOF_DATE_WINDOW_SECONDS = 365 * 24 * 60 * 60;
+
+const CHECK_LABELS = {
+  [PRESENTATION_CHECKS.FORMAT]: 'Presentation format',
+  [PRESENTATION_CHECKS.VERIFICATION_KEY]: 'Verification key',
+  [PRESENTATION_CHECKS.PROOF]: 'Groth16 proof',
+  [PRESENTATION_CHECKS.POLICY]: 'Policy id',
+  [PRESENTATION_CHECKS.DATE]: 'Proof date',
+  [PRESENTATION_CHECKS.MIN_AGE]: 'Age policy',
+  [PRESENTATION_CHECKS.CITIZENSHIP]: 'Citizenship',
+  [PRESENTATION_CHECKS.ISSUER_A]: 'Trusted DOB issuer',
+  [PRESENTATION_CHECKS.ISSUER_B]: 'Trusted citizenship issuer',
+  [PRESENTATION_CHECKS.REVOCATION_ROOT]: 'Revocation root',
+  [PRESENTATION_CHECKS.SUBJECT]: 'Subject wallet',
+  [PRESENTATION_CHECKS.CHALLENGE]: 'Challenge'
+};
+
+// Age bounds a min_age / age_policy signal proves
+function describeAgeSignal(signal) {
+  try {
+    return describeAgePolicy(decodeAgePolicy(signal));
+  } catch {
+    return `an invalid age_policy ${signal}`;
+  }
+}
+
+function result(name, passed, reason) {
+  return { name, label: CHECK_LABELS[name], passed, skipped: false, reason };
+}
+
+function skipped(name, reason) {
+  return { name, label: CHECK_LABELS[name], passed: false, skipped: true, reason };
+}
+
+function formatDate(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+function formatAddress(value) {
+  return getAddress(zeroPadValue(toBeHex(BigInt(value)), 20));
+}
+
+function checkIssuer(name, trustedIssuers, pubkey, credentialType) {
+  if (!trustedIssuers) {
+    return skipped(name, 'Skipped: no trusted issuers configured');
+  }
+  const issuer = findTrustedIssuer(trustedIssuers, pubkey);
+  if (!issuer) {
+    return result(name, false, 'Issuer public key is not in the trusted issuer list');
+  }
+  const issuerName = issuer.name || 'Issuer';
+  if (issuer.schemas && !issuer.schemas.includes(credentialType)) {
+    return result(name, false, `${issuerName} is not trusted to issue ${credentialType} credentials`);
+  }
+  return result(name, true, `Issued by ${issuerName}`);
+}
+
+function checkSubject(userPubkey, subjectWallet, expectedWallet) {
+  if (BigInt(subjectWallet) >= BigInt(2) ** BigInt(160)) {
+    return result(PRESENTATION_CHECKS.SUBJECT, false, 'subject_wallet is not a 20-byte address');
+  }
+  if (userPubkey !== subjectWallet) {
+    return result(PRESENTATION_CHECKS.SUBJECT, false, 'user_pubkey does not match subject_wallet');
+  }
+  if (expectedWallet !== undefined && expectedWallet !== null && BigInt(expectedWallet) !== BigInt(subjectWallet)) {
+    return result(
+      PRESENTATION_CHECKS.SUBJECT,
+      false,
+      `Proof is bound to ${formatAddress(subjectWallet)}, not ${formatAddress(expectedWallet)}`
+    );
+  }
+  return result(PRESENTATION_CHECKS.SUBJECT, true, `Bound to ${formatAddress(subjectWallet)}`);
+}
+
+/**
+ * Verify a presentation off-chain
+ *
+ * The format, verification-key and proof checks gate the rest: when one
+ * fails, the policy checks are reported as skipped.
+ *
+ * @param {Object} presentation - proof.json v2 (see createPresentation)
+ * @param {Object} options
+ * @param {Object} options.vkey - Verification key of presentation.circuit (build/<circuit>_vkey.json)
+ * @param {Object} [options.policy] - { minAge, maxAge?, requiredCitizenship } (default DEFAULT_POLICY)
+ * @param {Date|number|bigint} [options.currentDate] - Verifier's clock (default: now)
+ * @param {number} [options.dateWindowSeconds] - Accepted distance of current_date from currentDate
+ *   (AgeVerification.proofFreshnessWindow; default: 365 days)
+ * @param {Array} [options.trustedIssuers] - Issuer allowlist (see verifyCredential); omitted skips the issuer checks
+ * @param {string|bigint} [options.revocationRoot] - Current revocation root; omitted skips the check
+ * @param {string|bigint} [options.subjectWallet] - Wallet the proof must be bound to (the contract's msg.sender)
+ * @param {string|bigint} [options.challenge] - Challenge the verifier issued (hex or decimal); omitted skips the check
+ * @returns {Promise<{valid: boolean, circuit: string|undefined, checks: Object[]}>}
+ */
+export async function verifyPresentation(presentation, {
+  vkey,
+  policy = DEFAULT_POLICY,
+  currentDate = new Date(),
+  dateWindowSeconds = DEFAULT_PROOF_DATE_WINDOW_SECONDS,
+  trustedIssuers,
+  revocationRoot,
+  subjectWallet,
+  challenge
+} = {}) {
+  if (!vkey) {
+    throw new Error('A verification key is required to verify a presentation');
+  }
+  const checks = [];
+  const skipRest = (reason) => {
+    for (const name of Object.values(PRESENTATION_CHECKS)) {
+      if (!checks.some((check) => check.name === name)) {
+        checks.push(skipped(name, reason));
+      }
+    }
+  };
+  const done = () => ({
+    valid: checks.every((check) => check.passed || check.skipped),
+    circuit: presentation?.circuit,
+    checks
+  });
+
+  try {
+    parsePresentation(presentation);
+    checks.push(result(PRESENTATION_CHECKS.FORMAT, true, `v${presentation.version} presentation for ${presentation.circuit}`));
+  } catch (error) {
+    checks.push(result(PRESENTATION_CHECKS.FORMAT, false, error.message));
+    skipRest('Skipped: presentation format check failed');
+    return done();
+  }
+
+  if (computeVerificationKeyHash(vkey) !== presentation.vkeyHash) {
+    checks.push(result(PRESENTATION_CHECKS.VERIFICATION_KEY, false, 'vkeyHash does not match the verification key (different circuit or trusted setup)'));
+    skipRest('Skipped: verification key check failed');
+    return done();
+  }
+  checks.push(result(PRESENTATION_CHECKS.VERIFICATION_KEY, true, `Matches ${presentation.vkeyHash.slice(0, 18)}...`));
+
+  const { proof, publicSignals } = presentation;
+  let proofValid = false;
+  try {
+    proofValid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+  } catch (error) {
+    checks.push(result(PRESENTATION_CHECKS.PROOF, false, `Could not verify: ${error.message}`));
+    skipRest('Skipped: proof check failed');
+    return done();
+  }
+  if (!proofValid) {
+    checks.push(result(PRESENTATION_CHECKS.PROOF, false, 'Pairing check failed (proof or public signals were modified)'));
+    skipRest('Skipped: proof check failed');
+    return done();
+  }
+  checks.push(result(PRESENTATION_CHECKS.PROOF, true, 'Pairing check passed'));
+
+  const normalized = normalizePolicy(policy);
+  const [currentDateSignal, minAge, citizenship, issuerAX, issuerAY, issuerBX, issuerBY, userPubkey, subject, root] = publicSignals;
+
+  checks.push(computePolicyId(normalized) === presentation.policyId
+    ? result(PRESENTATION_CHECKS.POLICY, true, `Presented for ${describeAgePolicy(normalized)} / ${normalized.requiredCitizenship}`)
+    : result(PRESENTATION_CHECKS.POLICY, false, 'policyId does not match the verifier policy'));
+
+  const now = toUnixSeconds(currentDate);
+  const window = BigInt(dateWindowSeconds);
+  const proofDate = BigInt(currentDateSignal);
+  checks.push(proofDate >= now - window && proofDate <= now + window
+    ? result(PRESENTATION_CHECKS.DATE, true, `${formatDate(proofDate)} is within ${dateWindowSeconds} s of ${formatDate(now)}`)
+    : result(PRESENTATION_CHECKS.DATE, false, `${formatDate(proofDate)} is more than ${dateWindowSeconds} s from ${formatDate(now)}`));
+
+  // age_policy: the minimum age, packed with the maximum age if the policy has one
+  checks.push(minAge === encodeAgePolicy(normalized).toString()
+    ? result(PRESENTATION_CHECKS.MIN_AGE, true, `Proves ${describeAgeSignal(minAge)}`)
+    : result(PRESENTATION_CHECKS.MIN_AGE, false, `Proves ${describeAgeSignal(minAge)}, policy requires ${describeAgePolicy(normalized)}`));
+
+  checks.push(citizenship === encodeCitizenship(normalized.requiredCitizenship).toString()
+    ? result(PRESENTATION_CHECKS.CITIZENSHIP, true, `Proves ${normalized.requiredCitizenship} citizenship`)
+    : result(PRESENTATION_CHECKS.CITIZENSHIP, false, `Does not prove ${normalized.requiredCitizenship} citizenship`));
+
+  checks.push(checkIssuer(PRESENTATION_CHECKS.ISSUER_A, trustedIssuers, { x: issuerAX, y: issuerAY }, 'date_of_birth'));
+  checks.push(checkIssuer(PRESENTATION_CHECKS.ISSUER_B, trustedIssuers, { x: issuerBX, y: issuerBY }, 'citizenship'));
+
+  if (revocationRoot === undefined || revocationRoot === null) {
+    checks.push(skipped(PRESENTATION_CHECKS.REVOCATION_ROOT, 'Skipped: no revocation root configured'));
+  } else {
+    checks.push(BigInt(root) === BigInt(revocationRoot)
+      ? result(PRESENTATION_CHECKS.REVOCATION_ROOT, true, `Proven against the current root ${root}`)
+      : result(PRESENTATION_CHECKS.REVOCATION_ROOT, false, `Proven against root ${root}, current root is ${revocationRoot}`));
+  }
+
+  checks.push(checkSubject(userPubkey, subject, subjectWallet));
+
+  if (challenge === undefined || challenge === null) {
+    checks.push(skipped(PRESENTATION_CHECKS.CHALLENGE, 'Skipped: no challenge issued'));
+  } else {
+    checks.push(BigInt(presentation.challenge) === encodeChallenge(challenge)
+      ? result(PRESENTATION_CHECKS.CHALLENGE, true, 'Answers the issued challenge')
+      : result(PRESENTATION_CHECKS.CHALLENGE, false, 'Presentation challenge does not match the issued challenge'));
+  }
+
+  return done();
+}
@@ -0,0 +1,77 @@
+/**
+ * Proof Generation
+ * Thin wrapper around snarkjs Groth16 that works with file paths (Node)
+ * or in-memory artifacts (browser)
+ */
+
+import * as snarkjs from 'snarkjs';
+
+function toArtifact(artifact, label) {
+  if (typeof artifact === 'string' || artifact instanceof Uint8Array) {
+    return artifact;
+  }
+  if (artifact instanceof ArrayBuffer) {
+    return new Uint8Array(artifact);
+  }
+  throw new Error(`Missing circuit artifact: ${label}`);
+}
+
+/**
+ * Generate a Groth16 proof for prepared circuit inputs
+ * @param {Object} input - Circuit inputs (see buildCircuitInputs)
+ * @param {Object} artifacts
+ * @param {string|Uint8Array|ArrayBuffer} artifacts.wasm - Witness calculator
+ * @param {string|Uint8Array|ArrayBuffer} artifacts.zkey - Proving key
+ * @returns {Promise<{proof: Object, publicSignals: string[]}>}
+ */
+export async function generateProof(input, artifacts) {
+  if (!artifacts?.wasm || !artifacts?.zkey) {
+    throw new Error('Missing circuit artifacts (wasm and zkey are required)');
+  }
+
+  const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+    input,
+    toArtifact(artifacts.wasm, 'wasm'),
+    toArtifact(artifacts.zkey, 'zkey')
+  );
+
+  return {
+    proof,
+    publicSignals: publicSignals.map((signal) => signal.toString())
+  };
+}
+
+/**
+ * Format a snarkjs proof for the Solidity verifier (pi_b coordinates are swapped)
+ * @param {Object} proof - snarkjs proof
+ * @param {string[]} publicSignals
+ * @returns {{a: string[], b: string[][], c: string[], publicSignals: string[]}}
+ */
+export function formatProofForSolidity(proof, publicSignals) {
+  return {
+    a: [proof.pi_a[0], proof.pi_a[1]],
+    b: [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
+    c: [proof.pi_c[0], proof.pi_c[1]],
+    publicSignals: publicSignals.map((signal) => signal.toString())
+  };
+}
+
+/**
+ * Solidity calldata for verifyProof(a, b, c, input) as a parsed array
+ * @param {Object} proof - snarkjs proof
+ * @param {string[]} publicSignals
+ * @returns {Promise<Array>}
+ */
+export async function exportSolidityCalldata(proof, publicSignals) {
+  const calldata = await snarkjs.groth16.exportSolidityCallData(proof, publicSignals);
+  return JSON.parse('[' + calldata + ']');
+}
+
+/**
+ * Verification key of a proving key (the vkey.json the trusted setup writes)
+ * @param {string|Uint8Array|ArrayBuffer} zkey - Proving key
+ * @returns {Promise<Object>}
+ */
+export async function exportVerificationKey(zkey) {
+  return snarkjs.zKey.exportVerificationKey(toArtifact(zkey, 'zkey'));
+}
@@ -0,0 +1,83 @@
+/**
+ * Verification Receipts
+ *
+ * An off-chain verifier's signed statement about one presentation: which
+ * proof (by hash), circuit, verification key, policy, subject wallet and
+ * challenge it checked, whether it passed, and when. The receipt is EIP-712
+ * typed data, so any service holding the verifier's address can check it
+ * with ethers (or ecrecover on-chain) without re-running the proof.
+ */
+
+import { getAddress, toBeHex, verifyTypedData, zeroPadValue } from 'ethers';
+import { computePresentationHash, parsePresentation } from './presentation.js';
+
+export const RECEIPT_EIP712_DOMAIN = {
+  name: 'ZK Compliance Verifier',
+  version: '1'
+};
+
+export const RECEIPT_EIP712_TYPES = {
+  VerificationReceipt: [
+    { name: 'presentationHash', type: 'bytes32' },
+    { name: 'circuit', type: 'string' },
+    { name: 'vkeyHash', type: 'bytes32' },
+    { name: 'policyId', type: 'bytes32' },
+    { name: 'subject', type: 'address' },
+    { name: 'challenge', type: 'bytes32' },
+    { name: 'verified', type: 'bool' },
+    { name: 'verifiedAt', type: 'uint64' }
+  ]
+};
+
+/**
+ * Receipt for a presentation and its verifyPresentation result
+ * @param {Object} presentation - Parsed v2 presentation
+ * @param {{valid: boolean}} result - verifyPresentation result
+ * @param {Object} [options]
+ * @param {number} [options.verifiedAt] - Unix time in seconds (default: now)
+ * @returns {Object} Receipt (the EIP-712 message)
+ */
+export function createVerificationReceipt(presentation, result, { verifiedAt = Math.floor(Date.now() / 1000) } = {}) {
+  const { circuit, vkeyHash, policyId, challenge, publicSignals } = parsePresentation(presentation);
+  return {
+    presentationHash: computePresentationHash(presentation),
+    circuit,
+    vkeyHash,
+    policyId,
+    subject: getAddress(zeroPadValue(toBeHex(BigInt(publicSignals[8])), 20)),
+    challenge,
+    verified: Boolean(result.valid),
+    verifiedAt
+  };
+}
+
+/**
+ * Sign a receipt with the verifier's key
+ * @param {Object} receipt - From createVerificationReceipt
+ * @param {import('ethers').Signer} signer - Verifier wallet
+ * @returns {Promise<{receipt: Object, verifier: string, signature: string}>}
+ */
+export async function signVerificationReceipt(receipt, signer) {
+  const signature = await signer.signTypedData(RECEIPT_EIP712_DOMAIN, RECEIPT_EIP712_TYPES, receipt);
+  return { receipt, verifier: await signer.getAddress(), signature };
+}
+
+/**
+ * Check a signed receipt and return the verifier address that signed it
+ * @param {{receipt: Object, signature: string}} signedReceipt
+ * @param {Object} [options]
+ * @param {string} [options.verifier] - Expected verifier address
+ * @returns {string} Checksummed verifier address
+ */
+export function verifyVerificationReceipt({ receipt, signature }, { verifier } = {}) {
+  let signer;
+  try {
+    signer = verifyTypedData(RECEIPT_EIP712_DOMAIN, RECEIPT_EIP712_TYPES, receipt, signature);
+  } catch {
+    throw new Error('Malformed verification receipt or signature');
+  }
+  if (verifier && signer !== getAddress(verifier)) {
+    throw new Error(`Receipt was signed by ${signer}, not ${getAddress(verifier)}`);
+  }
+  return signer;
+}
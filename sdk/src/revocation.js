@@ -0,0 +1,195 @@
+/**
+ * Credential Revocation Registry
+ *
+ * Issuers revoke single credentials by publishing a nullifier,
+ * Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce), as a key of a Poseidon
+ * sparse Merkle tree (circomlibjs SMT). AgeVerification stores the tree root,
+ * and every proof shows that neither credential's nullifier is in the tree,
+ * without revealing which credentials were checked.
+ *
+ * The registry is plain JSON so it can be published as a file or over HTTP:
+ *   { levels, root, revoked: [{ nullifier, issuerPubkey: { x, y }, nonce, revokedAt }] }
+ */
+
+import { newMemEmptyTrie } from 'circomlibjs';
+import { poseidonHash } from './poseidon.js';
+
+// Depth of the SMTVerifier in circuits/utils/revocation.circom
+export const REVOCATION_TREE_LEVELS = 32;
+
+// Root of the empty tree, i.e. a freshly deployed AgeVerification
+export const EMPTY_REVOCATION_ROOT = BigInt(0);
+
+// Leaf value stored for a revoked nullifier (non-membership ignores it)
+const REVOKED_LEAF_VALUE = BigInt(1);
+
+/**
+ * Nullifier of a credential: Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce)
+ * @param {{x: bigint|string, y: bigint|string}} issuerPubkey - Reduced issuer key (as in credential.issuerPubkey)
+ * @param {bigint|number|string} nonce - Credential nonce
+ * @returns {Promise<bigint>}
+ */
+export async function computeRevocationNullifier(issuerPubkey, nonce) {
+  return poseidonHash([issuerPubkey.x, issuerPubkey.y, nonce]);
+}
+
+/**
+ * Nullifier of an issued credential
+ * @param {Object} credential - Issued credential JSON
+ * @returns {Promise<bigint>}
+ */
+export async function computeCredentialNullifier(credential) {
+  return computeRevocationNullifier(credential.issuerPubkey, credential.nonce);
+}
+
+/**
+ * An empty registry (nothing revoked)
+ * @returns {Object}
+ */
+export function createRevocationRegistry() {
+  return { levels: REVOCATION_TREE_LEVELS, root: EMPTY_REVOCATION_ROOT.toString(), revoked: [] };
+}
+
+async function buildTree(revoked) {
+  const tree = await newMemEmptyTrie();
+  for (const entry of revoked) {
+    await tree.insert(tree.F.e(BigInt(entry.nullifier)), tree.F.e(REVOKED_LEAF_VALUE));
+  }
+  return tree;
+}
+
+/**
+ * Rebuild the sparse Merkle tree of a registry and check it against the published root
+ * @param {Object} registry - Revocation registry JSON
+ * @returns {Promise<Object>} circomlibjs SMT
+ */
+export async function buildRevocationTree(registry) {
+  if ((registry.levels ?? REVOCATION_TREE_LEVELS) !== REVOCATION_TREE_LEVELS) {
+    throw new Error(`Revocation registry uses ${registry.levels} levels, the circuits use ${REVOCATION_TREE_LEVELS}`);
+  }
+  const tree = await buildTree(registry.revoked || []);
+  if (registry.root !== undefined && tree.F.toObject(tree.root) !== BigInt(registry.root)) {
+    throw new Error('Revocation registry root does not match its revoked entries');
+  }
+  return tree;
+}
+
+/**
+ * Root of a registry's tree (the value posted to AgeVerification)
+ * @param {Object} registry - Revocation registry JSON
+ * @returns {Promise<bigint>}
+ */
+export async function computeRevocationRoot(registry) {
+  const tree = await buildTree(registry.revoked || []);
+  return tree.F.toObject(tree.root);
+}
+
+/**
+ * Add a credential to the registry and recompute the root
+ * @param {Object} registry - Revocation registry JSON
+ * @param {Object} entry
+ * @param {{x: bigint|string, y: bigint|string}} entry.issuerPubkey - Reduced key of the issuer that signed the credential
+ * @param {bigint|number|string} entry.nonce - Credential nonce
+ * @param {Date} [entry.revokedAt] - Revocation time (default: now)
+ * @returns {Promise<Object>} New registry (the input is not modified)
+ */
+export async function revokeCredential(registry, { issuerPubkey, nonce, revokedAt = new Date() }) {
+  const nullifier = await computeRevocationNullifier(issuerPubkey, nonce);
+  const revoked = registry.revoked || [];
+  if (revoked.some((entry) => BigInt(entry.nullifier) === nullifier)) {
+    throw new Error(`Credential with nonce ${nonce} is already revoked`);
+  }
+
+  const nextRevoked = [
+    ...revoked,
+    {
+      nullifier: nullifier.toString(),
+      issuerPubkey: { x: BigInt(issuerPubkey.x).toString(), y: BigInt(issuerPubkey.y).toString() },
+      nonce: BigInt(nonce).toString(),
+      revokedAt: revokedAt.toISOString()
+    }
+  ];
+  const tree = await buildTree(nextRevoked);
+  const { siblings } = await tree.find(tree.F.e(nullifier));
+  if (siblings.length > REVOCATION_TREE_LEVELS) {
+    throw new Error(`Revocation tree would exceed the ${REVOCATION_TREE_LEVELS} levels the circuits support`);
+  }
+
+  return { levels: REVOCATION_TREE_LEVELS, root: tree.F.toObject(tree.root).toString(), revoked: nextRevoked };
+}
+
+/**
+ * Whether a credential's nullifier is in the registry
+ * @param {Object} registry - Revocation registry JSON
+ * @param {Object} credential - Issued credential JSON
+ * @returns {Promise<boolean>}
+ */
+export async function isCredentialRevoked(registry, credential) {
+  const nullifier = await computeCredentialNullifier(credential);
+  return (registry.revoked || []).some((entry) => BigInt(entry.nullifier) === nullifier);
+}
+
+async function buildNonMembershipProof(tree, credential, label) {
+  const nullifier = await computeCredentialNullifier(credential);
+  const result = await tree.find(tree.F.e(nullifier));
+  if (result.found) {
+    throw new Error(`${label} has been revoked by its issuer`);
+  }
+  if (result.siblings.length > REVOCATION_TREE_LEVELS) {
+    throw new Error(`${label}: revocation tree path exceeds ${REVOCATION_TREE_LEVELS} levels`);
+  }
+
+  const siblings = result.siblings.map((sibling) => tree.F.toObject(sibling).toString());
+  while (siblings.length < REVOCATION_TREE_LEVELS) {
+    siblings.push('0');
+  }
+  return {
+    siblings,
+    oldKey: result.isOld0 ? '0' : tree.F.toObject(result.notFoundKey).toString(),
+    oldValue: result.isOld0 ? '0' : tree.F.toObject(result.notFoundValue).toString(),
+    isOld0: result.isOld0 ? '1' : '0'
+  };
+}
+
+function toRevocationInputs(root, proofA, proofB) {
+  return {
+    revocation_root: root.toString(),
+    revocation_siblings_a: proofA.siblings,
+    revocation_old_key_a: proofA.oldKey,
+    revocation_old_value_a: proofA.oldValue,
+    revocation_is_old0_a: proofA.isOld0,
+    revocation_siblings_b: proofB.siblings,
+    revocation_old_key_b: proofB.oldKey,
+    revocation_old_value_b: proofB.oldValue,
+    revocation_is_old0_b: proofB.isOld0
+  };
+}
+
+/**
+ * Non-revocation circuit inputs against the empty registry (root 0)
+ * @returns {Object} Circuit input fragment for buildCircuitInputs({ revocation })
+ */
+export function emptyRevocationInputs() {
+  const proof = {
+    siblings: new Array(REVOCATION_TREE_LEVELS).fill('0'),
+    oldKey: '0',
+    oldValue: '0',
+    isOld0: '1'
+  };
+  return toRevocationInputs(EMPTY_REVOCATION_ROOT, proof, proof);
+}
+
+/**
+ * Non-membership proofs for both credentials against a registry, as circuit inputs.
+ * Throws if either credential has been revoked.
+ * @param {Object} dobCredential - Credential issued by Issuer A
+ * @param {Object} citizenshipCredential - Credential issued by Issuer B
+ * @param {Object} [registry] - Revocation registry JSON (default: empty)
+ * @returns {Promise<Object>} Circuit input fragment for buildCircuitInputs({ revocation })
+ */
+export async function buildRevocationInputs(dobCredential, citizenshipCredential, registry = createRevocationRegistry()) {
+  const tree = await buildRevocationTree(registry);
+  const proofA = await buildNonMembershipProof(tree, dobCredential, 'DOB credential');
+  const proofB = await buildNonMembershipProof(tree, citizenshipCredential, 'Citizenship credential');
+  return toRevocationInputs(tree.F.toObject(tree.root), proofA, proofB);
+}
@@ -0,0 +1,245 @@
+/**
+ * Credential Schema Registry
+ *
+ * A schema declares a credential type once: its claim fields, how each
+ * claim is encoded as a field element, and the order in which claims and
+ * the reserved `userPubkey` / `nonce` values are fed into Poseidon to
+ * form the message the issuer signs. Credentials that expire append their
+ * `issuedAt` / `validUntil` window after the schema's layout.
+ */
+
+import { BN254_SCALAR_FIELD, encodeAscii } from './field.js';
+import { parseCalendarDate, formatCalendarDate, toDayNumber } from './calendar.js';
+
+// Values every credential carries; schemas reference them in messageLayout
+export const RESERVED_MESSAGE_INPUTS = ['userPubkey', 'nonce'];
+
+// Appended to the message, in this order, when a credential has a validity window
+export const VALIDITY_MESSAGE_INPUTS = ['issuedAt', 'validUntil'];
+
+// Poseidon in circomlib supports at most 16 inputs, including the validity window
+const MAX_MESSAGE_INPUTS = 16 - VALIDITY_MESSAGE_INPUTS.length;
+
+/**
+ * Claim encodings: validate a claim value and map it to a field element
+ */
+export const ENCODINGS = {
+  uint: {
+    encode(value, field) {
+      let encoded;
+      try {
+        encoded = BigInt(value);
+      } catch {
+        throw new Error(`Claim "${field.name}" must be an unsigned integer`);
+      }
+      if (encoded < BigInt(0) || encoded >= BN254_SCALAR_FIELD) {
+        throw new Error(`Claim "${field.name}" must be an unsigned integer below the BN254 scalar field`);
+      }
+      return encoded;
+    },
+    serialize: (value) => BigInt(value).toString()
+  },
+  ascii: {
+    encode(value, field) {
+      const maxLength = field.maxLength || 31;
+      if (typeof value !== 'string' || value.length === 0) {
+        throw new Error(`Claim "${field.name}" must be a non-empty string`);
+      }
+      if (value.length > maxLength || !/^[\x20-\x7e]+$/.test(value)) {
+        throw new Error(`Claim "${field.name}" must be at most ${maxLength} printable ASCII characters`);
+      }
+      if (field.pattern && !field.pattern.test(value)) {
+        throw new Error(`Claim "${field.name}" does not match ${field.pattern}`);
+      }
+      return encodeAscii(value);
+    },
+    serialize: (value) => value
+  },
+  bool: {
+    encode(value, field) {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Claim "${field.name}" must be a boolean`);
+      }
+      return value ? BigInt(1) : BigInt(0);
+    },
+    serialize: (value) => value
+  },
+  // Calendar date ("YYYY-MM-DD"), encoded as days since 1900-01-01 (see calendar.js)
+  day: {
+    encode(value, field) {
+      return BigInt(toDayNumber(parseCalendarDate(value, `Claim "${field.name}"`)));
+    },
+    serialize: (value) => formatCalendarDate(parseCalendarDate(value))
+  }
+};
+
+const registry = new Map();
+
+/**
+ * Register a credential schema
+ * @param {Object} schema
+ * @param {string} schema.id - Credential type, stored as credentialType
+ * @param {string} schema.title - Human-readable name
+ * @param {Array<{name: string, encoding: string, maxLength?: number, pattern?: RegExp}>} schema.fields
+ * @param {string[]} schema.messageLayout - Poseidon input order (field names, userPubkey, nonce)
+ * @returns {Object} The frozen schema
+ */
+export function registerSchema(schema) {
+  const { id, title, fields, messageLayout } = schema;
+  if (!id || typeof id !== 'string') {
+    throw new Error('Schema id is required');
+  }
+  if (registry.has(id)) {
+    throw new Error(`Schema already registered: ${id}`);
+  }
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error(`Schema ${id} must declare at least one field`);
+  }
+
+  const fieldNames = new Set();
+  for (const field of fields) {
+    if (!ENCODINGS[field.encoding]) {
+      throw new Error(`Schema ${id}: unknown encoding "${field.encoding}" for field ${field.name}`);
+    }
+    if ([...RESERVED_MESSAGE_INPUTS, ...VALIDITY_MESSAGE_INPUTS].includes(field.name) || fieldNames.has(field.name)) {
+      throw new Error(`Schema ${id}: duplicate or reserved field name ${field.name}`);
+    }
+    fieldNames.add(field.name);
+  }
+
+  if (!Array.isArray(messageLayout) || messageLayout.length === 0 || messageLayout.length > MAX_MESSAGE_INPUTS) {
+    throw new Error(`Schema ${id}: messageLayout must have 1-${MAX_MESSAGE_INPUTS} entries`);
+  }
+  for (const entry of messageLayout) {
+    if (!fieldNames.has(entry) && !RESERVED_MESSAGE_INPUTS.includes(entry)) {
+      throw new Error(`Schema ${id}: messageLayout references unknown input ${entry}`);
+    }
+  }
+  for (const required of [...fieldNames, ...RESERVED_MESSAGE_INPUTS]) {
+    if (!messageLayout.includes(required)) {
+      throw new Error(`Schema ${id}: messageLayout must commit to ${required}`);
+    }
+  }
+
+  const frozen = Object.freeze({
+    id,
+    title: title || id,
+    fields: Object.freeze(fields.map((field) => Object.freeze({ ...field }))),
+    messageLayout: Object.freeze([...messageLayout])
+  });
+  registry.set(id, frozen);
+  return frozen;
+}
+
+/**
+ * Look up a registered schema
+ * @param {string} schemaId
+ * @returns {Object}
+ */
+export function getSchema(schemaId) {
+  const schema = registry.get(schemaId);
+  if (!schema) {
+    throw new Error(`Unknown credential schema: ${schemaId}`);
+  }
+  return schema;
+}
+
+/**
+ * All registered schemas, in registration order
+ * @returns {Object[]}
+ */
+export function listSchemas() {
+  return [...registry.values()];
+}
+
+/**
+ * Validate claims against a schema and encode them as field elements
+ * @param {Object} schema
+ * @param {Object} claims - Claim values keyed by field name
+ * @returns {Object<string, bigint>} Encoded claims keyed by field name
+ */
+export function encodeClaims(schema, claims) {
+  const unknown = Object.keys(claims).filter(
+    (name) => !schema.fields.some((field) => field.name === name)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown claims for ${schema.id}: ${unknown.join(', ')}`);
+  }
+
+  const encoded = {};
+  for (const field of schema.fields) {
+    if (claims[field.name] === undefined || claims[field.name] === null) {
+      throw new Error(`Missing claim for ${schema.id}: ${field.name}`);
+    }
+    encoded[field.name] = ENCODINGS[field.encoding].encode(claims[field.name], field);
+  }
+  return encoded;
+}
+
+/**
+ * Poseidon inputs for a message, in the schema's layout order
+ * @param {Object} schema
+ * @param {Object<string, bigint>} encodedClaims
+ * @param {bigint|string} userPubkey
+ * @param {bigint|string} nonce
+ * @param {{issuedAt: bigint, validUntil: bigint}|null} [validity] - Appended after the layout when present
+ * @returns {bigint[]}
+ */
+export function buildMessageInputs(schema, encodedClaims, userPubkey, nonce, validity = null) {
+  const reserved = { userPubkey: BigInt(userPubkey), nonce: BigInt(nonce) };
+  const inputs = schema.messageLayout.map((entry) =>
+    entry in reserved ? reserved[entry] : encodedClaims[entry]
+  );
+  if (validity) {
+    inputs.push(...VALIDITY_MESSAGE_INPUTS.map((entry) => BigInt(validity[entry])));
+  }
+  return inputs;
+}
+
+/**
+ * Read a schema's claims back out of an issued credential
+ * @param {Object} schema
+ * @param {Object} credential
+ * @returns {Object}
+ */
+export function extractClaims(schema, credential) {
+  const claims = {};
+  for (const field of schema.fields) {
+    claims[field.name] = credential[field.name];
+  }
+  return claims;
+}
+
+// ========== Built-in schemas ==========
+
+registerSchema({
+  id: 'date_of_birth',
+  title: 'Date of Birth',
+  fields: [{ name: 'dateOfBirth', encoding: 'day' }],
+  messageLayout: ['dateOfBirth', 'userPubkey', 'nonce']
+});
+
+registerSchema({
+  id: 'citizenship',
+  title: 'Citizenship',
+  fields: [{ name: 'citizenship', encoding: 'ascii', maxLength: 2, pattern: /^[A-Z]{2}$/ }],
+  messageLayout: ['citizenship', 'userPubkey', 'nonce']
+});
+
+registerSchema({
+  id: 'accredited_investor',
+  title: 'Accredited Investor',
+  fields: [
+    { name: 'accredited', encoding: 'bool' },
+    { name: 'jurisdiction', encoding: 'ascii', maxLength: 2, pattern: /^[A-Z]{2}$/ }
+  ],
+  messageLayout: ['accredited', 'jurisdiction', 'userPubkey', 'nonce']
+});
+
+registerSchema({
+  id: 'residency_state',
+  title: 'State of Residency',
+  // ISO 3166-2 subdivision code, e.g. "US-NY"
+  fields: [{ name: 'residencyState', encoding: 'ascii', maxLength: 6, pattern: /^[A-Z]{2}-[A-Z0-9]{1,3}$/ }],
+  messageLayout: ['residencyState', 'userPubkey', 'nonce']
+});
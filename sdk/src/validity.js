@@ -0,0 +1,108 @@
+/**
+ * Credential Validity Window
+ *
+ * Credentials may carry an `issuedAt` / `validUntil` pair (Unix seconds)
+ * that the issuer commits into the signed Poseidon message, so the window
+ * cannot be extended without invalidating the signature. A credential
+ * without the pair never expires (legacy format).
+ */
+
+// Default window the demo issuers grant: periodic re-KYC once a year
+export const DEFAULT_CREDENTIAL_VALIDITY_SECONDS = 365 * 24 * 60 * 60;
+
+// The expiry circuit compares timestamps with 64-bit comparators
+const MAX_TIMESTAMP = BigInt(2) ** BigInt(64);
+
+/**
+ * Convert a Date (or Unix seconds) into the circuit's current_date value
+ * @param {Date|number|bigint|string} currentDate
+ * @returns {bigint} Unix timestamp in seconds
+ */
+export function toUnixSeconds(currentDate) {
+  if (currentDate instanceof Date) {
+    return BigInt(Math.floor(currentDate.getTime() / 1000));
+  }
+  return BigInt(currentDate);
+}
+
+function parseTimestamp(value, label) {
+  let parsed;
+  try {
+    parsed = toUnixSeconds(value);
+  } catch {
+    throw new Error(`${label} must be a Unix timestamp in seconds`);
+  }
+  if (parsed < BigInt(0) || parsed >= MAX_TIMESTAMP) {
+    throw new Error(`${label} must be a Unix timestamp in seconds`);
+  }
+  return parsed;
+}
+
+function formatTimestamp(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Validity window to commit when issuing, from issueCredential options
+ * @param {Object} options
+ * @param {Date|number|bigint|string} [options.issuedAt] - Start of the window (default: now)
+ * @param {Date|number|bigint|string} [options.validUntil] - End of the window
+ * @param {number} [options.validForSeconds] - Window length, when validUntil is not given
+ * @returns {{issuedAt: bigint, validUntil: bigint}|null} null when the credential should not expire
+ */
+export function resolveValidityWindow({ issuedAt, validUntil, validForSeconds } = {}) {
+  if (validUntil === undefined && validForSeconds === undefined) {
+    return null;
+  }
+  const start = parseTimestamp(issuedAt ?? new Date(), 'issuedAt');
+  const end = validUntil !== undefined
+    ? parseTimestamp(validUntil, 'validUntil')
+    : parseTimestamp(start + BigInt(validForSeconds), 'validUntil');
+  if (end < start) {
+    throw new Error('validUntil must not be before issuedAt');
+  }
+  return { issuedAt: start, validUntil: end };
+}
+
+/**
+ * Read the validity window committed in an issued credential
+ * @param {Object} credential - Issued credential JSON
+ * @returns {{issuedAt: bigint, validUntil: bigint}|null} null for credentials that never expire
+ */
+export function getCredentialValidity(credential) {
+  const { issuedAt, validUntil } = credential;
+  if (issuedAt === undefined && validUntil === undefined) {
+    return null;
+  }
+  if (issuedAt === undefined || validUntil === undefined) {
+    throw new Error('Credential validity window needs both issuedAt and validUntil');
+  }
+  const window = {
+    issuedAt: parseTimestamp(issuedAt, 'issuedAt'),
+    validUntil: parseTimestamp(validUntil, 'validUntil')
+  };
+  if (window.validUntil < window.issuedAt) {
+    throw new Error('validUntil must not be before issuedAt');
+  }
+  return window;
+}
+
+/**
+ * Throw unless a credential is valid at a given date (credentials without a window always are)
+ * @param {Object} credential - Issued credential JSON
+ * @param {Date|number|bigint} currentDate - Date checked, i.e. the proof's current_date
+ * @param {string} [label] - Credential name used in the error message
+ */
+export function assertCredentialValidAt(credential, currentDate, label = 'Credential') {
+  const window = getCredentialValidity(credential);
+  if (!window) {
+    return;
+  }
+  const now = toUnixSeconds(currentDate);
+  if (now < window.issuedAt) {
+    throw new Error(`${label} is not valid before ${formatTimestamp(window.issuedAt)} (current_date ${formatTimestamp(now)})`);
+  }
+  if (now > window.validUntil) {
+    throw new Error(`${label} expired on ${formatTimestamp(window.validUntil)} (current_date ${formatTimestamp(now)})`);
+  }
+}
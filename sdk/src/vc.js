@@ -0,0 +1,248 @@
+/**
+ * W3C Verifiable Credentials (VC Data Model 2.0)
+ *
+ * Wraps an issued credential as a VC and parses one back. The issuer's
+ * Poseidon + secp256k1 signature becomes a DataIntegrityProof with the
+ * `poseidon-ecdsa-secp256k1-2025` cryptosuite: the signed message is
+ * Poseidon over the schema's messageLayout (the same hash the circuit
+ * recomputes), and proofValue is the multibase (base58btc) r || s.
+ *
+ * Issuers are identified by did:key (multicodec secp256k1-pub, compressed
+ * key), subjects by did:ethr (the wallet address the credential is bound to).
+ */
+
+import { decodeBase58, encodeBase58, getAddress, getBytes, hexlify, toBeHex, zeroPadValue } from 'ethers';
+import { Point } from '@noble/secp256k1';
+import { toUncompressedPublicKey, reducePublicKey } from './keys.js';
+import { SIGNATURE_SCHEMES, getCredentialSignatureScheme } from './eddsa.js';
+import { ENCODINGS, VALIDITY_MESSAGE_INPUTS, getSchema, listSchemas } from './schemas.js';
+import { getCredentialValidity } from './validity.js';
+import { VERIFICATION_CHECKS, verifyCredential, describeFailedChecks } from './verification.js';
+import { computeCredentialId } from './keystore.js';
+
+export const VC_CONTEXT_V2 = 'https://www.w3.org/ns/credentials/v2';
+export const VC_CRYPTOSUITE = 'poseidon-ecdsa-secp256k1-2025';
+
+// Multicodec varint prefix of a compressed secp256k1 public key (0xe7)
+const SECP256K1_PUB_MULTICODEC = [0xe7, 0x01];
+
+function toMultibase(bytes) {
+  return `z${encodeBase58(bytes)}`;
+}
+
+function fromMultibase(value, length, label) {
+  if (typeof value !== 'string' || !value.startsWith('z')) {
+    throw new Error(`${label} must be a base58btc multibase string (z...)`);
+  }
+  let decoded;
+  try {
+    decoded = decodeBase58(value.slice(1));
+  } catch {
+    throw new Error(`${label} is not valid base58btc`);
+  }
+  // decodeBase58 returns an integer; restore the fixed byte length
+  if (decoded >= BigInt(2) ** BigInt(8 * length)) {
+    throw new Error(`${label} must encode ${length} bytes`);
+  }
+  return getBytes(zeroPadValue(toBeHex(decoded), length));
+}
+
+/**
+ * did:key of a secp256k1 public key
+ * @param {string|Uint8Array} publicKey - Compressed or uncompressed key
+ * @returns {string} did:key:z...
+ */
+export function publicKeyToDidKey(publicKey) {
+  const compressed = Point.fromBytes(toUncompressedPublicKey(publicKey)).toRawBytes(true);
+  return `did:key:${toMultibase(new Uint8Array([...SECP256K1_PUB_MULTICODEC, ...compressed]))}`;
+}
+
+/**
+ * Public key of a secp256k1 did:key
+ * @param {string} did
+ * @returns {string} 0x-prefixed 65-byte uncompressed key
+ */
+export function didKeyToPublicKey(did) {
+  const match = /^did:key:(z[1-9A-HJ-NP-Za-km-z]+)(#.*)?$/.exec(did || '');
+  if (!match) {
+    throw new Error(`Not a did:key identifier: ${did}`);
+  }
+  const bytes = fromMultibase(match[1], SECP256K1_PUB_MULTICODEC.length + 33, 'did:key');
+  if (bytes[0] !== SECP256K1_PUB_MULTICODEC[0] || bytes[1] !== SECP256K1_PUB_MULTICODEC[1]) {
+    throw new Error(`did:key ${did} is not a secp256k1 key`);
+  }
+  return hexlify(toUncompressedPublicKey(bytes.slice(SECP256K1_PUB_MULTICODEC.length)));
+}
+
+/**
+ * did:ethr of a wallet address (or a credential's numeric userPubkey)
+ * @param {string|bigint} address
+ * @returns {string} did:ethr:0x...
+ */
+export function addressToDidEthr(address) {
+  const value = BigInt(address);
+  if (value >= BigInt(2) ** BigInt(160)) {
+    throw new Error('A did:ethr subject must be a 20-byte Ethereum address');
+  }
+  return `did:ethr:${getAddress(zeroPadValue(toBeHex(value), 20))}`;
+}
+
+/**
+ * Wallet address of a did:ethr, with or without a network segment (did:ethr:0x539:0x...)
+ * @param {string} did
+ * @returns {string} Checksummed address
+ */
+export function didEthrToAddress(did) {
+  const match = /^did:ethr:(?:[a-z0-9]+:)?(0x[0-9a-fA-F]{40})$/.exec(did || '');
+  if (!match) {
+    throw new Error(`Not a did:ethr identifier: ${did}`);
+  }
+  return getAddress(match[1]);
+}
+
+// VC type for a schema: "Date of Birth" -> "DateOfBirthCredential"
+function vcTypeOf(schema) {
+  return `${schema.title.replace(/[^A-Za-z0-9]+(.)?/g, (_, next = '') => next.toUpperCase())}Credential`;
+}
+
+function toIsoDate(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+function fromIsoDate(value, label) {
+  const millis = Date.parse(value);
+  if (typeof value !== 'string' || Number.isNaN(millis) || millis % 1000 !== 0) {
+    throw new Error(`${label} must be an ISO 8601 date-time with whole seconds`);
+  }
+  return (millis / 1000).toString();
+}
+
+/**
+ * Wrap an issued credential as a W3C VC 2.0
+ * @param {Object} credential - Issued credential JSON (must carry the full issuerPublicKey)
+ * @returns {Object} Verifiable credential
+ */
+export function toVerifiableCredential(credential) {
+  const schema = getSchema(credential.credentialType);
+  if (getCredentialSignatureScheme(credential) !== SIGNATURE_SCHEMES.ECDSA_SECP256K1) {
+    throw new Error(`Only ECDSA credentials can be exported as a VC (${VC_CRYPTOSUITE}), got ${credential.signatureScheme}`);
+  }
+  if (!credential.issuerPublicKey) {
+    throw new Error('Credential has no full issuerPublicKey; re-issue it to export as a VC');
+  }
+  const issuerDid = publicKeyToDidKey(credential.issuerPublicKey);
+  const validity = getCredentialValidity(credential);
+
+  const credentialSubject = { id: addressToDidEthr(credential.userPubkey) };
+  for (const field of schema.fields) {
+    credentialSubject[field.name] = credential[field.name];
+  }
+
+  const signature = new Uint8Array([
+    ...getBytes(toBeHex(BigInt(credential.signature.r), 32)),
+    ...getBytes(toBeHex(BigInt(credential.signature.s), 32))
+  ]);
+
+  return {
+    '@context': [VC_CONTEXT_V2],
+    id: `urn:zk-credential:${computeCredentialId(credential)}`,
+    type: ['VerifiableCredential', vcTypeOf(schema)],
+    issuer: { id: issuerDid, ...(credential.issuer ? { name: credential.issuer } : {}) },
+    ...(validity ? { validFrom: toIsoDate(validity.issuedAt), validUntil: toIsoDate(validity.validUntil) } : {}),
+    credentialSubject,
+    proof: {
+      type: 'DataIntegrityProof',
+      cryptosuite: VC_CRYPTOSUITE,
+      ...(credential.timestamp ? { created: new Date(credential.timestamp).toISOString() } : {}),
+      verificationMethod: `${issuerDid}#${issuerDid.slice('did:key:'.length)}`,
+      proofPurpose: 'assertionMethod',
+      // Poseidon inputs in signing order; userPubkey is the subject's address as an integer
+      messageLayout: [...schema.messageLayout, ...(validity ? VALIDITY_MESSAGE_INPUTS : [])],
+      nonce: credential.nonce,
+      proofValue: toMultibase(signature)
+    }
+  };
+}
+
+/**
+ * Parse a W3C VC 2.0 back into the credential JSON generateProof expects,
+ * checking its structure and the issuer signature. The validity window is not
+ * checked here, so expired VCs can still be loaded (proof generation rejects them).
+ * @param {Object} vc - Verifiable credential
+ * @returns {Promise<Object>} Issued credential JSON
+ */
+export async function fromVerifiableCredential(vc) {
+  if (!Array.isArray(vc?.['@context']) || vc['@context'][0] !== VC_CONTEXT_V2) {
+    throw new Error(`VC must use the ${VC_CONTEXT_V2} context`);
+  }
+  if (!Array.isArray(vc.type) || !vc.type.includes('VerifiableCredential')) {
+    throw new Error('VC type must include VerifiableCredential');
+  }
+  const schema = listSchemas().find((candidate) => vc.type.includes(vcTypeOf(candidate)));
+  if (!schema) {
+    throw new Error(`Unsupported VC type: ${vc.type.join(', ')}`);
+  }
+
+  const { proof, credentialSubject } = vc;
+  if (proof?.type !== 'DataIntegrityProof' || proof.cryptosuite !== VC_CRYPTOSUITE) {
+    throw new Error(`VC proof must be a DataIntegrityProof with the ${VC_CRYPTOSUITE} cryptosuite`);
+  }
+  const issuerDid = typeof vc.issuer === 'string' ? vc.issuer : vc.issuer?.id;
+  const issuerPublicKey = didKeyToPublicKey(issuerDid);
+  if (proof.verificationMethod && !proof.verificationMethod.startsWith(`${issuerDid}#`)) {
+    throw new Error('VC proof verificationMethod does not belong to the issuer');
+  }
+  if (proof.nonce === undefined || !/^\d+$/.test(String(proof.nonce))) {
+    throw new Error('VC proof must carry the credential nonce');
+  }
+  if ((vc.validFrom === undefined) !== (vc.validUntil === undefined)) {
+    throw new Error('VC must have both validFrom and validUntil, or neither');
+  }
+
+  const signature = fromMultibase(proof.proofValue, 64, 'VC proofValue');
+  const issuerPubkey = reducePublicKey(issuerPublicKey);
+
+  const credential = { credentialType: schema.id };
+  for (const field of schema.fields) {
+    const value = credentialSubject?.[field.name];
+    if (value === undefined) {
+      throw new Error(`VC credentialSubject is missing ${field.name}`);
+    }
+    credential[field.name] = ENCODINGS[field.encoding].serialize(value);
+    if (field.encoding !== 'uint') {
+      credential[`${field.name}Encoded`] = ENCODINGS[field.encoding].encode(value, field).toString();
+    }
+  }
+
+  Object.assign(credential, {
+    userPubkey: BigInt(didEthrToAddress(credentialSubject.id)).toString(),
+    nonce: String(proof.nonce),
+    ...(vc.validFrom !== undefined
+      ? { issuedAt: fromIsoDate(vc.validFrom, 'validFrom'), validUntil: fromIsoDate(vc.validUntil, 'validUntil') }
+      : {}),
+    signature: {
+      r: BigInt(hexlify(signature.slice(0, 32))).toString(),
+      s: BigInt(hexlify(signature.slice(32))).toString()
+    },
+    issuerPubkey: { x: issuerPubkey.x.toString(), y: issuerPubkey.y.toString() },
+    issuerPublicKey,
+    timestamp: proof.created ? Date.parse(proof.created) : Date.now(),
+    issuer: vc.issuer?.name || schema.title
+  });
+
+  const result = await verifyCredential(credential);
+  const failures = result.checks.filter((check) => check.name !== VERIFICATION_CHECKS.VALIDITY);
+  if (!failures.every((check) => check.passed || check.skipped)) {
+    throw new Error(`VC does not verify: ${describeFailedChecks({ checks: failures })}`);
+  }
+  return credential;
+}
+
+/**
+ * Whether a JSON document looks like a W3C VC (rather than a credential JSON)
+ * @param {Object} json
+ * @returns {boolean}
+ */
+export function isVerifiableCredential(json) {
+  return Array.isArray(json?.['@context']) && Array.isArray(json?.type) && json.type.includes('VerifiableCredential');
+}
@@ -0,0 +1,310 @@
+/**
+ * Off-chain Credential Verification
+ *
+ * Checks an issued credential before it is fed into the circuit, so a
+ * tampered or untrusted credential is reported precisely instead of
+ * surfacing as an opaque witness failure.
+ */
+
+import { Signature, verify } from '@noble/secp256k1';
+import { bigintToBytes32 } from './field.js';
+import { reducePublicKey, toUncompressedPublicKey } from './keys.js';
+import { poseidonHash } from './poseidon.js';
+import { SIGNATURE_SCHEMES, getCredentialSignatureScheme, verifyEddsaPoseidon } from './eddsa.js';
+import { ENCODINGS, getSchema, encodeClaims, buildMessageInputs, extractClaims } from './schemas.js';
+import { getCredentialValidity, assertCredentialValidAt } from './validity.js';
+
+export const VERIFICATION_CHECKS = {
+  SCHEMA: 'schema',
+  SIGNATURE: 'signature',
+  VALIDITY: 'validity',
+  TRUSTED_ISSUER: 'trustedIssuer'
+};
+
+const CHECK_LABELS = {
+  [VERIFICATION_CHECKS.SCHEMA]: 'Schema fields',
+  [VERIFICATION_CHECKS.SIGNATURE]: 'Issuer signature',
+  [VERIFICATION_CHECKS.VALIDITY]: 'Validity period',
+  [VERIFICATION_CHECKS.TRUSTED_ISSUER]: 'Trusted issuer'
+};
+
+function passed(name, reason) {
+  return { name, label: CHECK_LABELS[name], passed: true, skipped: false, reason };
+}
+
+function failed(name, reason) {
+  return { name, label: CHECK_LABELS[name], passed: false, skipped: false, reason };
+}
+
+function skipped(name, reason) {
+  return { name, label: CHECK_LABELS[name], passed: false, skipped: true, reason };
+}
+
+function parseUint(value, label) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`Missing ${label}`);
+  }
+  let parsed;
+  try {
+    parsed = BigInt(value);
+  } catch {
+    throw new Error(`${label} must be an unsigned integer`);
+  }
+  if (parsed < BigInt(0)) {
+    throw new Error(`${label} must be an unsigned integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate the credential's shape against its schema
+ * @returns {{check: Object, messageInputs?: bigint[]}}
+ */
+function checkSchema(credential) {
+  if (!credential || typeof credential !== 'object') {
+    return { check: failed(VERIFICATION_CHECKS.SCHEMA, 'Credential must be a JSON object') };
+  }
+
+  let schema;
+  try {
+    schema = getSchema(credential.credentialType);
+  } catch (error) {
+    return { check: failed(VERIFICATION_CHECKS.SCHEMA, error.message) };
+  }
+
+  try {
+    const encodedClaims = encodeClaims(schema, extractClaims(schema, credential));
+    for (const field of schema.fields) {
+      const encodedKey = `${field.name}Encoded`;
+      if (field.encoding !== 'uint' && credential[encodedKey] !== undefined
+        && BigInt(credential[encodedKey]) !== encodedClaims[field.name]) {
+        throw new Error(`${encodedKey} does not match ${field.name} "${ENCODINGS[field.encoding].serialize(credential[field.name])}"`);
+      }
+    }
+
+    const userPubkey = parseUint(credential.userPubkey, 'userPubkey');
+    const nonce = parseUint(credential.nonce, 'nonce');
+    const eddsa = getCredentialSignatureScheme(credential) === SIGNATURE_SCHEMES.EDDSA_POSEIDON;
+    if (eddsa) {
+      if (!Array.isArray(credential.signature?.R8) || credential.signature.R8.length !== 2) {
+        throw new Error('Missing signature.R8 (EdDSA-Poseidon signatures carry the point R8 = [x, y])');
+      }
+      parseUint(credential.signature.R8[0], 'signature.R8[0]');
+      parseUint(credential.signature.R8[1], 'signature.R8[1]');
+      parseUint(credential.signature.S, 'signature.S');
+    } else {
+      parseUint(credential.signature?.r, 'signature.r');
+      parseUint(credential.signature?.s, 'signature.s');
+    }
+    const reducedX = parseUint(credential.issuerPubkey?.x, 'issuerPubkey.x');
+    const reducedY = parseUint(credential.issuerPubkey?.y, 'issuerPubkey.y');
+    const validity = getCredentialValidity(credential);
+    if (eddsa && credential.issuerPublicKey !== undefined) {
+      throw new Error('EdDSA-Poseidon credentials carry their BabyJubJub key in issuerPubkey, not a secp256k1 issuerPublicKey');
+    }
+    if (credential.issuerPublicKey !== undefined) {
+      const derived = reducePublicKey(credential.issuerPublicKey);
+      if (derived.x !== reducedX || derived.y !== reducedY) {
+        throw new Error('issuerPubkey is not the reduced form of issuerPublicKey');
+      }
+    }
+
+    return {
+      check: passed(VERIFICATION_CHECKS.SCHEMA, `Valid ${schema.title} credential`),
+      messageInputs: buildMessageInputs(schema, encodedClaims, userPubkey, nonce, validity)
+    };
+  } catch (error) {
+    return { check: failed(VERIFICATION_CHECKS.SCHEMA, error.message) };
+  }
+}
+
+/**
+ * Check the ECDSA signature against the issuer key embedded in the credential.
+ *
+ * Uses the full `issuerPublicKey` when present. Credentials issued before it was
+ * added only carry the key reduced mod r, so the full key is recovered from the
+ * signature and compared in reduced form.
+ */
+function checkSignature(credential, messageHash) {
+  let signature;
+  try {
+    signature = new Signature(BigInt(credential.signature.r), BigInt(credential.signature.s));
+  } catch (error) {
+    return failed(VERIFICATION_CHECKS.SIGNATURE, `Malformed signature: ${error.message}`);
+  }
+
+  const messageBytes = bigintToBytes32(messageHash);
+  const candidates = [];
+  if (credential.issuerPublicKey !== undefined) {
+    candidates.push(toUncompressedPublicKey(credential.issuerPublicKey));
+  } else {
+    const expectedX = BigInt(credential.issuerPubkey.x);
+    const expectedY = BigInt(credential.issuerPubkey.y);
+    for (const recoveryBit of [0, 1]) {
+      let publicKey;
+      try {
+        publicKey = signature.addRecoveryBit(recoveryBit).recoverPublicKey(messageBytes).toRawBytes(false);
+      } catch {
+        continue;
+      }
+      const reduced = reducePublicKey(publicKey);
+      if (reduced.x === expectedX && reduced.y === expectedY) {
+        candidates.push(publicKey);
+      }
+    }
+  }
+
+  if (candidates.some((publicKey) => verify(signature, messageBytes, publicKey))) {
+    return passed(VERIFICATION_CHECKS.SIGNATURE, 'Signature matches the issuer public key');
+  }
+  return failed(
+    VERIFICATION_CHECKS.SIGNATURE,
+    'Signature does not match the credential contents and issuer public key (credential was modified or signed by another key)'
+  );
+}
+
+/**
+ * Check an EdDSA-Poseidon signature against the BabyJubJub issuer key, exactly
+ * as the circuit's EdDSAPoseidonVerifier does
+ */
+async function checkEddsaSignature(credential, messageHash) {
+  if (await verifyEddsaPoseidon(messageHash, credential.signature, credential.issuerPubkey)) {
+    return passed(VERIFICATION_CHECKS.SIGNATURE, 'EdDSA-Poseidon signature matches the issuer public key');
+  }
+  return failed(
+    VERIFICATION_CHECKS.SIGNATURE,
+    'Signature does not match the credential contents and issuer public key (credential was modified or signed by another key)'
+  );
+}
+
+function checkValidity(credential, currentDate) {
+  const validity = getCredentialValidity(credential);
+  if (!validity) {
+    return skipped(VERIFICATION_CHECKS.VALIDITY, 'Skipped: credential has no validity window and never expires');
+  }
+  try {
+    assertCredentialValidAt(credential, currentDate);
+  } catch (error) {
+    return failed(VERIFICATION_CHECKS.VALIDITY, error.message);
+  }
+  return passed(
+    VERIFICATION_CHECKS.VALIDITY,
+    `Valid until ${new Date(Number(validity.validUntil) * 1000).toISOString()}`
+  );
+}
+
+function trustedIssuerPubkey(entry) {
+  if (entry.publicKey) {
+    return reducePublicKey(entry.publicKey);
+  }
+  return { x: BigInt(entry.pubkey.x), y: BigInt(entry.pubkey.y) };
+}
+
+/**
+ * Entry of a trusted issuer list with the given (reduced) public key
+ * @param {Array} trustedIssuers - See verifyCredential
+ * @param {{x: string|bigint, y: string|bigint}} pubkey - Reduced issuer key
+ * @returns {Object|undefined}
+ */
+export function findTrustedIssuer(trustedIssuers, pubkey) {
+  const x = BigInt(pubkey.x);
+  const y = BigInt(pubkey.y);
+  return trustedIssuers.find((entry) => {
+    const candidate = trustedIssuerPubkey(entry);
+    return candidate.x === x && candidate.y === y;
+  });
+}
+
+function checkTrustedIssuer(credential, trustedIssuers) {
+  const issuer = findTrustedIssuer(trustedIssuers, credential.issuerPubkey);
+
+  if (!issuer) {
+    return {
+      check: failed(VERIFICATION_CHECKS.TRUSTED_ISSUER, 'Issuer public key is not in the trusted issuer list'),
+      issuer: null
+    };
+  }
+
+  const name = issuer.name || 'Issuer';
+  if (issuer.schemas && !issuer.schemas.includes(credential.credentialType)) {
+    return {
+      check: failed(
+        VERIFICATION_CHECKS.TRUSTED_ISSUER,
+        `${name} is not trusted to issue ${credential.credentialType} credentials`
+      ),
+      issuer
+    };
+  }
+  return { check: passed(VERIFICATION_CHECKS.TRUSTED_ISSUER, `Issued by ${name}`), issuer };
+}
+
+/**
+ * Verify an issued credential off-chain
+ *
+ * Runs the schema, signature, validity-period and trusted-issuer checks in
+ * order; checks that depend on a failed one are reported as skipped.
+ *
+ * @param {Object} credential - Issued credential JSON
+ * @param {Object} [options]
+ * @param {Array<{name?: string, publicKey?: string, pubkey?: {x: string|bigint, y: string|bigint}, schemas?: string[]}>} [options.trustedIssuers]
+ *   Issuer keys, either the full secp256k1 `publicKey` or the `pubkey` registered on-chain (the reduced
+ *   secp256k1 key, or the BabyJubJub point of an EdDSA-Poseidon issuer).
+ *   When omitted the trusted-issuer check is skipped.
+ * @param {string} [options.expectedType] - Required credentialType
+ * @param {Date|number|bigint} [options.currentDate] - Date the validity window is checked against (default: now)
+ * @returns {Promise<{valid: boolean, credentialType: string, messageHash: string|null, issuer: Object|null, checks: Object[]}>}
+ */
+export async function verifyCredential(credential, { trustedIssuers, expectedType, currentDate = new Date() } = {}) {
+  const checks = [];
+  let messageHash = null;
+  let issuer = null;
+
+  const schemaResult = checkSchema(credential);
+  if (schemaResult.check.passed && expectedType && credential.credentialType !== expectedType) {
+    schemaResult.check = failed(
+      VERIFICATION_CHECKS.SCHEMA,
+      `Expected a ${expectedType} credential, got ${credential.credentialType}`
+    );
+  }
+  checks.push(schemaResult.check);
+
+  if (!schemaResult.check.passed) {
+    checks.push(skipped(VERIFICATION_CHECKS.SIGNATURE, 'Skipped: schema check failed'));
+    checks.push(skipped(VERIFICATION_CHECKS.VALIDITY, 'Skipped: schema check failed'));
+    checks.push(skipped(VERIFICATION_CHECKS.TRUSTED_ISSUER, 'Skipped: schema check failed'));
+  } else {
+    messageHash = await poseidonHash(schemaResult.messageInputs);
+    checks.push(getCredentialSignatureScheme(credential) === SIGNATURE_SCHEMES.EDDSA_POSEIDON
+      ? await checkEddsaSignature(credential, messageHash)
+      : checkSignature(credential, messageHash));
+    checks.push(checkValidity(credential, currentDate));
+
+    if (trustedIssuers) {
+      const trustResult = checkTrustedIssuer(credential, trustedIssuers);
+      checks.push(trustResult.check);
+      issuer = trustResult.issuer;
+    } else {
+      checks.push(skipped(VERIFICATION_CHECKS.TRUSTED_ISSUER, 'Skipped: no trusted issuers configured'));
+    }
+  }
+
+  return {
+    valid: checks.every((check) => check.passed || check.skipped),
+    credentialType: credential?.credentialType,
+    messageHash: messageHash === null ? null : messageHash.toString(),
+    issuer,
+    checks
+  };
+}
+
+/**
+ * One-line summary of the failed checks of a verifyCredential result
+ * @param {Object} result - verifyCredential result
+ * @returns {string}
+ */
+export function describeFailedChecks(result) {
+  return result.checks
+    .filter((check) => !check.passed && !check.skipped)
+    .map((check) => `${check.label}: ${check.reason}`)
+    .join('; ');
+}
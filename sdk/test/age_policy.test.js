@@ -0,0 +1,122 @@
+/**
+ * Credential SDK Tests - age range policies and the age_policy circuit input
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AGE_POLICY_BASE,
+  SIGNATURE_SCHEMES,
+  getGanacheDeterministicPrivateKey,
+  encodeCitizenship,
+  normalizePolicy,
+  encodeAgePolicy,
+  decodeAgePolicy,
+  describeAgePolicy,
+  computePolicyId,
+  createPresentation,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  buildCircuitInputs,
+  getCircuitName
+} from '../src/index.js';
+
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const VKEY = { protocol: 'groth16', curve: 'bn128', nPublic: 10, IC: [['1', '2', '1']] };
+const PROOF = { pi_a: ['1', '2', '1'], pi_b: [['3', '4'], ['5', '6'], ['1', '0']], pi_c: ['7', '8', '1'] };
+
+async function issuePair(options = {}) {
+  const dobCredential = await issueDOBCredential('2005-03-01', USER_PUBKEY, BigInt(1), getGanacheDeterministicPrivateKey(1), options);
+  const citizenshipCredential = await issueCitizenshipCredential('US', USER_PUBKEY, BigInt(2), getGanacheDeterministicPrivateKey(2), options);
+  return { dobCredential, citizenshipCredential };
+}
+
+test('age policies pack the maximum age above the minimum age', () => {
+  assert.equal(AGE_POLICY_BASE, 1000);
+  assert.equal(encodeAgePolicy({ minAge: 18 }), BigInt(18));
+  assert.equal(encodeAgePolicy({ minAge: 18, maxAge: 0 }), BigInt(18));
+  assert.equal(encodeAgePolicy({ minAge: 18, maxAge: 21 }), BigInt(21018));
+  assert.equal(encodeAgePolicy({ minAge: 0, maxAge: 26 }), BigInt(26000));
+
+  assert.deepEqual(decodeAgePolicy('21018'), { minAge: '18', maxAge: '21' });
+  assert.deepEqual(decodeAgePolicy(BigInt(65)), { minAge: '65' });
+  assert.throws(() => decodeAgePolicy('21030'), /maxAge 21 must be greater than minAge 30/);
+
+  assert.equal(describeAgePolicy({ minAge: 65 }), 'age >= 65');
+  assert.equal(describeAgePolicy({ minAge: 18, maxAge: 21 }), '18 <= age < 21');
+  assert.equal(describeAgePolicy({ minAge: 0, maxAge: 26 }), 'age < 26');
+
+  assert.throws(() => encodeAgePolicy({ minAge: 21, maxAge: 18 }), /must be greater than minAge/);
+  assert.throws(() => encodeAgePolicy({ minAge: 18, maxAge: 1000 }), /below 1000/);
+  assert.throws(() => encodeAgePolicy({ minAge: 18, maxAge: -1 }), /maxAge must be a non-negative integer/);
+});
+
+test('a maxAge joins the policy id only when set', () => {
+  assert.deepEqual(normalizePolicy({ minAge: 18, maxAge: 21, requiredCitizenship: 'us' }), {
+    minAge: '18', maxAge: '21', requiredCitizenship: 'US'
+  });
+  assert.deepEqual(normalizePolicy({ minAge: 65, maxAge: 0, requiredCitizenship: 'US' }), { minAge: '65', requiredCitizenship: 'US' });
+  assert.equal(
+    computePolicyId({ minAge: 18, maxAge: null, requiredCitizenship: 'US' }),
+    computePolicyId({ minAge: 18, requiredCitizenship: 'US' })
+  );
+  assert.notEqual(
+    computePolicyId({ minAge: 18, maxAge: 21, requiredCitizenship: 'US' }),
+    computePolicyId({ minAge: 18, requiredCitizenship: 'US' })
+  );
+});
+
+test('presentations carry the packed age_policy signal', () => {
+  const publicSignals = ['1767225600', '21018', encodeCitizenship('US').toString(), '3', '4', '5', '6', '7', '7', '0', '1'];
+  const policy = { minAge: 18, maxAge: 21, requiredCitizenship: 'US' };
+  const presentation = createPresentation({ circuit: 'age_citizenship', proof: PROOF, publicSignals, vkey: VKEY, policy });
+  assert.equal(presentation.policyId, computePolicyId(policy));
+
+  assert.throws(
+    () => createPresentation({ circuit: 'age_citizenship', proof: PROOF, publicSignals, vkey: VKEY }),
+    /does not match the policy minAge 18/
+  );
+  assert.throws(
+    () => createPresentation({ circuit: 'age_citizenship', proof: PROOF, publicSignals, vkey: VKEY, policy: { ...policy, maxAge: 25 } }),
+    /maxAge 25 \(age_policy 25018\)/
+  );
+});
+
+test('every circuit takes the packed age_policy', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  const currentDate = new Date('2025-06-01T00:00:00Z');
+
+  const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18, maxAge: 21 });
+  assert.equal(input.age_policy, '21018');
+  assert.equal(input.min_age, undefined);
+  assert.equal(getCircuitName(dobCredential, citizenshipCredential), 'age_citizenship');
+
+  // Without an upper bound age_policy is the minimum age
+  assert.equal(buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 65 }).age_policy, '65');
+  assert.equal(buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 65, maxAge: 0 }).age_policy, '65');
+
+  const expiring = await issuePair({ validForSeconds: 365 * 24 * 60 * 60 });
+  const expiringInput = buildCircuitInputs(expiring.dobCredential, expiring.citizenshipCredential, {
+    currentDate: new Date(), minAge: 0, maxAge: 26
+  });
+  assert.equal(expiringInput.age_policy, '26000');
+  assert.ok(expiringInput.valid_until_a);
+});
+
+test('age ranges combine with every signature scheme and the calendar circuits', async () => {
+  const currentDate = new Date('2025-06-01T00:00:00Z');
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  for (const options of [{ calendar: true }, { secp256k1: true }, { secp256k1: true, calendar: true }]) {
+    const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18, maxAge: 21, ...options });
+    assert.equal(input.age_policy, '21018');
+  }
+
+  const eddsa = await issuePair({ signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON });
+  const eddsaInput = buildCircuitInputs(eddsa.dobCredential, eddsa.citizenshipCredential, {
+    currentDate, minAge: 18, maxAge: 21, calendar: true
+  });
+  assert.equal(eddsaInput.age_policy, '21018');
+  assert.equal(getCircuitName(eddsa.dobCredential, eddsa.citizenshipCredential, { calendar: true }), 'age_citizenship_eddsa_calendar');
+});
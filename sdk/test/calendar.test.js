@@ -0,0 +1,143 @@
+/**
+ * Credential SDK Tests - calendar dates, day numbers and the _calendar circuit inputs
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CALENDAR_YEAR,
+  SIGNATURE_SCHEMES,
+  getGanacheDeterministicPrivateKey,
+  parseCalendarDate,
+  encodeCalendarDate,
+  decodeCalendarDate,
+  toDayNumber,
+  fromDayNumber,
+  toCalendarDate,
+  computeBirthdayThreshold,
+  computeCalendarAge,
+  computeAgeInYears,
+  computeCredentialAge,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  verifyCredentialSignature,
+  buildCircuitInputs,
+  getCircuitName
+} from '../src/index.js';
+
+const ISSUER_A_KEY = getGanacheDeterministicPrivateKey(1);
+const ISSUER_B_KEY = getGanacheDeterministicPrivateKey(2);
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+
+async function issuePair(birthDate, options = {}) {
+  const dobCredential = await issueDOBCredential(birthDate, USER_PUBKEY, BigInt(1), ISSUER_A_KEY, options);
+  const citizenshipCredential = await issueCitizenshipCredential('US', USER_PUBKEY, BigInt(2), ISSUER_B_KEY, options);
+  return { dobCredential, citizenshipCredential };
+}
+
+test('calendar dates encode as YYYYMMDD and reject impossible dates', () => {
+  assert.equal(encodeCalendarDate('2000-01-01'), BigInt(20000101));
+  assert.equal(encodeCalendarDate({ year: 1950, month: 12, day: 31 }), BigInt(19501231));
+  assert.deepEqual(decodeCalendarDate(20040229), { year: 2004, month: 2, day: 29 });
+  assert.deepEqual(parseCalendarDate('2000-02-29'), { year: 2000, month: 2, day: 29 });
+
+  assert.throws(() => encodeCalendarDate('1900-02-29'), /not a valid calendar date/);
+  assert.throws(() => encodeCalendarDate('2001-04-31'), /not a valid calendar date/);
+  assert.throws(() => encodeCalendarDate('2001-4-1'), /YYYY-MM-DD/);
+  assert.throws(() => encodeCalendarDate(new Date('2000-01-01')), /YYYY-MM-DD/);
+  assert.throws(() => decodeCalendarDate(20001301), /not a valid calendar date/);
+});
+
+test('day numbers count days from 1900-01-01 within the supported range', () => {
+  assert.equal(toDayNumber('1900-01-01'), 0);
+  assert.equal(toDayNumber('1970-01-01'), 25567);
+  assert.equal(toDayNumber({ year: 1950, month: 3, day: 1 }), 18321);
+  assert.deepEqual(fromDayNumber(BigInt(36524)), { year: 2000, month: 1, day: 1 });
+  assert.deepEqual(fromDayNumber(toDayNumber('2099-12-31')), { year: 2099, month: 12, day: 31 });
+
+  assert.throws(() => toDayNumber('1899-12-31'), /between 1900-01-01 and 2099-12-31/);
+  assert.throws(() => toDayNumber('2100-01-01'), /between 1900-01-01 and 2099-12-31/);
+  assert.throws(() => toDayNumber(946684800), /YYYY-MM-DD/);
+  assert.throws(() => fromDayNumber(-1), /between 1900-01-01 and 2099-12-31/);
+});
+
+test('calendar age turns over on the birthday, not after 365.25-day years', () => {
+  // 2001-06-15 to 2019-06-15 are 6574 days (4 leap days), less than 18 * 365.25
+  const birthday = new Date('2019-06-15T00:00:00Z');
+  assert.ok(computeAgeInYears('2001-06-15', birthday) < 18);
+  assert.equal(computeCalendarAge('2001-06-15', birthday), 18);
+  assert.equal(computeCalendarAge('2001-06-15', new Date('2019-06-14T23:59:59Z')), 17);
+  assert.equal(computeCalendarAge('2001-06-16', birthday), 17);
+  assert.equal(computeCalendarAge('1950-03-01', birthday), 69);
+  assert.throws(() => computeCalendarAge('2019-06-16', birthday), /after the current date/);
+
+  assert.deepEqual(toCalendarDate(BigInt(birthday.getTime() / 1000) - BigInt(1)), { year: 2019, month: 6, day: 14 });
+  assert.deepEqual(computeBirthdayThreshold(birthday, 18), { year: 2001, month: 6, day: 15 });
+  assert.equal(encodeCalendarDate(computeBirthdayThreshold(birthday, 18)), BigInt(20190615) - BigInt(18 * CALENDAR_YEAR));
+});
+
+test('February 29 birthdays count from March 1 in common years', () => {
+  assert.equal(computeCalendarAge('2004-02-29', new Date('2022-02-28T12:00:00Z')), 17);
+  assert.equal(computeCalendarAge('2004-02-29', new Date('2022-03-01T00:00:00Z')), 18);
+  assert.equal(computeCalendarAge('2004-02-29', new Date('2024-02-29T00:00:00Z')), 20);
+
+  // The threshold on a leap day falls on February 28 of a common year
+  assert.deepEqual(computeBirthdayThreshold(new Date('2024-02-29T00:00:00Z'), 18), { year: 2006, month: 2, day: 28 });
+  assert.equal(computeCalendarAge('2006-02-28', new Date('2024-02-29T00:00:00Z')), 18);
+  assert.equal(computeCalendarAge('2006-03-01', new Date('2024-02-29T00:00:00Z')), 17);
+});
+
+test('the _calendar circuits take date_of_birth day numbers and count calendar years', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair('2007-06-15');
+  assert.equal(dobCredential.credentialType, 'date_of_birth');
+  assert.equal(dobCredential.dateOfBirthEncoded, String(toDayNumber('2007-06-15')));
+  assert.equal(await verifyCredentialSignature(dobCredential), true);
+
+  assert.equal(getCircuitName(dobCredential, citizenshipCredential), 'age_citizenship');
+  assert.equal(getCircuitName(dobCredential, citizenshipCredential, { calendar: true }), 'age_citizenship_calendar');
+  const currentDate = new Date('2025-06-15T08:00:00Z');
+  const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18, calendar: true });
+  assert.equal(input.date_of_birth, String(toDayNumber('2007-06-15')));
+  assert.equal(input.current_date, String(currentDate.getTime() / 1000));
+  assert.equal(computeCredentialAge(dobCredential, currentDate, { calendar: true }), 18);
+
+  const expiring = await issuePair('2007-06-15', { validForSeconds: 365 * 24 * 60 * 60 });
+  assert.equal(
+    getCircuitName(expiring.dobCredential, expiring.citizenshipCredential, { calendar: true }),
+    'age_citizenship_expiry_calendar'
+  );
+
+});
+
+test('every signature scheme has calendar circuits', async () => {
+  const eddsa = await issuePair('2007-06-15', { signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON });
+  assert.equal(getCircuitName(eddsa.dobCredential, eddsa.citizenshipCredential, { calendar: true }), 'age_citizenship_eddsa_calendar');
+  const eddsaInput = buildCircuitInputs(eddsa.dobCredential, eddsa.citizenshipCredential, {
+    currentDate: new Date('2025-06-15T08:00:00Z'), minAge: 18, calendar: true
+  });
+  assert.ok(eddsaInput.signature_a_r8x);
+
+  const expiringEddsa = await issuePair('2007-06-15', {
+    signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON, validForSeconds: 365 * 24 * 60 * 60
+  });
+  assert.equal(
+    getCircuitName(expiringEddsa.dobCredential, expiringEddsa.citizenshipCredential, { calendar: true }),
+    'age_citizenship_expiry_eddsa_calendar'
+  );
+
+  const { dobCredential, citizenshipCredential } = await issuePair('2007-06-15');
+  assert.equal(
+    getCircuitName(dobCredential, citizenshipCredential, { calendar: true, secp256k1: true }),
+    'age_citizenship_secp256k1_calendar'
+  );
+  const secp256k1Input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+    currentDate: new Date('2025-06-15T08:00:00Z'), minAge: 18, calendar: true, secp256k1: true
+  });
+  assert.equal(secp256k1Input.signature_a_r.length, 4);
+  assert.throws(
+    () => getCircuitName(eddsa.dobCredential, eddsa.citizenshipCredential, { calendar: true, secp256k1: true }),
+    /secp256k1 circuits only take ECDSA credentials/
+  );
+});
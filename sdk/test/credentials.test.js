@@ -0,0 +1,164 @@
+/**
+ * Credential SDK Tests - issuance and signature verification
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getPublicKey } from '@noble/secp256k1';
+import {
+  BN254_SCALAR_FIELD,
+  reduceModR,
+  encodeCitizenship,
+  bigintToBytes32,
+  bytesToBigInt,
+  toPrivateKeyBytes,
+  toUncompressedPublicKey,
+  reducePublicKey,
+  getIssuerPublicKeyHex,
+  getIssuerPubkey,
+  getGanacheDeterministicPrivateKey,
+  issueCredential,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  computeCredentialMessageHash,
+  poseidonHash,
+  verifyCredentialSignature
+} from '../src/index.js';
+
+const ISSUER_A_KEY = getGanacheDeterministicPrivateKey(1);
+const ISSUER_B_KEY = getGanacheDeterministicPrivateKey(2);
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const DOB = '2000-01-01';
+const DOB_DAY_NUMBER = BigInt(36524); // days since 1900-01-01
+
+test('encodeCitizenship encodes ASCII big-endian', () => {
+  assert.equal(encodeCitizenship('US'), BigInt(0x5553));
+  assert.equal(encodeCitizenship('CA'), BigInt(0x4341));
+});
+
+test('bigintToBytes32 round-trips through bytesToBigInt', () => {
+  const value = BN254_SCALAR_FIELD - BigInt(1);
+  const bytes = bigintToBytes32(value);
+  assert.equal(bytes.length, 32);
+  assert.equal(bytesToBigInt(bytes), value);
+});
+
+test('getIssuerPubkey matches the Ganache issuer keys registered on-chain', () => {
+  // Values from the proof fixture in test/AgeVerification.t.sol
+  const issuerA = getIssuerPubkey(ISSUER_A_KEY);
+  assert.equal(issuerA.x, BigInt('0x03a6282221c139b2528838cfabc85e7445c0a9b2d42a9046239ae465e41b9d24'));
+  assert.equal(issuerA.y, BigInt('0x02606690bab866e37a28465678c8ecabef4fa7dad355f9da295e3e0f63b221d6'));
+  assert.ok(issuerA.x < BN254_SCALAR_FIELD && issuerA.y < BN254_SCALAR_FIELD);
+});
+
+test('issueDOBCredential signs Poseidon(dob, userPubkey, nonce)', async () => {
+  const credential = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(7), ISSUER_A_KEY);
+
+  assert.equal(credential.credentialType, 'date_of_birth');
+  assert.equal(credential.dateOfBirth, DOB);
+  assert.equal(credential.dateOfBirthEncoded, DOB_DAY_NUMBER.toString());
+  assert.equal(credential.userPubkey, USER_PUBKEY.toString());
+  assert.equal(credential.issuer, 'Issuer A (DMV)');
+  assert.deepEqual(credential.issuerPubkey, {
+    x: getIssuerPubkey(ISSUER_A_KEY).x.toString(),
+    y: getIssuerPubkey(ISSUER_A_KEY).y.toString()
+  });
+  assert.equal(
+    await computeCredentialMessageHash(credential),
+    await poseidonHash([DOB_DAY_NUMBER, USER_PUBKEY, BigInt(7)])
+  );
+  assert.equal(await verifyCredentialSignature(credential, { privateKey: ISSUER_A_KEY }), true);
+});
+
+test('a validity window is committed as Poseidon(dob, userPubkey, nonce, issuedAt, validUntil)', async () => {
+  const credential = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(7), ISSUER_A_KEY, {
+    issuedAt: 1735689600,
+    validForSeconds: 3600
+  });
+
+  assert.equal(credential.issuedAt, '1735689600');
+  assert.equal(credential.validUntil, '1735693200');
+  assert.equal(
+    await computeCredentialMessageHash(credential),
+    await poseidonHash([DOB_DAY_NUMBER, USER_PUBKEY, BigInt(7), BigInt(1735689600), BigInt(1735693200)])
+  );
+  assert.equal(await verifyCredentialSignature(credential, { privateKey: ISSUER_A_KEY }), true);
+  assert.equal(
+    await verifyCredentialSignature({ ...credential, validUntil: '1767225600' }, { privateKey: ISSUER_A_KEY }),
+    false
+  );
+  await assert.rejects(
+    () => issueDOBCredential(DOB, USER_PUBKEY, BigInt(7), ISSUER_A_KEY, { issuedAt: 1735689600, validUntil: 1 }),
+    /validUntil must not be before issuedAt/
+  );
+});
+
+test('issueDOBCredential takes birth dates back to 1900 and rejects timestamps and out-of-range dates', async () => {
+  const credential = await issueDOBCredential('1950-03-01', USER_PUBKEY, BigInt(7), ISSUER_A_KEY);
+  assert.equal(credential.dateOfBirthEncoded, '18321');
+  assert.equal(await verifyCredentialSignature(credential, { privateKey: ISSUER_A_KEY }), true);
+
+  await assert.rejects(
+    () => issueDOBCredential(-631152000, USER_PUBKEY, BigInt(7), ISSUER_A_KEY),
+    /Date of birth must be a YYYY-MM-DD date/
+  );
+  await assert.rejects(
+    () => issueDOBCredential('1899-12-31', USER_PUBKEY, BigInt(7), ISSUER_A_KEY),
+    /Date of birth must be between 1900-01-01 and 2099-12-31/
+  );
+  await assert.rejects(
+    () => issueDOBCredential('2025-01-02', USER_PUBKEY, BigInt(7), ISSUER_A_KEY, { issuedAt: 1735689600, validForSeconds: 3600 }),
+    /Date of birth 2025-01-02 is after 2025-01-01/
+  );
+  // The generic issuance path (issuer server, npm run issuer:issue) checks the same
+  await assert.rejects(
+    () => issueCredential('date_of_birth', { dateOfBirth: '2099-01-01' }, USER_PUBKEY, ISSUER_A_KEY),
+    /Date of birth 2099-01-01 is after/
+  );
+});
+
+test('issueCitizenshipCredential signs the encoded citizenship', async () => {
+  const credential = await issueCitizenshipCredential('US', USER_PUBKEY, BigInt(9), ISSUER_B_KEY);
+
+  assert.equal(credential.credentialType, 'citizenship');
+  assert.equal(credential.citizenship, 'US');
+  assert.equal(credential.citizenshipEncoded, encodeCitizenship('US').toString());
+  assert.equal(credential.issuer, 'Issuer B (Immigration)');
+
+  const issuerPublicKey = getPublicKey(toPrivateKeyBytes(ISSUER_B_KEY), false);
+  assert.equal(await verifyCredentialSignature(credential, { publicKey: issuerPublicKey }), true);
+});
+
+test('verifyCredentialSignature rejects tampered fields and the wrong issuer', async () => {
+  const credential = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(11), ISSUER_A_KEY);
+
+  const tampered = { ...credential, dateOfBirth: '1999-12-31' };
+  assert.equal(await verifyCredentialSignature(tampered, { privateKey: ISSUER_A_KEY }), false);
+  assert.equal(await verifyCredentialSignature(credential, { privateKey: ISSUER_B_KEY }), false);
+
+  const { issuerPublicKey, ...reducedOnly } = credential;
+  assert.ok(issuerPublicKey);
+  await assert.rejects(() => verifyCredentialSignature(reducedOnly), /issuer public or private key/);
+});
+
+test('credentials carry the full issuer public key alongside the reduced form', async () => {
+  const credential = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(13), ISSUER_A_KEY);
+  const uncompressed = getPublicKey(toPrivateKeyBytes(ISSUER_A_KEY), false);
+  const compressed = getPublicKey(toPrivateKeyBytes(ISSUER_A_KEY), true);
+
+  assert.equal(credential.issuerPublicKey, `0x${Buffer.from(uncompressed).toString('hex')}`);
+  assert.equal(credential.issuerPublicKey, getIssuerPublicKeyHex(ISSUER_A_KEY));
+  assert.deepEqual(reducePublicKey(credential.issuerPublicKey), getIssuerPubkey(ISSUER_A_KEY));
+  assert.deepEqual(reducePublicKey(compressed), getIssuerPubkey(ISSUER_A_KEY));
+  assert.deepEqual(toUncompressedPublicKey(getIssuerPublicKeyHex(ISSUER_A_KEY, true)), uncompressed);
+  assert.equal(await verifyCredentialSignature(credential), true);
+
+  assert.throws(() => reducePublicKey(uncompressed.slice(1)), /33 \(compressed\) or 65 \(uncompressed\) bytes/);
+  assert.throws(() => reducePublicKey('0x02' + 'ff'.repeat(32)));
+});
+
+test('reduceModR keeps values inside the scalar field', () => {
+  assert.equal(reduceModR(BN254_SCALAR_FIELD + BigInt(5)), BigInt(5));
+});
@@ -0,0 +1,125 @@
+/**
+ * Credential SDK Tests - EdDSA-Poseidon (BabyJubJub) issuer signatures
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BN254_SCALAR_FIELD,
+  SIGNATURE_SCHEMES,
+  getGanacheDeterministicPrivateKey,
+  getEddsaIssuerPubkey,
+  getSchemeIssuerPubkey,
+  getIssuerPubkey,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  computeCredentialMessageHash,
+  verifyCredentialSignature,
+  verifyEddsaPoseidon,
+  verifyCredential,
+  buildCircuitInputs,
+  getCircuitName,
+  computeCredentialNullifier,
+  computeRevocationNullifier,
+  toVerifiableCredential
+} from '../src/index.js';
+
+const ISSUER_A_KEY = getGanacheDeterministicPrivateKey(1);
+const ISSUER_B_KEY = getGanacheDeterministicPrivateKey(2);
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const DOB = '2000-01-01';
+const EDDSA = { signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON };
+
+async function issueEddsaPair(options = {}) {
+  const dobCredential = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(1), ISSUER_A_KEY, { ...EDDSA, ...options });
+  const citizenshipCredential = await issueCitizenshipCredential('US', USER_PUBKEY, BigInt(2), ISSUER_B_KEY, {
+    ...EDDSA,
+    ...options
+  });
+  return { dobCredential, citizenshipCredential };
+}
+
+test('EdDSA credentials carry R8 / S and the BabyJubJub issuer key', async () => {
+  const { dobCredential } = await issueEddsaPair();
+  const pubkey = await getEddsaIssuerPubkey(ISSUER_A_KEY);
+
+  assert.equal(dobCredential.signatureScheme, 'eddsa-poseidon');
+  assert.equal(dobCredential.signature.R8.length, 2);
+  assert.equal(typeof dobCredential.signature.S, 'string');
+  assert.equal(dobCredential.signature.r, undefined);
+  assert.equal(dobCredential.issuerPublicKey, undefined);
+  assert.deepEqual(dobCredential.issuerPubkey, { x: pubkey.x.toString(), y: pubkey.y.toString() });
+  assert.ok(pubkey.x < BN254_SCALAR_FIELD && pubkey.y < BN254_SCALAR_FIELD);
+
+  // Same private key, different public key per scheme
+  assert.deepEqual(await getSchemeIssuerPubkey(ISSUER_A_KEY, SIGNATURE_SCHEMES.EDDSA_POSEIDON), pubkey);
+  assert.deepEqual(await getSchemeIssuerPubkey(ISSUER_A_KEY), getIssuerPubkey(ISSUER_A_KEY));
+  assert.notEqual(pubkey.x, getIssuerPubkey(ISSUER_A_KEY).x);
+});
+
+test('EdDSA signatures verify over the credential message hash', async () => {
+  const { dobCredential } = await issueEddsaPair();
+  const messageHash = await computeCredentialMessageHash(dobCredential);
+
+  assert.equal(await verifyEddsaPoseidon(messageHash, dobCredential.signature, dobCredential.issuerPubkey), true);
+  assert.equal(await verifyCredentialSignature(dobCredential), true);
+  assert.equal(await verifyCredentialSignature(dobCredential, { privateKey: ISSUER_A_KEY }), true);
+  assert.equal(await verifyCredentialSignature(dobCredential, { privateKey: ISSUER_B_KEY }), false);
+  assert.equal(await verifyCredentialSignature({ ...dobCredential, dateOfBirth: '1999-12-31' }), false);
+
+  const forgedS = { ...dobCredential.signature, S: (BigInt(dobCredential.signature.S) + BigInt(1)).toString() };
+  assert.equal(await verifyEddsaPoseidon(messageHash, forgedS, dobCredential.issuerPubkey), false);
+});
+
+test('verifyCredential checks EdDSA credentials against their BabyJubJub key', async () => {
+  const { dobCredential } = await issueEddsaPair();
+  const trustedIssuers = [
+    { name: 'Issuer A (DMV)', pubkey: await getEddsaIssuerPubkey(ISSUER_A_KEY), schemas: ['date_of_birth'] }
+  ];
+
+  const result = await verifyCredential(dobCredential, { trustedIssuers });
+  assert.equal(result.valid, true);
+  assert.equal(result.issuer.name, 'Issuer A (DMV)');
+
+  const swapped = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(1), ISSUER_A_KEY, EDDSA);
+  swapped.issuerPubkey = { ...dobCredential.issuerPubkey, x: (await getEddsaIssuerPubkey(ISSUER_B_KEY)).x.toString() };
+  assert.equal((await verifyCredential(swapped)).checks[1].passed, false);
+
+  const malformed = await verifyCredential({ ...dobCredential, signature: { r: '1', s: '2' } });
+  assert.equal(malformed.checks[0].passed, false);
+  assert.match(malformed.checks[0].reason, /R8/);
+
+  const unknown = await verifyCredential({ ...dobCredential, signatureScheme: 'schnorr' });
+  assert.match(unknown.checks[0].reason, /Unknown signature scheme/);
+});
+
+test('EdDSA credentials map onto the eddsa circuit inputs', async () => {
+  const { dobCredential, citizenshipCredential } = await issueEddsaPair();
+  assert.equal(getCircuitName(dobCredential, citizenshipCredential), 'age_citizenship_eddsa');
+
+  const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+    currentDate: new Date('2025-01-01T00:00:00Z'),
+    minAge: 18
+  });
+  assert.equal(input.signature_a_r8x, dobCredential.signature.R8[0]);
+  assert.equal(input.signature_a_r8y, dobCredential.signature.R8[1]);
+  assert.equal(input.signature_b_s, citizenshipCredential.signature.S);
+  assert.equal(input.signature_a_r, undefined);
+  assert.equal(input.issuer_a_pubkey_x, dobCredential.issuerPubkey.x);
+
+  const expiring = await issueEddsaPair({ validForSeconds: 365 * 24 * 60 * 60 });
+  assert.equal(getCircuitName(expiring.dobCredential, expiring.citizenshipCredential), 'age_citizenship_expiry_eddsa');
+
+  const ecdsaCitizenship = await issueCitizenshipCredential('US', USER_PUBKEY, BigInt(2), ISSUER_B_KEY);
+  assert.throws(() => getCircuitName(dobCredential, ecdsaCitizenship), /same signature scheme/);
+});
+
+test('EdDSA credentials revoke by their BabyJubJub key and are not exported as VCs', async () => {
+  const { dobCredential } = await issueEddsaPair();
+  const pubkey = await getEddsaIssuerPubkey(ISSUER_A_KEY);
+  assert.equal(await computeCredentialNullifier(dobCredential), await computeRevocationNullifier(pubkey, BigInt(1)));
+
+  assert.throws(() => toVerifiableCredential(dobCredential), /Only ECDSA credentials/);
+});
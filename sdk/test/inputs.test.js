@@ -0,0 +1,158 @@
+/**
+ * Credential SDK Tests - circuit input building and proof formatting
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGanacheDeterministicPrivateKey,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  buildCircuitInputs,
+  getCircuitName,
+  computeAgeInYears,
+  formatProofForSolidity,
+  generateProof
+} from '../src/index.js';
+
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const OTHER_WALLET = '0x22d491bde2303f2f43325b2108d26f1eaba1e32b';
+const DOB = '2000-01-01';
+
+async function issuePair(citizenshipUser = USER_PUBKEY, validity = {}) {
+  const dobCredential = await issueDOBCredential(
+    DOB,
+    USER_PUBKEY,
+    BigInt(1),
+    getGanacheDeterministicPrivateKey(1),
+    validity
+  );
+  const citizenshipCredential = await issueCitizenshipCredential(
+    'US',
+    citizenshipUser,
+    BigInt(2),
+    getGanacheDeterministicPrivateKey(2),
+    validity
+  );
+  return { dobCredential, citizenshipCredential };
+}
+
+const VALIDITY = {
+  issuedAt: new Date('2025-01-01T00:00:00Z'),
+  validUntil: new Date('2026-01-01T00:00:00Z')
+};
+
+test('buildCircuitInputs maps credentials onto the circuit signals', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  const currentDate = new Date('2025-06-01T00:00:00Z');
+  const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18 });
+
+  assert.deepEqual(Object.keys(input), [
+    'date_of_birth', 'citizenship', 'signature_a_r', 'signature_a_s', 'signature_b_r', 'signature_b_s',
+    'nonce_a', 'nonce_b', 'current_date', 'age_policy', 'required_citizenship', 'issuer_a_pubkey_x',
+    'issuer_a_pubkey_y', 'issuer_b_pubkey_x', 'issuer_b_pubkey_y', 'user_pubkey', 'subject_wallet',
+    'challenge', 'revocation_root', 'revocation_siblings_a', 'revocation_old_key_a', 'revocation_old_value_a',
+    'revocation_is_old0_a', 'revocation_siblings_b', 'revocation_old_key_b', 'revocation_old_value_b',
+    'revocation_is_old0_b'
+  ]);
+  assert.equal(input.date_of_birth, '36524');
+  assert.equal(input.citizenship, '21843');
+  assert.equal(input.required_citizenship, '21843');
+  assert.equal(input.current_date, String(Math.floor(currentDate.getTime() / 1000)));
+  assert.equal(input.age_policy, '18');
+  assert.equal(input.signature_a_r, dobCredential.signature.r);
+  assert.equal(input.issuer_b_pubkey_x, citizenshipCredential.issuerPubkey.x);
+  assert.equal(input.user_pubkey, USER_PUBKEY.toString());
+  assert.equal(input.subject_wallet, USER_PUBKEY.toString());
+  assert.equal(input.revocation_root, '0');
+  assert.equal(input.revocation_siblings_a.length, 32);
+  assert.match(input.challenge, /^\d+$/);
+
+  const answered = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate, minAge: 18, challenge: '0x1234' });
+  assert.equal(answered.challenge, '4660');
+});
+
+test('buildCircuitInputs rejects credentials for different users', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair(BigInt(OTHER_WALLET));
+  assert.throws(
+    () => buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate: new Date(), minAge: 18 }),
+    /same user/
+  );
+});
+
+test('buildCircuitInputs rejects a subject wallet that is not the credential subject', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  assert.throws(
+    () => buildCircuitInputs(dobCredential, citizenshipCredential, {
+      currentDate: new Date(),
+      minAge: 18,
+      subjectWallet: OTHER_WALLET
+    }),
+    /does not match the credential subject/
+  );
+});
+
+test('credentials with a validity window use the expiry circuit inputs', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair(USER_PUBKEY, VALIDITY);
+  assert.equal(getCircuitName(dobCredential, citizenshipCredential), 'age_citizenship_expiry');
+
+  const input = buildCircuitInputs(dobCredential, citizenshipCredential, {
+    currentDate: new Date('2025-06-01T00:00:00Z'),
+    minAge: 18
+  });
+  assert.equal(input.issued_at_a, String(VALIDITY.issuedAt.getTime() / 1000));
+  assert.equal(input.valid_until_b, String(VALIDITY.validUntil.getTime() / 1000));
+
+  const legacy = await issuePair();
+  assert.equal(getCircuitName(legacy.dobCredential, legacy.citizenshipCredential), 'age_citizenship');
+  assert.throws(() => getCircuitName(dobCredential, legacy.citizenshipCredential), /or neither/);
+});
+
+test('buildCircuitInputs rejects credentials outside their validity window', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair(USER_PUBKEY, VALIDITY);
+  assert.throws(
+    () => buildCircuitInputs(dobCredential, citizenshipCredential, {
+      currentDate: new Date('2026-01-01T00:00:01Z'),
+      minAge: 18
+    }),
+    /DOB credential expired on 2026-01-01T00:00:00.000Z/
+  );
+  assert.throws(
+    () => buildCircuitInputs(dobCredential, citizenshipCredential, {
+      currentDate: new Date('2024-12-31T00:00:00Z'),
+      minAge: 18
+    }),
+    /not valid before 2025-01-01/
+  );
+});
+
+test('computeAgeInYears uses 365.25-day years like the circuit', () => {
+  const dob = '1970-01-01';
+  assert.equal(computeAgeInYears(dob, 31557600 * 18), 18);
+  assert.equal(computeAgeInYears(25567, 31557600 * 18), 18);
+  assert.ok(computeAgeInYears(dob, new Date(31557600 * 18 * 1000 - 1000)) < 18);
+
+  // Birth dates before 1970 count from 1900-01-01, not from a negative timestamp
+  assert.equal(Math.floor(computeAgeInYears('1950-03-01', new Date('2025-03-01T00:00:00Z'))), 75);
+  assert.equal(Math.floor(computeAgeInYears('1900-01-01', new Date('1970-01-01T00:00:00Z'))), 69);
+});
+
+test('formatProofForSolidity swaps the pi_b coordinates', () => {
+  const proof = {
+    pi_a: ['1', '2', '1'],
+    pi_b: [['3', '4'], ['5', '6'], ['1', '0']],
+    pi_c: ['7', '8', '1']
+  };
+  assert.deepEqual(formatProofForSolidity(proof, [9, 10]), {
+    a: ['1', '2'],
+    b: [['4', '3'], ['6', '5']],
+    c: ['7', '8'],
+    publicSignals: ['9', '10']
+  });
+});
+
+test('generateProof requires both circuit artifacts', async () => {
+  await assert.rejects(() => generateProof({}, { wasm: 'circuit.wasm' }), /Missing circuit artifacts/);
+});
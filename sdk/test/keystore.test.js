@@ -0,0 +1,93 @@
+/**
+ * Credential Keystore Tests - encrypted multi-credential wallet
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGanacheDeterministicPrivateKey,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  encryptKeystore,
+  decryptKeystore,
+  createCredentialWallet,
+  computeCredentialId,
+  addCredential,
+  listCredentials,
+  selectCredential,
+  removeCredential
+} from '../src/index.js';
+
+const USER_A = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const USER_B = BigInt('0xffcf8fdee72ac11b5c542428b35eef5769c409f0');
+const DOB = '2000-01-01';
+
+// Cheap scrypt cost so the tests stay fast
+const KDF_PARAMS = { n: 1024, r: 8, p: 1, dklen: 32 };
+
+async function walletWith(...credentials) {
+  return credentials.reduce((wallet, credential) => addCredential(wallet, credential).wallet, createCredentialWallet());
+}
+
+test('keystores round-trip with the passphrase and reject a wrong one', async () => {
+  const credential = await issueDOBCredential(DOB, USER_A, 1, getGanacheDeterministicPrivateKey(1));
+  const wallet = await walletWith(credential);
+
+  const keystore = await encryptKeystore(wallet, 'correct horse', { kdfParams: KDF_PARAMS });
+  assert.equal(keystore.kdf, 'scrypt');
+  assert.equal(keystore.cipher, 'aes-256-gcm');
+  assert.equal(keystore.kdfparams.n, KDF_PARAMS.n);
+  assert.ok(!JSON.stringify(keystore).includes(credential.signature.r), 'credential must not be stored in plaintext');
+
+  assert.deepEqual(await decryptKeystore(keystore, 'correct horse'), wallet);
+  await assert.rejects(() => decryptKeystore(keystore, 'wrong horse'), /wrong passphrase/);
+  await assert.rejects(() => encryptKeystore(wallet, ''), /passphrase is required/);
+});
+
+test('credentials are added once and listed by type and subject', async () => {
+  const dobA = await issueDOBCredential(DOB, USER_A, 1, getGanacheDeterministicPrivateKey(1));
+  const dobB = await issueDOBCredential(DOB, USER_B, 2, getGanacheDeterministicPrivateKey(1));
+  const citizenshipA = await issueCitizenshipCredential('US', USER_A, 3, getGanacheDeterministicPrivateKey(2));
+  const wallet = await walletWith(dobA, dobB, citizenshipA);
+
+  assert.equal(listCredentials(wallet).length, 3);
+  assert.deepEqual(
+    listCredentials(wallet, { credentialType: 'date_of_birth' }).map((entry) => entry.id),
+    [computeCredentialId(dobA), computeCredentialId(dobB)]
+  );
+  assert.equal(listCredentials(wallet, { userPubkey: USER_A }).length, 2);
+  assert.equal(listCredentials(wallet)[0].signature, undefined);
+  assert.throws(() => addCredential(wallet, dobA), /already in the wallet/);
+  assert.throws(() => addCredential(wallet, { foo: 'bar' }), /Not a credential/);
+});
+
+test('selectCredential resolves ids, id prefixes and unambiguous types', async () => {
+  const dobA = await issueDOBCredential(DOB, USER_A, 1, getGanacheDeterministicPrivateKey(1));
+  const dobB = await issueDOBCredential(DOB, USER_B, 2, getGanacheDeterministicPrivateKey(1));
+  const citizenshipA = await issueCitizenshipCredential('US', USER_A, 3, getGanacheDeterministicPrivateKey(2));
+  const wallet = await walletWith(dobA, dobB, citizenshipA);
+  const idA = computeCredentialId(dobA);
+
+  assert.deepEqual(selectCredential(wallet, idA), dobA);
+  assert.deepEqual(selectCredential(wallet, idA.slice(0, 8)), dobA);
+  assert.deepEqual(selectCredential(wallet, 'citizenship'), citizenshipA);
+  assert.deepEqual(selectCredential(wallet, 'date_of_birth', { userPubkey: USER_B }), dobB);
+
+  assert.throws(() => selectCredential(wallet, 'date_of_birth'), /select one by id/);
+  assert.throws(() => selectCredential(wallet, 'residency_state'), /No credential/);
+  assert.throws(() => selectCredential(wallet, idA, { userPubkey: USER_B }), /different wallet/);
+});
+
+test('removeCredential returns a new wallet without the credential', async () => {
+  const credential = await issueDOBCredential(DOB, USER_A, 1, getGanacheDeterministicPrivateKey(1));
+  const wallet = await walletWith(credential);
+  const id = computeCredentialId(credential);
+
+  const { wallet: emptied, credential: removed } = removeCredential(wallet, id);
+  assert.deepEqual(removed, credential);
+  assert.equal(emptied.credentials.length, 0);
+  assert.equal(wallet.credentials.length, 1);
+  assert.throws(() => removeCredential(emptied, id), /No credential/);
+});
@@ -0,0 +1,116 @@
+/**
+ * Credential SDK Tests - secp256k1 limb inputs for the full ECDSA circuits
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { verify } from '@noble/secp256k1';
+import {
+  SIGNATURE_SCHEMES,
+  BN254_SCALAR_FIELD,
+  bigintToBytes32,
+  getGanacheDeterministicPrivateKey,
+  getIssuerPublicKeyHex,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  computeCredentialMessageHash,
+  splitToLimbs,
+  joinLimbs,
+  getPublicKeyCoordinates,
+  buildSecp256k1SignatureInputs,
+  buildCircuitInputs,
+  getCircuitName
+} from '../src/index.js';
+
+const ISSUER_A_KEY = getGanacheDeterministicPrivateKey(1);
+const ISSUER_B_KEY = getGanacheDeterministicPrivateKey(2);
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const DOB = '2000-01-01';
+
+async function issuePair(options = {}) {
+  const dobCredential = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(1), ISSUER_A_KEY, options);
+  const citizenshipCredential = await issueCitizenshipCredential('US', USER_PUBKEY, BigInt(2), ISSUER_B_KEY, options);
+  return { dobCredential, citizenshipCredential };
+}
+
+test('splitToLimbs / joinLimbs round-trip 256-bit values', () => {
+  const max = (BigInt(1) << BigInt(256)) - BigInt(1);
+  assert.deepEqual(splitToLimbs(max), Array(4).fill((BigInt(1) << BigInt(64)) - BigInt(1)));
+  assert.deepEqual(splitToLimbs(BigInt(1) << BigInt(64)), [BigInt(0), BigInt(1), BigInt(0), BigInt(0)]);
+  assert.equal(joinLimbs(splitToLimbs(BN254_SCALAR_FIELD + BigInt(12345))), BN254_SCALAR_FIELD + BigInt(12345));
+  assert.equal(joinLimbs(splitToLimbs(300, 8, 2), 8), BigInt(300));
+
+  assert.throws(() => splitToLimbs(max + BigInt(1)), /does not fit/);
+  assert.throws(() => splitToLimbs(-1), /does not fit/);
+});
+
+test('limb inputs carry the full, unreduced signature and issuer key', async () => {
+  const { dobCredential } = await issuePair();
+  const inputs = buildSecp256k1SignatureInputs(dobCredential, 'a');
+  const { x, y } = getPublicKeyCoordinates(dobCredential.issuerPublicKey);
+
+  assert.equal(inputs.signature_a_r.length, 4);
+  assert.equal(joinLimbs(inputs.signature_a_r), BigInt(dobCredential.signature.r));
+  assert.equal(joinLimbs(inputs.signature_a_s), BigInt(dobCredential.signature.s));
+  assert.equal(joinLimbs(inputs.issuer_a_pubkey_x_limbs), x);
+  assert.equal(joinLimbs(inputs.issuer_a_pubkey_y_limbs), y);
+
+  // The limbs recombine mod r to the public issuer key, as the circuit checks
+  assert.equal(x % BN254_SCALAR_FIELD, BigInt(dobCredential.issuerPubkey.x));
+
+  // ...and are a signature secp256k1 itself accepts over the credential's message hash
+  const messageHash = bigintToBytes32(await computeCredentialMessageHash(dobCredential));
+  const signature = { r: joinLimbs(inputs.signature_a_r), s: joinLimbs(inputs.signature_a_s) };
+  assert.equal(verify(signature, messageHash, dobCredential.issuerPublicKey.slice(2)), true);
+});
+
+test('limb inputs need an ECDSA credential whose full key matches issuerPubkey', async () => {
+  const { dobCredential } = await issuePair();
+  const { issuerPublicKey, ...withoutFullKey } = dobCredential;
+  assert.ok(issuerPublicKey);
+  assert.throws(() => buildSecp256k1SignatureInputs(withoutFullKey, 'a'), /full issuerPublicKey/);
+
+  const swapped = { ...dobCredential, issuerPublicKey: getIssuerPublicKeyHex(ISSUER_B_KEY) };
+  assert.throws(() => buildSecp256k1SignatureInputs(swapped, 'a'), /does not match issuerPubkey/);
+
+  const eddsa = await issueDOBCredential(DOB, USER_PUBKEY, BigInt(1), ISSUER_A_KEY, {
+    signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON
+  });
+  assert.throws(() => buildSecp256k1SignatureInputs(eddsa, 'a'), /only take ECDSA credentials/);
+});
+
+test('secp256k1 circuits are opt-in and keep the public inputs', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  assert.equal(getCircuitName(dobCredential, citizenshipCredential), 'age_citizenship');
+  assert.equal(getCircuitName(dobCredential, citizenshipCredential, { secp256k1: true }), 'age_citizenship_secp256k1');
+
+  const options = { currentDate: new Date('2025-01-01T00:00:00Z'), minAge: 18, challenge: BigInt(7) };
+  const placeholder = buildCircuitInputs(dobCredential, citizenshipCredential, options);
+  const full = buildCircuitInputs(dobCredential, citizenshipCredential, { ...options, secp256k1: true });
+
+  assert.deepEqual(full.signature_b_r, buildSecp256k1SignatureInputs(citizenshipCredential, 'b').signature_b_r);
+  assert.equal(typeof placeholder.signature_b_r, 'string');
+  for (const name of ['current_date', 'issuer_a_pubkey_x', 'issuer_b_pubkey_y', 'user_pubkey', 'revocation_root', 'challenge']) {
+    assert.equal(full[name], placeholder[name]);
+  }
+
+  const expiring = await issuePair({ validForSeconds: 365 * 24 * 60 * 60 });
+  const expiringInputs = buildCircuitInputs(expiring.dobCredential, expiring.citizenshipCredential, {
+    ...options,
+    currentDate: new Date(),
+    secp256k1: true
+  });
+  assert.equal(
+    getCircuitName(expiring.dobCredential, expiring.citizenshipCredential, { secp256k1: true }),
+    'age_citizenship_expiry_secp256k1'
+  );
+  assert.equal(expiringInputs.valid_until_a, expiring.dobCredential.validUntil);
+
+  const eddsa = await issuePair({ signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON });
+  assert.throws(
+    () => getCircuitName(eddsa.dobCredential, eddsa.citizenshipCredential, { secp256k1: true }),
+    /only take ECDSA credentials/
+  );
+});
@@ -0,0 +1,82 @@
+/**
+ * Wallet-Ownership Challenge Tests
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import {
+  getGanacheDeterministicPrivateKey,
+  OWNERSHIP_SCHEMES,
+  createOwnershipChallenge,
+  signOwnershipChallenge,
+  verifyOwnershipSignature
+} from '../src/index.js';
+
+const wallet = new Wallet(getGanacheDeterministicPrivateKey(0));
+const NOW = 1767225600;
+
+function challengeFor(address, scheme) {
+  return createOwnershipChallenge({
+    wallet: address,
+    issuer: 'Issuer A (DMV)',
+    credentialType: 'date_of_birth',
+    scheme,
+    ttlSeconds: 60,
+    now: NOW
+  });
+}
+
+test('challenges name the wallet, issuer and a fresh nonce', () => {
+  const first = challengeFor(wallet.address.toLowerCase());
+  const second = challengeFor(wallet.address);
+
+  assert.equal(first.wallet, wallet.address);
+  assert.equal(first.expiresAt, NOW + 60);
+  assert.match(first.message, new RegExp(`Wallet: ${wallet.address}`));
+  assert.match(first.message, /Issuer A \(DMV\) requests proof/);
+  assert.notEqual(first.nonce, second.nonce);
+});
+
+test('verifyOwnershipSignature recovers the signing wallet', async () => {
+  const challenge = challengeFor(wallet.address);
+  const signature = await wallet.signMessage(challenge.message);
+  assert.equal(verifyOwnershipSignature(challenge, signature, { now: NOW + 10 }), wallet.address);
+});
+
+test('verifyOwnershipSignature rejects other signers, edits and expired challenges', async () => {
+  const challenge = challengeFor(wallet.address);
+  const signature = await wallet.signMessage(challenge.message);
+  const other = new Wallet(getGanacheDeterministicPrivateKey(4));
+
+  assert.throws(
+    () => verifyOwnershipSignature(challenge, other.signMessageSync(challenge.message), { now: NOW }),
+    /not 0x/
+  );
+  assert.throws(() => verifyOwnershipSignature({ ...challenge, nonce: '0x00' }, signature, { now: NOW }), /not 0x/);
+  assert.throws(() => verifyOwnershipSignature(challenge, signature, { now: NOW + 61 }), /expired/);
+  assert.throws(() => verifyOwnershipSignature(challenge, '0x1234', { now: NOW }), /Malformed/);
+});
+
+test('EIP-712 challenges are signed and recovered as typed data', async () => {
+  const challenge = challengeFor(wallet.address, OWNERSHIP_SCHEMES.EIP712);
+  assert.equal(challenge.typedData.primaryType, 'OwnershipChallenge');
+  assert.equal(challenge.typedData.message.nonce, challenge.nonce);
+
+  const signature = await signOwnershipChallenge(challenge, wallet);
+  assert.equal(verifyOwnershipSignature(challenge, signature, { now: NOW }), wallet.address);
+
+  // A personal_sign signature over the text does not satisfy an EIP-712 challenge
+  const personalSignature = await wallet.signMessage(challenge.message);
+  assert.throws(() => verifyOwnershipSignature(challenge, personalSignature, { now: NOW }), /not 0x/);
+  assert.throws(
+    () => verifyOwnershipSignature({ ...challenge, credentialType: 'citizenship' }, signature, { now: NOW }),
+    /not 0x/
+  );
+});
+
+test('createOwnershipChallenge rejects unknown schemes', () => {
+  assert.throws(() => challengeFor(wallet.address, 'eip4361'), /Unsupported ownership challenge scheme/);
+});
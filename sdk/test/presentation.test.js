@@ -0,0 +1,132 @@
+/**
+ * Presentation Tests - proof.json v2 creation, validation, contract arguments and off-chain verification
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeCitizenship,
+  decodeCitizenship,
+  describeFailedChecks,
+  PRESENTATION_VERSION,
+  PRESENTATION_CHECKS,
+  DEFAULT_POLICY,
+  computeVerificationKeyHash,
+  computePolicyId,
+  createPresentation,
+  parsePresentation,
+  presentationToSolidityArgs,
+  verifyPresentation,
+  encodeChallenge,
+  decodeChallenge,
+  createPresentationChallenge,
+  BN254_SCALAR_FIELD
+} from '../src/index.js';
+
+const VKEY = { protocol: 'groth16', curve: 'bn128', nPublic: 10, IC: [['1', '2', '1']] };
+const PROOF = {
+  pi_a: ['1', '2', '1'],
+  pi_b: [['3', '4'], ['5', '6'], ['1', '0']],
+  pi_c: ['7', '8', '1'],
+  protocol: 'groth16',
+  curve: 'bn128'
+};
+const CHALLENGE = `0x${'0'.repeat(60)}1234`;
+const PUBLIC_SIGNALS = ['1767225600', '18', encodeCitizenship('US').toString(), '3', '4', '5', '6', '7', '7', '0', BigInt(CHALLENGE).toString()];
+
+// snarkjs keeps its bn128 worker threads (cached on globalThis) alive after groth16.verify
+after(() => globalThis.curve_bn128?.terminate());
+
+function present(overrides = {}) {
+  return createPresentation({
+    circuit: 'age_citizenship_expiry',
+    proof: PROOF,
+    publicSignals: PUBLIC_SIGNALS,
+    vkey: VKEY,
+    ...overrides
+  });
+}
+
+test('createPresentation keeps only the proof, public signals and their context', () => {
+  const presentation = present();
+
+  assert.deepEqual(Object.keys(presentation).sort(), [
+    'challenge', 'circuit', 'policyId', 'proof', 'publicSignals', 'type', 'version', 'vkeyHash'
+  ]);
+  assert.equal(presentation.version, PRESENTATION_VERSION);
+  assert.equal(presentation.vkeyHash, computeVerificationKeyHash(VKEY));
+  assert.equal(presentation.policyId, computePolicyId(DEFAULT_POLICY));
+  assert.deepEqual(presentation.publicSignals, PUBLIC_SIGNALS);
+  assert.equal(presentation.challenge, CHALLENGE);
+
+  // Key order and number formatting do not change the hashes
+  assert.equal(computeVerificationKeyHash({ IC: VKEY.IC, nPublic: 10, curve: 'bn128', protocol: 'groth16' }), presentation.vkeyHash);
+  assert.equal(computePolicyId({ requiredCitizenship: 'us', minAge: BigInt(18) }), presentation.policyId);
+  assert.notEqual(computePolicyId({ minAge: 21, requiredCitizenship: 'US' }), presentation.policyId);
+
+  assert.throws(() => present({ policy: { minAge: 21, requiredCitizenship: 'US' } }), /does not match the policy minAge/);
+  assert.throws(() => present({ policy: { minAge: 18, requiredCitizenship: 'CA' } }), /required_citizenship/);
+});
+
+test('parsePresentation rejects v1 files, private inputs and malformed fields', () => {
+  const presentation = present();
+  assert.equal(parsePresentation(JSON.parse(JSON.stringify(presentation))).circuit, 'age_citizenship_expiry');
+
+  assert.throws(
+    () => parsePresentation({ proof: {}, publicSignals: PUBLIC_SIGNALS, calldata: [], input: {} }),
+    /v1 proof\.json/
+  );
+  assert.throws(() => parsePresentation({ ...presentation, input: { date_of_birth: '946684800' } }), /Unexpected presentation field\(s\): input/);
+  assert.throws(() => parsePresentation({ ...presentation, version: 3 }), /Not a v2/);
+  assert.throws(() => parsePresentation({ ...presentation, vkeyHash: '0x12' }), /vkeyHash/);
+  assert.throws(() => parsePresentation({ ...presentation, challenge: 'nonce' }), /challenge/);
+  assert.throws(() => parsePresentation({ ...presentation, challenge: `0x${'0'.repeat(60)}5678` }), /challenge signal/);
+  assert.throws(() => parsePresentation({ ...presentation, publicSignals: PUBLIC_SIGNALS.slice(1) }), /11 public signals/);
+  assert.throws(() => parsePresentation({ ...presentation, proof: { pi_a: ['1', '2'] } }), /pi_a, pi_b and pi_c/);
+});
+
+test('presentationToSolidityArgs returns verifyProof(a, b, c, input)', () => {
+  const [a, b, c, input] = presentationToSolidityArgs(present());
+  assert.deepEqual(a, ['1', '2']);
+  assert.deepEqual(b, [['4', '3'], ['6', '5']]);
+  assert.deepEqual(c, ['7', '8']);
+  assert.deepEqual(input, PUBLIC_SIGNALS.map(BigInt));
+});
+
+test('verifyPresentation stops at the format and verification key checks', async () => {
+  const legacy = await verifyPresentation({ proof: {}, publicSignals: PUBLIC_SIGNALS, input: {} }, { vkey: VKEY });
+  assert.equal(legacy.valid, false);
+  assert.equal(legacy.checks[0].name, PRESENTATION_CHECKS.FORMAT);
+  assert.match(legacy.checks[0].reason, /v1 proof\.json/);
+  assert.equal(legacy.checks.length, Object.keys(PRESENTATION_CHECKS).length);
+  assert.ok(legacy.checks.slice(1).every((check) => check.skipped));
+
+  const otherKey = await verifyPresentation(present(), { vkey: { ...VKEY, nPublic: 11 } });
+  assert.equal(otherKey.valid, false);
+  assert.match(describeFailedChecks(otherKey), /Verification key: vkeyHash does not match/);
+  assert.ok(otherKey.checks.find((check) => check.name === PRESENTATION_CHECKS.PROOF).skipped);
+
+  // Not a real proof for this (fake) key: the pairing check cannot pass
+  const forged = await verifyPresentation(present(), { vkey: VKEY });
+  assert.equal(forged.valid, false);
+  assert.equal(forged.checks.find((check) => check.name === PRESENTATION_CHECKS.PROOF).passed, false);
+  assert.ok(forged.checks.find((check) => check.name === PRESENTATION_CHECKS.MIN_AGE).skipped);
+
+  await assert.rejects(() => verifyPresentation(present()), /verification key is required/);
+});
+
+test('decodeCitizenship reverses encodeCitizenship', () => {
+  assert.equal(decodeCitizenship(encodeCitizenship('US')), 'US');
+  assert.equal(decodeCitizenship(encodeCitizenship('CAN').toString()), 'CAN');
+});
+
+test('challenges are field elements carried as 32-byte hex', () => {
+  assert.equal(decodeChallenge(4660), CHALLENGE);
+  assert.equal(encodeChallenge(CHALLENGE), BigInt(4660));
+  assert.equal(encodeChallenge('4660'), BigInt(4660));
+  assert.ok(encodeChallenge(createPresentationChallenge()) < BN254_SCALAR_FIELD);
+  assert.throws(() => encodeChallenge(BN254_SCALAR_FIELD), /field element/);
+  assert.throws(() => encodeChallenge('nonce'), /hex or a decimal/);
+});
@@ -0,0 +1,54 @@
+/**
+ * Receipt Tests - EIP-712 verification receipts
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import {
+  encodeCitizenship,
+  createPresentation,
+  computePresentationHash,
+  createVerificationReceipt,
+  signVerificationReceipt,
+  verifyVerificationReceipt,
+  getGanacheDeterministicPrivateKey
+} from '../src/index.js';
+
+const verifier = new Wallet(getGanacheDeterministicPrivateKey(5));
+const subject = new Wallet(getGanacheDeterministicPrivateKey(0));
+
+const presentation = createPresentation({
+  circuit: 'age_citizenship_expiry',
+  proof: { pi_a: ['1', '2', '1'], pi_b: [['3', '4'], ['5', '6'], ['1', '0']], pi_c: ['7', '8', '1'] },
+  publicSignals: ['1767225600', '18', encodeCitizenship('US').toString(), '3', '4', '5', '6', '7', BigInt(subject.address).toString(), '0', '4660'],
+  vkey: { protocol: 'groth16', IC: [['1', '2', '1']] }
+});
+
+test('createVerificationReceipt describes the presentation and the decision', () => {
+  const receipt = createVerificationReceipt(presentation, { valid: true }, { verifiedAt: 1767225600 });
+
+  assert.equal(receipt.presentationHash, computePresentationHash(presentation));
+  assert.equal(receipt.circuit, 'age_citizenship_expiry');
+  assert.equal(receipt.vkeyHash, presentation.vkeyHash);
+  assert.equal(receipt.policyId, presentation.policyId);
+  assert.equal(receipt.subject, subject.address);
+  assert.equal(receipt.challenge, `0x${'0'.repeat(60)}1234`);
+  assert.equal(receipt.verified, true);
+  assert.equal(receipt.verifiedAt, 1767225600);
+});
+
+test('verifyVerificationReceipt recovers the verifier and rejects tampering', async () => {
+  const signed = await signVerificationReceipt(createVerificationReceipt(presentation, { valid: false }), verifier);
+
+  assert.equal(signed.verifier, verifier.address);
+  assert.equal(verifyVerificationReceipt(signed), verifier.address);
+  assert.equal(verifyVerificationReceipt(signed, { verifier: verifier.address.toLowerCase() }), verifier.address);
+
+  const flipped = { ...signed, receipt: { ...signed.receipt, verified: true } };
+  assert.throws(() => verifyVerificationReceipt(flipped, { verifier: verifier.address }), /not 0x/);
+  assert.throws(() => verifyVerificationReceipt(signed, { verifier: subject.address }), /was signed by/);
+  assert.throws(() => verifyVerificationReceipt({ ...signed, signature: '0x12' }), /Malformed/);
+});
@@ -0,0 +1,89 @@
+/**
+ * Revocation Registry Tests - sparse Merkle tree of revoked credential nullifiers
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGanacheDeterministicPrivateKey,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  poseidonHash,
+  REVOCATION_TREE_LEVELS,
+  computeCredentialNullifier,
+  createRevocationRegistry,
+  computeRevocationRoot,
+  revokeCredential,
+  isCredentialRevoked,
+  emptyRevocationInputs,
+  buildRevocationInputs,
+  buildCircuitInputs
+} from '../src/index.js';
+
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const DOB = '2000-01-01';
+
+async function issuePair() {
+  const dobCredential = await issueDOBCredential(DOB, USER_PUBKEY, 11, getGanacheDeterministicPrivateKey(1));
+  const citizenshipCredential = await issueCitizenshipCredential('US', USER_PUBKEY, 12, getGanacheDeterministicPrivateKey(2));
+  return { dobCredential, citizenshipCredential };
+}
+
+function revoke(registry, credential) {
+  return revokeCredential(registry, { issuerPubkey: credential.issuerPubkey, nonce: credential.nonce });
+}
+
+test('the nullifier is Poseidon(issuer_pubkey_x, issuer_pubkey_y, nonce)', async () => {
+  const { dobCredential } = await issuePair();
+  const expected = await poseidonHash([dobCredential.issuerPubkey.x, dobCredential.issuerPubkey.y, dobCredential.nonce]);
+  assert.equal(await computeCredentialNullifier(dobCredential), expected);
+});
+
+test('revoking a credential changes the root and marks only that credential', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  const empty = createRevocationRegistry();
+  assert.equal(await computeRevocationRoot(empty), BigInt(0));
+
+  const registry = await revoke(empty, dobCredential);
+  assert.notEqual(registry.root, '0');
+  assert.equal(await computeRevocationRoot(registry), BigInt(registry.root));
+  assert.equal(empty.revoked.length, 0);
+  assert.equal(await isCredentialRevoked(registry, dobCredential), true);
+  assert.equal(await isCredentialRevoked(registry, citizenshipCredential), false);
+
+  await assert.rejects(() => revoke(registry, dobCredential), /already revoked/);
+});
+
+test('buildRevocationInputs proves non-membership and rejects revoked credentials', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  const other = await issueDOBCredential(DOB, USER_PUBKEY, 99, getGanacheDeterministicPrivateKey(1));
+  const registry = await revoke(createRevocationRegistry(), other);
+
+  const inputs = await buildRevocationInputs(dobCredential, citizenshipCredential, registry);
+  assert.equal(inputs.revocation_root, registry.root);
+  assert.equal(inputs.revocation_siblings_a.length, REVOCATION_TREE_LEVELS);
+  assert.equal(inputs.revocation_is_old0_b, '0');
+  assert.equal(inputs.revocation_old_key_b, (await computeCredentialNullifier(other)).toString());
+
+  const revoked = await revoke(registry, citizenshipCredential);
+  await assert.rejects(
+    () => buildRevocationInputs(dobCredential, citizenshipCredential, revoked),
+    /Citizenship credential has been revoked/
+  );
+  await assert.rejects(
+    () => buildRevocationInputs(dobCredential, citizenshipCredential, { ...revoked, root: registry.root }),
+    /root does not match/
+  );
+});
+
+test('the empty registry matches the default circuit inputs', async () => {
+  const { dobCredential, citizenshipCredential } = await issuePair();
+  assert.deepEqual(await buildRevocationInputs(dobCredential, citizenshipCredential), emptyRevocationInputs());
+
+  const registry = await revoke(createRevocationRegistry(), { issuerPubkey: { x: 1, y: 2 }, nonce: 3 });
+  const revocation = await buildRevocationInputs(dobCredential, citizenshipCredential, registry);
+  const input = buildCircuitInputs(dobCredential, citizenshipCredential, { currentDate: new Date(), minAge: 18, revocation });
+  assert.equal(input.revocation_root, registry.root);
+});
@@ -0,0 +1,104 @@
+/**
+ * Credential Schema Registry Tests - schema validation and generic issuance
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CREDENTIAL_TYPES,
+  encodeAscii,
+  getGanacheDeterministicPrivateKey,
+  registerSchema,
+  getSchema,
+  listSchemas,
+  issueCredential,
+  issueDOBCredential,
+  getCredentialMessageInputs,
+  verifyCredentialSignature
+} from '../src/index.js';
+
+const ISSUER_KEY = getGanacheDeterministicPrivateKey(1);
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+
+test('built-in schemas are registered', () => {
+  const ids = listSchemas().map((schema) => schema.id);
+  for (const type of Object.values(CREDENTIAL_TYPES)) {
+    assert.ok(ids.includes(type), `missing schema ${type}`);
+  }
+  assert.throws(() => getSchema('passport'), /Unknown credential schema: passport/);
+});
+
+test('registerSchema rejects duplicates, reserved names and incomplete layouts', () => {
+  assert.throws(
+    () => registerSchema({ id: 'citizenship', fields: [{ name: 'x', encoding: 'uint' }], messageLayout: ['x', 'userPubkey', 'nonce'] }),
+    /already registered/
+  );
+  assert.throws(
+    () => registerSchema({ id: 'bad_reserved', fields: [{ name: 'nonce', encoding: 'uint' }], messageLayout: ['nonce', 'userPubkey'] }),
+    /reserved field name nonce/
+  );
+  assert.throws(
+    () => registerSchema({ id: 'bad_encoding', fields: [{ name: 'x', encoding: 'float' }], messageLayout: ['x', 'userPubkey', 'nonce'] }),
+    /unknown encoding/
+  );
+  assert.throws(
+    () => registerSchema({ id: 'bad_layout', fields: [{ name: 'x', encoding: 'uint' }], messageLayout: ['x', 'userPubkey'] }),
+    /must commit to nonce/
+  );
+});
+
+test('issueCredential signs an accredited_investor credential', async () => {
+  const credential = await issueCredential(
+    'accredited_investor',
+    { accredited: true, jurisdiction: 'US' },
+    USER_PUBKEY,
+    ISSUER_KEY,
+    { nonce: 7 }
+  );
+
+  assert.equal(credential.credentialType, 'accredited_investor');
+  assert.equal(credential.accredited, true);
+  assert.equal(credential.jurisdiction, 'US');
+  assert.equal(credential.jurisdictionEncoded, encodeAscii('US').toString());
+  assert.deepEqual(getCredentialMessageInputs(credential), [BigInt(1), encodeAscii('US'), USER_PUBKEY, BigInt(7)]);
+  assert.equal(await verifyCredentialSignature(credential, { privateKey: ISSUER_KEY }), true);
+
+  const downgraded = { ...credential, accredited: false };
+  assert.equal(await verifyCredentialSignature(downgraded, { privateKey: ISSUER_KEY }), false);
+});
+
+test('issueCredential signs a residency_state credential', async () => {
+  const credential = await issueCredential('residency_state', { residencyState: 'US-NY' }, USER_PUBKEY, ISSUER_KEY);
+
+  assert.equal(credential.residencyState, 'US-NY');
+  assert.equal(credential.issuer, 'State of Residency');
+  assert.equal(await verifyCredentialSignature(credential, { privateKey: ISSUER_KEY }), true);
+});
+
+test('issueCredential validates claims against the schema', async () => {
+  await assert.rejects(
+    issueCredential('residency_state', { residencyState: 'NY' }, USER_PUBKEY, ISSUER_KEY),
+    /does not match/
+  );
+  await assert.rejects(
+    issueCredential('accredited_investor', { accredited: 'yes', jurisdiction: 'US' }, USER_PUBKEY, ISSUER_KEY),
+    /must be a boolean/
+  );
+  await assert.rejects(
+    issueCredential('accredited_investor', { accredited: true }, USER_PUBKEY, ISSUER_KEY),
+    /Missing claim for accredited_investor: jurisdiction/
+  );
+  await assert.rejects(
+    issueCredential('citizenship', { citizenship: 'US', dateOfBirth: 1 }, USER_PUBKEY, ISSUER_KEY),
+    /Unknown claims for citizenship: dateOfBirth/
+  );
+});
+
+test('schema-based DOB credential keeps the circuit message layout', async () => {
+  const credential = await issueDOBCredential('2000-01-01', USER_PUBKEY, 12345, ISSUER_KEY);
+  assert.deepEqual(getCredentialMessageInputs(credential), [BigInt(36524), USER_PUBKEY, BigInt(12345)]);
+  assert.equal(credential.dateOfBirth, '2000-01-01');
+  assert.equal(credential.dateOfBirthEncoded, '36524');
+});
@@ -0,0 +1,93 @@
+/**
+ * W3C Verifiable Credential Tests - VC 2.0 export/import and DID helpers
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import {
+  getGanacheDeterministicPrivateKey,
+  getIssuerPublicKeyHex,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  VC_CONTEXT_V2,
+  VC_CRYPTOSUITE,
+  publicKeyToDidKey,
+  didKeyToPublicKey,
+  addressToDidEthr,
+  didEthrToAddress,
+  toVerifiableCredential,
+  fromVerifiableCredential,
+  isVerifiableCredential
+} from '../src/index.js';
+
+const SUBJECT = new Wallet(getGanacheDeterministicPrivateKey(0)).address;
+const ISSUER_A_KEY = getGanacheDeterministicPrivateKey(1);
+const DOB = '2000-01-01';
+const NOW = 1767225600;
+
+test('did:key and did:ethr round-trip the issuer key and subject address', () => {
+  const publicKey = getIssuerPublicKeyHex(ISSUER_A_KEY);
+  const did = publicKeyToDidKey(publicKey);
+
+  // secp256k1-pub did:keys start with zQ3s
+  assert.match(did, /^did:key:zQ3s/);
+  assert.equal(publicKeyToDidKey(getIssuerPublicKeyHex(ISSUER_A_KEY, true)), did);
+  assert.equal(didKeyToPublicKey(did), publicKey);
+
+  assert.equal(addressToDidEthr(BigInt(SUBJECT)), `did:ethr:${SUBJECT}`);
+  assert.equal(didEthrToAddress(`did:ethr:0x539:${SUBJECT.toLowerCase()}`), SUBJECT);
+  assert.throws(() => didKeyToPublicKey('did:web:example.com'), /Not a did:key/);
+  assert.throws(() => addressToDidEthr(BigInt(2) ** BigInt(160)), /20-byte/);
+});
+
+test('credentials export as VC 2.0 and parse back unchanged', async () => {
+  const credential = await issueDOBCredential(DOB, BigInt(SUBJECT), 7, ISSUER_A_KEY, {
+    issuedAt: NOW,
+    validForSeconds: 3600
+  });
+  const vc = toVerifiableCredential(credential);
+
+  assert.deepEqual(vc['@context'], [VC_CONTEXT_V2]);
+  assert.deepEqual(vc.type, ['VerifiableCredential', 'DateOfBirthCredential']);
+  assert.equal(vc.issuer.id, publicKeyToDidKey(credential.issuerPublicKey));
+  assert.equal(vc.credentialSubject.id, `did:ethr:${SUBJECT}`);
+  assert.equal(vc.validFrom, '2026-01-01T00:00:00Z');
+  assert.equal(vc.validUntil, '2026-01-01T01:00:00Z');
+  assert.equal(vc.proof.cryptosuite, VC_CRYPTOSUITE);
+  assert.ok(vc.proof.proofValue.startsWith('z'));
+  assert.ok(isVerifiableCredential(vc));
+  assert.ok(!isVerifiableCredential(credential));
+
+  assert.deepEqual(await fromVerifiableCredential(vc), credential);
+
+  const citizenship = await issueCitizenshipCredential('US', BigInt(SUBJECT), 8, getGanacheDeterministicPrivateKey(2));
+  const parsed = await fromVerifiableCredential(JSON.parse(JSON.stringify(toVerifiableCredential(citizenship))));
+  assert.deepEqual(parsed, citizenship);
+});
+
+test('fromVerifiableCredential rejects tampered or malformed VCs', async () => {
+  const credential = await issueDOBCredential(DOB, BigInt(SUBJECT), 9, ISSUER_A_KEY);
+  const vc = toVerifiableCredential(credential);
+
+  const tampered = structuredClone(vc);
+  tampered.credentialSubject.dateOfBirth = '1999-12-31';
+  await assert.rejects(() => fromVerifiableCredential(tampered), /VC does not verify: Issuer signature/);
+
+  const otherSubject = structuredClone(vc);
+  otherSubject.credentialSubject.id = addressToDidEthr(new Wallet(getGanacheDeterministicPrivateKey(3)).address);
+  await assert.rejects(() => fromVerifiableCredential(otherSubject), /Issuer signature/);
+
+  const wrongSuite = structuredClone(vc);
+  wrongSuite.proof.cryptosuite = 'ecdsa-rdfc-2019';
+  await assert.rejects(() => fromVerifiableCredential(wrongSuite), /cryptosuite/);
+
+  const unknownType = structuredClone(vc);
+  unknownType.type = ['VerifiableCredential', 'UniversityDegreeCredential'];
+  await assert.rejects(() => fromVerifiableCredential(unknownType), /Unsupported VC type/);
+
+  const halfWindow = { ...structuredClone(vc), validFrom: '2026-01-01T00:00:00Z' };
+  await assert.rejects(() => fromVerifiableCredential(halfWindow), /both validFrom and validUntil/);
+});
@@ -0,0 +1,140 @@
+/**
+ * Credential Verification Tests - per-check results of verifyCredential
+ *
+ * Run with: npm run test:sdk
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGanacheDeterministicPrivateKey,
+  getIssuerPubkey,
+  getIssuerPublicKeyHex,
+  issueDOBCredential,
+  issueCitizenshipCredential,
+  verifyCredential,
+  describeFailedChecks
+} from '../src/index.js';
+
+const ISSUER_A_KEY = getGanacheDeterministicPrivateKey(1);
+const ISSUER_B_KEY = getGanacheDeterministicPrivateKey(2);
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+const DOB = '2000-01-01';
+
+const TRUSTED_ISSUERS = [
+  { name: 'Issuer A (DMV)', pubkey: getIssuerPubkey(ISSUER_A_KEY), schemas: ['date_of_birth'] },
+  { name: 'Issuer B (Immigration)', pubkey: getIssuerPubkey(ISSUER_B_KEY), schemas: ['citizenship'] }
+];
+
+function checkByName(result, name) {
+  return result.checks.find((check) => check.name === name);
+}
+
+test('valid credentials pass every check', async () => {
+  const dob = await issueDOBCredential(DOB, USER_PUBKEY, 1, ISSUER_A_KEY);
+  const cit = await issueCitizenshipCredential('US', USER_PUBKEY, 2, ISSUER_B_KEY);
+
+  const dobResult = await verifyCredential(dob, { trustedIssuers: TRUSTED_ISSUERS, expectedType: 'date_of_birth' });
+  assert.equal(dobResult.valid, true);
+  assert.deepEqual(dobResult.checks.map((check) => check.name), ['schema', 'signature', 'validity', 'trustedIssuer']);
+  assert.equal(dobResult.issuer.name, 'Issuer A (DMV)');
+
+  const citResult = await verifyCredential(cit, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.equal(citResult.valid, true);
+  assert.equal(describeFailedChecks(citResult), '');
+});
+
+test('tampered claim fails the signature check', async () => {
+  const dob = await issueDOBCredential(DOB, USER_PUBKEY, 1, ISSUER_A_KEY);
+  const tampered = { ...dob, dateOfBirth: '1990-01-01', dateOfBirthEncoded: '32872' };
+
+  const result = await verifyCredential(tampered, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.equal(result.valid, false);
+  assert.equal(checkByName(result, 'schema').passed, true);
+  assert.equal(checkByName(result, 'signature').passed, false);
+  assert.match(describeFailedChecks(result), /^Issuer signature: /);
+});
+
+test('swapped issuer key fails the signature check', async () => {
+  const cit = await issueCitizenshipCredential('US', USER_PUBKEY, 2, ISSUER_B_KEY);
+  const swapped = { ...cit, issuerPubkey: { x: String(getIssuerPubkey(ISSUER_A_KEY).x), y: String(getIssuerPubkey(ISSUER_A_KEY).y) } };
+
+  const result = await verifyCredential(swapped, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.equal(checkByName(result, 'signature').passed, false);
+});
+
+test('untrusted or out-of-scope issuers fail the trusted issuer check', async () => {
+  const selfSigned = await issueDOBCredential(DOB, USER_PUBKEY, 1, getGanacheDeterministicPrivateKey(5));
+  const unknown = await verifyCredential(selfSigned, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.equal(checkByName(unknown, 'signature').passed, true);
+  assert.equal(checkByName(unknown, 'trustedIssuer').passed, false);
+  assert.match(checkByName(unknown, 'trustedIssuer').reason, /not in the trusted issuer list/);
+
+  const wrongScope = await issueDOBCredential(DOB, USER_PUBKEY, 1, ISSUER_B_KEY);
+  const scoped = await verifyCredential(wrongScope, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.match(checkByName(scoped, 'trustedIssuer').reason, /not trusted to issue date_of_birth/);
+});
+
+test('schema failures skip the dependent checks', async () => {
+  const cit = await issueCitizenshipCredential('US', USER_PUBKEY, 2, ISSUER_B_KEY);
+
+  const missing = await verifyCredential({ ...cit, nonce: undefined }, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.equal(missing.valid, false);
+  assert.match(checkByName(missing, 'schema').reason, /Missing nonce/);
+  assert.equal(checkByName(missing, 'signature').skipped, true);
+
+  const mismatched = await verifyCredential({ ...cit, citizenship: 'CA' }, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.match(checkByName(mismatched, 'schema').reason, /citizenshipEncoded does not match/);
+
+  const wrongType = await verifyCredential(cit, { expectedType: 'date_of_birth' });
+  assert.match(checkByName(wrongType, 'schema').reason, /Expected a date_of_birth credential/);
+});
+
+test('trusted issuer check is skipped without a trust list', async () => {
+  const dob = await issueDOBCredential(DOB, USER_PUBKEY, 1, ISSUER_A_KEY);
+  const result = await verifyCredential(dob);
+  assert.equal(result.valid, true);
+  assert.equal(checkByName(result, 'trustedIssuer').skipped, true);
+});
+
+test('full issuer public keys are checked against the reduced form', async () => {
+  const dob = await issueDOBCredential(DOB, USER_PUBKEY, 1, ISSUER_A_KEY);
+
+  const byFullKey = await verifyCredential(dob, {
+    trustedIssuers: [{ name: 'Issuer A (DMV)', publicKey: getIssuerPublicKeyHex(ISSUER_A_KEY, true) }]
+  });
+  assert.equal(byFullKey.valid, true);
+
+  const mismatched = await verifyCredential({ ...dob, issuerPublicKey: getIssuerPublicKeyHex(ISSUER_B_KEY) });
+  assert.match(checkByName(mismatched, 'schema').reason, /not the reduced form of issuerPublicKey/);
+
+  const { issuerPublicKey, ...reducedOnly } = dob;
+  const legacy = await verifyCredential(reducedOnly, { trustedIssuers: TRUSTED_ISSUERS });
+  assert.equal(legacy.valid, true);
+});
+
+test('expired credentials fail the validity check, and a stretched window fails the signature', async () => {
+  const issuedAt = new Date('2025-01-01T00:00:00Z');
+  const validUntil = new Date('2026-01-01T00:00:00Z');
+  const cit = await issueCitizenshipCredential('US', USER_PUBKEY, 2, ISSUER_B_KEY, { issuedAt, validUntil });
+
+  const current = await verifyCredential(cit, { currentDate: new Date('2025-06-01T00:00:00Z') });
+  assert.equal(current.valid, true);
+  assert.match(checkByName(current, 'validity').reason, /^Valid until 2026-01-01/);
+
+  const expired = await verifyCredential(cit, { currentDate: new Date('2026-01-02T00:00:00Z') });
+  assert.equal(expired.valid, false);
+  assert.equal(checkByName(expired, 'signature').passed, true);
+  assert.match(describeFailedChecks(expired), /^Validity period: Credential expired on 2026-01-01/);
+
+  const stretched = { ...cit, validUntil: String(Number(cit.validUntil) + 365 * 24 * 3600) };
+  const result = await verifyCredential(stretched, { currentDate: new Date('2026-01-02T00:00:00Z') });
+  assert.equal(checkByName(result, 'signature').passed, false);
+});
+
+test('credentials without a validity window skip the validity check', async () => {
+  const dob = await issueDOBCredential(DOB, USER_PUBKEY, 1, ISSUER_A_KEY);
+  const result = await verifyCredential(dob, { currentDate: new Date('2100-01-01T00:00:00Z') });
+  assert.equal(result.valid, true);
+  assert.equal(checkByName(result, 'validity').skipped, true);
+});
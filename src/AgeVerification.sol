@@ -12,7 +12,7 @@ interface IVerifier {
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c,
-        uint[9] memory input
+        uint[11] memory input
     ) external view returns (bool);
 }
 
@@ -22,23 +22,97 @@ contract AgeVerification {
     /// @notice Reference to the zk-SNARK verifier contract
     IVerifier public verifier;
     
-    /// @notice Owner of the contract (can add/remove trusted issuers)
+    /// @notice Owner of the contract (sets the policy and appoints registrars)
     address public owner;
     
-    /// @notice Registry of trusted Issuer A public keys (for DOB credentials)
-    /// @dev Maps keccak256(issuerPubkeyX, issuerPubkeyY) => isTrusted
-    mapping(bytes32 => bool) public trustedIssuerA;
+    /// @notice Addresses besides the owner that may add, suspend and remove issuers
+    mapping(address => bool) public isRegistrar;
     
-    /// @notice Registry of trusted Issuer B public keys (for citizenship credentials)
-    /// @dev Maps keccak256(issuerPubkeyX, issuerPubkeyY) => isTrusted
-    mapping(bytes32 => bool) public trustedIssuerB;
+    /// @notice Lifecycle of an issuer registry entry
+    enum IssuerStatus { None, Active, Suspended }
+    
+    /// @notice Issuer registry entry
+    /// @dev schemas is a bitmask of the SCHEMA_* constants; validUntil 0 = no expiry
+    struct Issuer {
+        uint256 pubkeyX;
+        uint256 pubkeyY;
+        string name;
+        string jurisdiction;
+        uint8 schemas;
+        IssuerStatus status;
+        uint64 validFrom;
+        uint64 validUntil;
+        address addedBy;
+        uint64 addedAt;
+    }
+    
+    /// @notice Issuer registry, keyed by keccak256(issuerPubkeyX, issuerPubkeyY)
+    mapping(bytes32 => Issuer) public issuers;
+    
+    /// @dev Keys of all registry entries, for enumeration (order changes on removal)
+    bytes32[] internal issuerKeys;
+    
+    /// @dev 1-based position of each key in issuerKeys (0 = not registered)
+    mapping(bytes32 => uint256) internal issuerKeyPosition;
+    
+    /// @notice Schema bit for date_of_birth credentials (the proof's Issuer A)
+    uint8 public constant SCHEMA_DATE_OF_BIRTH = 1;
+    
+    /// @notice Schema bit for citizenship credentials (the proof's Issuer B)
+    uint8 public constant SCHEMA_CITIZENSHIP = 2;
     
     /// @notice Minimum age requirement (default: 18)
     uint256 public minAge;
     
+    /// @notice Exclusive maximum age (0 = no upper bound)
+    /// @dev Every circuit proves it through the packed age_policy input (see agePolicy)
+    uint256 public maxAge;
+    
+    /// @notice Ages stay below this bound when maxAge is set; agePolicy packs both into one input
+    uint256 public constant AGE_POLICY_BASE = 1000;
+    
     /// @notice Required citizenship (encoded as field element, default: "US")
     uint256 public requiredCitizenship;
     
+    /// @notice How far a proof's current_date may lie from block.timestamp, either way (seconds)
+    /// @dev Bounds how old a proof can be; set per product with setProofFreshnessWindow
+    uint256 public proofFreshnessWindow;
+    
+    /// @notice Freshness window of a new deployment, also the widest the owner can set
+    uint256 public constant MAX_PROOF_FRESHNESS_WINDOW = 365 days;
+    
+    /// @notice Root of the credential revocation sparse Merkle tree (0 = nothing revoked)
+    /// @dev Proofs must show both credential nullifiers are absent from the tree with this root
+    uint256 public revocationRoot;
+    
+    /// @notice Wallet each issued proof challenge was issued to (zero = never issued)
+    /// @dev Proofs must answer a challenge issued to their subject wallet, so they cannot be replayed
+    mapping(uint256 => address) public challengeSubject;
+    
+    /// @notice Challenges already answered by a proof accepted in verifyAndConsume
+    mapping(uint256 => bool) public challengeConsumed;
+    
+    /// @notice Number of challenges issued so far (makes each challenge unique)
+    uint256 public challengeCount;
+    
+    /// @notice Until when (Unix seconds) each wallet counts as verified; 0 = never verified
+    /// @dev Set by verifyAndConsume / verifyAndRecord, so integrators can check isVerified
+    ///      instead of re-running a Groth16 verification
+    mapping(address => uint256) public verifiedUntil;
+    
+    /// @notice How long an accepted proof keeps its wallet verified (seconds)
+    uint256 public verificationValidity;
+    
+    /// @notice Verification validity of a new deployment
+    uint256 public constant DEFAULT_VERIFICATION_VALIDITY = 30 days;
+    
+    /// @notice Longest verification validity the owner can set
+    uint256 public constant MAX_VERIFICATION_VALIDITY = 365 days;
+    
+    /// @dev BN254 scalar field size; challenges are circuit public inputs, so they must be below it
+    uint256 internal constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    
     // ============ Events ============
     
     /// @notice Emitted when a trusted issuer is added
@@ -47,6 +121,59 @@ contract AgeVerification {
     /// @notice Emitted when a trusted issuer is removed
     event TrustedIssuerRemoved(bytes32 indexed issuerKeyHash, bool isIssuerA);
     
+    /// @notice Emitted when an issuer is added to the registry
+    event IssuerAdded(
+        bytes32 indexed issuerKeyHash,
+        string name,
+        string jurisdiction,
+        uint8 schemas,
+        uint64 validFrom,
+        uint64 validUntil,
+        address indexed addedBy
+    );
+    
+    /// @notice Emitted when an issuer is suspended or reinstated
+    event IssuerStatusChanged(bytes32 indexed issuerKeyHash, IssuerStatus status, address indexed changedBy);
+    
+    /// @notice Emitted when an issuer is removed from the registry
+    event IssuerRemoved(bytes32 indexed issuerKeyHash, address indexed removedBy);
+    
+    /// @notice Emitted when the owner appoints or dismisses a registrar
+    event RegistrarUpdated(address indexed account, bool isRegistrar);
+    
+    /// @notice Emitted when a new revocation tree root is published
+    event RevocationRootUpdated(uint256 previousRoot, uint256 newRoot);
+    
+    /// @notice Emitted when the proof freshness window changes
+    event ProofFreshnessWindowUpdated(uint256 previousWindow, uint256 newWindow);
+    
+    /// @notice Emitted when the owner changes the age bounds
+    event AgePolicyUpdated(uint256 minAge, uint256 maxAge);
+    
+    /// @notice Emitted when a wallet is issued a proof challenge
+    event ChallengeIssued(address indexed subject, uint256 challenge);
+    
+    /// @notice Emitted when a proof answering a challenge is accepted and the challenge is used up
+    event ChallengeConsumed(address indexed subject, uint256 challenge);
+    
+    /// @notice Emitted when a wallet's verified-until time is set (0 = cleared by the owner)
+    event VerificationStatusUpdated(address indexed wallet, uint256 verifiedUntil);
+    
+    /// @notice Emitted when the verification validity changes
+    event VerificationValidityUpdated(uint256 previousValidity, uint256 newValidity);
+    
+    /// @notice Emitted by verifyAndRecord for every attempt, accepted or rejected (audit trail)
+    /// @dev Carries the public signals and the proof, so the decision can be re-checked later
+    event ProofVerificationRecorded(
+        address indexed user,
+        bool indexed result,
+        uint256 timestamp,
+        uint256[11] publicSignals,
+        uint256[2] proofA,
+        uint256[2][2] proofB,
+        uint256[2] proofC
+    );
+    
     // ============ Modifiers ============
     
     modifier onlyOwner() {
@@ -54,6 +181,11 @@ contract AgeVerification {
         _;
     }
     
+    modifier onlyRegistrar() {
+        require(msg.sender == owner || isRegistrar[msg.sender], "AgeVerification: caller is not a registrar");
+        _;
+    }
+    
     // ============ Constructor ============
     
     /**
@@ -61,6 +193,8 @@ contract AgeVerification {
      * @param _verifier Address of the zk-SNARK verifier contract
      * @param _minAge Minimum age requirement (default: 18)
      * @param _requiredCitizenship Required citizenship encoded as field element
+     * @dev The proof freshness window starts at MAX_PROOF_FRESHNESS_WINDOW, the
+     *      verification validity at DEFAULT_VERIFICATION_VALIDITY
      */
     constructor(
         address _verifier,
@@ -72,25 +206,48 @@ contract AgeVerification {
         owner = msg.sender;
         minAge = _minAge;
         requiredCitizenship = _requiredCitizenship;
+        proofFreshnessWindow = MAX_PROOF_FRESHNESS_WINDOW;
+        verificationValidity = DEFAULT_VERIFICATION_VALIDITY;
     }
     
     // ============ Public Functions ============
     
+    /**
+     * @notice Issue a fresh proof challenge to the caller
+     * @dev The wallet puts the challenge into its proof (public input [10]) and
+     *      submits the proof from the same wallet. Read the value from the
+     *      ChallengeIssued event, or from eth_call before sending the transaction.
+     * @return challenge Challenge for the caller's next proof
+     */
+    function issueChallenge() external returns (uint256 challenge) {
+        challenge = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(this), msg.sender, challengeCount))
+        ) % SNARK_SCALAR_FIELD;
+        challengeCount++;
+        challengeSubject[challenge] = msg.sender;
+        emit ChallengeIssued(msg.sender, challenge);
+    }
+    
     /**
      * @notice Verifies a zero-knowledge proof and returns true/false
      * @dev The proof must verify:
      *      1. Valid signature from trusted Issuer A on DOB credential
      *      2. Valid signature from trusted Issuer B on citizenship credential
-     *      3. Age >= minAge
+     *      3. Age >= minAge (and age < maxAge, when set)
      *      4. Citizenship == requiredCitizenship
      *      5. Both credentials belong to the same user
+     *      6. Neither credential is in the revocation tree with root revocationRoot
+     *      7. It answers an unused challenge issued to msg.sender
+     *      This is a read-only check; use verifyAndConsume to use up the challenge,
+     *      so the same proof cannot be presented again.
      * 
      * @param a Proof component a (G1 point)
      * @param b Proof component b (G2 point)
      * @param c Proof component c (G1 point)
      * @param input Public inputs to the circuit:
-     *        [0] = current_date
-     *        [1] = min_age
+     *        [0] = current_date (Unix seconds; date_of_birth is in days since
+     *              1900-01-01, see docs/DATE_ENCODING.md)
+     *        [1] = age_policy (see agePolicy)
      *        [2] = required_citizenship
      *        [3] = issuer_a_pubkey_x
      *        [4] = issuer_a_pubkey_y
@@ -98,13 +255,193 @@ contract AgeVerification {
      *        [6] = issuer_b_pubkey_y
      *        [7] = user_pubkey
      *        [8] = subject_wallet (uint160)
+     *        [9] = revocation_root
+     *        [10] = challenge (from issueChallenge)
      */
     function verifyProof(
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c,
-        uint[9] memory input
+        uint[11] memory input
     ) external view returns (bool) {
+        return _verifyProof(a, b, c, input);
+    }
+    
+    /**
+     * @notice Verifies a proof like verifyProof and, if it is accepted, uses up its challenge
+     *         and marks the sender verified for verificationValidity seconds
+     * @dev A rejected proof leaves the challenge unused and the status unchanged, so the wallet can retry
+     * @return True if the proof was accepted (its challenge is now consumed)
+     */
+    function verifyAndConsume(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[11] memory input
+    ) external returns (bool) {
+        if (!_verifyProof(a, b, c, input)) {
+            return false;
+        }
+        _acceptProof(input[10]);
+        return true;
+    }
+    
+    /**
+     * @notice Verifies a proof like verifyAndConsume and records the attempt on-chain
+     * @dev Emits ProofVerificationRecorded whether or not the proof is accepted, so
+     *      rejected attempts are audited too; an accepted proof uses up its challenge
+     *      and updates verifiedUntil.
+     *      Nothing but the public signals and the proof is recorded.
+     * @return result True if the proof was accepted (its challenge is now consumed)
+     */
+    function verifyAndRecord(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[11] memory input
+    ) external returns (bool result) {
+        result = _verifyProof(a, b, c, input);
+        if (result) {
+            _acceptProof(input[10]);
+        }
+        emit ProofVerificationRecorded(msg.sender, result, block.timestamp, input, a, b, c);
+    }
+    
+    /**
+     * @notice Whether a wallet has an accepted proof that is still within verificationValidity
+     * @dev One storage read, cheap enough for token transfer hooks. Status is not withdrawn
+     *      when a credential is revoked or the policy changes; the owner can clearVerification.
+     * @param wallet Wallet to check
+     * @return True if verifiedUntil[wallet] has not passed
+     */
+    function isVerified(address wallet) external view returns (bool) {
+        return block.timestamp <= verifiedUntil[wallet];
+    }
+    
+    /**
+     * @notice Whether an issuer may currently sign credentials of the given schemas
+     * @dev Active, every bit of `schemas` allowed, and block.timestamp within its validity period
+     * @param issuerKeyHash keccak256(issuerPubkeyX, issuerPubkeyY)
+     * @param schemas Bitmask of SCHEMA_* constants
+     */
+    function isTrustedIssuer(bytes32 issuerKeyHash, uint8 schemas) public view returns (bool) {
+        Issuer storage issuer = issuers[issuerKeyHash];
+        return issuer.status == IssuerStatus.Active
+            && issuer.schemas & schemas == schemas
+            && block.timestamp >= issuer.validFrom
+            && (issuer.validUntil == 0 || block.timestamp <= issuer.validUntil);
+    }
+    
+    /// @notice Whether an issuer is currently trusted for DOB credentials (proof input [3], [4])
+    function trustedIssuerA(bytes32 issuerKeyHash) external view returns (bool) {
+        return isTrustedIssuer(issuerKeyHash, SCHEMA_DATE_OF_BIRTH);
+    }
+    
+    /// @notice Whether an issuer is currently trusted for citizenship credentials (proof input [5], [6])
+    function trustedIssuerB(bytes32 issuerKeyHash) external view returns (bool) {
+        return isTrustedIssuer(issuerKeyHash, SCHEMA_CITIZENSHIP);
+    }
+    
+    /// @notice Number of issuers in the registry, suspended ones included
+    function issuerCount() external view returns (uint256) {
+        return issuerKeys.length;
+    }
+    
+    /// @notice Keys of every issuer in the registry; read each entry with issuers(key)
+    function getIssuerKeys() external view returns (bytes32[] memory) {
+        return issuerKeys;
+    }
+    
+    /**
+     * @notice Age bounds as the proof's age_policy input [1]: minAge without a maxAge,
+     *         else maxAge * AGE_POLICY_BASE + minAge (e.g. 21018 for 18 <= age < 21)
+     */
+    function agePolicy() public view returns (uint256) {
+        if (maxAge == 0) {
+            return minAge;
+        }
+        return maxAge * AGE_POLICY_BASE + minAge;
+    }
+    
+    // ============ Internal Functions ============
+    
+    /// @dev Use up the challenge of an accepted proof and mark msg.sender verified
+    function _acceptProof(uint256 challenge) internal {
+        challengeConsumed[challenge] = true;
+        emit ChallengeConsumed(msg.sender, challenge);
+        
+        uint256 until = block.timestamp + verificationValidity;
+        verifiedUntil[msg.sender] = until;
+        emit VerificationStatusUpdated(msg.sender, until);
+    }
+    
+    /// @dev Create an Active registry entry added by msg.sender (metadata left for the caller)
+    function _insertIssuer(bytes32 issuerHash, uint256 issuerPubkeyX, uint256 issuerPubkeyY, uint8 schemas) internal {
+        Issuer storage issuer = issuers[issuerHash];
+        issuer.pubkeyX = issuerPubkeyX;
+        issuer.pubkeyY = issuerPubkeyY;
+        issuer.schemas = schemas;
+        issuer.status = IssuerStatus.Active;
+        issuer.addedBy = msg.sender;
+        issuer.addedAt = uint64(block.timestamp);
+        issuerKeys.push(issuerHash);
+        issuerKeyPosition[issuerHash] = issuerKeys.length;
+    }
+    
+    /// @dev Delete a registry entry, moving the last key into its slot
+    function _deleteIssuer(bytes32 issuerHash) internal {
+        uint256 index = issuerKeyPosition[issuerHash] - 1;
+        bytes32 lastKey = issuerKeys[issuerKeys.length - 1];
+        issuerKeys[index] = lastKey;
+        issuerKeyPosition[lastKey] = index + 1;
+        issuerKeys.pop();
+        delete issuerKeyPosition[issuerHash];
+        delete issuers[issuerHash];
+        emit IssuerRemoved(issuerHash, msg.sender);
+    }
+    
+    /// @dev addTrustedIssuerA/B: allow a schema, registering the key first if needed
+    function _allowSchema(uint256 issuerPubkeyX, uint256 issuerPubkeyY, uint8 schema) internal returns (bytes32 issuerHash) {
+        issuerHash = keccak256(abi.encodePacked(issuerPubkeyX, issuerPubkeyY));
+        Issuer storage issuer = issuers[issuerHash];
+        if (issuer.status == IssuerStatus.None) {
+            _insertIssuer(issuerHash, issuerPubkeyX, issuerPubkeyY, schema);
+            emit IssuerAdded(issuerHash, "", "", schema, 0, 0, msg.sender);
+        } else {
+            issuer.schemas |= schema;
+        }
+    }
+    
+    /// @dev removeTrustedIssuerA/B: disallow a schema, removing the entry once none is left
+    function _disallowSchema(uint256 issuerPubkeyX, uint256 issuerPubkeyY, uint8 schema) internal returns (bytes32 issuerHash) {
+        issuerHash = keccak256(abi.encodePacked(issuerPubkeyX, issuerPubkeyY));
+        Issuer storage issuer = issuers[issuerHash];
+        if (issuer.status == IssuerStatus.None) {
+            return issuerHash;
+        }
+        issuer.schemas &= ~schema;
+        if (issuer.schemas == 0) {
+            _deleteIssuer(issuerHash);
+        }
+    }
+    
+    /// @dev Set both age bounds: no maxAge (0), or one above _minAge and below AGE_POLICY_BASE
+    function _setAgePolicy(uint256 _minAge, uint256 _maxAge) internal {
+        require(
+            _maxAge == 0 || (_maxAge > _minAge && _maxAge < AGE_POLICY_BASE),
+            "AgeVerification: age range out of bounds"
+        );
+        minAge = _minAge;
+        maxAge = _maxAge;
+        emit AgePolicyUpdated(_minAge, _maxAge);
+    }
+    
+    function _verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[11] memory input
+    ) internal view returns (bool) {
         // Verify the zk-SNARK proof
         if (!verifier.verifyProof(a, b, c, input)) {
             return false;
@@ -112,7 +449,7 @@ contract AgeVerification {
         
         // Extract public inputs
         uint256 currentDate = input[0];
-        uint256 proofMinAge = input[1];
+        uint256 proofAgePolicy = input[1];
         uint256 proofCitizenship = input[2];
         uint256 issuerAPubkeyX = input[3];
         uint256 issuerAPubkeyY = input[4];
@@ -120,16 +457,20 @@ contract AgeVerification {
         uint256 issuerBPubkeyY = input[6];
         uint256 userPubkey = input[7];
         uint256 subjectWallet = input[8];
+        uint256 proofRevocationRoot = input[9];
+        uint256 challenge = input[10];
         
-        // Verify current date is reasonable (within last year and next year)
-        // This prevents using old proofs
+        // Verify current date is within proofFreshnessWindow of block.timestamp
+        // This prevents using old proofs. current_date is Unix seconds like
+        // block.timestamp; the circuits convert the birth date to that scale
         uint256 currentTime = block.timestamp;
-        if (currentDate < currentTime - 365 days || currentDate > currentTime + 365 days) {
+        uint256 window = proofFreshnessWindow;
+        if (currentDate + window < currentTime || currentDate > currentTime + window) {
             return false;
         }
         
-        // Verify minimum age matches contract requirement
-        if (proofMinAge != minAge) {
+        // Verify the age bounds match the contract requirement
+        if (proofAgePolicy != agePolicy()) {
             return false;
         }
         
@@ -138,15 +479,20 @@ contract AgeVerification {
             return false;
         }
         
-        // Verify Issuer A is trusted
+        // Verify Issuer A is trusted for DOB credentials
         bytes32 issuerAHash = keccak256(abi.encodePacked(issuerAPubkeyX, issuerAPubkeyY));
-        if (!trustedIssuerA[issuerAHash]) {
+        if (!isTrustedIssuer(issuerAHash, SCHEMA_DATE_OF_BIRTH)) {
             return false;
         }
-        
-        // Verify Issuer B is trusted
+    
+        // Verify Issuer B is trusted for citizenship credentials
         bytes32 issuerBHash = keccak256(abi.encodePacked(issuerBPubkeyX, issuerBPubkeyY));
-        if (!trustedIssuerB[issuerBHash]) {
+        if (!isTrustedIssuer(issuerBHash, SCHEMA_CITIZENSHIP)) {
+            return false;
+        }
+
+        // Verify non-revocation was proven against the current revocation root
+        if (proofRevocationRoot != revocationRoot) {
             return false;
         }
 
@@ -160,13 +506,92 @@ contract AgeVerification {
             return false;
         }
 
+        // Verify the proof answers a challenge issued to this wallet that has not been used
+        if (challengeSubject[challenge] != msg.sender || challengeConsumed[challenge]) {
+            return false;
+        }
+
         return true;
     }
     
+    // ============ Registrar Functions ============
+    
+    /**
+     * @notice Add an issuer to the registry
+     * @param issuerPubkeyX X coordinate of issuer's public key
+     * @param issuerPubkeyY Y coordinate of issuer's public key
+     * @param name Display name, e.g. "Issuer A (DMV)"
+     * @param jurisdiction Where the issuer operates, e.g. "US-CA"
+     * @param schemas Credential schemas it may sign (bitmask of SCHEMA_* constants)
+     * @param validFrom Trusted from (Unix seconds, 0 = immediately)
+     * @param validUntil Trusted until (Unix seconds, 0 = no expiry)
+     * @return issuerHash Registry key, keccak256(issuerPubkeyX, issuerPubkeyY)
+     */
+    function addIssuer(
+        uint256 issuerPubkeyX,
+        uint256 issuerPubkeyY,
+        string calldata name,
+        string calldata jurisdiction,
+        uint8 schemas,
+        uint64 validFrom,
+        uint64 validUntil
+    ) external onlyRegistrar returns (bytes32 issuerHash) {
+        require(
+            schemas != 0 && schemas <= (SCHEMA_DATE_OF_BIRTH | SCHEMA_CITIZENSHIP),
+            "AgeVerification: invalid issuer schemas"
+        );
+        require(
+            validUntil == 0 || validUntil > validFrom,
+            "AgeVerification: invalid issuer validity period"
+        );
+        issuerHash = keccak256(abi.encodePacked(issuerPubkeyX, issuerPubkeyY));
+        require(issuers[issuerHash].status == IssuerStatus.None, "AgeVerification: issuer already registered");
+    
+        _insertIssuer(issuerHash, issuerPubkeyX, issuerPubkeyY, schemas);
+        Issuer storage issuer = issuers[issuerHash];
+        issuer.name = name;
+        issuer.jurisdiction = jurisdiction;
+        issuer.validFrom = validFrom;
+        issuer.validUntil = validUntil;
+        emit IssuerAdded(issuerHash, name, jurisdiction, schemas, validFrom, validUntil, msg.sender);
+    }
+    
+    /**
+     * @notice Stop trusting an issuer without deleting its entry
+     * @dev Proofs from a suspended issuer are rejected until it is reinstated
+     * @param issuerKeyHash Registry key of the issuer
+     */
+    function suspendIssuer(bytes32 issuerKeyHash) external onlyRegistrar {
+        require(issuers[issuerKeyHash].status == IssuerStatus.Active, "AgeVerification: issuer is not active");
+        issuers[issuerKeyHash].status = IssuerStatus.Suspended;
+        emit IssuerStatusChanged(issuerKeyHash, IssuerStatus.Suspended, msg.sender);
+    }
+    
+    /**
+     * @notice Trust a suspended issuer again
+     * @param issuerKeyHash Registry key of the issuer
+     */
+    function reinstateIssuer(bytes32 issuerKeyHash) external onlyRegistrar {
+        require(issuers[issuerKeyHash].status == IssuerStatus.Suspended, "AgeVerification: issuer is not suspended");
+        issuers[issuerKeyHash].status = IssuerStatus.Active;
+        emit IssuerStatusChanged(issuerKeyHash, IssuerStatus.Active, msg.sender);
+    }
+    
+    /**
+     * @notice Delete an issuer from the registry
+     * @param issuerKeyHash Registry key of the issuer
+     */
+    function removeIssuer(bytes32 issuerKeyHash) external onlyRegistrar {
+        require(issuers[issuerKeyHash].status != IssuerStatus.None, "AgeVerification: issuer not registered");
+        _deleteIssuer(issuerKeyHash);
+    }
+    
     // ============ Owner Functions ============
     
     /**
      * @notice Add a trusted Issuer A (DOB issuer)
+     * @dev Shorthand for the registry: allows date_of_birth for the key, adding an
+     *      unnamed entry with no expiry if it is not registered yet
      * @param issuerPubkeyX X coordinate of issuer's public key
      * @param issuerPubkeyY Y coordinate of issuer's public key
      */
@@ -174,13 +599,13 @@ contract AgeVerification {
         uint256 issuerPubkeyX,
         uint256 issuerPubkeyY
     ) external onlyOwner {
-        bytes32 issuerHash = keccak256(abi.encodePacked(issuerPubkeyX, issuerPubkeyY));
-        trustedIssuerA[issuerHash] = true;
+        bytes32 issuerHash = _allowSchema(issuerPubkeyX, issuerPubkeyY, SCHEMA_DATE_OF_BIRTH);
         emit TrustedIssuerAdded(issuerHash, true);
     }
     
     /**
      * @notice Add a trusted Issuer B (citizenship issuer)
+     * @dev Shorthand for the registry, see addTrustedIssuerA
      * @param issuerPubkeyX X coordinate of issuer's public key
      * @param issuerPubkeyY Y coordinate of issuer's public key
      */
@@ -188,13 +613,13 @@ contract AgeVerification {
         uint256 issuerPubkeyX,
         uint256 issuerPubkeyY
     ) external onlyOwner {
-        bytes32 issuerHash = keccak256(abi.encodePacked(issuerPubkeyX, issuerPubkeyY));
-        trustedIssuerB[issuerHash] = true;
+        bytes32 issuerHash = _allowSchema(issuerPubkeyX, issuerPubkeyY, SCHEMA_CITIZENSHIP);
         emit TrustedIssuerAdded(issuerHash, false);
     }
     
     /**
      * @notice Remove a trusted Issuer A
+     * @dev Disallows date_of_birth for the key; an entry left with no schemas is removed
      * @param issuerPubkeyX X coordinate of issuer's public key
      * @param issuerPubkeyY Y coordinate of issuer's public key
      */
@@ -202,13 +627,13 @@ contract AgeVerification {
         uint256 issuerPubkeyX,
         uint256 issuerPubkeyY
     ) external onlyOwner {
-        bytes32 issuerHash = keccak256(abi.encodePacked(issuerPubkeyX, issuerPubkeyY));
-        trustedIssuerA[issuerHash] = false;
+        bytes32 issuerHash = _disallowSchema(issuerPubkeyX, issuerPubkeyY, SCHEMA_DATE_OF_BIRTH);
         emit TrustedIssuerRemoved(issuerHash, true);
     }
     
     /**
      * @notice Remove a trusted Issuer B
+     * @dev Disallows citizenship for the key; an entry left with no schemas is removed
      * @param issuerPubkeyX X coordinate of issuer's public key
      * @param issuerPubkeyY Y coordinate of issuer's public key
      */
@@ -216,18 +641,36 @@ contract AgeVerification {
         uint256 issuerPubkeyX,
         uint256 issuerPubkeyY
     ) external onlyOwner {
-        bytes32 issuerHash = keccak256(abi.encodePacked(issuerPubkeyX, issuerPubkeyY));
-        trustedIssuerB[issuerHash] = false;
+        bytes32 issuerHash = _disallowSchema(issuerPubkeyX, issuerPubkeyY, SCHEMA_CITIZENSHIP);
         emit TrustedIssuerRemoved(issuerHash, false);
     }
     
+    /**
+     * @notice Appoint or dismiss a registrar (may add, suspend, reinstate and remove issuers)
+     * @param account Registrar address
+     * @param allowed True to appoint, false to dismiss
+     */
+    function setRegistrar(address account, bool allowed) external onlyOwner {
+        isRegistrar[account] = allowed;
+        emit RegistrarUpdated(account, allowed);
+    }
     
     /**
      * @notice Update minimum age requirement
+     * @dev Keeps maxAge; must stay below it when one is set
      * @param _minAge New minimum age requirement
      */
     function setMinAge(uint256 _minAge) external onlyOwner {
-        minAge = _minAge;
+        _setAgePolicy(_minAge, maxAge);
+    }
+    
+    /**
+     * @notice Update both age bounds, e.g. (65, 0) for 65+, (18, 21) for 18-20, (0, 26) for under 26
+     * @param _minAge New minimum age
+     * @param _maxAge New exclusive maximum age (0 = no upper bound, else above _minAge and below AGE_POLICY_BASE)
+     */
+    function setAgePolicy(uint256 _minAge, uint256 _maxAge) external onlyOwner {
+        _setAgePolicy(_minAge, _maxAge);
     }
     
     /**
@@ -238,6 +681,55 @@ contract AgeVerification {
         requiredCitizenship = _requiredCitizenship;
     }
     
+    /**
+     * @notice Update how far a proof's current_date may lie from block.timestamp
+     * @dev E.g. 5 minutes for a checkout, 30 days for account onboarding
+     * @param _proofFreshnessWindow New window in seconds (1 to MAX_PROOF_FRESHNESS_WINDOW)
+     */
+    function setProofFreshnessWindow(uint256 _proofFreshnessWindow) external onlyOwner {
+        require(
+            _proofFreshnessWindow > 0 && _proofFreshnessWindow <= MAX_PROOF_FRESHNESS_WINDOW,
+            "AgeVerification: freshness window out of range"
+        );
+        emit ProofFreshnessWindowUpdated(proofFreshnessWindow, _proofFreshnessWindow);
+        proofFreshnessWindow = _proofFreshnessWindow;
+    }
+    
+    /**
+     * @notice Update how long an accepted proof keeps its wallet verified
+     * @dev Applies to proofs accepted from now on; existing verifiedUntil values are kept
+     * @param _verificationValidity New validity in seconds (1 to MAX_VERIFICATION_VALIDITY)
+     */
+    function setVerificationValidity(uint256 _verificationValidity) external onlyOwner {
+        require(
+            _verificationValidity > 0 && _verificationValidity <= MAX_VERIFICATION_VALIDITY,
+            "AgeVerification: verification validity out of range"
+        );
+        emit VerificationValidityUpdated(verificationValidity, _verificationValidity);
+        verificationValidity = _verificationValidity;
+    }
+    
+    /**
+     * @notice Withdraw a wallet's verified status, e.g. after revoking its credential
+     * @dev The wallet can verify again with a new proof
+     * @param wallet Wallet whose status is cleared
+     */
+    function clearVerification(address wallet) external onlyOwner {
+        verifiedUntil[wallet] = 0;
+        emit VerificationStatusUpdated(wallet, 0);
+    }
+    
+    /**
+     * @notice Publish the root of the credential revocation tree
+     * @dev Proofs generated against an older root are rejected, so holders must
+     *      regenerate their proof after a revocation (see sdk/src/revocation.js)
+     * @param _revocationRoot New revocation tree root
+     */
+    function setRevocationRoot(uint256 _revocationRoot) external onlyOwner {
+        emit RevocationRootUpdated(revocationRoot, _revocationRoot);
+        revocationRoot = _revocationRoot;
+    }
+    
     /**
      * @notice Transfer ownership of the contract
      * @param newOwner Address of the new owner
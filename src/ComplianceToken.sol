@@ -0,0 +1,172 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ComplianceToken
+ * @notice Reference ERC-20 whose holders must be verified by AgeVerification
+ * @dev Shows how a restricted token (e.g. a tokenized security) consumes the
+ *      verification registry: minting, transfer and transferFrom check
+ *      isVerified for the sender and the recipient instead of a new proof.
+ *      Demo code, not audited.
+ */
+interface IVerificationRegistry {
+    function isVerified(address wallet) external view returns (bool);
+}
+
+contract ComplianceToken {
+    // ============ State Variables ============
+
+    /// @notice Token name
+    string public name;
+
+    /// @notice Token symbol
+    string public symbol;
+
+    /// @notice Token decimals
+    uint8 public constant decimals = 18;
+
+    /// @notice Total amount of tokens in existence
+    uint256 public totalSupply;
+
+    /// @notice Token balance of each holder
+    mapping(address => uint256) public balanceOf;
+
+    /// @notice Amount each spender may transfer on behalf of each holder
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    /// @notice Owner of the contract (can mint and change the registry)
+    address public owner;
+
+    /// @notice Registry that decides who may hold the token (AgeVerification)
+    IVerificationRegistry public verificationRegistry;
+
+    // ============ Events ============
+
+    /// @notice ERC-20 transfer (from = zero address for mints)
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    /// @notice ERC-20 approval
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    /// @notice Emitted when the token switches to another verification registry
+    event VerificationRegistryUpdated(address previousRegistry, address newRegistry);
+
+    // ============ Modifiers ============
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "ComplianceToken: caller is not the owner");
+        _;
+    }
+
+    // ============ Constructor ============
+
+    /**
+     * @notice Deploys the token
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _verificationRegistry AgeVerification (or any contract with isVerified)
+     */
+    constructor(string memory _name, string memory _symbol, address _verificationRegistry) {
+        require(_verificationRegistry != address(0), "ComplianceToken: registry cannot be zero address");
+        name = _name;
+        symbol = _symbol;
+        owner = msg.sender;
+        verificationRegistry = IVerificationRegistry(_verificationRegistry);
+    }
+
+    // ============ Public Functions ============
+
+    /**
+     * @notice Transfer tokens; sender and recipient must both be verified
+     * @param to Recipient
+     * @param amount Amount to transfer
+     * @return True on success (reverts otherwise)
+     */
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Transfer tokens on behalf of `from`; `from` and `to` must both be verified
+     * @dev The spender itself is not checked: it never holds the tokens
+     * @param from Holder
+     * @param to Recipient
+     * @param amount Amount to transfer
+     * @return True on success (reverts otherwise)
+     */
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        if (allowed != type(uint256).max) {
+            require(allowed >= amount, "ComplianceToken: insufficient allowance");
+            allowance[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Allow `spender` to transfer up to `amount` of the caller's tokens
+     * @return True
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    /**
+     * @notice Whether a transfer between two wallets would pass the compliance checks
+     * @dev Does not check balances or allowances
+     */
+    function canTransfer(address from, address to) external view returns (bool) {
+        return verificationRegistry.isVerified(from) && verificationRegistry.isVerified(to);
+    }
+
+    // ============ Owner Functions ============
+
+    /**
+     * @notice Mint tokens to a verified wallet
+     * @param to Recipient (must be verified)
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 amount) external onlyOwner {
+        require(to != address(0), "ComplianceToken: mint to zero address");
+        require(verificationRegistry.isVerified(to), "ComplianceToken: recipient is not verified");
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    /**
+     * @notice Point the token at another verification registry
+     * @param _verificationRegistry New registry
+     */
+    function setVerificationRegistry(address _verificationRegistry) external onlyOwner {
+        require(_verificationRegistry != address(0), "ComplianceToken: registry cannot be zero address");
+        emit VerificationRegistryUpdated(address(verificationRegistry), _verificationRegistry);
+        verificationRegistry = IVerificationRegistry(_verificationRegistry);
+    }
+
+    /**
+     * @notice Transfer ownership of the contract
+     * @param newOwner Address of the new owner
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "ComplianceToken: new owner is zero address");
+        owner = newOwner;
+    }
+
+    // ============ Internal Functions ============
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(to != address(0), "ComplianceToken: transfer to zero address");
+        require(verificationRegistry.isVerified(from), "ComplianceToken: sender is not verified");
+        require(verificationRegistry.isVerified(to), "ComplianceToken: recipient is not verified");
+        uint256 balance = balanceOf[from];
+        require(balance >= amount, "ComplianceToken: transfer amount exceeds balance");
+        balanceOf[from] = balance - amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+}
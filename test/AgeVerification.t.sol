@@ -5,6 +5,18 @@ import {Test} from "forge-std/Test.sol";
 import {AgeVerification} from "../src/AgeVerification.sol";
 import {Groth16Verifier} from "../src/Verifier.sol";
 
+/// @dev Accepts every proof, to test AgeVerification's public-input checks in isolation
+contract AcceptingVerifier {
+    function verifyProof(
+        uint[2] memory,
+        uint[2][2] memory,
+        uint[2] memory,
+        uint[11] memory
+    ) external pure returns (bool) {
+        return true;
+    }
+}
+
 /**
  * @title AgeVerificationTest
  * @notice Foundry tests for the AgeVerification contract
@@ -26,6 +38,33 @@ contract AgeVerificationTest is Test {
     uint256 public issuerBPubkeyY;
     
     event TrustedIssuerAdded(bytes32 indexed issuerKeyHash, bool isIssuerA);
+    event IssuerAdded(
+        bytes32 indexed issuerKeyHash,
+        string name,
+        string jurisdiction,
+        uint8 schemas,
+        uint64 validFrom,
+        uint64 validUntil,
+        address indexed addedBy
+    );
+    event IssuerStatusChanged(bytes32 indexed issuerKeyHash, AgeVerification.IssuerStatus status, address indexed changedBy);
+    event IssuerRemoved(bytes32 indexed issuerKeyHash, address indexed removedBy);
+    event RevocationRootUpdated(uint256 previousRoot, uint256 newRoot);
+    event ProofFreshnessWindowUpdated(uint256 previousWindow, uint256 newWindow);
+    event AgePolicyUpdated(uint256 minAge, uint256 maxAge);
+    event ChallengeIssued(address indexed subject, uint256 challenge);
+    event ChallengeConsumed(address indexed subject, uint256 challenge);
+    event VerificationStatusUpdated(address indexed wallet, uint256 verifiedUntil);
+    event VerificationValidityUpdated(uint256 previousValidity, uint256 newValidity);
+    event ProofVerificationRecorded(
+        address indexed user,
+        bool indexed result,
+        uint256 timestamp,
+        uint256[11] publicSignals,
+        uint256[2] proofA,
+        uint256[2][2] proofB,
+        uint256[2] proofC
+    );
     
     function setUp() public {
         owner = address(this);
@@ -53,6 +92,8 @@ contract AgeVerificationTest is Test {
         assertEq(ageVerification.owner(), owner);
         assertEq(ageVerification.minAge(), MIN_AGE);
         assertEq(ageVerification.requiredCitizenship(), REQUIRED_CITIZENSHIP);
+        assertEq(ageVerification.proofFreshnessWindow(), 365 days);
+        assertEq(ageVerification.verificationValidity(), 30 days);
     }
     
     function test_AddTrustedIssuerA() public {
@@ -91,12 +132,248 @@ contract AgeVerificationTest is Test {
         ageVerification.removeTrustedIssuerA(issuerAPubkeyX, issuerAPubkeyY);
         assertFalse(ageVerification.trustedIssuerA(issuerHash));
     }
+
+    function test_TrustedIssuerShorthandsUseRegistry() public {
+        bytes32 issuerHash = keccak256(abi.encodePacked(issuerAPubkeyX, issuerAPubkeyY));
+
+        // One key may be trusted for both credential types
+        ageVerification.addTrustedIssuerA(issuerAPubkeyX, issuerAPubkeyY);
+        ageVerification.addTrustedIssuerB(issuerAPubkeyX, issuerAPubkeyY);
+        assertEq(ageVerification.issuerCount(), 1);
+        assertTrue(ageVerification.trustedIssuerB(issuerHash));
+        (, , , , uint8 schemas, , , , address addedBy, ) = ageVerification.issuers(issuerHash);
+        assertEq(schemas, 3);
+        assertEq(addedBy, owner);
+
+        // The entry goes once no credential type is left
+        ageVerification.removeTrustedIssuerA(issuerAPubkeyX, issuerAPubkeyY);
+        assertEq(ageVerification.issuerCount(), 1);
+        ageVerification.removeTrustedIssuerB(issuerAPubkeyX, issuerAPubkeyY);
+        assertEq(ageVerification.issuerCount(), 0);
+        assertFalse(ageVerification.trustedIssuerB(issuerHash));
+    }
+
+    function test_AddIssuer() public {
+        vm.warp(1_700_000_000);
+        bytes32 issuerHash = keccak256(abi.encodePacked(issuerAPubkeyX, issuerAPubkeyY));
+
+        vm.expectEmit(true, true, false, true);
+        emit IssuerAdded(issuerHash, "Issuer A (DMV)", "US-CA", 1, 0, 1_800_000_000, owner);
+        bytes32 added = ageVerification.addIssuer(
+            issuerAPubkeyX, issuerAPubkeyY, "Issuer A (DMV)", "US-CA", 1, 0, 1_800_000_000
+        );
+        assertEq(added, issuerHash);
+
+        (
+            uint256 pubkeyX,
+            ,
+            string memory name,
+            string memory jurisdiction,
+            uint8 schemas,
+            AgeVerification.IssuerStatus status,
+            ,
+            uint64 validUntil,
+            ,
+            uint64 addedAt
+        ) = ageVerification.issuers(issuerHash);
+        assertEq(pubkeyX, issuerAPubkeyX);
+        assertEq(name, "Issuer A (DMV)");
+        assertEq(jurisdiction, "US-CA");
+        assertEq(schemas, 1);
+        assertEq(uint8(status), uint8(AgeVerification.IssuerStatus.Active));
+        assertEq(validUntil, 1_800_000_000);
+        assertEq(addedAt, 1_700_000_000);
+
+        bytes32[] memory keys = ageVerification.getIssuerKeys();
+        assertEq(keys.length, 1);
+        assertEq(keys[0], issuerHash);
+
+        // Trusted for DOB credentials only
+        assertTrue(ageVerification.trustedIssuerA(issuerHash));
+        assertFalse(ageVerification.trustedIssuerB(issuerHash));
+    }
+
+    function test_AddIssuerValidatesMetadata() public {
+        vm.expectRevert("AgeVerification: invalid issuer schemas");
+        ageVerification.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 0, 0, 0);
+
+        vm.expectRevert("AgeVerification: invalid issuer schemas");
+        ageVerification.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 4, 0, 0);
+
+        vm.expectRevert("AgeVerification: invalid issuer validity period");
+        ageVerification.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 1, 2_000, 1_000);
+
+        ageVerification.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 1, 0, 0);
+        vm.expectRevert("AgeVerification: issuer already registered");
+        ageVerification.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 3, 0, 0);
+    }
+
+    function test_RegistrarsManageIssuers() public {
+        bytes32 issuerHash = keccak256(abi.encodePacked(issuerAPubkeyX, issuerAPubkeyY));
+
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not a registrar");
+        ageVerification.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 1, 0, 0);
+
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not the owner");
+        ageVerification.setRegistrar(user, true);
+
+        ageVerification.setRegistrar(user, true);
+        assertTrue(ageVerification.isRegistrar(user));
+
+        vm.prank(user);
+        ageVerification.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 1, 0, 0);
+        (, , , , , , , , address addedBy, ) = ageVerification.issuers(issuerHash);
+        assertEq(addedBy, user);
+
+        // Registrars manage issuers, not the policy or the legacy shorthands
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not the owner");
+        ageVerification.addTrustedIssuerB(issuerBPubkeyX, issuerBPubkeyY);
+
+        ageVerification.setRegistrar(user, false);
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not a registrar");
+        ageVerification.suspendIssuer(issuerHash);
+    }
+
+    function test_SuspendAndReinstateIssuer() public {
+        AgeVerification gated = _gatedVerification();
+        bytes32 issuerHash = keccak256(abi.encodePacked(issuerAPubkeyX, issuerAPubkeyY));
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+
+        vm.expectEmit(true, true, false, true);
+        emit IssuerStatusChanged(issuerHash, AgeVerification.IssuerStatus.Suspended, owner);
+        gated.suspendIssuer(issuerHash);
+        assertFalse(gated.trustedIssuerA(issuerHash));
+        assertEq(gated.issuerCount(), 2);
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+
+        vm.expectRevert("AgeVerification: issuer is not active");
+        gated.suspendIssuer(issuerHash);
+
+        gated.reinstateIssuer(issuerHash);
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+
+        vm.expectRevert("AgeVerification: issuer is not suspended");
+        gated.reinstateIssuer(issuerHash);
+    }
+
+    function test_IssuerValidityPeriod() public {
+        AgeVerification gated = new AgeVerification(address(new AcceptingVerifier()), MIN_AGE, REQUIRED_CITIZENSHIP);
+        vm.warp(1_700_000_000);
+        gated.addIssuer(issuerAPubkeyX, issuerAPubkeyY, "DMV", "US", 1, 1_700_000_100, 1_700_000_200);
+        bytes32 issuerHash = keccak256(abi.encodePacked(issuerAPubkeyX, issuerAPubkeyY));
+
+        assertFalse(gated.trustedIssuerA(issuerHash));
+        vm.warp(1_700_000_100);
+        assertTrue(gated.trustedIssuerA(issuerHash));
+        vm.warp(1_700_000_200);
+        assertTrue(gated.trustedIssuerA(issuerHash));
+        vm.warp(1_700_000_201);
+        assertFalse(gated.trustedIssuerA(issuerHash));
+    }
+
+    function test_MultipleIssuersPerSchema() public {
+        AgeVerification gated = _gatedVerification();
+        uint256 secondX = 0x1111;
+        uint256 secondY = 0x2222;
+        gated.addIssuer(secondX, secondY, "Second DMV", "US-NY", 1, 0, 0);
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+
+        // Either DOB issuer is accepted
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+        input[3] = secondX;
+        input[4] = secondY;
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+
+        // ...but not for citizenship, which it is not registered for
+        input[5] = secondX;
+        input[6] = secondY;
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+    }
+
+    function test_RemoveIssuer() public {
+        bytes32 first = ageVerification.addIssuer(1, 1, "First", "US", 1, 0, 0);
+        bytes32 second = ageVerification.addIssuer(2, 2, "Second", "US", 2, 0, 0);
+        bytes32 third = ageVerification.addIssuer(3, 3, "Third", "US", 3, 0, 0);
+
+        vm.expectEmit(true, true, false, true);
+        emit IssuerRemoved(first, owner);
+        ageVerification.removeIssuer(first);
+
+        // The last key moves into the freed slot
+        bytes32[] memory keys = ageVerification.getIssuerKeys();
+        assertEq(keys.length, 2);
+        assertEq(keys[0], third);
+        assertEq(keys[1], second);
+        assertFalse(ageVerification.trustedIssuerA(first));
+        (, , string memory name, , , , , , , ) = ageVerification.issuers(first);
+        assertEq(bytes(name).length, 0);
+
+        vm.expectRevert("AgeVerification: issuer not registered");
+        ageVerification.removeIssuer(first);
+
+        // A removed key can be registered again
+        ageVerification.addIssuer(1, 1, "First", "US", 1, 0, 0);
+        assertEq(ageVerification.issuerCount(), 3);
+    }
     
     
     function test_SetMinAge() public {
         uint256 newMinAge = 21;
         ageVerification.setMinAge(newMinAge);
         assertEq(ageVerification.minAge(), newMinAge);
+        assertEq(ageVerification.agePolicy(), newMinAge);
+    }
+    
+    function test_SetAgePolicy() public {
+        assertEq(ageVerification.maxAge(), 0);
+        assertEq(ageVerification.agePolicy(), MIN_AGE);
+
+        vm.expectEmit(false, false, false, true);
+        emit AgePolicyUpdated(18, 21);
+        ageVerification.setAgePolicy(18, 21);
+        assertEq(ageVerification.minAge(), 18);
+        assertEq(ageVerification.maxAge(), 21);
+        assertEq(ageVerification.agePolicy(), 21018);
+
+        // Youth plans: no lower bound
+        ageVerification.setAgePolicy(0, 26);
+        assertEq(ageVerification.agePolicy(), 26000);
+
+        // setMinAge keeps the upper bound
+        ageVerification.setMinAge(16);
+        assertEq(ageVerification.agePolicy(), 26016);
+        vm.expectRevert("AgeVerification: age range out of bounds");
+        ageVerification.setMinAge(26);
+
+        // Senior pricing: no upper bound, the input is min_age again
+        ageVerification.setAgePolicy(65, 0);
+        assertEq(ageVerification.agePolicy(), 65);
+
+        vm.expectRevert("AgeVerification: age range out of bounds");
+        ageVerification.setAgePolicy(21, 18);
+        vm.expectRevert("AgeVerification: age range out of bounds");
+        ageVerification.setAgePolicy(18, 1000);
+
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not the owner");
+        ageVerification.setAgePolicy(18, 21);
     }
     
     function test_SetRequiredCitizenship() public {
@@ -124,7 +401,10 @@ contract AgeVerificationTest is Test {
             uint256(0x0205872169f466cfc81446d9632fca66171b10a48e1b2de94d9705d6c5559fef),
             uint256(0x1e158f6b6317b3735a1bbfbee99c40a641be86da9dffd57b4f299bcfe4e3eb2f)
         ];
-        uint[9] memory input = [
+        // Public signals from `npm run generate:proof` (credentials/proof.json);
+        // regenerate together with src/Verifier.sol whenever the circuit changes.
+        // The proof answers the first challenge this contract issues to the proof wallet.
+        uint[11] memory input = [
             uint256(0x0000000000000000000000000000000000000000000000000000000069693a5b),
             uint256(0x0000000000000000000000000000000000000000000000000000000000000012),
             uint256(0x0000000000000000000000000000000000000000000000000000000000005553),
@@ -133,7 +413,9 @@ contract AgeVerificationTest is Test {
             uint256(0x267ce160b14743131a8ee4f3894bff3a21e8fd1b0468c0fef9dec9b1beffb9a2),
             uint256(0x2410c94922451e7706a2311fea92c3ced4dc36fc967e183764a191265e369527),
             uint256(0x00000000000000000000000090f8bf6a479f320ead074411a4b0e7944ea8c9c1),
-            uint256(0x00000000000000000000000090f8bf6a479f320ead074411a4b0e7944ea8c9c1)
+            uint256(0x00000000000000000000000090f8bf6a479f320ead074411a4b0e7944ea8c9c1),
+            uint256(0x0000000000000000000000000000000000000000000000000000000000000000),
+            uint256(0x0000000000000000000000000000000000000000000000000000000000000000)
         ];
 
         // Register issuers from proof inputs
@@ -144,11 +426,321 @@ contract AgeVerificationTest is Test {
         vm.warp(input[0]);
 
         address proofWallet = address(uint160(input[8]));
+        vm.prank(proofWallet);
+        input[10] = ageVerification.issueChallenge();
+
         vm.prank(proofWallet);
         bool ok = ageVerification.verifyProof(a, b, c, input);
         assertTrue(ok);
     }
 
+    function test_SetRevocationRoot() public {
+        uint256 newRoot = 0x2a;
+
+        vm.expectEmit(false, false, false, true);
+        emit RevocationRootUpdated(0, newRoot);
+
+        ageVerification.setRevocationRoot(newRoot);
+        assertEq(ageVerification.revocationRoot(), newRoot);
+    }
+
+    function test_OnlyOwnerCanSetRevocationRoot() public {
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not the owner");
+        ageVerification.setRevocationRoot(0x2a);
+    }
+
+    function test_SetProofFreshnessWindow() public {
+        vm.expectEmit(false, false, false, true);
+        emit ProofFreshnessWindowUpdated(365 days, 5 minutes);
+
+        ageVerification.setProofFreshnessWindow(5 minutes);
+        assertEq(ageVerification.proofFreshnessWindow(), 5 minutes);
+
+        vm.expectRevert("AgeVerification: freshness window out of range");
+        ageVerification.setProofFreshnessWindow(0);
+
+        vm.expectRevert("AgeVerification: freshness window out of range");
+        ageVerification.setProofFreshnessWindow(366 days);
+
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not the owner");
+        ageVerification.setProofFreshnessWindow(30 days);
+    }
+
+    /// @dev AgeVerification over AcceptingVerifier, with the test issuers registered
+    function _gatedVerification() internal returns (AgeVerification gated) {
+        gated = new AgeVerification(address(new AcceptingVerifier()), MIN_AGE, REQUIRED_CITIZENSHIP);
+        gated.addTrustedIssuerA(issuerAPubkeyX, issuerAPubkeyY);
+        gated.addTrustedIssuerB(issuerBPubkeyX, issuerBPubkeyY);
+        vm.warp(1_700_000_000);
+    }
+
+    /// @dev Public inputs that satisfy every policy check for `user`, answering `challenge`
+    function _acceptedInput(uint256 challenge) internal view returns (uint[11] memory) {
+        return [
+            block.timestamp,
+            MIN_AGE,
+            REQUIRED_CITIZENSHIP,
+            issuerAPubkeyX,
+            issuerAPubkeyY,
+            issuerBPubkeyX,
+            issuerBPubkeyY,
+            uint256(uint160(user)),
+            uint256(uint160(user)),
+            0,
+            challenge
+        ];
+    }
+
+    function test_VerifyProofRequiresCurrentRevocationRoot() public {
+        AgeVerification gated = _gatedVerification();
+
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+
+        // A credential was revoked: proofs against the previous root no longer verify
+        gated.setRevocationRoot(0x2a);
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+
+        input[9] = 0x2a;
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+    }
+
+    function test_VerifyProofChecksAgePolicy() public {
+        AgeVerification gated = _gatedVerification();
+        gated.setAgePolicy(18, 21);
+
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+
+        // A min_age-only proof does not satisfy a range policy
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+
+        input[1] = 21018;
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+
+        input[1] = 25018;
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+    }
+
+    function test_VerifyProofRespectsFreshnessWindow() public {
+        AgeVerification gated = _gatedVerification();
+        gated.setProofFreshnessWindow(5 minutes);
+
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+
+        vm.warp(block.timestamp + 5 minutes);
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+
+        vm.warp(block.timestamp + 1);
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+
+        // Widening the window makes the same proof fresh enough again
+        gated.setProofFreshnessWindow(30 days);
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+
+        // Proofs dated in the future are bounded by the same window
+        input[0] = block.timestamp + 30 days + 1;
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+    }
+
+    function test_IssueChallenge() public {
+        vm.recordLogs();
+        vm.prank(user);
+        uint256 first = ageVerification.issueChallenge();
+        vm.prank(user);
+        uint256 second = ageVerification.issueChallenge();
+
+        assertTrue(first != second);
+        assertLt(first, 21888242871839275222246405745257275088548364400416034343698204186575808495617);
+        assertEq(ageVerification.challengeSubject(first), user);
+        assertEq(ageVerification.challengeCount(), 2);
+        assertFalse(ageVerification.challengeConsumed(first));
+        assertEq(vm.getRecordedLogs()[0].topics[0], ChallengeIssued.selector);
+    }
+
+    function test_VerifyProofRequiresChallengeIssuedToSender() public {
+        AgeVerification gated = _gatedVerification();
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+
+        // Never issued
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, _acceptedInput(0x2a)));
+
+        // Issued to another wallet
+        vm.prank(address(0x5678));
+        uint256 othersChallenge = gated.issueChallenge();
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, _acceptedInput(othersChallenge)));
+
+        vm.prank(user);
+        uint256 challenge = gated.issueChallenge();
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, _acceptedInput(challenge)));
+    }
+
+    function test_VerifyAndConsumeRejectsReplay() public {
+        AgeVerification gated = _gatedVerification();
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+
+        // A rejected proof does not use up the challenge
+        input[1] = MIN_AGE + 1;
+        vm.prank(user);
+        assertFalse(gated.verifyAndConsume(a, b, c, input));
+        assertFalse(gated.challengeConsumed(input[10]));
+        input[1] = MIN_AGE;
+
+        vm.expectEmit(true, false, false, true);
+        emit ChallengeConsumed(user, input[10]);
+        vm.prank(user);
+        assertTrue(gated.verifyAndConsume(a, b, c, input));
+        assertTrue(gated.challengeConsumed(input[10]));
+
+        // The same proof cannot be presented again
+        vm.prank(user);
+        assertFalse(gated.verifyProof(a, b, c, input));
+        vm.prank(user);
+        assertFalse(gated.verifyAndConsume(a, b, c, input));
+    }
+
+    function test_VerifyAndRecordRecordsAcceptedProofs() public {
+        AgeVerification gated = _gatedVerification();
+        uint[2] memory a = [uint256(1), 2];
+        uint[2][2] memory b = [[uint256(3), 4], [uint256(5), 6]];
+        uint[2] memory c = [uint256(7), 8];
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+
+        vm.expectEmit(true, true, false, true);
+        emit ProofVerificationRecorded(user, true, block.timestamp, input, a, b, c);
+        vm.prank(user);
+        assertTrue(gated.verifyAndRecord(a, b, c, input));
+        assertTrue(gated.challengeConsumed(input[10]));
+    }
+
+    function test_VerifyAndRecordRecordsRejectedProofs() public {
+        AgeVerification gated = _gatedVerification();
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+
+        // Submitted from a wallet the proof is not bound to
+        vm.expectEmit(true, true, false, true);
+        emit ProofVerificationRecorded(address(0x5678), false, block.timestamp, input, a, b, c);
+        vm.prank(address(0x5678));
+        assertFalse(gated.verifyAndRecord(a, b, c, input));
+        assertFalse(gated.challengeConsumed(input[10]));
+    }
+
+    function test_SetVerificationValidity() public {
+        vm.expectEmit(false, false, false, true);
+        emit VerificationValidityUpdated(30 days, 1 days);
+
+        ageVerification.setVerificationValidity(1 days);
+        assertEq(ageVerification.verificationValidity(), 1 days);
+
+        vm.expectRevert("AgeVerification: verification validity out of range");
+        ageVerification.setVerificationValidity(0);
+
+        vm.expectRevert("AgeVerification: verification validity out of range");
+        ageVerification.setVerificationValidity(366 days);
+
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not the owner");
+        ageVerification.setVerificationValidity(7 days);
+    }
+
+    function test_AcceptedProofSetsVerifiedUntil() public {
+        AgeVerification gated = _gatedVerification();
+        gated.setVerificationValidity(1 days);
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        assertFalse(gated.isVerified(user));
+
+        // A view verification or a rejected proof leaves the status alone
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+        vm.prank(user);
+        assertTrue(gated.verifyProof(a, b, c, input));
+        vm.prank(address(0x5678));
+        assertFalse(gated.verifyAndConsume(a, b, c, input));
+        assertEq(gated.verifiedUntil(user), 0);
+        assertFalse(gated.isVerified(user));
+
+        vm.expectEmit(true, false, false, true);
+        emit VerificationStatusUpdated(user, block.timestamp + 1 days);
+        vm.prank(user);
+        assertTrue(gated.verifyAndConsume(a, b, c, input));
+        assertEq(gated.verifiedUntil(user), block.timestamp + 1 days);
+        assertTrue(gated.isVerified(user));
+        assertFalse(gated.isVerified(address(0x5678)));
+
+        vm.warp(block.timestamp + 1 days);
+        assertTrue(gated.isVerified(user));
+        vm.warp(block.timestamp + 1);
+        assertFalse(gated.isVerified(user));
+
+        // verifyAndRecord renews the status too
+        vm.prank(user);
+        input = _acceptedInput(gated.issueChallenge());
+        vm.prank(user);
+        assertTrue(gated.verifyAndRecord(a, b, c, input));
+        assertEq(gated.verifiedUntil(user), block.timestamp + 1 days);
+    }
+
+    function test_ClearVerification() public {
+        AgeVerification gated = _gatedVerification();
+        uint[2] memory a;
+        uint[2][2] memory b;
+        uint[2] memory c;
+        vm.prank(user);
+        uint[11] memory input = _acceptedInput(gated.issueChallenge());
+        vm.prank(user);
+        assertTrue(gated.verifyAndConsume(a, b, c, input));
+        assertTrue(gated.isVerified(user));
+
+        vm.prank(user);
+        vm.expectRevert("AgeVerification: caller is not the owner");
+        gated.clearVerification(user);
+
+        vm.expectEmit(true, false, false, true);
+        emit VerificationStatusUpdated(user, 0);
+        gated.clearVerification(user);
+        assertFalse(gated.isVerified(user));
+    }
+
     function test_TransferOwnership() public {
         address newOwner = address(0x5678);
         ageVerification.transferOwnership(newOwner);
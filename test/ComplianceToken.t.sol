@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Test} from "forge-std/Test.sol";
+import {ComplianceToken} from "../src/ComplianceToken.sol";
+
+/// @dev Verification registry the test sets directly, standing in for AgeVerification
+contract MockVerificationRegistry {
+    mapping(address => bool) public isVerified;
+
+    function setVerified(address wallet, bool verified) external {
+        isVerified[wallet] = verified;
+    }
+}
+
+/**
+ * @title ComplianceTokenTest
+ * @notice Foundry tests for the ComplianceToken contract
+ */
+contract ComplianceTokenTest is Test {
+    ComplianceToken public token;
+    MockVerificationRegistry public registry;
+
+    address public owner;
+    address public alice;
+    address public bob;
+    address public carol;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event VerificationRegistryUpdated(address previousRegistry, address newRegistry);
+
+    function setUp() public {
+        owner = address(this);
+        alice = address(0xA11CE);
+        bob = address(0xB0B);
+        carol = address(0xCA401);
+
+        registry = new MockVerificationRegistry();
+        token = new ComplianceToken("Compliant Security", "CSEC", address(registry));
+
+        // Alice and Carol are verified, Bob is not
+        registry.setVerified(alice, true);
+        registry.setVerified(carol, true);
+        token.mint(alice, 1000 ether);
+    }
+
+    function test_Deployment() public {
+        assertEq(token.name(), "Compliant Security");
+        assertEq(token.symbol(), "CSEC");
+        assertEq(token.decimals(), 18);
+        assertEq(token.owner(), owner);
+        assertEq(address(token.verificationRegistry()), address(registry));
+        assertEq(token.totalSupply(), 1000 ether);
+        assertEq(token.balanceOf(alice), 1000 ether);
+    }
+
+    function test_DeploymentRequiresRegistry() public {
+        vm.expectRevert("ComplianceToken: registry cannot be zero address");
+        new ComplianceToken("Compliant Security", "CSEC", address(0));
+    }
+
+    function test_MintRequiresVerifiedRecipient() public {
+        vm.expectRevert("ComplianceToken: recipient is not verified");
+        token.mint(bob, 1 ether);
+
+        vm.prank(alice);
+        vm.expectRevert("ComplianceToken: caller is not the owner");
+        token.mint(alice, 1 ether);
+    }
+
+    function test_TransferBetweenVerifiedWallets() public {
+        vm.expectEmit(true, true, false, true);
+        emit Transfer(alice, carol, 100 ether);
+        vm.prank(alice);
+        assertTrue(token.transfer(carol, 100 ether));
+
+        assertEq(token.balanceOf(alice), 900 ether);
+        assertEq(token.balanceOf(carol), 100 ether);
+        assertTrue(token.canTransfer(alice, carol));
+    }
+
+    function test_TransferToUnverifiedWalletReverts() public {
+        vm.prank(alice);
+        vm.expectRevert("ComplianceToken: recipient is not verified");
+        token.transfer(bob, 100 ether);
+
+        assertEq(token.balanceOf(alice), 1000 ether);
+        assertFalse(token.canTransfer(alice, bob));
+    }
+
+    function test_TransferFromUnverifiedWalletReverts() public {
+        vm.prank(alice);
+        token.transfer(carol, 100 ether);
+
+        // Carol's verification lapses or is cleared: her tokens are frozen
+        registry.setVerified(carol, false);
+        vm.prank(carol);
+        vm.expectRevert("ComplianceToken: sender is not verified");
+        token.transfer(alice, 100 ether);
+
+        registry.setVerified(carol, true);
+        vm.prank(carol);
+        token.transfer(alice, 100 ether);
+        assertEq(token.balanceOf(alice), 1000 ether);
+    }
+
+    function test_TransferFromChecksHolderAndRecipient() public {
+        vm.prank(alice);
+        token.approve(bob, 300 ether);
+
+        // An unverified spender may move tokens between verified wallets...
+        vm.prank(bob);
+        assertTrue(token.transferFrom(alice, carol, 100 ether));
+        assertEq(token.allowance(alice, bob), 200 ether);
+
+        // ...but not to itself
+        vm.prank(bob);
+        vm.expectRevert("ComplianceToken: recipient is not verified");
+        token.transferFrom(alice, bob, 100 ether);
+
+        vm.prank(bob);
+        vm.expectRevert("ComplianceToken: insufficient allowance");
+        token.transferFrom(alice, carol, 201 ether);
+    }
+
+    function test_TransferExceedingBalanceReverts() public {
+        vm.prank(alice);
+        vm.expectRevert("ComplianceToken: transfer amount exceeds balance");
+        token.transfer(carol, 1001 ether);
+    }
+
+    function test_SetVerificationRegistry() public {
+        MockVerificationRegistry next = new MockVerificationRegistry();
+
+        vm.expectEmit(false, false, false, true);
+        emit VerificationRegistryUpdated(address(registry), address(next));
+        token.setVerificationRegistry(address(next));
+
+        // Nobody is verified in the new registry yet
+        vm.prank(alice);
+        vm.expectRevert("ComplianceToken: sender is not verified");
+        token.transfer(carol, 1 ether);
+
+        vm.prank(alice);
+        vm.expectRevert("ComplianceToken: caller is not the owner");
+        token.setVerificationRegistry(address(registry));
+    }
+}
@@ -12,16 +12,22 @@
  *
  * Test Coverage (aligned with UI flow):
  * 
- * HARD CONSTRAINT TESTS (8 tests):
- * - Happy Path: Valid 18+ US citizen
+ * HARD CONSTRAINT TESTS (15 tests):
+ * - Happy Path: Valid 18+ US citizen, and one born before 1970
  * - Failure Cases:
  *   • Underage (17 years) - circuit blocks proof generation
  *   • Wrong citizenship (CA) - circuit blocks proof generation
  *   • Wrong wallet - proof valid but submitted from different wallet
  *   • Untrusted issuer - proof valid but issuer not registered
  * - Boundary: Exactly 18 years old
- * - Contract State: Remove issuer
- * - Access Control: Only owner can add issuers
+ * - Expiry: Credential past its validUntil - proof builder refuses
+ * - Revocation: Revoked credential - proof builder refuses, stale-root proof rejected on-chain
+ * - Challenge: an accepted proof cannot be replayed and marks the wallet verified, unissued challenges are rejected
+ * - Freshness: proofs dated outside the owner-set proofFreshnessWindow are rejected
+ * - Audit Trail: verifyAndRecord attempts are indexed and queried by wallet, issuer and date
+ * - Compliance Token: transfers to an unverified wallet are rejected
+ * - Contract State: Suspend, reinstate and remove an issuer
+ * - Access Control: Only owner / registrars can add issuers
  * 
  * SOFT CONSTRAINT TESTS (6 tests):
  * - Happy Path: Valid 25+ US citizen (confirms soft circuit works)
@@ -39,6 +45,11 @@
  *
  * Prerequisites:
  * - Compiled circuit (npm run compile:circuit)
+ *
+ * Issuers sign with ECDSA by default; ISSUER_SIGNATURE_SCHEME=eddsa-poseidon runs
+ * the same flow with EdDSA-Poseidon credentials against the _eddsa circuits
+ * (the Verifier must then be exported from age_citizenship_expiry_eddsa).
+ * The soft constraint circuit is ECDSA-only, so its tests are skipped there.
  * - Trusted setup completed (npm run setup)
  * - Local blockchain running (ganache -d or anvil)
  */
@@ -51,6 +62,31 @@ const path = require('path');
 const { issueDOBCredential } = require('../../scripts/issuers/issuer_a_sign');
 const { issueCitizenshipCredential, encodeCitizenship } = require('../../scripts/issuers/issuer_b_sign');
 const { generateProof } = require('../../scripts/user/generate_proof');
+const { indexVerifications } = require('../../scripts/verifier/index_verifications');
+const { deployComplianceToken } = require('../../scripts/token/deploy_token');
+const { mintTokens } = require('../../scripts/token/mint_tokens');
+const { credentialSignatureScheme } = require('../../scripts/issuers/signature_scheme');
+const {
+    issuerRegistryKey,
+    openVerificationDb,
+    queryVerificationRecords
+} = require('../../scripts/verifier/verification_records');
+const {
+    DEFAULT_CREDENTIAL_VALIDITY_SECONDS,
+    SIGNATURE_SCHEMES,
+    SECONDS_PER_YEAR,
+    CIRCUITS,
+    getSchemeIssuerPubkey,
+    createRevocationRegistry,
+    revokeCredential,
+    emptyRevocationInputs,
+    createPresentation,
+    parsePresentation,
+    presentationToSolidityArgs,
+    verifyPresentation,
+    describeFailedChecks,
+    decodeChallenge
+} = require('../../sdk');
 
 // Paths
 const ROOT_DIR = path.join(__dirname, '../..');
@@ -61,6 +97,18 @@ const OUT_DIR = path.join(ROOT_DIR, 'out');
 const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
 const GANACHE_MNEMONIC = 'myth like bonus scare over problem client lizard pioneer submit female collect';
 
+// Issuer signature scheme for every credential in the run (ISSUER_SIGNATURE_SCHEME)
+const SIGNATURE_SCHEME = credentialSignatureScheme();
+const EDDSA = SIGNATURE_SCHEME === SIGNATURE_SCHEMES.EDDSA_POSEIDON;
+
+// Credentials carry a validity window like the demo issuers', so proofs use the
+// expiry circuit that the deployed Verifier was exported from
+const CREDENTIAL_VALIDITY = { validForSeconds: DEFAULT_CREDENTIAL_VALIDITY_SECONDS, signatureScheme: SIGNATURE_SCHEME };
+const EXPIRY_CIRCUIT = EDDSA ? CIRCUITS.EXPIRY_EDDSA : CIRCUITS.EXPIRY;
+
+// Revocation registry the proofs are built against; its root must match AgeVerification.revocationRoot
+let revocationRegistry = createRevocationRegistry();
+
 // BN254 scalar field size - the circuit reduces all values mod this
 const BN254_SCALAR_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
 
@@ -73,12 +121,33 @@ function reduceModR(value) {
     return bigValue % BN254_SCALAR_FIELD;
 }
 
+/**
+ * Public key an issuer is registered under for the run's signature scheme,
+ * reduced like the circuit's public signals (BabyJubJub keys already are)
+ */
+async function registryPubkey(privateKey) {
+    const { x, y } = await getSchemeIssuerPubkey(privateKey, SIGNATURE_SCHEME);
+    return { rawX: x, rawY: y, x: reduceModR(x), y: reduceModR(y) };
+}
+
+/**
+ * Ask AgeVerification for a single-use challenge issued to wallet (the submitter)
+ */
+async function issueChallenge(wallet) {
+    const receipt = await (await ageVerificationContract.connect(wallet).issueChallenge()).wait();
+    const event = receipt.logs
+        .map((log) => ageVerificationContract.interface.parseLog(log))
+        .find((parsed) => parsed?.name === 'ChallengeIssued');
+    return decodeChallenge(event.args.challenge);
+}
+
 // Test state
 let provider;
 let deployer;
 let deployerNonceManager;
 let userWallet;
 let otherWallet;
+let investorWallet;
 let verifierContract;
 let verifierAddress;
 let ageVerificationContract;
@@ -151,6 +220,7 @@ async function setup() {
     deployerNonceManager = new ethers.NonceManager(deployer);
     userWallet = hdNode.derivePath('3').connect(provider); // Use account #3 as user
     otherWallet = hdNode.derivePath('4').connect(provider); // Use account #4 for wrong wallet tests
+    investorWallet = hdNode.derivePath('6').connect(provider); // Account #6: second verified token holder
 
     // Derive issuer keys from Ganache accounts #1 and #2
     const issuerAHdWallet = hdNode.derivePath('1');
@@ -164,8 +234,8 @@ async function setup() {
     console.log(`  Other Wallet: ${otherWallet.address}`);
 
     // Check circuit artifacts exist
-    const wasmPath = path.join(BUILD_DIR, 'age_citizenship_js', 'age_citizenship.wasm');
-    const zkeyPath = path.join(BUILD_DIR, 'age_citizenship_final.zkey');
+    const wasmPath = path.join(BUILD_DIR, `${EXPIRY_CIRCUIT}_js`, `${EXPIRY_CIRCUIT}.wasm`);
+    const zkeyPath = path.join(BUILD_DIR, `${EXPIRY_CIRCUIT}_final.zkey`);
 
     if (!fs.existsSync(wasmPath)) {
         throw new Error(`Circuit WASM not found. Run: npm run compile:circuit`);
@@ -174,12 +244,12 @@ async function setup() {
         throw new Error(`ZKey not found. Run: npm run setup`);
     }
 
-    console.log('  Circuit artifacts: Found');
+    console.log(`  Circuit artifacts: Found (${EXPIRY_CIRCUIT}, ${SIGNATURE_SCHEME} issuers)`);
     
-    // Check if soft constraint circuit exists (optional)
+    // Check if soft constraint circuit exists (optional, ECDSA credentials only)
     const wasmPathSoft = path.join(BUILD_DIR, 'age_citizenship_soft_js', 'age_citizenship_soft.wasm');
     const zkeyPathSoft = path.join(BUILD_DIR, 'age_citizenship_soft_final.zkey');
-    const softCircuitExists = fs.existsSync(wasmPathSoft) && fs.existsSync(zkeyPathSoft);
+    const softCircuitExists = !EDDSA && fs.existsSync(wasmPathSoft) && fs.existsSync(zkeyPathSoft);
     
     if (softCircuitExists) {
         console.log('  Soft constraint circuit: Found (will test soft constraints)\n');
@@ -254,33 +324,23 @@ let registeredIssuerAX, registeredIssuerAY, registeredIssuerBX, registeredIssuer
 async function registerIssuers() {
     console.log('Registering trusted issuers...\n');
 
-    const secp256k1 = require('@noble/secp256k1');
-
-    // Get issuer public keys (raw from secp256k1)
-    const issuerAPubkey = secp256k1.getPublicKey(issuerAPrivateKey, false);
-    const issuerBPubkey = secp256k1.getPublicKey(issuerBPrivateKey, false);
+    // Get issuer public keys (secp256k1, or BabyJubJub for EdDSA issuers),
+    // reduced to the BN254 scalar field - this matches what the circuit does
+    const issuerA = await registryPubkey(issuerAPrivateKey);
+    const issuerB = await registryPubkey(issuerBPrivateKey);
+    ({ x: registeredIssuerAX, y: registeredIssuerAY } = issuerA);
+    ({ x: registeredIssuerBX, y: registeredIssuerBY } = issuerB);
 
-    const rawIssuerAX = BigInt('0x' + Buffer.from(issuerAPubkey.slice(1, 33)).toString('hex'));
-    const rawIssuerAY = BigInt('0x' + Buffer.from(issuerAPubkey.slice(33, 65)).toString('hex'));
-    const rawIssuerBX = BigInt('0x' + Buffer.from(issuerBPubkey.slice(1, 33)).toString('hex'));
-    const rawIssuerBY = BigInt('0x' + Buffer.from(issuerBPubkey.slice(33, 65)).toString('hex'));
+    console.log(`  Registering Issuer A: X=${registeredIssuerAX} (reduced from ${issuerA.rawX})`);
+    console.log(`  Registering Issuer B: X=${registeredIssuerBX} (reduced from ${issuerB.rawX})`);
 
-    // Reduce to BN254 scalar field - this matches what the circuit does
-    registeredIssuerAX = reduceModR(rawIssuerAX);
-    registeredIssuerAY = reduceModR(rawIssuerAY);
-    registeredIssuerBX = reduceModR(rawIssuerBX);
-    registeredIssuerBY = reduceModR(rawIssuerBY);
-
-    console.log(`  Registering Issuer A: X=${registeredIssuerAX} (reduced from ${rawIssuerAX})`);
-    console.log(`  Registering Issuer B: X=${registeredIssuerBX} (reduced from ${rawIssuerBX})`);
-
-    // Register Issuer A
-    const txA = await ageVerificationContract.addTrustedIssuerA(registeredIssuerAX, registeredIssuerAY);
+    // Register Issuer A for DOB credentials (schema bit 1)
+    const txA = await ageVerificationContract.addIssuer(registeredIssuerAX, registeredIssuerAY, 'Issuer A (DMV)', 'US', 1, 0, 0);
     await txA.wait();
     console.log(`  Issuer A registered`);
 
-    // Register Issuer B
-    const txB = await ageVerificationContract.addTrustedIssuerB(registeredIssuerBX, registeredIssuerBY);
+    // Register Issuer B for citizenship credentials (schema bit 2)
+    const txB = await ageVerificationContract.addIssuer(registeredIssuerBX, registeredIssuerBY, 'Issuer B (Immigration)', 'US', 2, 0, 0);
     await txB.wait();
     console.log(`  Issuer B registered\n`);
 }
@@ -295,32 +355,30 @@ async function registerIssuers() {
  *
  * Under the hood:
  * - Each issuer hashes the credential fields with Poseidon (inside issuer scripts),
- *   then signs the hash with their private key (ECDSA).
+ *   then signs the hash with their private key (ECDSA, or EdDSA-Poseidon).
  * - The circuit later recomputes the same hash and verifies the signature.
  */
 async function issueCredentials(dateOfBirth, citizenship, userAddress) {
-    const secp256k1 = require('@noble/secp256k1');
-
     const userPubkey = BigInt(userAddress);
     const nonceA = BigInt(Math.floor(Math.random() * 2**48));
     const nonceB = BigInt(Math.floor(Math.random() * 2**48));
 
     // Verify our private key matches what we expect
-    const expectedAPubkey = secp256k1.getPublicKey(issuerAPrivateKey, false);
-    const expectedAPubkeyX = BigInt('0x' + Buffer.from(expectedAPubkey.slice(1, 33)).toString('hex'));
+    const expectedAPubkeyX = (await registryPubkey(issuerAPrivateKey)).rawX;
 
     console.log('\n  [Credential Issuance]');
     console.log('  Encryption: none (this flow uses signatures, not encryption).');
     console.log(`  Data being signed by Issuer A: DOB=${dateOfBirth}, userPubkey=${userPubkey}, nonceA=${nonceA}`);
     console.log(`  Data being signed by Issuer B: citizenship=${citizenship}, userPubkey=${userPubkey}, nonceB=${nonceB}`);
 
-    // Issuer A signs (DOB, userPubkey, nonceA) using ECDSA.
+    // Issuer A signs (DOB, userPubkey, nonceA) using the run's signature scheme.
     // This is the authenticity proof that the circuit will verify later.
     const dobCredential = await issueDOBCredential(
         dateOfBirth,
         userPubkey,
         nonceA,
-        issuerAPrivateKey
+        issuerAPrivateKey,
+        CREDENTIAL_VALIDITY
     );
 
     // Verify credential's issuer key matches what we registered on-chain.
@@ -343,12 +401,13 @@ async function issueCredentials(dateOfBirth, citizenship, userAddress) {
     // Also print the issuer key in the format generateProof would use
     console.log(`    As string for input:    "${dobCredential.issuerPubkey.x}"`);
 
-    // Issuer B signs (citizenship, userPubkey, nonceB) using ECDSA.
+    // Issuer B signs (citizenship, userPubkey, nonceB) the same way.
     const citizenshipCredential = await issueCitizenshipCredential(
         citizenship,
         userPubkey,
         nonceB,
-        issuerBPrivateKey
+        issuerBPrivateKey,
+        CREDENTIAL_VALIDITY
     );
 
     return { dobCredential, citizenshipCredential };
@@ -375,7 +434,7 @@ async function generateProofSoft(dobCredential, citizenshipCredential, wallet) {
         
         // Prepare circuit inputs (same structure as hard constraint circuit)
         const input = {
-            date_of_birth: dobCredential.dateOfBirth.toString(),
+            date_of_birth: dobCredential.dateOfBirthEncoded,
             citizenship: citizenshipCredential.citizenship.toString(), // Use citizenship from citizenship credential
             current_date: current_timestamp.toString(),
             min_age: min_age.toString(),
@@ -391,7 +450,10 @@ async function generateProofSoft(dobCredential, citizenshipCredential, wallet) {
             nonce_a: dobCredential.nonce.toString(),
             nonce_b: citizenshipCredential.nonce.toString(),
             user_pubkey: dobCredential.userPubkey.toString(),
-            subject_wallet: BigInt(wallet.address).toString()
+            subject_wallet: BigInt(wallet.address).toString(),
+            challenge: BigInt(await issueChallenge(wallet)).toString(),
+            // Nothing is revoked while the soft tests run (root 0)
+            ...emptyRevocationInputs()
         };
         
         // Generate proof with soft constraint circuit
@@ -400,17 +462,13 @@ async function generateProofSoft(dobCredential, citizenshipCredential, wallet) {
         
         const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasmPath, zkeyPath);
         
-        // Format proof for Solidity verifier
-        const proofData = {
-            proof: {
-                a: [proof.pi_a[0], proof.pi_a[1]],
-                b: [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
-                c: [proof.pi_c[0], proof.pi_c[1]]
-            },
-            publicSignals: publicSignals
-        };
-        
-        return proofData;
+        // Same v2 presentation generate_proof.js writes to proof.json
+        return createPresentation({
+            circuit: 'age_citizenship_soft',
+            proof,
+            publicSignals,
+            vkey: await snarkjs.zKey.exportVerificationKey(zkeyPath)
+        });
     } finally {
         if (originalSubjectWallet !== undefined) {
             process.env.SUBJECT_WALLET = originalSubjectWallet;
@@ -443,15 +501,17 @@ async function generateAndSubmitProof(dobCredential, citizenshipCredential, wall
         console.log('\n  [Proof Generation]');
         console.log('  Encryption: none (proof hides private inputs without encrypting them).');
         console.log('  Private inputs (hidden): DOB, citizenship, signatures, nonces.');
-        console.log('  Public signals (visible): current_date, min_age, required_citizenship, issuer keys, user_pubkey, subject_wallet.');
+        console.log('  Public signals (visible): current_date, age_policy, required_citizenship, issuer keys, user_pubkey, subject_wallet, revocation_root, challenge.');
 
-        // Generate Groth16 proof from credentials + policy parameters.
+        // Generate Groth16 proof from credentials + policy parameters, answering
+        // a challenge the contract issued to the submitting wallet.
         // This produces (a, b, c) + publicSignals.
         const proofData = await generateProof(
             dobCredential,
             citizenshipCredential,
             currentDate,
-            18
+            18,
+            { revocationRegistry, challenge: await issueChallenge(wallet) }
         );
 
         // Get the current_date from the proof's public signals.
@@ -485,10 +545,7 @@ async function generateAndSubmitProof(dobCredential, citizenshipCredential, wall
         const contractWithWallet = ageVerificationContract.connect(wallet);
 
         const result = await contractWithWallet.verifyProof(
-            proofData.proof.a,
-            proofData.proof.b,
-            proofData.proof.c,
-            proofData.publicSignals.map(s => BigInt(s))
+            ...presentationToSolidityArgs(proofData)
         );
 
         return { result, proofData };
@@ -515,7 +572,7 @@ async function generateAndSubmitProof(dobCredential, citizenshipCredential, wall
  */
 async function testHappyPath() {
     // Create a user who is 25 years old and US citizen
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+    const dateOfBirth = '2000-01-01';
     const citizenship = 'US';
 
     const { dobCredential, citizenshipCredential } = await issueCredentials(
@@ -535,7 +592,7 @@ async function testHappyPath() {
         const signals = proofData.publicSignals;
         console.log('\n    Debug - Public Signals:');
         console.log(`      [0] current_date: ${signals[0]}`);
-        console.log(`      [1] min_age: ${signals[1]}`);
+        console.log(`      [1] age_policy: ${signals[1]}`);
         console.log(`      [2] required_citizenship: ${signals[2]} (expected: ${encodeCitizenship('US')})`);
         console.log(`      [3] issuer_a_pubkey_x: ${signals[3]}`);
         console.log(`      [4] issuer_a_pubkey_y: ${signals[4]}`);
@@ -560,6 +617,57 @@ async function testHappyPath() {
     }
 
     assert(result === true, 'Expected proof to verify successfully');
+
+    // proof.json is a v2 presentation: no private inputs survive the round trip
+    const presentation = parsePresentation(JSON.parse(JSON.stringify(proofData)));
+    assert(presentation.circuit === EXPIRY_CIRCUIT, `Unexpected circuit ${presentation.circuit}`);
+    assert(
+        !JSON.stringify(presentation).includes(EDDSA ? dobCredential.signature.S : dobCredential.signature.r),
+        'Presentation must not contain the credential signatures'
+    );
+
+    // The offline verifier (npm run verify:proof) reaches the same verdict as the contract
+    const vkey = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, `${presentation.circuit}_vkey.json`), 'utf8'));
+    const offline = await verifyPresentation(presentation, {
+        vkey,
+        trustedIssuers: [
+            { name: 'Issuer A', pubkey: { x: registeredIssuerAX, y: registeredIssuerAY }, schemas: ['date_of_birth'] },
+            { name: 'Issuer B', pubkey: { x: registeredIssuerBX, y: registeredIssuerBY }, schemas: ['citizenship'] }
+        ],
+        revocationRoot: await ageVerificationContract.revocationRoot(),
+        subjectWallet: userWallet.address,
+        challenge: presentation.challenge
+    });
+    assert(offline.valid, `Offline verification failed: ${describeFailedChecks(offline)}`);
+
+    const fromOtherWallet = await verifyPresentation(presentation, {
+        vkey,
+        subjectWallet: otherWallet.address
+    });
+    assert(!fromOtherWallet.valid, 'Offline verification must reject a proof bound to another wallet');
+}
+
+/**
+ * Test 1b: Happy Path - Born Before 1970
+ *
+ * Birth dates are signed as days since 1900-01-01, so a date before the Unix
+ * epoch is an ordinary positive field element rather than a negative timestamp.
+ */
+async function testBornBefore1970() {
+    const { dobCredential, citizenshipCredential } = await issueCredentials(
+        '1950-03-01',
+        'US',
+        userWallet.address
+    );
+    assert(dobCredential.dateOfBirthEncoded === '18321', `Unexpected day number ${dobCredential.dateOfBirthEncoded}`);
+
+    const { result } = await generateAndSubmitProof(
+        dobCredential,
+        citizenshipCredential,
+        userWallet
+    );
+
+    assert(result === true, 'Expected proof to verify for a user born in 1950');
 }
 
 /**
@@ -571,7 +679,7 @@ async function testUnderageUser() {
     // Create a user who is 17 years old
     const now = new Date();
     const seventeenYearsAgo = new Date(now.getFullYear() - 17, now.getMonth(), now.getDate());
-    const dateOfBirth = BigInt(Math.floor(seventeenYearsAgo.getTime() / 1000));
+    const dateOfBirth = seventeenYearsAgo.toISOString().slice(0, 10);
     const citizenship = 'US';
 
     const { dobCredential, citizenshipCredential } = await issueCredentials(
@@ -605,7 +713,7 @@ async function testUnderageUser() {
  * The circuit enforces required_citizenship == "US", so proof generation should fail.
  */
 async function testWrongCitizenship() {
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+    const dateOfBirth = '2000-01-01';
     const citizenship = 'CA'; // Canadian instead of US
 
     const { dobCredential, citizenshipCredential } = await issueCredentials(
@@ -634,7 +742,7 @@ async function testWrongCitizenship() {
  * Test 4: Failure - Wrong Wallet Submitting Proof
  */
 async function testWrongWalletSubmission() {
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+    const dateOfBirth = '2000-01-01';
     const citizenship = 'US';
 
     // Issue credentials bound to userWallet
@@ -654,17 +762,15 @@ async function testWrongWalletSubmission() {
             dobCredential,
             citizenshipCredential,
             currentDate,
-            18
+            18,
+            { revocationRegistry, challenge: await issueChallenge(userWallet) }
         );
 
         // Try to submit from otherWallet (should fail wallet binding check)
         const contractWithOtherWallet = ageVerificationContract.connect(otherWallet);
 
         const result = await contractWithOtherWallet.verifyProof(
-            proofData.proof.a,
-            proofData.proof.b,
-            proofData.proof.c,
-            proofData.publicSignals.map(s => BigInt(s))
+            ...presentationToSolidityArgs(proofData)
         );
 
         assert(result === false, 'Expected verification to fail for wrong wallet');
@@ -681,7 +787,7 @@ async function testWrongWalletSubmission() {
  * Test 5: Failure - Untrusted Issuer
  */
 async function testUntrustedIssuer() {
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+    const dateOfBirth = '2000-01-01';
     const citizenship = 'US';
 
     // Generate random issuer keys (not registered)
@@ -697,7 +803,8 @@ async function testUntrustedIssuer() {
         dateOfBirth,
         userPubkey,
         nonceA,
-        untrustedIssuerKey // Untrusted issuer
+        untrustedIssuerKey, // Untrusted issuer
+        CREDENTIAL_VALIDITY
     );
 
     // Issue citizenship credential from trusted issuer
@@ -705,7 +812,8 @@ async function testUntrustedIssuer() {
         citizenship,
         userPubkey,
         nonceB,
-        issuerBPrivateKey
+        issuerBPrivateKey,
+        CREDENTIAL_VALIDITY
     );
 
     // Generate and submit proof
@@ -718,7 +826,8 @@ async function testUntrustedIssuer() {
             dobCredential,
             citizenshipCredential,
             currentDate,
-            18
+            18,
+            { revocationRegistry, challenge: await issueChallenge(userWallet) }
         );
 
         // Warp block timestamp to match proof
@@ -737,10 +846,7 @@ async function testUntrustedIssuer() {
         const contractWithWallet = ageVerificationContract.connect(userWallet);
 
         const result = await contractWithWallet.verifyProof(
-            proofData.proof.a,
-            proofData.proof.b,
-            proofData.proof.c,
-            proofData.publicSignals.map(s => BigInt(s))
+            ...presentationToSolidityArgs(proofData)
         );
 
         assert(result === false, 'Expected verification to fail for untrusted issuer');
@@ -755,12 +861,18 @@ async function testUntrustedIssuer() {
 
 /**
  * Test 6: Boundary - Exactly 18 Years Old Today
+ *
+ * The deployed circuit counts 365.25-day years, so its boundary is
+ * 18 * SECONDS_PER_YEAR seconds after 00:00 UTC on the date of birth. The 18th
+ * calendar birthday is half a day before or after that depending on the leap
+ * days in between; the _calendar circuits, which count from the birthday
+ * itself, are covered by circuits/test/circuit.test.js and sdk/test/calendar.test.js.
  */
 async function testExactly18YearsOld() {
-    // Create a user who turned exactly 18 today
-    const now = new Date();
-    const exactlyEighteenYearsAgo = new Date(now.getFullYear() - 18, now.getMonth(), now.getDate());
-    const dateOfBirth = BigInt(Math.floor(exactlyEighteenYearsAgo.getTime() / 1000));
+    // Create a user born on the UTC date 18 * 365.25 days ago, so they passed
+    // the boundary less than a day ago; the proof is dated later
+    const now = Math.floor(Date.now() / 1000);
+    const dateOfBirth = new Date((now - 18 * SECONDS_PER_YEAR) * 1000).toISOString().slice(0, 10);
     const citizenship = 'US';
 
     const { dobCredential, citizenshipCredential } = await issueCredentials(
@@ -779,27 +891,127 @@ async function testExactly18YearsOld() {
 }
 
 /**
- * Test 7: Contract State - Remove Issuer After Registration
+ * Test 6b: Failure - Expired Credential
+ *
+ * The DOB credential's validUntil is in the past, so the proof builder
+ * refuses it (and the expiry circuit would not be satisfied either).
+ */
+async function testExpiredCredential() {
+    const dateOfBirth = '2000-01-01';
+    const userPubkey = BigInt(userWallet.address);
+    const now = Math.floor(Date.now() / 1000);
+
+    const dobCredential = await issueDOBCredential(
+        dateOfBirth,
+        userPubkey,
+        BigInt(Math.floor(Math.random() * 2**48)),
+        issuerAPrivateKey,
+        { issuedAt: now - 2 * DEFAULT_CREDENTIAL_VALIDITY_SECONDS, validUntil: now - 24 * 60 * 60, signatureScheme: SIGNATURE_SCHEME }
+    );
+    const citizenshipCredential = await issueCitizenshipCredential(
+        'US',
+        userPubkey,
+        BigInt(Math.floor(Math.random() * 2**48)),
+        issuerBPrivateKey,
+        CREDENTIAL_VALIDITY
+    );
+
+    let errorThrown = false;
+    try {
+        await generateAndSubmitProof(
+            dobCredential,
+            citizenshipCredential,
+            userWallet
+        );
+    } catch (error) {
+        errorThrown = true;
+        assert(
+            error.message.includes('expired on'),
+            `Expected expiry error, got: ${error.message}`
+        );
+    }
+
+    assert(errorThrown, 'Expected proof generation to fail for an expired credential');
+}
+
+/**
+ * Test 6c: Failure - Revoked Credential
+ *
+ * The issuer revokes the DOB credential and publishes the new root. A proof
+ * made before the revocation is rejected on-chain (stale revocation_root),
+ * and no new proof can be built for the revoked credential.
+ */
+async function testRevokedCredential() {
+    const dateOfBirth = '2000-01-01';
+    const { dobCredential, citizenshipCredential } = await issueCredentials(
+        dateOfBirth,
+        'US',
+        userWallet.address
+    );
+
+    const { result: beforeRevocation, proofData } = await generateAndSubmitProof(
+        dobCredential,
+        citizenshipCredential,
+        userWallet
+    );
+    assert(beforeRevocation === true, 'Expected proof to verify before revocation');
+
+    const previousRegistry = revocationRegistry;
+    revocationRegistry = await revokeCredential(revocationRegistry, {
+        issuerPubkey: dobCredential.issuerPubkey,
+        nonce: dobCredential.nonce
+    });
+    await (await ageVerificationContract.setRevocationRoot(revocationRegistry.root)).wait();
+
+    try {
+        const afterRevocation = await ageVerificationContract.connect(userWallet).verifyProof(
+            ...presentationToSolidityArgs(proofData)
+        );
+        assert(afterRevocation === false, 'Expected proof with a stale revocation root to be rejected');
+
+        let errorThrown = false;
+        try {
+            await generateAndSubmitProof(dobCredential, citizenshipCredential, userWallet);
+        } catch (error) {
+            errorThrown = true;
+            assert(
+                error.message.includes('has been revoked'),
+                `Expected revocation error, got: ${error.message}`
+            );
+        }
+        assert(errorThrown, 'Expected proof generation to fail for a revoked credential');
+    } finally {
+        // Later tests reuse the registry; restore the empty root
+        revocationRegistry = previousRegistry;
+        await (await ageVerificationContract.setRevocationRoot(revocationRegistry.root)).wait();
+    }
+}
+
+/**
+ * Test 7: Contract State - Suspend, Reinstate and Remove an Issuer
+ *
+ * A second DOB issuer is added next to Issuer A (any number of issuers per
+ * schema). Its proofs stop verifying while it is suspended, verify again once
+ * it is reinstated, and stop for good when it is removed from the registry.
  */
 async function testRemoveIssuer() {
     const secp256k1 = require('@noble/secp256k1');
 
     // Generate a new issuer key pair
     const tempIssuerKey = secp256k1.utils.randomPrivateKey();
-    const tempIssuerPubkey = secp256k1.getPublicKey(tempIssuerKey, false);
-    const rawTempIssuerPubkeyX = BigInt('0x' + Buffer.from(tempIssuerPubkey.slice(1, 33)).toString('hex'));
-    const rawTempIssuerPubkeyY = BigInt('0x' + Buffer.from(tempIssuerPubkey.slice(33, 65)).toString('hex'));
 
     // Reduce to BN254 scalar field - must match what circuit produces
-    const tempIssuerPubkeyX = reduceModR(rawTempIssuerPubkeyX);
-    const tempIssuerPubkeyY = reduceModR(rawTempIssuerPubkeyY);
+    const { x: tempIssuerPubkeyX, y: tempIssuerPubkeyY } = await registryPubkey(tempIssuerKey);
 
-    // Add temporary issuer with reduced keys
-    const txAdd = await ageVerificationContract.addTrustedIssuerA(tempIssuerPubkeyX, tempIssuerPubkeyY);
+    // Add temporary issuer with reduced keys, as a second DOB issuer
+    const txAdd = await ageVerificationContract.addIssuer(tempIssuerPubkeyX, tempIssuerPubkeyY, 'Temporary DMV', 'US-NY', 1, 0, 0);
     await txAdd.wait();
+    const tempIssuerKeyHash = ethers.solidityPackedKeccak256(['uint256', 'uint256'], [tempIssuerPubkeyX, tempIssuerPubkeyY]);
+    const registryKeys = await ageVerificationContract.getIssuerKeys();
+    assert(registryKeys.includes(tempIssuerKeyHash), 'Expected the temporary issuer in the registry');
 
     // Issue credential with temp issuer
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+    const dateOfBirth = '2000-01-01';
     const userPubkey = BigInt(userWallet.address);
     const nonce = BigInt(Math.floor(Math.random() * 2**48));
 
@@ -807,14 +1019,16 @@ async function testRemoveIssuer() {
         dateOfBirth,
         userPubkey,
         nonce,
-        tempIssuerKey
+        tempIssuerKey,
+        CREDENTIAL_VALIDITY
     );
 
     const citizenshipCredential = await issueCitizenshipCredential(
         'US',
         userPubkey,
         BigInt(Math.floor(Math.random() * 2**48)),
-        issuerBPrivateKey
+        issuerBPrivateKey,
+        CREDENTIAL_VALIDITY
     );
 
     // Verify proof works with registered issuer
@@ -827,7 +1041,8 @@ async function testRemoveIssuer() {
             dobCredential,
             citizenshipCredential,
             currentDate,
-            18
+            18,
+            { revocationRegistry, challenge: await issueChallenge(userWallet) }
         );
 
         // Warp block timestamp to match proof
@@ -847,21 +1062,28 @@ async function testRemoveIssuer() {
 
         // Should pass initially
         const resultBefore = await contractWithWallet.verifyProof(
-            proofData.proof.a,
-            proofData.proof.b,
-            proofData.proof.c,
-            proofData.publicSignals.map(s => BigInt(s))
+            ...presentationToSolidityArgs(proofData)
         );
         assert(resultBefore === true, 'Expected proof to verify with registered issuer');
 
+        // Suspend the issuer: its proofs are rejected until it is reinstated
+        await (await ageVerificationContract.suspendIssuer(tempIssuerKeyHash)).wait();
+        const resultSuspended = await contractWithWallet.verifyProof(
+            ...presentationToSolidityArgs(proofData)
+        );
+        assert(resultSuspended === false, 'Expected proof to fail while the issuer is suspended');
+
+        await (await ageVerificationContract.reinstateIssuer(tempIssuerKeyHash)).wait();
+        const resultReinstated = await contractWithWallet.verifyProof(
+            ...presentationToSolidityArgs(proofData)
+        );
+        assert(resultReinstated === true, 'Expected proof to verify again after reinstatement');
+
         // Remove the issuer
-        const txRemove = await ageVerificationContract.removeTrustedIssuerA(tempIssuerPubkeyX, tempIssuerPubkeyY);
+        const txRemove = await ageVerificationContract.removeIssuer(tempIssuerKeyHash);
         await txRemove.wait();
         const resultAfter = await contractWithWallet.verifyProof(
-            proofData.proof.a,
-            proofData.proof.b,
-            proofData.proof.c,
-            proofData.publicSignals.map(s => BigInt(s))
+            ...presentationToSolidityArgs(proofData)
         );
         assert(resultAfter === false, 'Expected proof to fail after issuer removal');
     } finally {
@@ -897,6 +1119,247 @@ async function testOnlyOwnerCanAddIssuers() {
     }
 
     assert(errorThrown, 'Expected addTrustedIssuerA to revert for non-owner');
+
+    // Registry changes are limited to the owner and appointed registrars
+    errorThrown = false;
+    try {
+        const tx = await contractWithUser.addIssuer(pubkeyX, pubkeyY, 'Rogue Issuer', 'XX', 1, 0, 0);
+        await tx.wait();
+    } catch (error) {
+        errorThrown = true;
+    }
+
+    assert(errorThrown, 'Expected addIssuer to revert for a non-registrar');
+}
+
+/**
+ * Test 8b: Challenge - An Accepted Proof Cannot Be Replayed
+ *
+ * verifyAndConsume uses up the challenge the proof answers and marks the wallet
+ * verified (isVerified), so presenting the same proof again fails. A proof
+ * answering a challenge the contract never issued is rejected too.
+ */
+async function testChallengeReplay() {
+    const dateOfBirth = '2000-01-01';
+    const { dobCredential, citizenshipCredential } = await issueCredentials(
+        dateOfBirth,
+        'US',
+        userWallet.address
+    );
+
+    const { result, proofData } = await generateAndSubmitProof(
+        dobCredential,
+        citizenshipCredential,
+        userWallet
+    );
+    assert(result === true, 'Expected proof to verify before its challenge is used');
+
+    const contractWithWallet = ageVerificationContract.connect(userWallet);
+    const args = presentationToSolidityArgs(proofData);
+    await (await contractWithWallet.verifyAndConsume(...args)).wait();
+    assert(
+        await ageVerificationContract.challengeConsumed(BigInt(proofData.challenge)),
+        'Expected the challenge to be consumed'
+    );
+
+    // The accepted proof leaves a persistent status that needs no new verification
+    const block = await provider.getBlock('latest');
+    const validity = await ageVerificationContract.verificationValidity();
+    assert(
+        await ageVerificationContract.verifiedUntil(userWallet.address) === BigInt(block.timestamp) + validity,
+        'Expected verifiedUntil to be the acceptance time plus verificationValidity'
+    );
+    assert(await ageVerificationContract.isVerified(userWallet.address), 'Expected the user wallet to be verified');
+    assert(!(await ageVerificationContract.isVerified(otherWallet.address)), 'Expected the other wallet not to be verified');
+
+    const replayed = await contractWithWallet.verifyProof(...args);
+    assert(replayed === false, 'Expected a replayed proof to be rejected');
+
+    // A challenge the prover picked itself was never issued by the contract
+    const unissued = await generateProof(
+        dobCredential,
+        citizenshipCredential,
+        new Date(),
+        18,
+        { revocationRegistry }
+    );
+    const unissuedResult = await contractWithWallet.verifyProof(...presentationToSolidityArgs(unissued));
+    assert(unissuedResult === false, 'Expected a proof answering an unissued challenge to be rejected');
+}
+
+/**
+ * Test 8c: Contract State - Proof Freshness Window
+ *
+ * The owner narrows proofFreshnessWindow; a proof dated further than the
+ * window from the block time is rejected until the window is widened again.
+ */
+async function testProofFreshnessWindow() {
+    const dateOfBirth = '2000-01-01';
+    const { dobCredential, citizenshipCredential } = await issueCredentials(
+        dateOfBirth,
+        'US',
+        userWallet.address
+    );
+
+    const originalWindow = await ageVerificationContract.proofFreshnessWindow();
+    const window = 5n * 60n;
+    await (await ageVerificationContract.setProofFreshnessWindow(window)).wait();
+
+    try {
+        // Dated twice the window ahead of the chain's clock
+        const block = await provider.getBlock('latest');
+        const proofDate = new Date(Number(BigInt(block.timestamp) + 2n * window) * 1000);
+        const proofData = await generateProof(
+            dobCredential,
+            citizenshipCredential,
+            proofDate,
+            18,
+            { revocationRegistry, challenge: await issueChallenge(userWallet) }
+        );
+        const args = presentationToSolidityArgs(proofData);
+        const contractWithWallet = ageVerificationContract.connect(userWallet);
+
+        const stale = await contractWithWallet.verifyProof(...args);
+        assert(stale === false, `Expected a proof dated ${2n * window} s away to be rejected with a ${window} s window`);
+
+        await (await ageVerificationContract.setProofFreshnessWindow(originalWindow)).wait();
+        const fresh = await contractWithWallet.verifyProof(...args);
+        assert(fresh === true, `Expected the proof to verify with a ${originalWindow} s window`);
+    } finally {
+        await (await ageVerificationContract.setProofFreshnessWindow(originalWindow)).wait();
+    }
+}
+
+/**
+ * Test 8d: Audit Trail - Recorded Verifications Are Indexed
+ *
+ * verifyAndRecord logs every attempt: an accepted proof, then its replay
+ * (rejected, the challenge is used up) and a submission from another wallet.
+ * The indexer stores the events and they can be found by wallet, issuer and date.
+ */
+async function testVerificationAuditTrail() {
+    const dateOfBirth = '2000-01-01';
+    const { dobCredential, citizenshipCredential } = await issueCredentials(
+        dateOfBirth,
+        'US',
+        userWallet.address
+    );
+    const proofData = await generateProof(
+        dobCredential,
+        citizenshipCredential,
+        new Date(),
+        18,
+        { revocationRegistry, challenge: await issueChallenge(userWallet) }
+    );
+    const args = presentationToSolidityArgs(proofData);
+    const fromBlock = await provider.getBlockNumber();
+
+    const contractWithWallet = ageVerificationContract.connect(userWallet);
+    assert(await contractWithWallet.verifyAndRecord.staticCall(...args) === true, 'Expected verifyAndRecord to accept the proof');
+    await (await contractWithWallet.verifyAndRecord(...args)).wait();
+    assert(
+        await ageVerificationContract.challengeConsumed(BigInt(proofData.challenge)),
+        'Expected verifyAndRecord to consume the challenge'
+    );
+    await (await contractWithWallet.verifyAndRecord(...args)).wait();
+    await (await ageVerificationContract.connect(otherWallet).verifyAndRecord(...args)).wait();
+
+    const dbFile = path.join(require('os').tmpdir(), `verification_records_${Date.now()}.db`);
+    const db = openVerificationDb(dbFile);
+    try {
+        const { added } = await indexVerifications({ contractAddress: ageVerificationAddress, provider, db, fromBlock });
+        assert(added === 3, `Expected 3 indexed records, got ${added}`);
+
+        const userRecords = queryVerificationRecords(db, { wallet: userWallet.address });
+        assert(userRecords.length === 2, `Expected 2 records for the user wallet, got ${userRecords.length}`);
+        assert(userRecords[0].result === true && userRecords[1].result === false, 'Expected the replay to be recorded as rejected');
+        assert(userRecords[0].challenge === proofData.challenge, 'Expected the record to carry the proof challenge');
+
+        const otherRecords = queryVerificationRecords(db, { wallet: otherWallet.address });
+        assert(otherRecords.length === 1 && otherRecords[0].result === false, 'Expected the other wallet attempt to be recorded as rejected');
+
+        const issuerA = issuerRegistryKey(registeredIssuerAX, registeredIssuerAY);
+        assert(queryVerificationRecords(db, { issuer: issuerA }).length === 3, 'Expected all records under issuer A');
+        assert(queryVerificationRecords(db, { issuer: issuerA, result: true }).length === 1, 'Expected one accepted record under issuer A');
+
+        const recordedAt = userRecords[0].recordedAt;
+        assert(queryVerificationRecords(db, { from: recordedAt, to: recordedAt + 3600 }).length === 3, 'Expected the records in their date range');
+        assert(queryVerificationRecords(db, { to: recordedAt - 1 }).length === 0, 'Expected no records before the first attempt');
+
+        const rerun = await indexVerifications({ contractAddress: ageVerificationAddress, provider, db, fromBlock });
+        assert(rerun.added === 0, 'Expected a second indexer run to add nothing');
+    } finally {
+        db.close();
+        fs.rmSync(dbFile, { force: true });
+        fs.rmSync(`${dbFile}-wal`, { force: true });
+        fs.rmSync(`${dbFile}-shm`, { force: true });
+    }
+}
+
+/**
+ * Test 8e: Compliance Token - Transfers Are Limited to Verified Wallets
+ *
+ * ComplianceToken consults AgeVerification.isVerified for sender and recipient.
+ * The user and a second investor verify with a proof; the token mints and
+ * transfers between them, but refuses the unverified other wallet, and freezes
+ * a holder whose status the owner clears.
+ */
+async function testComplianceTokenTransfers() {
+    const dateOfBirth = '2000-01-01';
+    for (const wallet of [userWallet, investorWallet]) {
+        const { dobCredential, citizenshipCredential } = await issueCredentials(dateOfBirth, 'US', wallet.address);
+        const proofData = await generateProof(
+            dobCredential,
+            citizenshipCredential,
+            new Date(),
+            18,
+            { revocationRegistry, challenge: await issueChallenge(wallet) }
+        );
+        await (await ageVerificationContract.connect(wallet).verifyAndConsume(...presentationToSolidityArgs(proofData))).wait();
+        assert(await ageVerificationContract.isVerified(wallet.address), `Expected ${wallet.address} to be verified`);
+    }
+    assert(!(await ageVerificationContract.isVerified(otherWallet.address)), 'Expected the other wallet not to be verified');
+
+    const token = await deployComplianceToken({ registryAddress: ageVerificationAddress, signer: deployerNonceManager });
+    const tokenAddress = await token.getAddress();
+    await mintTokens({ tokenAddress, signer: deployerNonceManager, to: userWallet.address, amount: '1000' });
+
+    let mintError = null;
+    try {
+        await mintTokens({ tokenAddress, signer: deployerNonceManager, to: otherWallet.address, amount: '1' });
+    } catch (error) {
+        mintError = error;
+    }
+    assert(mintError && /not verified/.test(mintError.message), 'Expected minting to the unverified wallet to be refused');
+
+    const amount = ethers.parseUnits('100', 18);
+    await (await token.connect(userWallet).transfer(investorWallet.address, amount)).wait();
+    assert(await token.balanceOf(investorWallet.address) === amount, 'Expected the verified investor to receive the transfer');
+
+    // The transfer to an unverified wallet reverts and moves nothing
+    let transferError = null;
+    try {
+        await (await token.connect(userWallet).transfer(otherWallet.address, amount)).wait();
+    } catch (error) {
+        transferError = error;
+    }
+    assert(transferError, 'Expected the transfer to the unverified wallet to revert');
+    assert(
+        !transferError.reason || transferError.reason === 'ComplianceToken: recipient is not verified',
+        `Unexpected revert reason: ${transferError.reason}`
+    );
+    assert(await token.balanceOf(otherWallet.address) === 0n, 'Expected the unverified wallet to hold no tokens');
+    assert(!(await token.canTransfer(userWallet.address, otherWallet.address)), 'Expected canTransfer to be false');
+
+    // Clearing a holder's status freezes its tokens
+    await (await ageVerificationContract.clearVerification(investorWallet.address)).wait();
+    let frozenError = null;
+    try {
+        await (await token.connect(investorWallet).transfer(userWallet.address, amount)).wait();
+    } catch (error) {
+        frozenError = error;
+    }
+    assert(frozenError, 'Expected a holder whose verification was cleared to be unable to transfer');
 }
 
 /**
@@ -912,7 +1375,7 @@ async function testSoftConstraintsUnderageFailsVerification() {
     // Create an underage user (17 years old)
     const now = new Date();
     const seventeenYearsAgo = new Date(now.getFullYear() - 17, now.getMonth(), now.getDate());
-    const dateOfBirth = BigInt(Math.floor(seventeenYearsAgo.getTime() / 1000));
+    const dateOfBirth = seventeenYearsAgo.toISOString().slice(0, 10);
     const citizenship = 'US';
 
     console.log('\n  [Soft Constraint Test]');
@@ -942,8 +1405,8 @@ async function testSoftConstraintsUnderageFailsVerification() {
 
     // Verify the proof has the correct structure (same as hard circuit)
     assert(
-        proofData.publicSignals.length === 9,
-        `Expected 9 public signals (same as hard circuit), got ${proofData.publicSignals.length}`
+        proofData.publicSignals.length === 11,
+        `Expected 11 public signals (same as hard circuit), got ${proofData.publicSignals.length}`
     );
 
     // Warp block timestamp to match proof
@@ -960,16 +1423,13 @@ async function testSoftConstraintsUnderageFailsVerification() {
     }
 
     // Submit proof - should FAIL verification on-chain
-    // Note: Public signals are identical to hard circuit (9 signals)
+    // Note: Public signals are identical to hard circuit (11 signals)
     
     const contractWithWallet = ageVerificationContract.connect(userWallet);
     
     console.log(`  Submitting proof to contract...`);
     const result = await contractWithWallet.verifyProof(
-        proofData.proof.a,
-        proofData.proof.b,
-        proofData.proof.c,
-        proofData.publicSignals.map(s => BigInt(s))
+        ...presentationToSolidityArgs(proofData)
     );
 
     console.log(`  Contract verification result: ${result} (false = rejected as expected)`);
@@ -986,7 +1446,7 @@ async function testSoftConstraintsUnderageFailsVerification() {
  */
 async function testSoftConstraintsWrongCitizenshipFailsVerification() {
     // Create a user with wrong citizenship
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+    const dateOfBirth = '2000-01-01';
     const citizenship = 'CA'; // Canadian instead of US
 
     console.log('\n  [Soft Constraint Test]');
@@ -1014,10 +1474,10 @@ async function testSoftConstraintsWrongCitizenshipFailsVerification() {
         throw new Error(`Proof generation failed unexpectedly with soft constraints: ${error.message}`);
     }
 
-    // Verify proof structure (same as hard circuit - 9 signals)
+    // Verify proof structure (same as hard circuit - 11 signals)
     assert(
-        proofData.publicSignals.length === 9,
-        `Expected 9 public signals, got ${proofData.publicSignals.length}`
+        proofData.publicSignals.length === 11,
+        `Expected 11 public signals, got ${proofData.publicSignals.length}`
     );
 
     // Warp block timestamp
@@ -1038,10 +1498,7 @@ async function testSoftConstraintsWrongCitizenshipFailsVerification() {
     
     console.log(`  Submitting proof to contract...`);
     const result = await contractWithWallet.verifyProof(
-        proofData.proof.a,
-        proofData.proof.b,
-        proofData.proof.c,
-        proofData.publicSignals.map(s => BigInt(s))
+        ...presentationToSolidityArgs(proofData)
     );
 
     console.log(`  Contract verification result: ${result} (false = rejected as expected)`);
@@ -1075,7 +1532,7 @@ async function testSoftConstraintsHappyPath() {
     dob.setFullYear(dob.getFullYear() - 25);
     
     const dobCredential = await issueDOBCredential(
-        Math.floor(dob.getTime() / 1000),
+        dob.toISOString().slice(0, 10),
         issuerAPrivateKey,
         userWallet.address
     );
@@ -1097,8 +1554,8 @@ async function testSoftConstraintsHappyPath() {
     
     // Verify proof structure
     assert(
-        proofData.publicSignals.length === 9,
-        `Expected 9 public signals, got ${proofData.publicSignals.length}`
+        proofData.publicSignals.length === 11,
+        `Expected 11 public signals, got ${proofData.publicSignals.length}`
     );
     
     // Warp block timestamp
@@ -1119,10 +1576,7 @@ async function testSoftConstraintsHappyPath() {
     
     console.log(`  Submitting proof to contract...`);
     const result = await contractWithWallet.verifyProof(
-        proofData.proof.a,
-        proofData.proof.b,
-        proofData.proof.c,
-        proofData.publicSignals.map(s => BigInt(s))
+        ...presentationToSolidityArgs(proofData)
     );
     
     console.log(`  Contract verification result: ${result} (true = passed as expected)`);
@@ -1143,7 +1597,7 @@ async function testSoftConstraintsWrongWallet() {
     dob.setFullYear(dob.getFullYear() - 25);
     
     const dobCredential = await issueDOBCredential(
-        Math.floor(dob.getTime() / 1000),
+        dob.toISOString().slice(0, 10),
         issuerAPrivateKey,
         userWallet.address
     );
@@ -1181,10 +1635,7 @@ async function testSoftConstraintsWrongWallet() {
     
     console.log(`  Submitting proof from wrong wallet: ${otherWallet.address}`);
     const result = await contractWithWrongWallet.verifyProof(
-        proofData.proof.a,
-        proofData.proof.b,
-        proofData.proof.c,
-        proofData.publicSignals.map(s => BigInt(s))
+        ...presentationToSolidityArgs(proofData)
     );
     
     console.log(`  Contract verification result: ${result} (false = rejected as expected)`);
@@ -1205,7 +1656,7 @@ async function testSoftConstraintsExactly18() {
     dob.setFullYear(dob.getFullYear() - 18);
     
     const dobCredential = await issueDOBCredential(
-        Math.floor(dob.getTime() / 1000),
+        dob.toISOString().slice(0, 10),
         issuerAPrivateKey,
         userWallet.address
     );
@@ -1243,10 +1694,7 @@ async function testSoftConstraintsExactly18() {
     
     console.log(`  Submitting proof to contract...`);
     const result = await contractWithWallet.verifyProof(
-        proofData.proof.a,
-        proofData.proof.b,
-        proofData.proof.c,
-        proofData.publicSignals.map(s => BigInt(s))
+        ...presentationToSolidityArgs(proofData)
     );
     
     console.log(`  Contract verification result: ${result} (true = passed as expected)`);
@@ -1260,7 +1708,7 @@ async function testSoftConstraintsUntrustedIssuer() {
     const secp256k1 = require('@noble/secp256k1');
     
     // Create valid data (18+ and US)
-    const dateOfBirth = BigInt(Math.floor(new Date('2000-01-01').getTime() / 1000));
+    const dateOfBirth = '2000-01-01';
     const citizenship = 'US';
 
     console.log('\n  [Untrusted Issuer Attack]');
@@ -1321,10 +1769,10 @@ async function testSoftConstraintsUntrustedIssuer() {
         }
     }
 
-    // Verify proof structure (same as hard circuit - 9 signals)
+    // Verify proof structure (same as hard circuit - 11 signals)
     assert(
-        proofData.publicSignals.length === 9,
-        `Expected 9 public signals, got ${proofData.publicSignals.length}`
+        proofData.publicSignals.length === 11,
+        `Expected 11 public signals, got ${proofData.publicSignals.length}`
     );
 
     // Submit proof - should FAIL because issuer not in registry
@@ -1332,10 +1780,7 @@ async function testSoftConstraintsUntrustedIssuer() {
     
     console.log(`  Submitting proof to contract...`);
     const result = await contractWithWallet.verifyProof(
-        proofData.proof.a,
-        proofData.proof.b,
-        proofData.proof.c,
-        proofData.publicSignals.map(s => BigInt(s))
+        ...presentationToSolidityArgs(proofData)
     );
 
     console.log(`  Contract verification result: ${result} (false = rejected as expected)`);
@@ -1369,13 +1814,20 @@ async function runAllTests() {
         // Run hard constraint test cases
         console.log('Hard Constraint Tests:\n');
         await runTest('Happy Path - Valid 18+ US Citizen', testHappyPath);
+        await runTest('Happy Path - Born Before 1970', testBornBefore1970);
         await runTest('Failure - Underage User (17 years old)', testUnderageUser);
         await runTest('Failure - Wrong Citizenship (CA)', testWrongCitizenship);
         await runTest('Failure - Wrong Wallet Submission', testWrongWalletSubmission);
         await runTest('Failure - Untrusted Issuer', testUntrustedIssuer);
         await runTest('Boundary - Exactly 18 Years Old', testExactly18YearsOld);
-        await runTest('Contract State - Remove Issuer', testRemoveIssuer);
+        await runTest('Failure - Expired Credential', testExpiredCredential);
+        await runTest('Failure - Revoked Credential', testRevokedCredential);
+        await runTest('Contract State - Suspend, Reinstate and Remove Issuer', testRemoveIssuer);
         await runTest('Access Control - Only Owner Can Add Issuers', testOnlyOwnerCanAddIssuers);
+        await runTest('Challenge - Accepted Proof Cannot Be Replayed', testChallengeReplay);
+        await runTest('Contract State - Proof Freshness Window', testProofFreshnessWindow);
+        await runTest('Audit Trail - Recorded Verifications Are Indexed', testVerificationAuditTrail);
+        await runTest('Compliance Token - Transfers Limited to Verified Wallets', testComplianceTokenTransfers);
 
         // Run soft constraint test cases (if available)
         if (softCircuitExists) {
@@ -1386,6 +1838,8 @@ async function runAllTests() {
             await runTest('Soft - Failure: Wrong Citizenship Generates Proof but Fails Verification', testSoftConstraintsWrongCitizenshipFailsVerification);
             await runTest('Soft - Failure: Wrong Wallet Submission', testSoftConstraintsWrongWallet);
             await runTest('Soft - Failure: Untrusted Issuer (Valid Data, Unregistered Key)', testSoftConstraintsUntrustedIssuer);
+        } else if (EDDSA) {
+            console.log('\n⚠️  Skipping soft constraint tests (the soft circuit only takes ECDSA credentials)\n');
         } else {
             console.log('\n⚠️  Skipping soft constraint tests (circuit not compiled)');
             console.log('   To enable: compile soft circuit and run trusted setup (see docs/SOFT_CONSTRAINTS.md)\n');
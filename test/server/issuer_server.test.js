@@ -0,0 +1,251 @@
+/**
+ * Issuer Server Tests - issuance REST API with wallet-ownership challenges
+ *
+ * Runs the issuer server in-process on a random local port (no Ganache needed).
+ *
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Wallet } = require('ethers');
+const { createIssuerServer } = require('../../scripts/issuers/issuer_server');
+const { saveRevocationRegistry } = require('../../scripts/issuers/revocation_registry');
+const {
+    getGanacheDeterministicPrivateKey,
+    getIssuerPublicKeyHex,
+    getIssuerPubkey,
+    getEddsaIssuerPubkey,
+    SIGNATURE_SCHEMES,
+    signOwnershipChallenge,
+    verifyCredential,
+    createRevocationRegistry,
+    revokeCredential
+} = require('../../sdk');
+
+const ISSUER_A_KEY = getGanacheDeterministicPrivateKey(1);
+const subject = new Wallet(getGanacheDeterministicPrivateKey(0));
+const other = new Wallet(getGanacheDeterministicPrivateKey(4));
+const REVOCATION_REGISTRY_FILE = path.join(os.tmpdir(), `revocation_registry_${process.pid}.json`);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = createIssuerServer({
+        schemaId: 'date_of_birth',
+        name: 'Issuer A (DMV)',
+        privateKey: ISSUER_A_KEY,
+        revocationRegistryFile: REVOCATION_REGISTRY_FILE
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    fs.rmSync(REVOCATION_REGISTRY_FILE, { force: true });
+    return new Promise((resolve) => server.close(resolve));
+});
+
+async function request(method, pathname, body) {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function requestCredential(wallet, claims, signer = wallet, scheme) {
+    const challenge = await request('POST', '/challenges', { wallet: wallet.address, scheme });
+    assert.equal(challenge.status, 201);
+    const signature = await signOwnershipChallenge(challenge.body, signer);
+    return request('POST', '/credentials', {
+        wallet: wallet.address,
+        challengeNonce: challenge.body.nonce,
+        signature,
+        claims
+    });
+}
+
+test('GET /.well-known/issuer publishes the issuer key and schema', async () => {
+    const { status, body } = await request('GET', '/.well-known/issuer');
+    const pubkey = getIssuerPubkey(ISSUER_A_KEY);
+
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Issuer A (DMV)');
+    assert.equal(body.schema.id, 'date_of_birth');
+    assert.equal(body.publicKey, getIssuerPublicKeyHex(ISSUER_A_KEY));
+    assert.deepEqual(body.pubkey, { x: pubkey.x.toString(), y: pubkey.y.toString() });
+});
+
+test('POST /credentials issues a credential bound to the proven wallet', async () => {
+    const { status, body } = await requestCredential(subject, { dateOfBirth: '2000-01-01' });
+
+    assert.equal(status, 201);
+    assert.equal(body.credential.userPubkey, BigInt(subject.address).toString());
+    assert.equal(body.credential.dateOfBirth, '2000-01-01');
+    assert.equal(body.credential.dateOfBirthEncoded, '36524');
+    assert.ok(Number(body.credential.validUntil) > Number(body.credential.issuedAt));
+    const result = await verifyCredential(body.credential, {
+        trustedIssuers: [{ name: 'Issuer A (DMV)', publicKey: getIssuerPublicKeyHex(ISSUER_A_KEY) }]
+    });
+    assert.equal(result.valid, true);
+});
+
+test('an EdDSA-Poseidon issuer publishes its BabyJubJub key and signs with it', async () => {
+    const eddsaServer = createIssuerServer({
+        schemaId: 'date_of_birth',
+        name: 'Issuer A (DMV)',
+        privateKey: ISSUER_A_KEY,
+        signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON
+    });
+    await new Promise((resolve) => eddsaServer.listen(0, '127.0.0.1', resolve));
+    const eddsaUrl = `http://127.0.0.1:${eddsaServer.address().port}`;
+
+    try {
+        const metadata = await (await fetch(`${eddsaUrl}/.well-known/issuer`)).json();
+        const pubkey = await getEddsaIssuerPubkey(ISSUER_A_KEY);
+        assert.equal(metadata.signatureScheme, 'eddsa-poseidon');
+        assert.equal(metadata.publicKey, undefined);
+        assert.deepEqual(metadata.pubkey, { x: pubkey.x.toString(), y: pubkey.y.toString() });
+
+        const post = (pathname, body) => fetch(`${eddsaUrl}${pathname}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }).then((response) => response.json());
+        const challenge = await post('/challenges', { wallet: subject.address });
+        const { credential } = await post('/credentials', {
+            wallet: subject.address,
+            challengeNonce: challenge.nonce,
+            signature: await signOwnershipChallenge(challenge, subject),
+            claims: { dateOfBirth: '2000-01-01' }
+        });
+
+        assert.equal(credential.signatureScheme, 'eddsa-poseidon');
+        const result = await verifyCredential(credential, {
+            trustedIssuers: [{ name: 'Issuer A (DMV)', pubkey }]
+        });
+        assert.equal(result.valid, true);
+    } finally {
+        await new Promise((resolve) => eddsaServer.close(resolve));
+    }
+});
+
+test('POST /credentials accepts EIP-712 typed-data ownership signatures', async () => {
+    const { status, body } = await requestCredential(subject, { dateOfBirth: '2000-01-01' }, subject, 'eip712');
+    assert.equal(status, 201);
+    assert.equal(body.credential.userPubkey, BigInt(subject.address).toString());
+});
+
+test('POST /credentials rejects a challenge signed by another wallet', async () => {
+    const { status, body } = await requestCredential(subject, { dateOfBirth: '2000-01-01' }, other);
+    assert.equal(status, 401);
+    assert.match(body.error, new RegExp(`made by ${other.address}`));
+});
+
+test('ownership challenges are single use', async () => {
+    const challenge = await request('POST', '/challenges', { wallet: subject.address });
+    const signature = await subject.signMessage(challenge.body.message);
+    const payload = { wallet: subject.address, challengeNonce: challenge.body.nonce, signature, claims: { dateOfBirth: '2000-01-01' } };
+
+    assert.equal((await request('POST', '/credentials', payload)).status, 201);
+    const replay = await request('POST', '/credentials', payload);
+    assert.equal(replay.status, 401);
+    assert.match(replay.body.error, /already used/);
+});
+
+test('invalid requests return JSON errors', async () => {
+    assert.equal((await request('POST', '/challenges', { wallet: 'not-a-wallet' })).status, 400);
+    assert.equal((await request('POST', '/challenges', { wallet: subject.address, scheme: 'eth_sign' })).status, 400);
+    assert.equal((await request('GET', '/credentials')).status, 404);
+
+    const badClaims = await requestCredential(subject, { citizenship: 'US' });
+    assert.equal(badClaims.status, 400);
+    assert.match(badClaims.body.error, /Unknown claims for date_of_birth/);
+
+    const timestamp = await requestCredential(subject, { dateOfBirth: -631152000 });
+    assert.equal(timestamp.status, 400);
+    assert.match(timestamp.body.error, /Claim "dateOfBirth" must be a YYYY-MM-DD date/);
+    const outOfRange = await requestCredential(subject, { dateOfBirth: '1899-12-31' });
+    assert.equal(outOfRange.status, 400);
+    assert.match(outOfRange.body.error, /between 1900-01-01 and 2099-12-31/);
+    const future = await requestCredential(subject, { dateOfBirth: '2099-01-01' });
+    assert.equal(future.status, 400);
+    assert.match(future.body.error, /Date of birth 2099-01-01 is after/);
+});
+
+test('GET /revocations serves the current revocation registry', async () => {
+    const empty = await request('GET', '/revocations');
+    assert.equal(empty.status, 200);
+    assert.deepEqual(empty.body, createRevocationRegistry());
+
+    const { body } = await requestCredential(subject, { dateOfBirth: '2000-01-01' });
+    const registry = await revokeCredential(createRevocationRegistry(), {
+        issuerPubkey: body.credential.issuerPubkey,
+        nonce: body.credential.nonce
+    });
+    await saveRevocationRegistry(registry, REVOCATION_REGISTRY_FILE);
+
+    const updated = await request('GET', '/revocations');
+    assert.equal(updated.body.root, registry.root);
+    assert.equal(updated.body.revoked[0].nonce, body.credential.nonce);
+});
+
+test('oversized request bodies get a 413 response', async () => {
+    const response = await fetch(`${baseUrl}/challenges`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ wallet: subject.address, padding: 'x'.repeat(32 * 1024) })
+    });
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).error, /too large/);
+});
+
+test('POST /challenges answers 429 once too many challenges are pending', async () => {
+    const limitedServer = createIssuerServer({
+        schemaId: 'date_of_birth',
+        name: 'Issuer A (DMV)',
+        privateKey: ISSUER_A_KEY,
+        maxPendingChallenges: 2
+    });
+    await new Promise((resolve) => limitedServer.listen(0, '127.0.0.1', resolve));
+    const limitedUrl = `http://127.0.0.1:${limitedServer.address().port}`;
+    const post = (body) => fetch(`${limitedUrl}/challenges`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        assert.equal((await post({ wallet: subject.address })).status, 201);
+        assert.equal((await post({ wallet: other.address })).status, 201);
+        const limited = await post({ wallet: subject.address });
+        assert.equal(limited.status, 429);
+        assert.match((await limited.json()).error, /Too many pending ownership challenges/);
+    } finally {
+        await new Promise((resolve) => limitedServer.close(resolve));
+    }
+});
+
+test('an invalid issuer key fails GET /.well-known/issuer, not the process', async () => {
+    const brokenServer = createIssuerServer({
+        schemaId: 'date_of_birth',
+        name: 'Issuer A (DMV)',
+        privateKey: 'not-a-key',
+        signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON
+    });
+    await new Promise((resolve) => brokenServer.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${brokenServer.address().port}/.well-known/issuer`);
+        assert.equal(response.status, 500);
+        assert.ok((await response.json()).error);
+    } finally {
+        await new Promise((resolve) => brokenServer.close(resolve));
+    }
+});
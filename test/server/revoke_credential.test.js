@@ -0,0 +1,82 @@
+/**
+ * Revocation Script Tests - revoking demo issuer credentials by nonce
+ *
+ * Runs the revoke CLI in-process against a temporary registry file (no Ganache needed).
+ *
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main: revokeMain, resolveIssuerPubkey } = require('../../scripts/issuers/revoke_credential');
+const { loadRevocationRegistry } = require('../../scripts/issuers/revocation_registry');
+const {
+    getGanacheDeterministicPrivateKey,
+    getIssuerPubkey,
+    SIGNATURE_SCHEMES,
+    issueDOBCredential,
+    isCredentialRevoked
+} = require('../../sdk');
+
+const REVOCATION_REGISTRY_FILE = path.join(os.tmpdir(), `revoke_credential_${process.pid}.json`);
+const USER_PUBKEY = BigInt('0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1');
+
+// The key revoke_credential.js takes for issuer a: its key file, or Ganache account #1
+function issuerAPrivateKey() {
+    const keyPath = path.join(__dirname, '../../.issuer_a_key.json');
+    return fs.existsSync(keyPath)
+        ? JSON.parse(fs.readFileSync(keyPath, 'utf8')).privateKey
+        : getGanacheDeterministicPrivateKey(1, process.env.GANACHE_MNEMONIC);
+}
+
+async function runRevoke(args, env) {
+    const saved = { argv: process.argv, env: { ...process.env } };
+    process.argv = ['node', 'revoke_credential.js', ...args];
+    Object.assign(process.env, { REVOCATION_REGISTRY_FILE }, env);
+    try {
+        return await revokeMain();
+    } finally {
+        process.argv = saved.argv;
+        process.env = saved.env;
+    }
+}
+
+test.afterEach(() => {
+    fs.rmSync(REVOCATION_REGISTRY_FILE, { force: true });
+});
+
+test('issuer keys follow the signature scheme', async () => {
+    const ecdsa = await resolveIssuerPubkey('a', SIGNATURE_SCHEMES.ECDSA_SECP256K1);
+    const reduced = getIssuerPubkey(issuerAPrivateKey());
+    assert.deepEqual(ecdsa, { x: reduced.x.toString(), y: reduced.y.toString() });
+
+    const eddsa = await resolveIssuerPubkey('a', SIGNATURE_SCHEMES.EDDSA_POSEIDON);
+    assert.notEqual(eddsa.x, ecdsa.x);
+    await assert.rejects(resolveIssuerPubkey('c'), /Unknown issuer "c"/);
+});
+
+test('revoking by nonce under EdDSA-Poseidon revokes the EdDSA credential', async () => {
+    const credential = await issueDOBCredential('2000-01-01', USER_PUBKEY, BigInt(4242), issuerAPrivateKey(), {
+        signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON
+    });
+
+    await runRevoke(['a', '4242'], { ISSUER_SIGNATURE_SCHEME: 'eddsa-poseidon' });
+
+    const registry = loadRevocationRegistry(REVOCATION_REGISTRY_FILE);
+    assert.equal(registry.revoked.length, 1);
+    assert.deepEqual(registry.revoked[0].issuerPubkey, credential.issuerPubkey);
+    assert.equal(await isCredentialRevoked(registry, credential), true);
+});
+
+test('revoking by nonce under ECDSA leaves the EdDSA credential valid', async () => {
+    const credential = await issueDOBCredential('2000-01-01', USER_PUBKEY, BigInt(4242), issuerAPrivateKey(), {
+        signatureScheme: SIGNATURE_SCHEMES.EDDSA_POSEIDON
+    });
+
+    await runRevoke(['a', '4242'], { ISSUER_SIGNATURE_SCHEME: 'ecdsa-secp256k1' });
+
+    assert.equal(await isCredentialRevoked(loadRevocationRegistry(REVOCATION_REGISTRY_FILE), credential), false);
+});
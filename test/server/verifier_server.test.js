@@ -0,0 +1,160 @@
+/**
+ * Verifier Server Tests - presentation verification REST API with signed receipts
+ *
+ * Runs the verifier server in-process on a random local port (no Ganache or
+ * trusted setup needed: a stand-in verification key, so proofs are rejected).
+ *
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Wallet } = require('ethers');
+const { createVerifierServer } = require('../../scripts/verifier/verifier_server');
+const {
+    DEFAULT_POLICY,
+    DEFAULT_PROOF_DATE_WINDOW_SECONDS,
+    computePolicyId,
+    computeVerificationKeyHash,
+    computePresentationHash,
+    encodeCitizenship,
+    getGanacheDeterministicPrivateKey,
+    getIssuerPubkey,
+    createPresentation,
+    verifyVerificationReceipt
+} = require('../../sdk');
+
+const VERIFIER_KEY = getGanacheDeterministicPrivateKey(5);
+const verifier = new Wallet(VERIFIER_KEY);
+const subject = new Wallet(getGanacheDeterministicPrivateKey(0));
+const issuerA = getIssuerPubkey(getGanacheDeterministicPrivateKey(1));
+const issuerB = getIssuerPubkey(getGanacheDeterministicPrivateKey(2));
+const TRUSTED_ISSUERS = [
+    { name: 'Issuer A (DMV)', pubkey: { x: issuerA.x.toString(), y: issuerA.y.toString() }, schemas: ['date_of_birth'] },
+    { name: 'Issuer B (Immigration)', pubkey: { x: issuerB.x.toString(), y: issuerB.y.toString() }, schemas: ['citizenship'] }
+];
+const VKEY = { protocol: 'groth16', curve: 'bn128', nPublic: 11, IC: [['1', '2', '1']] };
+const VKEY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'verifier_vkeys_'));
+const REVOCATION_REGISTRY_FILE = path.join(VKEY_DIR, 'revocation_registry.json');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    fs.writeFileSync(path.join(VKEY_DIR, 'age_citizenship_expiry_vkey.json'), JSON.stringify(VKEY));
+    server = createVerifierServer({
+        privateKey: VERIFIER_KEY,
+        trustedIssuers: TRUSTED_ISSUERS,
+        vkeyDir: VKEY_DIR,
+        revocationRegistryFile: REVOCATION_REGISTRY_FILE
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    fs.rmSync(VKEY_DIR, { recursive: true, force: true });
+    // snarkjs keeps its bn128 worker threads (cached on globalThis) alive after groth16.verify
+    globalThis.curve_bn128?.terminate();
+    return new Promise((resolve) => server.close(resolve));
+});
+
+async function request(method, pathname, body) {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function issueChallenge(body = {}) {
+    const { status, body: issued } = await request('POST', '/challenges', body);
+    assert.equal(status, 201);
+    return issued.challenge;
+}
+
+function present(challenge, circuit = 'age_citizenship_expiry') {
+    return createPresentation({
+        circuit,
+        proof: { pi_a: ['1', '2', '1'], pi_b: [['3', '4'], ['5', '6'], ['1', '0']], pi_c: ['7', '8', '1'] },
+        publicSignals: [
+            String(Math.floor(Date.now() / 1000)), '18', encodeCitizenship('US').toString(),
+            issuerA.x.toString(), issuerA.y.toString(), issuerB.x.toString(), issuerB.y.toString(),
+            BigInt(subject.address).toString(), BigInt(subject.address).toString(), '0', BigInt(challenge).toString()
+        ],
+        vkey: VKEY
+    });
+}
+
+test('GET /policy publishes what to prove and who signs receipts', async () => {
+    const { status, body } = await request('GET', '/policy');
+
+    assert.equal(status, 200);
+    assert.equal(body.verifier, verifier.address);
+    assert.deepEqual(body.policy, { minAge: '18', requiredCitizenship: 'US' });
+    assert.equal(body.policyId, computePolicyId(DEFAULT_POLICY));
+    assert.equal(body.dateWindowSeconds, DEFAULT_PROOF_DATE_WINDOW_SECONDS);
+    assert.deepEqual(body.circuits, [{ name: 'age_citizenship_expiry', vkeyHash: computeVerificationKeyHash(VKEY) }]);
+    assert.deepEqual(body.trustedIssuers.map(({ name }) => name), ['Issuer A (DMV)', 'Issuer B (Immigration)']);
+    assert.match(body.revocationRoot, /^\d+$/);
+    assert.equal(body.receipt.domain.name, 'ZK Compliance Verifier');
+});
+
+test('POST /verify rejects malformed presentations and other circuits', async () => {
+    const legacy = await request('POST', '/verify', { presentation: { proof: {}, publicSignals: [], input: {} } });
+    assert.equal(legacy.status, 400);
+    assert.match(legacy.body.error, /v1 proof\.json/);
+
+    const missing = await request('POST', '/verify', {});
+    assert.equal(missing.status, 400);
+
+    const challenge = await issueChallenge();
+    const soft = await request('POST', '/verify', { presentation: present(challenge, 'age_citizenship_soft') });
+    assert.equal(soft.status, 400);
+    assert.match(soft.body.error, /age_citizenship_soft is not accepted/);
+
+    const badWallet = await request('POST', '/verify', { presentation: present(challenge), wallet: 'nope' });
+    assert.equal(badWallet.status, 400);
+});
+
+test('POST /verify only accepts challenges issued by POST /challenges', async () => {
+    const badRequest = await request('POST', '/challenges', { wallet: 'nope' });
+    assert.equal(badRequest.status, 400);
+
+    const { body: issued } = await request('POST', '/challenges', { wallet: subject.address });
+    assert.match(issued.challenge, /^0x[0-9a-f]{64}$/);
+    assert.equal(issued.wallet, subject.address);
+    assert.ok(issued.expiresAt > Date.now() / 1000);
+
+    const unissued = await request('POST', '/verify', { presentation: present(`0x${'0'.repeat(60)}1234`) });
+    assert.equal(unissued.status, 401);
+    assert.match(unissued.body.error, /POST \/challenges/);
+
+    const otherWallet = await request('POST', '/verify', { presentation: present(issued.challenge), wallet: verifier.address });
+    assert.equal(otherWallet.status, 400);
+    assert.match(otherWallet.body.error, /was issued to/);
+});
+
+test('POST /verify signs a receipt for the decision', async () => {
+    const presentation = present(await issueChallenge({ wallet: subject.address }));
+    const { status, body } = await request('POST', '/verify', { presentation });
+
+    // Not a real proof for the stand-in key
+    assert.equal(status, 200);
+    assert.equal(body.valid, false);
+    assert.equal(body.checks.find((check) => check.name === 'proof').passed, false);
+
+    assert.equal(body.verifier, verifier.address);
+    assert.equal(body.receipt.verified, false);
+    assert.equal(body.receipt.presentationHash, computePresentationHash(presentation));
+    assert.equal(body.receipt.subject, subject.address);
+    assert.equal(body.receipt.challenge, presentation.challenge);
+    assert.equal(verifyVerificationReceipt(body, { verifier: verifier.address }), verifier.address);
+
+    assert.throws(() => verifyVerificationReceipt({ ...body, receipt: { ...body.receipt, verified: true } }, { verifier: verifier.address }), /not 0x/);
+    assert.throws(() => verifyVerificationReceipt(body, { verifier: subject.address }), /not 0x/);
+});